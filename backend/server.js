@@ -12,6 +12,12 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
 require('dotenv').config();
 
 // 2. CREATE EXPRESS APPLICATION
@@ -43,6 +49,38 @@ const MARKUP_PERCENTAGE = parseInt(process.env.MARKUP_PERCENTAGE) || 50;
 const JWT_EXPIRE = process.env.JWT_EXPIRE || '7d';
 const APP_NAME = process.env.APP_NAME || 'E-Acquire';
 const PORT = process.env.PORT || 5000;
+const PROOF_MAX_SIZE_MB = parseInt(process.env.PROOF_MAX_SIZE_MB) || 5;
+const PROOF_URL_TTL_MINUTES = parseInt(process.env.PROOF_URL_TTL_MINUTES) || 15;
+const PROOF_SIMILARITY_THRESHOLD = parseInt(process.env.PROOF_SIMILARITY_THRESHOLD) || 6;
+const PROOF_SIMILARITY_LOOKBACK_DAYS = parseInt(process.env.PROOF_SIMILARITY_LOOKBACK_DAYS) || 30;
+const PROOF_SIMILARITY_SCAN_LIMIT = parseInt(process.env.PROOF_SIMILARITY_SCAN_LIMIT) || 500;
+const DEPOSIT_EXPIRY_HOURS = parseInt(process.env.DEPOSIT_EXPIRY_HOURS) || 48;
+const DEPOSIT_REMINDER_HOURS = parseInt(process.env.DEPOSIT_REMINDER_HOURS) || 12;
+const LEDGER_RECONCILE_INTERVAL_MINUTES = parseInt(process.env.LEDGER_RECONCILE_INTERVAL_MINUTES) || 60;
+const ORDER_SYNC_INTERVAL_MINUTES = parseInt(process.env.ORDER_SYNC_INTERVAL_MINUTES) || 5;
+const ORDER_SYNC_MAX_PER_RUN = parseInt(process.env.ORDER_SYNC_MAX_PER_RUN) || 500;
+const ORDER_SYNC_MAX_BACKOFF_MINUTES = parseInt(process.env.ORDER_SYNC_MAX_BACKOFF_MINUTES) || 60;
+const ORDER_RETRY_MAX_ATTEMPTS = parseInt(process.env.ORDER_RETRY_MAX_ATTEMPTS) || 5;
+const ORDER_RETRY_BASE_DELAY_MINUTES = parseInt(process.env.ORDER_RETRY_BASE_DELAY_MINUTES) || 1;
+const ORDER_RETRY_MAX_DELAY_MINUTES = parseInt(process.env.ORDER_RETRY_MAX_DELAY_MINUTES) || 60;
+const ORDER_SUBMIT_STALE_MINUTES = parseInt(process.env.ORDER_SUBMIT_STALE_MINUTES) || 5;
+const ORDER_OVERLAP_MAX_HOURS = parseInt(process.env.ORDER_OVERLAP_MAX_HOURS) || 72;
+const REFILL_GUARANTEE_DAYS = parseInt(process.env.REFILL_GUARANTEE_DAYS) || 30;
+const REFILL_COOLDOWN_HOURS = parseInt(process.env.REFILL_COOLDOWN_HOURS) || 24;
+const MASS_ORDER_MAX_LINES = parseInt(process.env.MASS_ORDER_MAX_LINES) || 100;
+const DRIPFEED_MAX_RUNS = parseInt(process.env.DRIPFEED_MAX_RUNS) || 100;
+const DRIPFEED_MAX_INTERVAL_MINUTES = parseInt(process.env.DRIPFEED_MAX_INTERVAL_MINUTES) || 1440;
+const SCHEDULE_MIN_LEAD_MINUTES = parseInt(process.env.SCHEDULE_MIN_LEAD_MINUTES) || 5;
+const SCHEDULE_MAX_DAYS = parseInt(process.env.SCHEDULE_MAX_DAYS) || 30;
+const SUBSCRIPTION_MAX_POSTS = parseInt(process.env.SUBSCRIPTION_MAX_POSTS) || 100;
+const SUBSCRIPTION_MAX_DAYS = parseInt(process.env.SUBSCRIPTION_MAX_DAYS) || 90;
+const SUBSCRIPTION_CHECK_INTERVAL_MINUTES = parseInt(process.env.SUBSCRIPTION_CHECK_INTERVAL_MINUTES) || 10;
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+const IDEMPOTENCY_LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 120;
+const MIN_WITHDRAWAL_EQUITIES = parseInt(process.env.MIN_WITHDRAWAL_EQUITIES) || 500;
+const ADJUSTMENT_CONFIRM_THRESHOLD = parseInt(process.env.ADJUSTMENT_CONFIRM_THRESHOLD) || 1000;
+const VAT_PERCENTAGE = parseFloat(process.env.VAT_PERCENTAGE) || 0;
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'EACQ-INV';
 
 console.log(`🚀 ${APP_NAME} Backend Server Initializing...`);
 console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -67,7 +105,9 @@ app.use(helmet({
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Payment processor callbacks come from a handful of IPs and must never be throttled
+  skip: (req) => req.path.startsWith('/webhooks/')
 });
 app.use('/api/', limiter);
 
@@ -93,7 +133,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 app.get('/', (req, res) => {
@@ -107,8 +148,16 @@ app.get('/', (req, res) => {
 app.options('*', cors());
 
 // Request parsing
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+app.use(express.json({
+  limit: '2mb',
+  // Keep the raw payload for webhook signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
+app.use(express.urlencoded({ extended: true, limit: '2mb' }));
 
 // Logging
 if (process.env.NODE_ENV === 'development') {
@@ -150,7 +199,7 @@ const connectDB = async () => {
 };
 
 // Call connectDB
-connectDB();
+const dbReady = connectDB();
 
 // 6. DATABASE SCHEMAS & MODELS
 // =============================
@@ -215,6 +264,27 @@ const userSchema = new mongoose.Schema({
     type: Number, 
     default: 0 
   },
+  // Referral earnings already withdrawn or awaiting payout
+  referralWithdrawn: { 
+    type: Number, 
+    default: 0 
+  },
+  
+  // Payout Bank Account (referral withdrawals)
+  bankAccount: {
+    bankName: { 
+      type: String, 
+      trim: true 
+    },
+    accountNumber: { 
+      type: String,
+      match: [/^[0-9]{10}$/, 'Account number must be 10 digits']
+    },
+    accountName: { 
+      type: String, 
+      trim: true 
+    }
+  },
   
   // Account Status
   role: { 
@@ -311,13 +381,97 @@ const orderSchema = new mongoose.Schema({
     type: Number, 
     required: true
   },
+  couponCode: { 
+    type: String 
+  },
+  discount: { 
+    type: Number, 
+    default: 0 
+  },
+  // Drip-feed: quantityPerRun delivered `runs` times, `interval` minutes
+  // apart. quantity and cost above cover all runs.
+  dripFeed: {
+    runs: Number,
+    interval: Number,
+    quantityPerRun: Number
+  },
+  // Mass orders placed together share a batchId
+  batchId: { 
+    type: String, 
+    index: true 
+  },
+  // One order per post delivered by an auto-engagement subscription
+  subscriptionId: { 
+    type: String, 
+    index: true 
+  },
+  // Which provider-delivered post the order pays for (1, 2, ...)
+  subscriptionPost: { 
+    type: Number 
+  },
+  // Wallet funds held for the order: reserved before the provider call,
+  // then settled (charged) or released (returned)
+  fundsStatus: {
+    type: String,
+    enum: ['reserved', 'settled', 'released']
+  },
+  // Set while the Thekclaut call for a reserved order is in flight
+  submittingAt: { 
+    type: Date, 
+    index: true 
+  },
+  // Reserved orders whose Thekclaut call never returned: the provider may or
+  // may not have the order, so an admin checks before it is charged or released
+  review: {
+    requiredAt: { type: Date, index: true },
+    reason: String,
+    resolvedAt: Date,
+    resolvedBy: String,
+    resolution: { type: String, enum: ['placed', 'resubmit', 'release'] }
+  },
+  
+  // Receipt (issued when the order is settled; amounts in equities)
+  receipt: {
+    invoiceNumber: { type: String, unique: true, sparse: true },
+    issuedAt: Date,
+    unitPrice: Number,
+    subtotal: Number,
+    discount: Number,
+    vatPercentage: Number,
+    vatAmount: Number,
+    total: Number,
+    regeneratedAt: Date,
+    regeneratedBy: String
+  },
   
   // Status Tracking
   status: { 
     type: String, 
-    enum: ['pending', 'processing', 'in progress', 'completed', 'partial', 'cancelled', 'refunded', 'failed'],
+    enum: ['scheduled', 'queued', 'pending', 'processing', 'in progress', 'completed', 'partial', 'cancelled', 'refunded', 'failed'],
     default: 'pending'
   },
+  // Why a queued order is waiting (funds stay reserved while queued)
+  queueReason: { 
+    type: String, 
+    enum: ['overlap', 'retry', 'batch'] 
+  },
+  // Provider retries after transient failures (timeouts, 5xx). Orders still
+  // failing after the last attempt are dead-lettered: failed, funds released.
+  retry: {
+    attempts: Number,
+    nextAttemptAt: { type: Date, index: true },
+    lastError: String,
+    deadLetteredAt: { type: Date, index: true },
+    // An attempt got no answer, so Thekclaut may already have the order
+    unanswered: Boolean,
+    replayedAt: Date,
+    replayedBy: String
+  },
+  // Scheduled orders keep their funds reserved until submitted at this time
+  scheduledFor: { 
+    type: Date, 
+    index: true 
+  },
   
   // API Integration
   apiOrderId: { 
@@ -339,11 +493,64 @@ const orderSchema = new mongoose.Schema({
   },
   deliveredAt: { 
     type: Date 
-  }
+  },
+  lastSyncedAt: { 
+    type: Date 
+  },
+  
+  // Refunds (never more than cost in total)
+  refundedEquities: { 
+    type: Number, 
+    default: 0 
+  },
+  refunds: [{
+    transactionId: String,
+    equities: Number,
+    source: { type: String, enum: ['user-cancel', 'provider', 'admin'] },
+    reason: String,
+    performedBy: String,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  
+  // Refills (provider refill requests)
+  refills: [{
+    refillId: String,
+    status: { 
+      type: String, 
+      enum: ['pending', 'in progress', 'completed', 'rejected', 'error'], 
+      default: 'pending' 
+    },
+    requestedBy: String,
+    requestedAt: { type: Date, default: Date.now },
+    lastCheckedAt: Date
+  }],
+  lastRefillRequestedAt: { 
+    type: Date 
+  },
+  
+  // Admin overrides (audit trail)
+  adminOverrides: [{
+    action: { type: String, enum: ['cancel', 'force-status', 'refund', 'refill', 'replay', 'resolve'] },
+    fromStatus: String,
+    toStatus: String,
+    equities: Number,
+    reason: String,
+    performedBy: String,
+    createdAt: { type: Date, default: Date.now }
+  }]
 }, {
   timestamps: true
 });
 
+// Overlap checks look up running orders by service and link
+orderSchema.index({ serviceId: 1, targetUrl: 1, status: 1 });
+
+// A delivered subscription post is only ever charged once
+orderSchema.index(
+  { subscriptionId: 1, subscriptionPost: 1 },
+  { unique: true, partialFilterExpression: { subscriptionPost: { $exists: true } } }
+);
+
 // 6.3 TRANSACTION SCHEMA
 const transactionSchema = new mongoose.Schema({
   transactionId: { 
@@ -360,7 +567,7 @@ const transactionSchema = new mongoose.Schema({
   // Transaction Details
   type: { 
     type: String, 
-    enum: ['deposit', 'order', 'refund', 'referral', 'bonus', 'withdrawal'], 
+    enum: ['deposit', 'order', 'refund', 'referral', 'bonus', 'withdrawal', 'adjustment'], 
     required: true 
   },
   amount: { 
@@ -389,6 +596,23 @@ const transactionSchema = new mongoose.Schema({
   proofImage: { 
     type: String 
   },
+  proof: {
+    key: String,
+    thumbnailKey: String,
+    mimeType: String,
+    size: Number,
+    sha256: { type: String, index: true },
+    perceptualHash: String,
+    originalName: String,
+    uploadedAt: Date,
+    // Earlier deposits whose proof is the same (or visually the same) image
+    duplicates: [{
+      transactionId: String,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      matchType: { type: String, enum: ['exact', 'similar'] },
+      distance: Number
+    }]
+  },
   moniepointDetails: {
     senderName: String,
     senderAccount: String,
@@ -397,6 +621,43 @@ const transactionSchema = new mongoose.Schema({
     transactionRef: String
   },
   
+  // Order Specific
+  couponCode: { 
+    type: String 
+  },
+  discount: { 
+    type: Number 
+  },
+  
+  // Adjustment Specific (manual admin credit / debit)
+  adjustment: {
+    direction: { type: String, enum: ['credit', 'debit'] },
+    reason: String,
+    ticketId: String,
+    orderId: String
+  },
+  
+  // Withdrawal Specific
+  payoutAccount: {
+    bankName: String,
+    accountNumber: String,
+    accountName: String
+  },
+  payoutReference: { 
+    type: String 
+  },
+  
+  // Expiry (deposit requests without proof)
+  expiresAt: { 
+    type: Date 
+  },
+  reminderSentAt: { 
+    type: Date 
+  },
+  expiredAt: { 
+    type: Date 
+  },
+  
   // Verification
   verifiedBy: { 
     type: String, 
@@ -412,6 +673,10 @@ const transactionSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Similar-proof checks scan recent deposits and deposits of the same amount
+transactionSchema.index({ type: 1, createdAt: -1 });
+transactionSchema.index({ type: 1, amount: 1, createdAt: -1 });
+
 // 6.4 SERVICE SCHEMA
 const serviceSchema = new mongoose.Schema({
   serviceId: { 
@@ -461,6 +726,22 @@ const serviceSchema = new mongoose.Schema({
     type: Boolean, 
     default: false 
   },
+  dripfeed: { 
+    type: Boolean, 
+    default: false 
+  },
+  // Provider "Subscriptions" type: delivers to each new post on a profile
+  subscription: { 
+    type: Boolean, 
+    default: false 
+  },
+  // What to do when an order for the same link is still running:
+  // warn (offer to queue), block, or allow
+  overlapPolicy: { 
+    type: String, 
+    enum: ['warn', 'block', 'allow'], 
+    default: 'warn' 
+  },
   
   // Platform Information
   platform: { 
@@ -610,7 +891,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: { 
     type: String, 
-    enum: ['deposit', 'order', 'ticket', 'system', 'promotion', 'alert'],
+    enum: ['deposit', 'order', 'ticket', 'system', 'promotion', 'alert', 'withdrawal', 'bonus'],
     default: 'system'
   },
   isRead: { 
@@ -624,1502 +905,8901 @@ const notificationSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// 6.8 CREATE MODELS FROM SCHEMAS
-const User = mongoose.model('User', userSchema);
-const Order = mongoose.model('Order', orderSchema);
-const Transaction = mongoose.model('Transaction', transactionSchema);
-const Service = mongoose.model('Service', serviceSchema);
-const Ticket = mongoose.model('Ticket', ticketSchema);
-const FAQ = mongoose.model('FAQ', faqSchema);
-const Notification = mongoose.model('Notification', notificationSchema);
-
-// 7. UTILITY FUNCTIONS
-// ====================
-
-// 7.1 Generate Unique IDs
-const generateOrderId = () => {
-  const timestamp = Date.now().toString().slice(-8);
-  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-  return `EACQ-ORD-${timestamp}${random}`;
-};
-
-const generateTransactionId = () => {
-  const timestamp = Date.now().toString().slice(-8);
-  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-  return `EACQ-TXN-${timestamp}${random}`;
-};
-
-const generateTicketId = () => {
-  const timestamp = Date.now().toString().slice(-8);
-  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-  return `EACQ-TKT-${timestamp}${random}`;
-};
-
-const generateReference = () => {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let ref = '';
-  for (let i = 0; i < 10; i++) {
-    ref += chars.charAt(Math.floor(Math.random() * chars.length));
+// 6.8 PAYMENT NOTIFICATION SCHEMA
+const paymentNotificationSchema = new mongoose.Schema({
+  notificationId: { 
+    type: String, 
+    unique: true, 
+    required: true 
+  },
+  
+  // Processor Information
+  source: { 
+    type: String, 
+    default: 'webhook' 
+  },
+  eventId: { 
+    type: String, 
+    unique: true, 
+    sparse: true 
+  },
+  
+  // Credit Details
+  reference: { 
+    type: String 
+  },
+  amount: { 
+    type: Number, 
+    required: true 
+  },
+  senderName: String,
+  senderAccount: String,
+  transactionRef: String,
+  transactionDate: Date,
+  narration: String,
+  payload: { 
+    type: mongoose.Schema.Types.Mixed 
+  },
+  
+  // Matching
+  // resolving: claimed by an admin resolve that is still running
+  status: { 
+    type: String, 
+    enum: ['credited', 'unmatched', 'amount_mismatch', 'not_pending', 'resolving', 'resolved', 'dismissed'],
+    required: true
+  },
+  matchedTransactionId: { 
+    type: String, 
+    default: null 
+  },
+  
+  // Review
+  reviewedBy: { 
+    type: String, 
+    default: null 
+  },
+  reviewedAt: { 
+    type: Date 
+  },
+  notes: { 
+    type: String 
   }
-  return `REF${ref}`;
-};
+}, {
+  timestamps: true
+});
 
-// 7.2 Generate Referral Code
-const generateReferralCode = () => {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let code = '';
-  for (let i = 0; i < 8; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
+// 6.9 STATEMENT LINE SCHEMA (bank statement reconciliation)
+const statementLineSchema = new mongoose.Schema({
+  lineId: { 
+    type: String, 
+    unique: true, 
+    required: true 
+  },
+  importId: { 
+    type: String, 
+    required: true,
+    index: true
+  },
+  // Fingerprint of the statement row - the same row can only ever be imported once
+  lineHash: { 
+    type: String, 
+    unique: true, 
+    required: true 
+  },
+  
+  // Statement Data
+  rowNumber: Number,
+  date: Date,
+  amount: { 
+    type: Number, 
+    required: true 
+  },
+  narration: String,
+  reference: String,
+  senderName: String,
+  
+  // Reconciliation
+  status: { 
+    type: String, 
+    enum: ['matched', 'ambiguous', 'orphan', 'applied', 'ignored'],
+    required: true
+  },
+  candidates: [{
+    transactionId: String,
+    score: Number,
+    reasons: [String]
+  }],
+  proposedTransactionId: { 
+    type: String, 
+    default: null 
+  },
+  
+  // Applied Decision
+  appliedTransactionId: { 
+    type: String, 
+    default: null 
+  },
+  appliedBy: { 
+    type: String, 
+    default: null 
+  },
+  appliedAt: { 
+    type: Date 
   }
-  return code;
-};
+}, {
+  timestamps: true
+});
 
-// 7.3 Validate Nigerian Phone Number
-const validateNigerianPhone = (phone) => {
-  const regex = /^(0|234)(7|8|9)(0|1)\d{8}$/;
-  return regex.test(phone);
-};
+// 6.10 LEDGER ENTRY SCHEMA (double-entry wallet ledger)
+// Every balance movement is written as an immutable debit/credit pair sharing a
+// pairId. A user's wallet balance is the sum of credits minus debits on
+// "user:<id>:wallet"; User.balance is a cache of that value.
+const ledgerEntrySchema = new mongoose.Schema({
+  entryId: { 
+    type: String, 
+    unique: true, 
+    required: true 
+  },
+  pairId: { 
+    type: String, 
+    required: true,
+    index: true
+  },
+  account: { 
+    type: String, 
+    required: true,
+    index: true
+  },
+  userId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User',
+    index: true
+  },
+  side: { 
+    type: String, 
+    enum: ['debit', 'credit'], 
+    required: true 
+  },
+  amount: { 
+    type: Number, 
+    required: true,
+    min: [0, 'Ledger amount cannot be negative']
+  },
+  
+  // Links
+  transactionId: { 
+    type: String,
+    index: true
+  },
+  reference: { 
+    type: String 
+  },
+  memo: { 
+    type: String 
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
 
-// 7.4 Format Currency
-const formatCurrency = (amount) => {
-  return new Intl.NumberFormat('en-NG', {
-    style: 'currency',
-    currency: 'NGN'
-  }).format(amount);
+const rejectLedgerMutation = function (next) {
+  next(new Error('Ledger entries are immutable'));
 };
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']
+  .forEach(operation => ledgerEntrySchema.pre(operation, rejectLedgerMutation));
+ledgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Ledger entries are immutable'));
+  next();
+});
 
-// 8. AUTHENTICATION MIDDLEWARE
-// ============================
-
-// 8.1 JWT Verification Middleware
-const authenticate = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. No token provided.'
-      });
-    }
-
-    const token = authHeader.split(' ')[1];
+// 6.11 IDEMPOTENCY KEY SCHEMA (stored responses for retried requests)
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { 
+    type: String, 
+    required: true 
+  },
+  userId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  method: { 
+    type: String, 
+    required: true 
+  },
+  path: { 
+    type: String, 
+    required: true 
+  },
+  requestHash: { 
+    type: String, 
+    required: true 
+  },
+  status: { 
+    type: String, 
+    enum: ['processing', 'completed'], 
+    default: 'processing' 
+  },
+  // Lease on a processing key; once it has passed, a retry may take the key over
+  lockedUntil: { 
+    type: Date 
+  },
+  responseStatus: { 
+    type: Number 
+  },
+  responseBody: { 
+    type: mongoose.Schema.Types.Mixed 
+  },
+  expiresAt: { 
+    type: Date, 
+    required: true,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// Keys are scoped to the user that sent them
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+// 6.12 COUPON SCHEMA (promo codes applied at order time)
+const couponSchema = new mongoose.Schema({
+  code: { 
+    type: String, 
+    unique: true, 
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code must be 3-30 letters, numbers, dashes or underscores']
+  },
+  description: { 
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  
+  // Discount (fixed discounts and limits are in equities)
+  discountType: { 
+    type: String, 
+    enum: ['percentage', 'fixed'], 
+    required: true 
+  },
+  discountValue: { 
+    type: Number, 
+    required: true,
+    min: [1, 'Discount must be at least 1']
+  },
+  maxDiscount: { 
+    type: Number 
+  },
+  minOrderValue: { 
+    type: Number, 
+    default: 0 
+  },
+  
+  // Scope - empty means every platform / service
+  platforms: [{ 
+    type: String 
+  }],
+  serviceIds: [{ 
+    type: String 
+  }],
+  
+  // Validity
+  startsAt: { 
+    type: Date 
+  },
+  expiresAt: { 
+    type: Date 
+  },
+  isActive: { 
+    type: Boolean, 
+    default: true 
+  },
+  
+  // Usage limits - usageLimit null means unlimited
+  usageLimit: { 
+    type: Number, 
+    default: null 
+  },
+  perUserLimit: { 
+    type: Number, 
+    default: 1 
+  },
+  usedCount: { 
+    type: Number, 
+    default: 0 
+  },
+  
+  createdBy: { 
+    type: String 
+  }
+}, {
+  timestamps: true
+});
+
+// 6.13 COUPON REDEMPTION SCHEMA (one per order that used a coupon)
+const couponRedemptionSchema = new mongoose.Schema({
+  couponCode: { 
+    type: String, 
+    required: true,
+    index: true
+  },
+  userId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  orderId: { 
+    type: String, 
+    required: true,
+    unique: true
+  },
+  discount: { 
+    type: Number, 
+    required: true 
+  }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ couponCode: 1, userId: 1 });
+
+// 6.14 DEPOSIT BONUS TIER SCHEMA
+const depositBonusTierSchema = new mongoose.Schema({
+  name: { 
+    type: String, 
+    required: true,
+    trim: true,
+    maxlength: [60, 'Name cannot exceed 60 characters']
+  },
+  // Deposits of at least this many naira qualify
+  minAmount: { 
+    type: Number, 
+    required: true,
+    min: [0, 'Minimum amount cannot be negative']
+  },
+  percentage: { 
+    type: Number, 
+    required: true,
+    min: [0.1, 'Bonus must be at least 0.1%'],
+    max: [100, 'Bonus cannot exceed 100%']
+  },
+  
+  // Validity window (open-ended when not set)
+  startsAt: { 
+    type: Date 
+  },
+  endsAt: { 
+    type: Date 
+  },
+  isActive: { 
+    type: Boolean, 
+    default: true 
+  },
+  
+  createdBy: { 
+    type: String 
+  }
+}, {
+  timestamps: true
+});
+
+// 6.15 COUNTER SCHEMA (gap-free sequences, e.g. invoice numbers)
+// Increment only inside the transaction that uses the number, so an aborted
+// transaction rolls the counter back with it.
+const counterSchema = new mongoose.Schema({
+  _id: { 
+    type: String 
+  },
+  seq: { 
+    type: Number, 
+    default: 0 
+  }
+});
+
+// 6.16 SUBSCRIPTION SCHEMA (auto-engagement for new posts on a profile)
+const subscriptionSchema = new mongoose.Schema({
+  subscriptionId: { 
+    type: String, 
+    unique: true, 
+    required: true 
+  },
+  userId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true,
+    index: true
+  },
+  serviceId: { 
+    type: String, 
+    required: true 
+  },
+  serviceName: { 
+    type: String, 
+    required: true 
+  },
+  platform: { 
+    type: String 
+  },
+  profileUrl: { 
+    type: String, 
+    required: true 
+  },
+  quantityPerPost: { 
+    type: Number, 
+    required: true 
+  },
+  maxPosts: { 
+    type: Number, 
+    required: true 
+  },
+  expiresAt: { 
+    type: Date, 
+    required: true 
+  },
+  // Equities charged from the wallet for every delivered post
+  costPerPost: { 
+    type: Number, 
+    required: true 
+  },
+  
+  // provider: a Thekclaut subscription-type order watches the profile.
+  // local: we place one regular order every intervalHours.
+  mode: { 
+    type: String, 
+    enum: ['provider', 'local'], 
+    required: true 
+  },
+  apiSubscriptionId: { 
+    type: String 
+  },
+  // Posts the current provider subscription had reported at the last check
+  providerPosts: { 
+    type: Number, 
+    default: 0 
+  },
+  intervalHours: { 
+    type: Number 
+  },
+  nextRunAt: { 
+    type: Date, 
+    index: true 
+  },
+  
+  status: { 
+    type: String, 
+    // starting/resuming: claimed while the provider subscription is started
+    enum: ['starting', 'active', 'paused', 'resuming', 'completed', 'expired', 'cancelled'], 
+    default: 'active',
+    index: true
+  },
+  pauseReason: { 
+    type: String, 
+    enum: ['insufficient-balance', 'user', 'provider-error'] 
+  },
+  postsDelivered: { 
+    type: Number, 
+    default: 0 
+  },
+  postsCharged: { 
+    type: Number, 
+    default: 0 
+  },
+  equitiesCharged: { 
+    type: Number, 
+    default: 0 
+  },
+  lastCheckedAt: { 
+    type: Date 
+  }
+}, {
+  timestamps: true
+});
+
+// 6.17 LINK LOCK SCHEMA (one per service and link, see lockLink)
+const linkLockSchema = new mongoose.Schema({
+  // "serviceId|targetUrl"
+  _id: { 
+    type: String 
+  },
+  version: { 
+    type: Number, 
+    default: 0 
+  }
+});
+
+// 6.18 CREATE MODELS FROM SCHEMAS
+const User = mongoose.model('User', userSchema);
+const Order = mongoose.model('Order', orderSchema);
+const Transaction = mongoose.model('Transaction', transactionSchema);
+const Service = mongoose.model('Service', serviceSchema);
+const Ticket = mongoose.model('Ticket', ticketSchema);
+const FAQ = mongoose.model('FAQ', faqSchema);
+const Notification = mongoose.model('Notification', notificationSchema);
+const PaymentNotification = mongoose.model('PaymentNotification', paymentNotificationSchema);
+const StatementLine = mongoose.model('StatementLine', statementLineSchema);
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+const Coupon = mongoose.model('Coupon', couponSchema);
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+const DepositBonusTier = mongoose.model('DepositBonusTier', depositBonusTierSchema);
+const Counter = mongoose.model('Counter', counterSchema);
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+const LinkLock = mongoose.model('LinkLock', linkLockSchema);
+
+// 7. UTILITY FUNCTIONS
+// ====================
+
+// 7.1 Generate Unique IDs
+// The suffix is a rolling sequence (from a random start) rather than a fresh
+// random number, so parallel orders placed in the same millisecond never clash
+let orderIdSequence = crypto.randomInt(1000);
+const generateOrderId = () => {
+  const timestamp = Date.now().toString().slice(-8);
+  orderIdSequence = (orderIdSequence + 1) % 1000;
+  const sequence = orderIdSequence.toString().padStart(3, '0');
+  return `EACQ-ORD-${timestamp}${sequence}`;
+};
+
+const generateBatchId = () => {
+  return `EACQ-BAT-${Date.now().toString(36).toUpperCase()}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+};
+
+const generateSubscriptionId = () => {
+  return `EACQ-SUB-${Date.now().toString(36).toUpperCase()}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+};
+
+// Orders settle in parallel transactions, so the suffix has to be wide enough
+// that two settles in the same millisecond don't collide on the unique ID
+const generateTransactionId = () => {
+  const timestamp = Date.now().toString().slice(-8);
+  const random = crypto.randomBytes(4).toString('hex').toUpperCase();
+  return `EACQ-TXN-${timestamp}${random}`;
+};
+
+const generateTicketId = () => {
+  const timestamp = Date.now().toString().slice(-8);
+  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+  return `EACQ-TKT-${timestamp}${random}`;
+};
+
+const generateNotificationId = () => {
+  const timestamp = Date.now().toString().slice(-8);
+  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+  return `EACQ-PNT-${timestamp}${random}`;
+};
+
+const generateImportId = () => {
+  const timestamp = Date.now().toString().slice(-8);
+  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+  return `EACQ-IMP-${timestamp}${random}`;
+};
+
+const generateLedgerId = (prefix) => {
+  const timestamp = Date.now().toString().slice(-8);
+  const random = crypto.randomBytes(4).toString('hex').toUpperCase();
+  return `EACQ-${prefix}-${timestamp}${random}`;
+};
+
+const generateReference = () => {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  let ref = '';
+  for (let i = 0; i < 10; i++) {
+    ref += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return `REF${ref}`;
+};
+
+const generateAdjustmentReference = () => {
+  return `ADJ${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+};
+
+const generateWithdrawalReference = () => {
+  return `WDR${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+};
+
+// 7.2 Generate Referral Code
+const generateReferralCode = () => {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  let code = '';
+  for (let i = 0; i < 8; i++) {
+    code += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return code;
+};
+
+// 7.3 Validate Nigerian Phone Number
+const validateNigerianPhone = (phone) => {
+  const regex = /^(0|234)(7|8|9)(0|1)\d{8}$/;
+  return regex.test(phone);
+};
+
+// 7.4 Format Currency
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-NG', {
+    style: 'currency',
+    currency: 'NGN'
+  }).format(amount);
+};
+
+// 7.5 Extract deposit reference (REF + 10 chars) from free text
+const extractDepositReference = (...texts) => {
+  for (const text of texts) {
+    if (!text) continue;
+    const match = String(text).toUpperCase().match(/REF[A-Z0-9]{10}/);
+    if (match) return match[0];
+  }
+  return null;
+};
+
+// 7.6 Verify HMAC-SHA256 webhook signature
+const verifyWebhookSignature = (rawBody, signature) => {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET || !rawBody || !signature) return false;
+
+  const expected = crypto
+    .createHmac('sha256', process.env.PAYMENT_WEBHOOK_SECRET)
+    .update(rawBody)
+    .digest('hex');
+  const received = String(signature).replace(/^sha256=/, '').trim();
+
+  if (received.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+};
+
+// 7.7 Parse CSV text into an array of rows (handles quoted fields)
+const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field.trim());
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field.trim());
+  if (row.some(value => value !== '')) rows.push(row);
+  return rows;
+};
+
+// 7.8 Fuzzy name similarity (0 - 1) using bigram Dice coefficient
+const nameSimilarity = (a, b) => {
+  const normalize = (value) => String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+
+  const first = normalize(a);
+  const second = normalize(b);
+  if (!first || !second) return 0;
+  if (first === second) return 1;
+
+  const bigrams = (value) => {
+    const result = new Map();
+    for (let i = 0; i < value.length - 1; i++) {
+      const gram = value.substring(i, i + 2);
+      result.set(gram, (result.get(gram) || 0) + 1);
+    }
+    return result;
+  };
+
+  const firstGrams = bigrams(first);
+  const secondGrams = bigrams(second);
+  let overlap = 0;
+  firstGrams.forEach((count, gram) => {
+    overlap += Math.min(count, secondGrams.get(gram) || 0);
+  });
+
+  return (2 * overlap) / (first.length - 1 + second.length - 1);
+};
+
+// 7.9 Signed, expiring URLs for payment proof downloads
+const signProofUrl = (transactionId, variant = 'full') => {
+  const expires = Date.now() + PROOF_URL_TTL_MINUTES * 60 * 1000;
+  const signature = crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${transactionId}:${variant}:${expires}`)
+    .digest('hex');
+  return `/api/deposit/proof/${transactionId}?variant=${variant}&expires=${expires}&signature=${signature}`;
+};
+
+const verifyProofSignature = (transactionId, variant, expires, signature) => {
+  if (!expires || !signature || Date.now() > parseInt(expires)) return false;
+
+  const expected = crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${transactionId}:${variant}:${expires}`)
+    .digest('hex');
+
+  if (String(signature).length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(String(signature)), Buffer.from(expected));
+};
+
+// 7.10 Validate Nigerian Bank Account Number (10-digit NUBAN)
+const validateNigerianAccountNumber = (accountNumber) => {
+  return /^[0-9]{10}$/.test(accountNumber);
+};
+
+// 7.11 Build CSV text from an array of rows (quotes fields when needed)
+const toCSV = (rows) => {
+  return rows.map(row => row.map(value => {
+    const field = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  }).join(',')).join('\r\n');
+};
+
+// 7.12 Validate and normalize an order target URL for a service
+// Each platform's parser recognizes its link shapes and returns the canonical
+// link (tracking params and short/mobile hosts removed) with its kind:
+// "profile" (account, page, channel) or "post" (post, reel, video, track).
+const TARGET_PLATFORMS = {
+  instagram: {
+    label: 'Instagram',
+    hosts: ['instagram.com', 'instagr.am'],
+    examples: { profile: 'https://www.instagram.com/username/', post: 'https://www.instagram.com/p/CODE/' },
+    profile: (handle) => `https://www.instagram.com/${handle}/`,
+    parse: (parts) => {
+      if (['p', 'reel', 'reels', 'tv'].includes(parts[0]) && parts[1]) {
+        return { kind: 'post', url: `https://www.instagram.com/${parts[0] === 'reels' ? 'reel' : parts[0]}/${parts[1]}/` };
+      }
+      if (parts.length === 1 && /^[A-Za-z0-9._]{1,30}$/.test(parts[0]) && !['explore', 'accounts', 'stories', 'direct'].includes(parts[0])) {
+        return { kind: 'profile', url: `https://www.instagram.com/${parts[0]}/` };
+      }
+      return null;
+    }
+  },
+  tiktok: {
+    label: 'TikTok',
+    hosts: ['tiktok.com'],
+    examples: { profile: 'https://www.tiktok.com/@username', post: 'https://www.tiktok.com/@username/video/1234567890' },
+    profile: (handle) => `https://www.tiktok.com/@${handle}`,
+    parse: (parts, url) => {
+      // vm./vt. share links redirect to a video and can't be expanded offline
+      if (['vm.tiktok.com', 'vt.tiktok.com'].includes(url.hostname) && parts[0]) {
+        return { kind: 'post', url: `https://${url.hostname}/${parts[0]}/` };
+      }
+      if (/^@[\w.]+$/.test(parts[0] || '')) {
+        if (['video', 'photo'].includes(parts[1]) && /^\d+$/.test(parts[2] || '')) {
+          return { kind: 'post', url: `https://www.tiktok.com/${parts[0]}/${parts[1]}/${parts[2]}` };
+        }
+        if (parts.length === 1) return { kind: 'profile', url: `https://www.tiktok.com/${parts[0]}` };
+      }
+      return null;
+    }
+  },
+  youtube: {
+    label: 'YouTube',
+    hosts: ['youtube.com', 'youtu.be'],
+    examples: { profile: 'https://www.youtube.com/@channel', post: 'https://www.youtube.com/watch?v=VIDEO_ID' },
+    profile: (handle) => `https://www.youtube.com/@${handle}`,
+    parse: (parts, url) => {
+      const videoId = url.hostname === 'youtu.be'
+        ? parts[0]
+        : parts[0] === 'watch' ? url.searchParams.get('v')
+        : ['shorts', 'live', 'embed'].includes(parts[0]) ? parts[1] : null;
+      if (videoId && /^[\w-]{11}$/.test(videoId)) {
+        return { kind: 'post', url: `https://www.youtube.com/watch?v=${videoId}` };
+      }
+      if (/^@[\w.-]+$/.test(parts[0] || '')) {
+        return { kind: 'profile', url: `https://www.youtube.com/${parts[0]}` };
+      }
+      if (['channel', 'c', 'user'].includes(parts[0]) && parts[1]) {
+        return { kind: 'profile', url: `https://www.youtube.com/${parts[0]}/${parts[1]}` };
+      }
+      return null;
+    }
+  },
+  twitter: {
+    label: 'Twitter/X',
+    hosts: ['twitter.com', 'x.com'],
+    examples: { profile: 'https://x.com/username', post: 'https://x.com/username/status/1234567890' },
+    profile: (handle) => `https://x.com/${handle}`,
+    parse: (parts) => {
+      if (!/^\w{1,15}$/.test(parts[0] || '') || ['home', 'search', 'explore', 'i'].includes(parts[0])) return null;
+      if (parts[1] === 'status' && /^\d+$/.test(parts[2] || '')) {
+        return { kind: 'post', url: `https://x.com/${parts[0]}/status/${parts[2]}` };
+      }
+      if (parts.length === 1) return { kind: 'profile', url: `https://x.com/${parts[0]}` };
+      return null;
+    }
+  },
+  facebook: {
+    label: 'Facebook',
+    hosts: ['facebook.com', 'fb.com', 'fb.watch'],
+    examples: { profile: 'https://www.facebook.com/pagename', post: 'https://www.facebook.com/pagename/posts/1234567890' },
+    profile: (handle) => `https://www.facebook.com/${handle}`,
+    parse: (parts, url) => {
+      const query = (key) => url.searchParams.get(key);
+      if (url.hostname === 'fb.watch' && parts[0]) {
+        return { kind: 'post', url: `https://fb.watch/${parts[0]}/` };
+      }
+      if (parts[0] === 'watch' && query('v')) {
+        return { kind: 'post', url: `https://www.facebook.com/watch?v=${query('v')}` };
+      }
+      if (parts[0] === 'photo' && query('fbid')) {
+        return { kind: 'post', url: `https://www.facebook.com/photo?fbid=${query('fbid')}` };
+      }
+      if (parts[0] === 'permalink.php' && query('story_fbid') && query('id')) {
+        return { kind: 'post', url: `https://www.facebook.com/permalink.php?story_fbid=${query('story_fbid')}&id=${query('id')}` };
+      }
+      if (parts[0] === 'profile.php' && query('id')) {
+        return { kind: 'profile', url: `https://www.facebook.com/profile.php?id=${query('id')}` };
+      }
+      if (parts[0] === 'reel' && parts[1]) {
+        return { kind: 'post', url: `https://www.facebook.com/reel/${parts[1]}` };
+      }
+      if (parts[0] === 'share' && ['p', 'v', 'r'].includes(parts[1]) && parts[2]) {
+        return { kind: 'post', url: `https://www.facebook.com/share/${parts[1]}/${parts[2]}/` };
+      }
+      if (parts[1] && ['posts', 'videos', 'photos'].includes(parts[1]) && parts[2]) {
+        return { kind: 'post', url: `https://www.facebook.com/${parts.slice(0, parts[1] === 'photos' ? 4 : 3).join('/')}` };
+      }
+      if (parts.length === 1 && /^[\w.-]+$/.test(parts[0])) {
+        return { kind: 'profile', url: `https://www.facebook.com/${parts[0]}` };
+      }
+      return null;
+    }
+  },
+  telegram: {
+    label: 'Telegram',
+    hosts: ['t.me', 'telegram.me'],
+    examples: { profile: 'https://t.me/channelname', post: 'https://t.me/channelname/123' },
+    profile: (handle) => `https://t.me/${handle}`,
+    parse: (parts) => {
+      if (!/^[\w+]{3,}$/.test(parts[0] || '')) return null;
+      if (parts[0] === 'joinchat' && parts[1]) return { kind: 'profile', url: `https://t.me/joinchat/${parts[1]}` };
+      if (/^\d+$/.test(parts[1] || '')) return { kind: 'post', url: `https://t.me/${parts[0]}/${parts[1]}` };
+      if (parts.length === 1) return { kind: 'profile', url: `https://t.me/${parts[0]}` };
+      return null;
+    }
+  },
+  spotify: {
+    label: 'Spotify',
+    hosts: ['open.spotify.com'],
+    examples: { profile: 'https://open.spotify.com/artist/ID', post: 'https://open.spotify.com/track/ID' },
+    parse: (parts) => {
+      // Localized links carry an intl-xx prefix
+      const path = /^intl-/.test(parts[0] || '') ? parts.slice(1) : parts;
+      if (!path[1]) return null;
+      if (['track', 'album', 'playlist', 'episode', 'show'].includes(path[0])) {
+        return { kind: 'post', url: `https://open.spotify.com/${path[0]}/${path[1]}` };
+      }
+      if (['artist', 'user'].includes(path[0])) {
+        return { kind: 'profile', url: `https://open.spotify.com/${path[0]}/${path[1]}` };
+      }
+      return null;
+    }
+  }
+};
+
+// Which link kinds each service type accepts (any kind when not listed)
+const TARGET_KINDS_BY_TYPE = {
+  followers: ['profile'],
+  subscribers: ['profile'],
+  likes: ['post'],
+  views: ['post'],
+  comments: ['post'],
+  shares: ['post'],
+  plays: ['post']
+};
+
+// Page likes and playlist followers are common enough to allow both kinds
+const TARGET_KIND_OVERRIDES = {
+  facebook: { likes: ['profile', 'post'] },
+  spotify: { followers: ['profile', 'post'] }
+};
+
+const TARGET_KIND_LABELS = { profile: 'profile/channel', post: 'post/video' };
+
+const validateTargetUrl = (service, targetUrl, { kinds = null } = {}) => {
+  const input = String(targetUrl || '').trim();
+  if (!input) {
+    return { success: false, error: 'Target URL is required' };
+  }
+
+  const platform = TARGET_PLATFORMS[service.platform];
+  const allowed = kinds
+    || TARGET_KIND_OVERRIDES[service.platform]?.[service.serviceType]
+    || TARGET_KINDS_BY_TYPE[service.serviceType]
+    || ['profile', 'post'];
+  const example = platform ? allowed.map(kind => platform.examples[kind]).join(' or ') : 'https://...';
+
+  // A bare @username becomes a profile link where a profile is wanted
+  let link = input;
+  if (/^@[\w.]+$/.test(input) || (/^[\w.]+$/.test(input) && !/\.[a-z]{2,}$/i.test(input))) {
+    if (!platform?.profile || !allowed.includes('profile')) {
+      return { success: false, error: `Please enter the full link, e.g. ${example}` };
+    }
+    link = platform.profile(input.replace(/^@/, ''));
+  }
+
+  let url;
+  try {
+    url = new URL(/^[a-z]+:\/\//i.test(link) ? link : `https://${link}`);
+  } catch (error) {
+    return { success: false, error: 'Target URL is not a valid link' };
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return { success: false, error: 'Target URL must start with http:// or https://' };
+  }
+
+  // Services for platforms we don't know get the link as entered
+  if (!platform) {
+    return { success: true, url: url.href, kind: null };
+  }
+
+  url.hostname = url.hostname.toLowerCase().replace(/^(www|m|mobile|web|music)\./, '');
+  const host = platform.hosts.find(h => url.hostname === h || url.hostname.endsWith(`.${h}`));
+  if (!host) {
+    return { success: false, error: `This service is for ${platform.label}. Use a link like ${example}` };
+  }
+
+  let segments;
+  try {
+    segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    return { success: false, error: 'Target URL is not a valid link' };
+  }
+
+  const parsed = platform.parse(segments, url);
+  if (!parsed) {
+    return { success: false, error: `Unrecognized ${platform.label} link. Use a link like ${example}` };
+  }
+
+  if (!allowed.includes(parsed.kind)) {
+    return {
+      success: false,
+      error: `${service.serviceType.charAt(0).toUpperCase() + service.serviceType.slice(1)} services need a ${allowed.map(k => TARGET_KIND_LABELS[k]).join(' or ')} link, not a ${TARGET_KIND_LABELS[parsed.kind]} link (e.g. ${example})`
+    };
+  }
+
+  return { success: true, url: parsed.url, kind: parsed.kind };
+};
+
+// 8. AUTHENTICATION MIDDLEWARE
+// ============================
+
+// 8.1 JWT Verification Middleware
+const authenticate = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. No token provided.'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    const user = await User.findById(decoded.userId).select('-password');
+    const user = await User.findById(decoded.userId).select('-password');
+    
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Contact support.'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token.'
+      });
+    }
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Token expired. Please login again.'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Authentication failed.'
+    });
+  }
+};
+
+// 8.2 Admin Authorization Middleware
+const authorizeAdmin = (req, res, next) => {
+  if (req.user && req.user.role === 'admin') {
+    next();
+  } else {
+    res.status(403).json({
+      success: false,
+      message: 'Admin access required.'
+    });
+  }
+};
+
+// 8.3 Support Staff Authorization Middleware
+const authorizeSupport = (req, res, next) => {
+  if (req.user && (req.user.role === 'admin' || req.user.role === 'support')) {
+    next();
+  } else {
+    res.status(403).json({
+      success: false,
+      message: 'Support staff access required.'
+    });
+  }
+};
+
+// 8.4 Payment Proof Upload Middleware (multipart/form-data, field "proof")
+const PROOF_ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const proofUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PROOF_MAX_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (PROOF_ALLOWED_TYPES.includes(file.mimetype)) {
+      callback(null, true);
+    } else {
+      callback(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+  }
+});
+
+const handleProofUpload = (req, res, next) => {
+  proofUpload.single('proof')(req, res, (error) => {
+    if (!error) return next();
+
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `Proof image cannot exceed ${PROOF_MAX_SIZE_MB}MB`
+      : 'Proof must be a single JPEG, PNG or WebP image';
+
+    res.status(400).json({
+      success: false,
+      message
+    });
+  });
+};
+
+// 8.5 Payment Proof Access (signed URL, or owner / staff with a token)
+const authorizeProofAccess = (req, res, next) => {
+  const { transactionId } = req.params;
+  const { variant = 'full', expires, signature } = req.query;
+
+  if (verifyProofSignature(transactionId, variant, expires, signature)) {
+    req.proofAccess = 'signed';
+    return next();
+  }
+
+  authenticate(req, res, next);
+};
+
+// 8.6 Idempotency-Key Support (use after authenticate on money-moving routes)
+// The first response for a key is stored and replayed on retries. Reusing a key
+// for a different request is rejected. 5xx responses are not stored so the
+// client can retry them with the same key. A key is only held for
+// IDEMPOTENCY_LOCK_SECONDS while its request runs, so a request that never
+// answers (crash, timeout) doesn't block retries until the key expires.
+
+// JSON with object keys sorted at every level, so the same body always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be at most 255 characters'
+    });
+  }
+
+  const path = req.originalUrl.split('?')[0];
+  const requestHash = crypto
+    .createHash('sha256')
+    .update(canonicalJson({ method: req.method, path, body: req.body || {} }))
+    .digest('hex');
+  const scope = { userId: req.user._id, key };
+  const lockedUntil = new Date(Date.now() + IDEMPOTENCY_LOCK_SECONDS * 1000);
+
+  try {
+    await IdempotencyKey.create({
+      ...scope,
+      method: req.method,
+      path,
+      requestHash,
+      lockedUntil,
+      expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code !== 11000) return next(error);
+
+    const existing = await IdempotencyKey.findOne(scope).catch(() => null);
+
+    if (existing && existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        message: 'Idempotency-Key has already been used for a different request'
+      });
+    }
+
+    if (existing?.status === 'completed') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // The request holding the key is gone once its lease has passed; this
+    // retry takes the key over
+    const takenOver = existing && await IdempotencyKey.findOneAndUpdate(
+      { ...scope, status: 'processing', lockedUntil: { $lte: new Date() } },
+      { $set: { lockedUntil } }
+    );
+    if (!takenOver) {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+  }
+
+  // Only the request holding the current lease records its outcome
+  const lease = { ...scope, status: 'processing', lockedUntil };
+  let recorded = false;
+
+  // Record the response before it goes out so an immediate retry replays it
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    recorded = true;
+    const record = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne(lease)
+      : IdempotencyKey.updateOne(lease, {
+        $set: { status: 'completed', responseStatus: res.statusCode, responseBody: body },
+        $unset: { lockedUntil: '' }
+      });
+
+    record
+      .catch(error => console.error('Idempotency record error:', error.message))
+      .then(() => sendJson(body));
+    return res;
+  };
+
+  // A response sent some other way has nothing to replay; free the key
+  res.on('finish', () => {
+    if (recorded) return;
+    IdempotencyKey.deleteOne(lease)
+      .catch(error => console.error('Idempotency release error:', error.message));
+  });
+
+  next();
+};
+
+// 9. THEKCLAUT API INTEGRATION
+// ============================
+
+// 9.1 Create API Instance - CORRECTED FOR THEKCLAUT API
+const thekclautAPI = axios.create({
+  baseURL: process.env.THEKCLAUT_API_URL || 'https://thekclaut.com/api/v2',
+  headers: {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    'Accept': 'application/json'
+  },
+  timeout: 30000
+});
+
+// Helper function to convert object to URL-encoded string
+const toFormData = (data) => {
+  return Object.keys(data)
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(data[key])}`)
+    .join('&');
+};
+
+// Debug: Log API configuration on startup
+console.log('🔧 Thekclaut API Configuration:');
+console.log('- Base URL:', thekclautAPI.defaults.baseURL);
+console.log('- API Key configured:', !!process.env.THEKCLAUT_API_KEY);
+console.log('- Using POST with URL-encoded parameters');
+
+// 9.2 Thekclaut API Helper Functions - FULLY FIXED
+const thekclaut = {
+  // Get all services
+  async getServices() {
+    try {
+      console.log(`🔍 Calling Thekclaut API: ${thekclautAPI.defaults.baseURL} (action=services)`);
+      
+      const formData = toFormData({
+        key: process.env.THEKCLAUT_API_KEY,
+        action: 'services'
+      });
+      
+      const response = await thekclautAPI.post('', formData);
+      console.log(`✅ Thekclaut API Response [${response.status}]: Received ${Array.isArray(response.data) ? response.data.length : 0} services`);
+      
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      console.error('❌ Thekclaut API Error (getServices):');
+      console.error('- Error Message:', error.message);
+      console.error('- Response Status:', error.response?.status || 'No response');
+      console.error('- Response Data:', error.response?.data || 'No data');
+      console.error('- Request Data:', error.config?.data || 'No request data');
+      
+      return {
+        success: false,
+        error: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      };
+    }
+  },
+
+  // Check balance
+  async getBalance() {
+    try {
+      console.log(`🔍 Calling Thekclaut API: ${thekclautAPI.defaults.baseURL} (action=balance)`);
+      
+      const formData = toFormData({
+        key: process.env.THEKCLAUT_API_KEY,
+        action: 'balance'
+      });
+      
+      const response = await thekclautAPI.post('', formData);
+      console.log(`✅ Thekclaut API Response [${response.status}]: Balance = $${response.data?.balance || 'N/A'}`);
+      
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      console.error('❌ Thekclaut API Error (getBalance):');
+      console.error('- Error Message:', error.message);
+      console.error('- Response Status:', error.response?.status || 'No response');
+      console.error('- Response Data:', error.response?.data || 'No data');
+      
+      return {
+        success: false,
+        error: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      };
+    }
+  },
+
+  // Place order. `reference` (our order ID) lets findOrderByReference find
+  // the order again if this call's response is lost.
+  async placeOrder(serviceId, link, quantity, runs = null, interval = null, reference = null) {
+    try {
+      console.log(`🔍 Calling Thekclaut API: ${thekclautAPI.defaults.baseURL} (action=add)`);
+      console.log(`📦 Order Data: service=${serviceId}, link=${link}, quantity=${quantity}`);
+      
+      const formData = {
+        key: process.env.THEKCLAUT_API_KEY,
+        action: 'add',
+        service: serviceId,
+        link: link,
+        quantity: quantity
+      };
+      
+      // Add optional parameters
+      if (runs) formData.runs = runs;
+      if (interval) formData.interval = interval;
+      if (reference) formData.reference = reference;
+      
+      const response = await thekclautAPI.post('', toFormData(formData));
+      console.log(`✅ Thekclaut API Response [${response.status}]: Order ID = ${response.data?.order || 'N/A'}`);
+      
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      console.error('❌ Thekclaut API Error (placeOrder):');
+      console.error('- Error Message:', error.message);
+      console.error('- Response Status:', error.response?.status || 'No response');
+      console.error('- Response Data:', error.response?.data || 'No data');
+      
+      return {
+        success: false,
+        error: error.response?.data || error.message,
+        status: error.response?.status,
+        code: error.code
+      };
+    }
+  },
+
+  // Create a subscription (Subscriptions-type service): the provider delivers
+  // `quantity` to each new post on the profile, up to `posts` posts
+  async createSubscription(serviceId, username, quantity, posts, expiry) {
+    try {
+      console.log(`🔍 Calling Thekclaut API: ${thekclautAPI.defaults.baseURL} (action=add, subscription)`);
+      console.log(`📦 Subscription Data: service=${serviceId}, username=${username}, quantity=${quantity}, posts=${posts}`);
+      
+      const formData = toFormData({
+        key: process.env.THEKCLAUT_API_KEY,
+        action: 'add',
+        service: serviceId,
+        username: username,
+        min: quantity,
+        max: quantity,
+        posts: posts,
+        delay: 0,
+        expiry: expiry
+      });
+      
+      const response = await thekclautAPI.post('', formData);
+      console.log(`✅ Thekclaut API Response [${response.status}]: Subscription ID = ${response.data?.order || 'N/A'}`);
+      
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      console.error('❌ Thekclaut API Error (createSubscription):');
+      console.error('- Error Message:', error.message);
+      console.error('- Response Status:', error.response?.status || 'No response');
+      console.error('- Response Data:', error.response?.data || 'No data');
+      
+      return {
+        success: false,
+        error: error.response?.data || error.message,
+        status: error.response?.status
+      };
+    }
+  },
+
+  // Check order status
+  async checkOrderStatus(orderId) {
+    try {
+      console.log(`🔍 Calling Thekclaut API: ${thekclautAPI.defaults.baseURL} (action=status, order=${orderId})`);
+      
+      const formData = toFormData({
+        key: process.env.THEKCLAUT_API_KEY,
+        action: 'status',
+        order: orderId
+      });
+      
+      const response = await thekclautAPI.post('', formData);
+      console.log(`✅ Thekclaut API Response [${response.status}]: Status = ${response.data?.status || 'N/A'}`);
+      
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      console.error('❌ Thekclaut API Error (checkOrderStatus):');
+      console.error('- Error Message:', error.message);
+      console.error('- Response Status:', error.response?.status || 'No response');
+      console.error('- Response Data:', error.response?.data || 'No data');
+      
+      return {
+        success: false,
+        error: error.message,
+        status: error.response?.status
+      };
+    }
+  },
+
+  // Look up an order by the reference it was placed with. Answers with the
+  // order's status and ID, or an error when Thekclaut has no such order.
+  async findOrderByReference(reference) {
+    try {
+      console.log(`🔍 Calling Thekclaut API: ${thekclautAPI.defaults.baseURL} (action=status, reference=${reference})`);
+      
+      const formData = toFormData({
+        key: process.env.THEKCLAUT_API_KEY,
+        action: 'status',
+        reference: reference
+      });
+      
+      const response = await thekclautAPI.post('', formData);
+      console.log(`✅ Thekclaut API Response [${response.status}]: Order ID = ${response.data?.order || 'N/A'}`);
+      
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      console.error('❌ Thekclaut API Error (findOrderByReference):');
+      console.error('- Error Message:', error.message);
+      console.error('- Response Status:', error.response?.status || 'No response');
+      console.error('- Response Data:', error.response?.data || 'No data');
+      
+      return {
+        success: false,
+        error: error.message,
+        status: error.response?.status
+      };
+    }
+  },
+
+  // Check status of several orders at once (up to 100 per call)
+  async checkMultipleOrderStatus(orderIds) {
+    try {
+      console.log(`🔍 Calling Thekclaut API: ${thekclautAPI.defaults.baseURL} (action=status, orders=${orderIds.length})`);
+      
+      const formData = toFormData({
+        key: process.env.THEKCLAUT_API_KEY,
+        action: 'status',
+        orders: orderIds.join(',')
+      });
+      
+      const response = await thekclautAPI.post('', formData);
+      if (response.data?.error) {
+        throw new Error(response.data.error);
+      }
+      console.log(`✅ Thekclaut API Response [${response.status}]: ${Object.keys(response.data || {}).length} statuses`);
+      
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      console.error('❌ Thekclaut API Error (checkMultipleOrderStatus):');
+      console.error('- Error Message:', error.message);
+      console.error('- Response Status:', error.response?.status || 'No response');
+      console.error('- Response Data:', error.response?.data || 'No data');
+      
+      return {
+        success: false,
+        error: error.message,
+        status: error.response?.status
+      };
+    }
+  },
+
+  // Create refill
+  async createRefill(orderId) {
+    try {
+      console.log(`🔍 Calling Thekclaut API: ${thekclautAPI.defaults.baseURL} (action=refill, order=${orderId})`);
+      
+      const formData = toFormData({
+        key: process.env.THEKCLAUT_API_KEY,
+        action: 'refill',
+        order: orderId
+      });
+      
+      const response = await thekclautAPI.post('', formData);
+      console.log(`✅ Thekclaut API Response [${response.status}]: Refill = ${response.data?.refill || 'N/A'}`);
+      
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      console.error('❌ Thekclaut API Error (createRefill):');
+      console.error('- Error Message:', error.message);
+      console.error('- Response Status:', error.response?.status || 'No response');
+      console.error('- Response Data:', error.response?.data || 'No data');
+      
+      return {
+        success: false,
+        error: error.message,
+        status: error.response?.status
+      };
+    }
+  },
+
+  // Check refill status
+  async checkRefillStatus(refillId) {
+    try {
+      console.log(`🔍 Calling Thekclaut API: ${thekclautAPI.defaults.baseURL} (action=refill_status, refill=${refillId})`);
+      
+      const formData = toFormData({
+        key: process.env.THEKCLAUT_API_KEY,
+        action: 'refill_status',
+        refill: refillId
+      });
+      
+      const response = await thekclautAPI.post('', formData);
+      console.log(`✅ Thekclaut API Response [${response.status}]: Refill status = ${response.data?.status || 'N/A'}`);
+      
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      console.error('❌ Thekclaut API Error (checkRefillStatus):');
+      console.error('- Error Message:', error.message);
+      console.error('- Response Status:', error.response?.status || 'No response');
+      console.error('- Response Data:', error.response?.data || 'No data');
+      
+      return {
+        success: false,
+        error: error.message,
+        status: error.response?.status
+      };
+    }
+  },
+
+  // Cancel order
+  async cancelOrder(orderId) {
+    try {
+      console.log(`🔍 Calling Thekclaut API: ${thekclautAPI.defaults.baseURL} (action=cancel, orders=${orderId})`);
+      
+      const formData = toFormData({
+        key: process.env.THEKCLAUT_API_KEY,
+        action: 'cancel',
+        orders: orderId
+      });
+      
+      const response = await thekclautAPI.post('', formData);
+      console.log(`✅ Thekclaut API Response [${response.status}]: Cancel response received`);
+      
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      console.error('❌ Thekclaut API Error (cancelOrder):');
+      console.error('- Error Message:', error.message);
+      console.error('- Response Status:', error.response?.status || 'No response');
+      console.error('- Response Data:', error.response?.data || 'No data');
+      
+      return {
+        success: false,
+        error: error.message,
+        status: error.response?.status
+      };
+    }
+  }
+};
+
+// 10. HELPER FUNCTIONS
+// ===================
+
+// 10.1 Calculate our price with configurable markup
+const calculateOurPrice = (thekclautRate) => {
+  const markupMultiplier = 1 + (MARKUP_PERCENTAGE / 100);
+  const ourPriceNaira = thekclautRate * markupMultiplier;
+  const ourPriceEquities = ourPriceNaira / EQUITY_VALUE;
+  
+  return {
+    naira: Math.ceil(ourPriceNaira),
+    equities: Math.ceil(ourPriceEquities)
+  };
+};
+
+// 10.2 Send notification
+const sendNotification = async (userId, title, message, type = 'system', link = null) => {
+  try {
+    const notification = new Notification({
+      userId,
+      title,
+      message,
+      type,
+      link
+    });
+    await notification.save();
+    return true;
+  } catch (error) {
+    console.error('Error sending notification:', error);
+    return false;
+  }
+};
+
+// 10.3 Update user's last login
+const updateLastLogin = async (userId) => {
+  try {
+    await User.findByIdAndUpdate(userId, {
+      lastLogin: new Date(),
+      updatedAt: new Date()
+    });
+  } catch (error) {
+    console.error('Error updating last login:', error);
+  }
+};
+
+// 10.4 Function to update services from Thekclaut
+const updateServicesFromThekclaut = async () => {
+  try {
+    console.log('🔄 Updating services from Thekclaut...');
+    
+    const response = await thekclaut.getServices();
+    
+    if (!response.success) {
+      console.error('❌ Failed to fetch services from Thekclaut:', response.error);
+      return { success: false, error: response.error };
+    }
+
+    // IMPORTANT: Thekclaut returns array of services, not nested
+    const services = response.data;
+    
+    if (!Array.isArray(services)) {
+      console.error('❌ Invalid services response:', services);
+      return { success: false, error: 'Invalid services response format' };
+    }
+    
+    console.log(`📊 Received ${services.length} services from Thekclaut`);
+    
+    let updatedCount = 0;
+    let newCount = 0;
+    let errorCount = 0;
+
+    for (const service of services) {
+      try {
+        // Convert rate from string to number
+        const rate = parseFloat(service.rate);
+        
+        if (isNaN(rate)) {
+          console.warn(`⚠️ Invalid rate for service ${service.service}: ${service.rate}`);
+          continue;
+        }
+        
+        const ourPrice = calculateOurPrice(rate);
+        
+        let platform = 'other';
+        let serviceType = 'other';
+        const name = service.name.toLowerCase();
+        
+        // Detect platform
+        if (name.includes('instagram') || name.includes('ig')) platform = 'instagram';
+        else if (name.includes('tiktok')) platform = 'tiktok';
+        else if (name.includes('youtube') || name.includes('yt')) platform = 'youtube';
+        else if (name.includes('twitter') || name.includes('x')) platform = 'twitter';
+        else if (name.includes('facebook') || name.includes('fb')) platform = 'facebook';
+        else if (name.includes('telegram') || name.includes('tg')) platform = 'telegram';
+        else if (name.includes('spotify')) platform = 'spotify';
+
+        // Detect service type
+        if (name.includes('follower')) serviceType = 'followers';
+        else if (name.includes('like')) serviceType = 'likes';
+        else if (name.includes('view')) serviceType = 'views';
+        else if (name.includes('comment')) serviceType = 'comments';
+        else if (name.includes('share') || name.includes('retweet')) serviceType = 'shares';
+        else if (name.includes('subscriber')) serviceType = 'subscribers';
+        else if (name.includes('play')) serviceType = 'plays';
+
+        const isSubscriptionService = String(service.type || '').toLowerCase() === 'subscriptions';
+
+        // IMPORTANT: Thekclaut uses "service" field, not "id"
+        const existingService = await Service.findOne({ serviceId: service.service.toString() });
+        
+        if (existingService) {
+          existingService.name = service.name;
+          existingService.category = service.type || service.category || 'Uncategorized';
+          existingService.rate = rate;
+          existingService.ourRate = ourPrice.equities;
+          existingService.nairaRate = ourPrice.naira;
+          existingService.min = parseInt(service.min) || 0;
+          existingService.max = parseInt(service.max) || 0;
+          existingService.refill = Boolean(service.refill);
+          existingService.cancel = Boolean(service.cancel);
+          existingService.dripfeed = Boolean(service.dripfeed);
+          existingService.subscription = isSubscriptionService;
+          existingService.platform = platform;
+          existingService.serviceType = serviceType;
+          existingService.lastUpdated = new Date();
+          
+          await existingService.save();
+          updatedCount++;
+        } else {
+          const newService = new Service({
+            serviceId: service.service.toString(),
+            name: service.name,
+            category: service.type || service.category || 'Uncategorized',
+            rate: rate,
+            ourRate: ourPrice.equities,
+            nairaRate: ourPrice.naira,
+            min: parseInt(service.min) || 0,
+            max: parseInt(service.max) || 0,
+            refill: Boolean(service.refill),
+            cancel: Boolean(service.cancel),
+            dripfeed: Boolean(service.dripfeed),
+            subscription: isSubscriptionService,
+            platform: platform,
+            serviceType: serviceType,
+            lastUpdated: new Date()
+          });
+          
+          await newService.save();
+          newCount++;
+        }
+      } catch (error) {
+        console.error(`Error processing service ${service.service}:`, error.message);
+        errorCount++;
+      }
+    }
+
+    console.log(`✅ Services updated: ${updatedCount} updated, ${newCount} added, ${errorCount} errors`);
+    return { success: true, updated: updatedCount, added: newCount, errors: errorCount };
+
+  } catch (error) {
+    console.error('❌ Error updating services:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// 10.5 Credit an approved deposit to the user's wallet
+// Shared by manual admin approval and automatic crediting. The pending -> completed
+// transition is claimed atomically so the same deposit can never be credited twice.
+const creditDeposit = async (transactionId, { verifiedBy, notes }) => {
+  // Claim, wallet credit and referral bonus commit together or not at all
+  const outcome = await runInTransaction(async (session) => {
+    const transaction = await Transaction.findOneAndUpdate(
+      { transactionId, type: 'deposit', status: 'pending', ...notExpiredFilter() },
+      {
+        $set: {
+          status: 'completed',
+          verifiedBy,
+          verifiedAt: new Date(),
+          notes,
+          updatedAt: new Date()
+        }
+      },
+      { new: true, session }
+    );
+
+    if (!transaction) {
+      return { transaction: null };
+    }
+
+    const user = await User.findById(transaction.userId).session(session);
+
+    // Credit the user's wallet
+    await postLedgerTransfer({
+      debitAccount: LEDGER_ACCOUNTS.deposits,
+      creditAccount: walletAccount(user._id),
+      amount: transaction.equities,
+      transactionId: transaction.transactionId,
+      reference: transaction.reference,
+      memo: 'Deposit approved',
+      session
+    });
+
+    // Deposit bonus, credited as its own transaction
+    const bonus = await calculateDepositBonus(transaction.amount, transaction.equities, transaction.createdAt);
+    if (bonus) {
+      const bonusTransaction = new Transaction({
+        transactionId: generateTransactionId(),
+        userId: user._id,
+        type: 'bonus',
+        amount: bonus.naira,
+        equities: bonus.equities,
+        status: 'completed',
+        reference: transaction.transactionId,
+        notes: `Deposit bonus: ${bonus.tierName} (+${bonus.percentage}%)`
+      });
+      await bonusTransaction.save({ session });
+
+      await postLedgerTransfer({
+        debitAccount: LEDGER_ACCOUNTS.bonuses,
+        creditAccount: walletAccount(user._id),
+        amount: bonus.equities,
+        transactionId: bonusTransaction.transactionId,
+        reference: transaction.transactionId,
+        memo: `Deposit bonus: ${bonus.tierName}`,
+        session
+      });
+    }
+
+    // Handle referral bonus (10% of deposit for referrer)
+    let referral = null;
+    if (user.referredBy) {
+      const referrer = await User.findOne({ referralCode: user.referredBy }).session(session);
+      const referralBonus = Math.floor(transaction.equities * 0.10);
+      if (referrer) {
+        // Create referral transaction
+        const referralTransaction = new Transaction({
+          transactionId: generateTransactionId(),
+          userId: referrer._id,
+          type: 'referral',
+          amount: referralBonus * EQUITY_VALUE,
+          equities: referralBonus,
+          status: 'completed',
+          reference: transaction.transactionId,
+          notes: `Referral bonus from ${user.username}`
+        });
+        await referralTransaction.save({ session });
+
+        if (referralBonus > 0) {
+          await postLedgerTransfer({
+            debitAccount: LEDGER_ACCOUNTS.referrals,
+            creditAccount: walletAccount(referrer._id),
+            amount: referralBonus,
+            transactionId: referralTransaction.transactionId,
+            reference: transaction.transactionId,
+            memo: `Referral bonus from ${user.username}`,
+            session
+          });
+        }
+
+        await User.updateOne(
+          { _id: referrer._id },
+          { $inc: { referralEarnings: referralBonus, referralCount: 1 } },
+          { session }
+        );
+
+        referral = { referrerId: referrer._id, referralBonus };
+      }
+    }
+
+    return { transaction, user, referral, bonus };
+  });
+
+  if (!outcome.transaction) {
+    const existing = await Transaction.findOne({ transactionId, type: 'deposit' });
+    return {
+      success: false,
+      error: existing && (existing.expiredAt || isDepositExpired(existing))
+        ? 'Deposit request has expired'
+        : 'Deposit has already been processed'
+    };
+  }
+
+  const { transaction, user, referral, bonus } = outcome;
+
+  // Send notification to referrer
+  if (referral) {
+    await sendNotification(
+      referral.referrerId,
+      'Referral Bonus! 🎉',
+      `You received ${referral.referralBonus} equities (₦${referral.referralBonus * EQUITY_VALUE}) for referring ${user.username}`,
+      'bonus'
+    );
+  }
+
+  // Send notification to user
+  await sendNotification(
+    user._id,
+    'Deposit Approved ✅',
+    `Your deposit of ${formatCurrency(transaction.amount)} has been approved. ${transaction.equities} equities added to your account.`,
+    'deposit'
+  );
+
+  if (bonus) {
+    await sendNotification(
+      user._id,
+      'Deposit Bonus! 🎁',
+      `You received a ${bonus.percentage}% deposit bonus of ${bonus.equities} equities (${formatCurrency(bonus.naira)}).`,
+      'bonus'
+    );
+  }
+
+  return { success: true, transaction, bonus };
+};
+
+// 10.6 Reject a pending deposit
+const rejectDeposit = async (transactionId, { verifiedBy, reason }) => {
+  const transaction = await Transaction.findOneAndUpdate(
+    { transactionId, type: 'deposit', status: 'pending' },
+    {
+      $set: {
+        status: 'cancelled',
+        verifiedBy,
+        verifiedAt: new Date(),
+        notes: reason,
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (!transaction) {
+    return { success: false, error: 'Pending deposit not found' };
+  }
+
+  // Send notification to user
+  await sendNotification(
+    transaction.userId,
+    'Deposit Rejected ❌',
+    `Your deposit of ${formatCurrency(transaction.amount)} was rejected. Reason: ${transaction.notes}`,
+    'deposit'
+  );
+
+  return { success: true, transaction };
+};
+
+// 10.7 Parse credit lines out of a bank statement CSV export
+const parseStatementCredits = (csvText) => {
+  const rows = parseCSV(csvText);
+
+  // Find the header row - statements often start with account summary lines
+  const headerIndex = rows.findIndex(row => {
+    const joined = row.join(' ').toLowerCase();
+    return /(credit|amount|money in|inflow)/.test(joined) &&
+      /(narration|description|remark|details|particulars)/.test(joined);
+  });
+
+  if (headerIndex === -1) {
+    return { success: false, error: 'Could not find a header row with amount and narration columns' };
+  }
+
+  const header = rows[headerIndex].map(h => h.toLowerCase());
+  const findColumn = (pattern, exclude) => header.findIndex(h => pattern.test(h) && !(exclude && exclude.test(h)));
+
+  const columns = {
+    date: findColumn(/date/),
+    credit: findColumn(/(^credit|credit amount|money in|inflow|^cr$)/),
+    debit: findColumn(/(^debit|debit amount|money out|outflow|^dr$)/),
+    amount: findColumn(/amount/, /(debit|credit)/),
+    type: findColumn(/(^type$|cr\/dr|dr\/cr|direction)/),
+    narration: findColumn(/(narration|description|remark|details|particulars)/),
+    reference: findColumn(/ref/, /(narration|description)/),
+    sender: findColumn(/(sender|originator|payer|counterparty|from)/),
+    balance: findColumn(/balance/)
+  };
+
+  const parseAmount = (value) => {
+    if (!value) return 0;
+    const num = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+    return isNaN(num) ? 0 : num;
+  };
+
+  const parseDate = (value) => {
+    if (!value) return null;
+    const dmy = String(value).match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})/);
+    const date = dmy ? new Date(`${dmy[3]}-${dmy[2].padStart(2, '0')}-${dmy[1].padStart(2, '0')}`) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  };
+
+  const credits = [];
+  const occurrences = {};
+
+  rows.slice(headerIndex + 1).forEach((row, index) => {
+    const cell = (column) => (column >= 0 ? row[column] || '' : '');
+
+    let amount = 0;
+    if (columns.credit >= 0) {
+      amount = parseAmount(cell(columns.credit));
+    } else if (columns.amount >= 0) {
+      const type = cell(columns.type).toLowerCase();
+      const value = parseAmount(cell(columns.amount));
+      if (type ? /(cr|credit|in)/.test(type) : value > 0) amount = Math.abs(value);
+    }
+
+    if (amount <= 0) return;
+
+    const narration = cell(columns.narration);
+    const senderFromNarration = narration.match(/(?:from|frm)[:\s]+([a-z][a-z .'-]+?)(?:\/|-|\s{2,}|\s+ref|$)/i);
+    const line = {
+      rowNumber: headerIndex + index + 2,
+      date: parseDate(cell(columns.date)),
+      amount,
+      narration,
+      reference: cell(columns.reference),
+      senderName: cell(columns.sender) || (senderFromNarration ? senderFromNarration[1].trim() : ''),
+      balance: cell(columns.balance)
+    };
+
+    // Identical rows are distinguished by their running balance or, failing that,
+    // by how many times the same row has appeared so far in this file
+    const fingerprint = [line.date ? line.date.toISOString() : '', amount, narration, line.reference, line.balance].join('|');
+    occurrences[fingerprint] = (occurrences[fingerprint] || 0) + 1;
+    line.lineHash = crypto
+      .createHash('sha256')
+      .update(`${fingerprint}|${occurrences[fingerprint]}`)
+      .digest('hex');
+
+    credits.push(line);
+  });
+
+  return { success: true, credits, totalRows: rows.length - headerIndex - 1 };
+};
+
+// 10.8 Score a statement credit against pending deposits
+const matchStatementLine = (line, pendingDeposits) => {
+  const lineReference = extractDepositReference(line.reference, line.narration);
+
+  const candidates = pendingDeposits.map(deposit => {
+    const reasons = [];
+    let score = 0;
+
+    if (lineReference && lineReference === deposit.reference) {
+      score += 60;
+      reasons.push('reference');
+    }
+    if (Math.abs(deposit.amount - line.amount) < 0.01) {
+      score += 30;
+      reasons.push('amount');
+    }
+    const similarity = nameSimilarity(line.senderName, deposit.moniepointDetails?.senderName);
+    if (similarity >= 0.6) {
+      score += Math.round(similarity * 20);
+      reasons.push(`sender name (${Math.round(similarity * 100)}%)`);
+    }
+
+    return { transactionId: deposit.transactionId, score, reasons, similarity };
+  })
+    .filter(c => c.reasons.includes('reference') || c.reasons.includes('amount'))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 5);
+
+  if (candidates.length === 0) {
+    return { status: 'orphan', candidates: [], proposedTransactionId: null };
+  }
+
+  const [top, second] = candidates;
+  const confident = (top.reasons.includes('reference') && top.reasons.includes('amount')) ||
+    (top.reasons.includes('amount') && top.similarity >= 0.85);
+  const unique = !second || second.score < top.score - 10;
+
+  return {
+    status: confident && unique ? 'matched' : 'ambiguous',
+    candidates: candidates.map(({ transactionId, score, reasons }) => ({ transactionId, score, reasons })),
+    proposedTransactionId: confident && unique ? top.transactionId : null
+  };
+};
+
+// 10.9 Build the reconciliation report for a statement import
+const buildReconciliationReport = async (importId) => {
+  const lines = await StatementLine.find({ importId }).sort({ rowNumber: 1 });
+
+  const format = (line) => ({
+    lineId: line.lineId,
+    rowNumber: line.rowNumber,
+    date: line.date,
+    amount: line.amount,
+    narration: line.narration,
+    reference: line.reference,
+    senderName: line.senderName,
+    status: line.status,
+    candidates: line.candidates,
+    proposedTransactionId: line.proposedTransactionId,
+    proposedAction: line.status === 'matched' ? 'approve' : (line.status === 'ambiguous' ? 'review' : null),
+    appliedTransactionId: line.appliedTransactionId,
+    appliedBy: line.appliedBy,
+    appliedAt: line.appliedAt
+  });
+
+  // Deposits whose proof claims a payment inside the statement period but which
+  // have no credit on the statement are proposed for rejection
+  const dates = lines.map(l => l.date).filter(Boolean).map(d => d.getTime());
+  let proposedRejections = [];
+
+  if (dates.length > 0) {
+    const claimed = new Set(lines
+      .flatMap(l => [l.proposedTransactionId, l.appliedTransactionId, ...l.candidates.map(c => c.transactionId)])
+      .filter(Boolean));
+
+    const unmatched = await Transaction.find({
+      type: 'deposit',
+      status: 'pending',
+      'moniepointDetails.transactionDate': {
+        $gte: new Date(Math.min(...dates)),
+        $lte: new Date(Math.max(...dates) + 24 * 60 * 60 * 1000)
+      }
+    });
+
+    proposedRejections = unmatched
+      .filter(t => !claimed.has(t.transactionId))
+      .map(t => ({
+        transactionId: t.transactionId,
+        amount: t.amount,
+        reference: t.reference,
+        senderName: t.moniepointDetails?.senderName,
+        claimedDate: t.moniepointDetails?.transactionDate,
+        proposedAction: 'reject',
+        reason: 'No matching credit found on bank statement'
+      }));
+  }
+
+  const byStatus = (status) => lines.filter(l => l.status === status).map(format);
+
+  return {
+    importId,
+    summary: {
+      credits: lines.length,
+      matched: lines.filter(l => l.status === 'matched').length,
+      ambiguous: lines.filter(l => l.status === 'ambiguous').length,
+      orphan: lines.filter(l => l.status === 'orphan').length,
+      applied: lines.filter(l => l.status === 'applied').length,
+      ignored: lines.filter(l => l.status === 'ignored').length,
+      proposedRejections: proposedRejections.length
+    },
+    matched: byStatus('matched'),
+    ambiguous: byStatus('ambiguous'),
+    orphan: byStatus('orphan'),
+    applied: byStatus('applied'),
+    ignored: byStatus('ignored'),
+    proposedRejections
+  };
+};
+
+// 10.10 Payment proof storage backends
+// Each driver exposes save/read/remove by key. Local disk is the default; other
+// drivers (e.g. S3) can be registered here and selected with PROOF_STORAGE_DRIVER.
+const createLocalProofStorage = () => {
+  const baseDir = path.resolve(process.env.PROOF_STORAGE_DIR || path.join(__dirname, 'uploads'));
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    async read(key) {
+      return fs.promises.readFile(resolveKey(key));
+    },
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+const proofStorageDrivers = {
+  local: createLocalProofStorage
+};
+
+const proofStorageDriver = process.env.PROOF_STORAGE_DRIVER || 'local';
+if (!proofStorageDrivers[proofStorageDriver]) {
+  console.error(`❌ Unknown proof storage driver: ${proofStorageDriver}`);
+  process.exit(1);
+}
+const proofStorage = proofStorageDrivers[proofStorageDriver]();
+
+// 10.11 Perceptual (difference) hash - 64 bits as 16 hex chars
+// Survives re-compression, resizing and screenshots of the same screenshot.
+const computePerceptualHash = async (buffer) => {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      hash <<= 1n;
+      if (pixels[row * 9 + col] > pixels[row * 9 + col + 1]) hash |= 1n;
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+};
+
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+// 10.12 Validate, hash and store an uploaded payment proof with its thumbnail
+const storePaymentProof = async (transactionId, file) => {
+  // Trust the decoded image, not the client-supplied mimetype
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    return { success: false, error: 'Uploaded file is not a valid image' };
+  }
+
+  const formats = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+  if (!formats[metadata.format]) {
+    return { success: false, error: 'Proof must be a JPEG, PNG or WebP image' };
+  }
+
+  const sha256 = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  const perceptualHash = await computePerceptualHash(file.buffer);
+  const extension = metadata.format === 'jpeg' ? 'jpg' : metadata.format;
+  const key = `proofs/${transactionId}/${sha256}.${extension}`;
+  const thumbnailKey = `proofs/${transactionId}/${sha256}-thumb.jpg`;
+
+  const thumbnail = await sharp(file.buffer)
+    .rotate()
+    .resize(320, 320, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+
+  await proofStorage.save(key, file.buffer);
+  await proofStorage.save(thumbnailKey, thumbnail);
+
+  return {
+    success: true,
+    proof: {
+      key,
+      thumbnailKey,
+      mimeType: formats[metadata.format],
+      size: file.size,
+      sha256,
+      perceptualHash,
+      originalName: file.originalname,
+      uploadedAt: new Date()
+    }
+  };
+};
+
+// 10.13 Find earlier deposits that used the same proof image
+// Exact copies come straight from the sha256 index; the perceptual comparison
+// only scans recent deposits and earlier deposits of the same amount.
+const findDuplicateProofs = async (transaction, proof) => {
+  const exact = await Transaction.find({
+    type: 'deposit',
+    transactionId: { $ne: transaction.transactionId },
+    'proof.sha256': proof.sha256
+  })
+    .sort({ createdAt: -1 })
+    .limit(PROOF_SIMILARITY_SCAN_LIMIT)
+    .select('transactionId userId');
+
+  const duplicates = exact.map(t => ({
+    transactionId: t.transactionId, userId: t.userId, matchType: 'exact', distance: 0
+  }));
+
+  if (!proof.perceptualHash) return duplicates;
+
+  const since = new Date(Date.now() - PROOF_SIMILARITY_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const candidates = await Transaction.find({
+    type: 'deposit',
+    transactionId: { $nin: [transaction.transactionId, ...duplicates.map(d => d.transactionId)] },
+    'proof.perceptualHash': { $exists: true },
+    $or: [{ createdAt: { $gte: since } }, { amount: transaction.amount }]
+  })
+    .sort({ createdAt: -1 })
+    .limit(PROOF_SIMILARITY_SCAN_LIMIT)
+    .select('transactionId userId proof.perceptualHash');
+
+  candidates.forEach(t => {
+    const distance = hammingDistance(t.proof.perceptualHash, proof.perceptualHash);
+    if (distance <= PROOF_SIMILARITY_THRESHOLD) {
+      duplicates.push({ transactionId: t.transactionId, userId: t.userId, matchType: 'similar', distance });
+    }
+  });
+
+  return duplicates.sort((a, b) => a.distance - b.distance);
+};
+
+// 10.14 Proof links for API responses (legacy base64 proofs are returned as-is)
+const proofLinks = (transaction) => {
+  if (transaction.proof?.key) {
+    return {
+      proofUrl: signProofUrl(transaction.transactionId, 'full'),
+      proofThumbnailUrl: signProofUrl(transaction.transactionId, 'thumbnail')
+    };
+  }
+  if (transaction.proofImage) {
+    return { proofUrl: transaction.proofImage, proofThumbnailUrl: transaction.proofImage };
+  }
+  return { proofUrl: null, proofThumbnailUrl: null };
+};
+
+// 10.15 Deposit expiry rules
+// Only requests that never received a proof expire; legacy requests without
+// expiresAt fall back to their creation time.
+const depositExpiryCutoff = () => new Date(Date.now() - DEPOSIT_EXPIRY_HOURS * 60 * 60 * 1000);
+
+const noProofFilter = () => ({
+  'proof.key': { $exists: false },
+  proofImage: { $exists: false }
+});
+
+const notExpiredFilter = () => ({
+  $or: [
+    { 'proof.key': { $exists: true } },
+    { proofImage: { $exists: true } },
+    { expiresAt: { $gt: new Date() } },
+    { expiresAt: { $exists: false }, createdAt: { $gt: depositExpiryCutoff() } }
+  ]
+});
+
+const isDepositExpired = (transaction) => {
+  if (transaction.status !== 'pending' || transaction.proof?.key || transaction.proofImage) return false;
+  const expiresAt = transaction.expiresAt ||
+    new Date(transaction.createdAt.getTime() + DEPOSIT_EXPIRY_HOURS * 60 * 60 * 1000);
+  return expiresAt <= new Date();
+};
+
+// 10.16 Remind and expire abandoned deposit requests (background job)
+const expireAbandonedDeposits = async () => {
+  try {
+    const now = new Date();
+    let reminded = 0;
+    let expired = 0;
+
+    // Reminders for requests entering their final window
+    const reminderCutoff = new Date(now.getTime() + DEPOSIT_REMINDER_HOURS * 60 * 60 * 1000);
+    const dueForReminder = await Transaction.find({
+      type: 'deposit',
+      status: 'pending',
+      reminderSentAt: { $exists: false },
+      expiresAt: { $gt: now, $lte: reminderCutoff },
+      ...noProofFilter()
+    }).limit(500);
+
+    for (const deposit of dueForReminder) {
+      const claimed = await Transaction.findOneAndUpdate(
+        { _id: deposit._id, reminderSentAt: { $exists: false } },
+        { $set: { reminderSentAt: now } }
+      );
+      if (!claimed) continue;
+
+      await sendNotification(
+        deposit.userId,
+        'Deposit Request Expiring Soon ⏳',
+        `Your deposit request ${deposit.reference} of ${formatCurrency(deposit.amount)} expires on ${deposit.expiresAt.toLocaleString()}. Upload your payment proof before then or it will be cancelled.`,
+        'deposit'
+      );
+      reminded++;
+    }
+
+    // Expire requests that never received a proof
+    const dueForExpiry = await Transaction.find({
+      type: 'deposit',
+      status: 'pending',
+      ...noProofFilter(),
+      $or: [
+        { expiresAt: { $lte: now } },
+        { expiresAt: { $exists: false }, createdAt: { $lte: depositExpiryCutoff() } }
+      ]
+    }).limit(500);
+
+    for (const deposit of dueForExpiry) {
+      const cancelled = await Transaction.findOneAndUpdate(
+        { _id: deposit._id, status: 'pending', ...noProofFilter() },
+        {
+          $set: {
+            status: 'cancelled',
+            expiredAt: now,
+            notes: `Deposit request expired after ${DEPOSIT_EXPIRY_HOURS} hours without payment proof`,
+            updatedAt: now
+          }
+        }
+      );
+      if (!cancelled) continue;
+
+      await sendNotification(
+        deposit.userId,
+        'Deposit Request Expired',
+        `Your deposit request ${deposit.reference} of ${formatCurrency(deposit.amount)} has expired. If you have not paid yet, please create a new request.`,
+        'deposit'
+      );
+      expired++;
+    }
+
+    if (reminded > 0 || expired > 0) {
+      console.log(`⏳ Deposit expiry: ${reminded} reminders sent, ${expired} requests expired`);
+    }
+    return { success: true, reminded, expired };
+
+  } catch (error) {
+    console.error('❌ Error expiring deposits:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// 10.17 Wallet ledger
+// Account names: user wallets are "user:<id>:wallet", everything else is a
+// platform account. Balances only ever change through postLedgerTransfer.
+const LEDGER_ACCOUNTS = {
+  deposits: 'platform:deposits',
+  orders: 'platform:orders',
+  withdrawals: 'platform:withdrawals',
+  referrals: 'platform:referrals',
+  bonuses: 'platform:bonuses',
+  adjustments: 'platform:adjustments',
+  opening: 'platform:opening-balances'
+};
+
+const walletAccount = (userId) => `user:${userId}:wallet`;
+const holdAccount = (userId) => `user:${userId}:hold`;
+
+const walletOwner = (account) => {
+  const match = /^user:([a-f0-9]{24}):wallet$/.exec(account);
+  return match ? match[1] : null;
+};
+
+// Multi-document writes run in a MongoDB transaction (requires a replica set,
+// which Atlas always provides)
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Move `amount` equities from debitAccount to creditAccount. Debiting a wallet
+// never takes it below zero - an "Insufficient balance" error is thrown instead.
+const postLedgerTransfer = async ({ debitAccount, creditAccount, amount, transactionId, reference, memo, session }) => {
+  if (!session) {
+    return runInTransaction(txSession => postLedgerTransfer({
+      debitAccount, creditAccount, amount, transactionId, reference, memo, session: txSession
+    }));
+  }
+
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error(`Invalid ledger amount: ${amount}`);
+  }
+
+  const debitUserId = walletOwner(debitAccount);
+  const creditUserId = walletOwner(creditAccount);
+
+  if (debitUserId) {
+    const debited = await User.findOneAndUpdate(
+      { _id: debitUserId, balance: { $gte: amount } },
+      { $inc: { balance: -amount }, $set: { updatedAt: new Date() } },
+      { session }
+    );
+    if (!debited) {
+      const error = new Error('Insufficient balance');
+      error.code = 'INSUFFICIENT_BALANCE';
+      throw error;
+    }
+  }
+
+  if (creditUserId) {
+    await User.updateOne(
+      { _id: creditUserId },
+      { $inc: { balance: amount }, $set: { updatedAt: new Date() } },
+      { session }
+    );
+  }
+
+  const pairId = generateLedgerId('LGP');
+  const entries = await LedgerEntry.insertMany([
+    {
+      entryId: generateLedgerId('LGE'),
+      pairId,
+      account: debitAccount,
+      userId: debitUserId || undefined,
+      side: 'debit',
+      amount,
+      transactionId,
+      reference,
+      memo
+    },
+    {
+      entryId: generateLedgerId('LGE'),
+      pairId,
+      account: creditAccount,
+      userId: creditUserId || undefined,
+      side: 'credit',
+      amount,
+      transactionId,
+      reference,
+      memo
+    }
+  ], { session });
+
+  return { pairId, entries };
+};
+
+// Wallet balance according to the ledger (optionally as at a point in time)
+const getLedgerBalance = async (userId, before = null) => {
+  const match = { account: walletAccount(userId) };
+  if (before) match.createdAt = { $lt: before };
+
+  const [totals] = await LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        credits: { $sum: { $cond: [{ $eq: ['$side', 'credit'] }, '$amount', 0] } },
+        debits: { $sum: { $cond: [{ $eq: ['$side', 'debit'] }, '$amount', 0] } }
+      }
+    }
+  ]);
+
+  return totals ? totals.credits - totals.debits : 0;
+};
+
+// Compare every cached User.balance with its ledger and check every pair balances
+const reconcileLedgerBalances = async () => {
+  const ledgerTotals = await LedgerEntry.aggregate([
+    { $match: { account: /^user:[a-f0-9]{24}:wallet$/ } },
+    {
+      $group: {
+        _id: '$userId',
+        credits: { $sum: { $cond: [{ $eq: ['$side', 'credit'] }, '$amount', 0] } },
+        debits: { $sum: { $cond: [{ $eq: ['$side', 'debit'] }, '$amount', 0] } },
+        entries: { $sum: 1 }
+      }
+    }
+  ]);
+  const ledgerByUser = new Map(ledgerTotals.map(t => [String(t._id), t]));
+
+  const users = await User.find({}).select('username email balance');
+  const mismatches = [];
+
+  users.forEach(user => {
+    const totals = ledgerByUser.get(String(user._id));
+    const ledgerBalance = totals ? totals.credits - totals.debits : 0;
+    if (ledgerBalance !== user.balance) {
+      mismatches.push({
+        userId: user._id,
+        username: user.username,
+        email: user.email,
+        storedBalance: user.balance,
+        ledgerBalance,
+        difference: user.balance - ledgerBalance,
+        ledgerEntries: totals ? totals.entries : 0
+      });
+    }
+  });
+
+  const unbalancedPairs = await LedgerEntry.aggregate([
+    {
+      $group: {
+        _id: '$pairId',
+        credits: { $sum: { $cond: [{ $eq: ['$side', 'credit'] }, '$amount', 0] } },
+        debits: { $sum: { $cond: [{ $eq: ['$side', 'debit'] }, '$amount', 0] } }
+      }
+    },
+    { $match: { $expr: { $ne: ['$credits', '$debits'] } } },
+    { $limit: 100 }
+  ]);
+
+  return {
+    checkedAt: new Date(),
+    usersChecked: users.length,
+    mismatches,
+    unbalancedPairs: unbalancedPairs.map(p => ({ pairId: p._id, credits: p.credits, debits: p.debits }))
+  };
+};
+
+// Periodic reconciliation job - reports drift, never "fixes" balances silently
+const runLedgerReconciliation = async () => {
+  try {
+    const report = await reconcileLedgerBalances();
+    if (report.mismatches.length > 0 || report.unbalancedPairs.length > 0) {
+      console.error(`❌ Ledger reconciliation: ${report.mismatches.length} balance mismatches, ${report.unbalancedPairs.length} unbalanced pairs`);
+      report.mismatches.slice(0, 20).forEach(m => {
+        console.error(`   - ${m.username}: stored ${m.storedBalance}, ledger ${m.ledgerBalance} (diff ${m.difference})`);
+      });
+    } else {
+      console.log(`✅ Ledger reconciliation: ${report.usersChecked} wallets match the ledger`);
+    }
+    return report;
+  } catch (error) {
+    console.error('❌ Ledger reconciliation error:', error.message);
+    return null;
+  }
+};
+
+// 10.18 Order fund reservations
+// Funds move wallet -> hold before the provider is called, so parallel orders
+// can never spend the same equities. The hold is then settled to
+// platform:orders or released back to the wallet.
+// With `overlap`, the link is checked (and locked) in the same transaction:
+// a running order there queues this one when overlap.queue is set and
+// refuses it otherwise.
+const reserveOrderFunds = async (order, coupon = null, { overlap = null } = {}) => {
+  try {
+    // Parallel orders on one wallet hit write conflicts and the transaction is
+    // retried, so the callback only works from plain values
+    const orderData = { ...order.toObject(), fundsStatus: 'reserved' };
+    await runInTransaction(async (session) => {
+      if (overlap) {
+        await lockLink(order.serviceId, order.targetUrl, session);
+        const running = await findOverlappingOrder(order.serviceId, order.targetUrl, null, session);
+        if (running && !overlap.queue) {
+          throw Object.assign(new Error(OVERLAP_MESSAGE), { code: 'LINK_BUSY' });
+        }
+        orderData.status = running ? 'queued' : 'pending';
+        if (running) orderData.queueReason = 'overlap';
+        else delete orderData.queueReason;
+      }
+
+      await postLedgerTransfer({
+        debitAccount: walletAccount(order.userId),
+        creditAccount: holdAccount(order.userId),
+        amount: order.cost,
+        reference: order.orderId,
+        memo: `Funds reserved for order ${order.orderId}`,
+        session
+      });
+
+      await Order.insertMany([orderData], { session });
+
+      if (coupon) {
+        await redeemCoupon(coupon, {
+          userId: order.userId,
+          orderId: order.orderId,
+          discount: order.discount
+        }, session);
+      }
+    });
+    order.set({ fundsStatus: 'reserved', status: orderData.status, queueReason: orderData.queueReason });
+    return { success: true };
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_BALANCE') {
+      return { success: false, error: 'Insufficient balance. Please deposit more funds.' };
+    }
+    if (error.code === 'COUPON_UNAVAILABLE') {
+      return { success: false, error: error.message };
+    }
+    if (error.code === 'LINK_BUSY') {
+      return { success: false, overlap: true, error: error.message };
+    }
+    throw error;
+  }
+};
+
+const settleOrderFunds = async (order, providerData, notes, { status = 'processing' } = {}) => {
+  return runInTransaction(async (session) => {
+    const settled = await Order.findOneAndUpdate(
+      { _id: order._id, fundsStatus: 'reserved' },
+      {
+        $set: {
+          fundsStatus: 'settled',
+          status,
+          apiOrderId: providerData.order,
+          apiResponse: providerData,
+          ...(status === 'completed' ? { deliveredAt: new Date() } : {})
+        },
+        $unset: { submittingAt: '', queueReason: '', 'retry.nextAttemptAt': '' }
+      },
+      { new: true, session }
+    );
+    if (!settled) return null;
+
+    // Invoice numbers are only drawn for orders that are actually charged
+    const receipt = {
+      ...buildReceipt(order),
+      invoiceNumber: await nextInvoiceNumber(session),
+      issuedAt: new Date()
+    };
+    await Order.updateOne({ _id: order._id }, { $set: { receipt } }, { session });
+    settled.set('receipt', receipt);
+
+    // Create transaction record
+    const transaction = new Transaction({
+      transactionId: generateTransactionId(),
+      userId: order.userId,
+      type: 'order',
+      amount: order.cost * EQUITY_VALUE,
+      equities: order.cost,
+      status: 'completed',
+      reference: order.orderId,
+      couponCode: order.couponCode,
+      discount: order.discount || undefined,
+      notes
+    });
+    await transaction.save({ session });
+
+    await postLedgerTransfer({
+      debitAccount: holdAccount(order.userId),
+      creditAccount: LEDGER_ACCOUNTS.orders,
+      amount: order.cost,
+      transactionId: transaction.transactionId,
+      reference: order.orderId,
+      memo: notes,
+      session
+    });
+
+    await User.updateOne(
+      { _id: order.userId },
+      { $inc: { totalSpent: order.cost, totalOrders: 1 } },
+      { session }
+    );
+
+    return settled;
+  });
+};
+
+const orderChargeMemo = (order) => `Order: ${order.serviceName} - ${order.quantity} units`;
+
+// Place a reserved order with Thekclaut, then settle or release its funds.
+// Transient provider failures queue the order for another attempt instead, and
+// so do unanswered ones, which are looked up by reference before the next
+// attempt places them again.
+// The call is marked in flight (submittingAt) and Thekclaut's order ID is saved
+// before settling, so recoverStrandedOrders can finish an interrupted attempt.
+const submitReservedOrder = async (order, { retry = true } = {}) => {
+  const submitting = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: order.status,
+      fundsStatus: 'reserved',
+      submittingAt: { $exists: false },
+      'review.requiredAt': { $exists: false }
+    },
+    { $set: { submittingAt: new Date() } },
+    { new: true }
+  );
+  if (!submitting) {
+    return { success: false, skipped: true, error: 'Order is no longer waiting to be submitted' };
+  }
+
+  // Thekclaut may have placed the order, so it is retried rather than released
+  const unanswered = async (error) => {
+    if (retry) return scheduleOrderRetry(order, error, { unanswered: true });
+    const flagged = await flagOrderForReview(order, `No response from Thekclaut: ${describeProviderError(error)}`);
+    return { success: false, review: true, order: flagged, error };
+  };
+
+  // An earlier attempt got no answer: ask Thekclaut whether it has the order
+  // before placing it again
+  let providerResult = null;
+  if (submitting.retry?.unanswered) {
+    const lookup = await thekclaut.findOrderByReference(order.orderId);
+    if (!lookup.success || !(lookup.data?.order || lookup.data?.error)) {
+      return unanswered(lookup.success ? lookup.data : lookup.error);
+    }
+    if (lookup.data.order) providerResult = lookup;
+  }
+
+  const { dripFeed } = order;
+  if (!providerResult) {
+    providerResult = dripFeed?.runs
+      ? await thekclaut.placeOrder(order.serviceId, order.targetUrl, dripFeed.quantityPerRun, dripFeed.runs, dripFeed.interval, order.orderId)
+      : await thekclaut.placeOrder(order.serviceId, order.targetUrl, order.quantity, null, null, order.orderId);
+  }
+
+  // Thekclaut reports some rejections (bad link, quantity) as a 200 with an error body
+  if (!providerResult.success || !providerResult.data?.order) {
+    const error = providerResult.success ? providerResult.data : providerResult.error;
+    if (isUnansweredProviderError(providerResult)) {
+      return unanswered(error);
+    }
+    if (retry && isTransientProviderError(providerResult)) {
+      return scheduleOrderRetry(order, error);
+    }
+    await releaseOrderFunds(order, error);
+    return { success: false, error };
+  }
+
+  // Thekclaut has the order from here on, so it must end up charged
+  try {
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { apiOrderId: providerResult.data.order, apiResponse: providerResult.data } }
+    );
+    const placed = await settleOrderFunds(order, providerResult.data, orderChargeMemo(order));
+    return { success: true, order: placed || submitting };
+  } catch (error) {
+    // Still reserved; recoverStrandedOrders settles it (or flags it for review
+    // if the provider order ID could not be saved either)
+    console.error(`❌ Order ${order.orderId} was placed as Thekclaut order ${providerResult.data.order} but settling failed:`, error.message);
+    submitting.set({ apiOrderId: providerResult.data.order, apiResponse: providerResult.data });
+    return { success: true, order: submitting, settlementPending: true };
+  }
+};
+
+// Reserve the combined cost of several orders in one transfer; each order is
+// then settled or released on its own
+// `guarded` orders have their links locked and checked again in the same
+// transaction; one that is busy by now fails the whole batch.
+const reserveOrderBatch = async (orders, batchId, { guarded = [] } = {}) => {
+  try {
+    const total = orders.reduce((sum, order) => sum + order.cost, 0);
+    const orderData = orders.map(order => ({ ...order.toObject(), fundsStatus: 'reserved' }));
+
+    await runInTransaction(async (session) => {
+      for (const order of guarded) {
+        await lockLink(order.serviceId, order.targetUrl, session);
+        if (await findOverlappingOrder(order.serviceId, order.targetUrl, null, session)) {
+          throw Object.assign(new Error(`An order for this service started on ${order.targetUrl} in the meantime. Please submit the batch again.`), { code: 'LINK_BUSY' });
+        }
+      }
+
+      await postLedgerTransfer({
+        debitAccount: walletAccount(orders[0].userId),
+        creditAccount: holdAccount(orders[0].userId),
+        amount: total,
+        reference: batchId,
+        memo: `Funds reserved for ${orders.length} orders in batch ${batchId}`,
+        session
+      });
+
+      await Order.insertMany(orderData, { session });
+    });
+    orders.forEach(order => { order.fundsStatus = 'reserved'; });
+    return { success: true, total };
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_BALANCE') {
+      return { success: false, error: 'Insufficient balance for the whole batch. Please deposit more funds.' };
+    }
+    if (error.code === 'LINK_BUSY') {
+      return { success: false, overlap: true, error: error.message };
+    }
+    throw error;
+  }
+};
+
+const releaseOrderFunds = async (order, apiResponse, { status = 'failed', claim = {}, set = {} } = {}) => {
+  return runInTransaction(async (session) => {
+    const released = await Order.findOneAndUpdate(
+      { _id: order._id, fundsStatus: 'reserved', ...claim },
+      {
+        $set: { fundsStatus: 'released', status, ...(apiResponse ? { apiResponse } : {}), ...set },
+        $unset: { submittingAt: '', queueReason: '', 'retry.nextAttemptAt': '' }
+      },
+      { new: true, session }
+    );
+    if (!released) return null;
+
+    await postLedgerTransfer({
+      debitAccount: holdAccount(order.userId),
+      creditAccount: walletAccount(order.userId),
+      amount: order.cost,
+      reference: order.orderId,
+      memo: `Reservation released for order ${order.orderId}`,
+      session
+    });
+
+    if (order.couponCode) {
+      await releaseCouponRedemption(order.orderId, session);
+    }
+
+    return released;
+  });
+};
+
+// Thekclaut may or may not have accepted the order, so it is neither charged
+// nor released until an admin has checked with the provider
+const flagOrderForReview = async (order, reason, set = {}) => {
+  const flagged = await Order.findOneAndUpdate(
+    { _id: order._id, fundsStatus: 'reserved' },
+    {
+      $set: { status: 'pending', 'review.requiredAt': new Date(), 'review.reason': reason.slice(0, 500), ...set },
+      $unset: { submittingAt: '', queueReason: '', 'retry.nextAttemptAt': '' }
+    },
+    { new: true }
+  );
+  console.error(`❌ Order ${order.orderId} needs review: ${reason}`);
+  return flagged;
+};
+
+const strandedOrderState = {
+  running: false
+};
+
+// Finish submissions that were interrupted (crash, restart, a throw after the
+// provider call): orders with a provider order ID are charged, and the rest
+// join the retry queue - those whose provider call never returned as
+// unanswered, so they are looked up before being placed again.
+const recoverStrandedOrders = async () => {
+  if (strandedOrderState.running) return;
+  strandedOrderState.running = true;
+
+  try {
+    const cutoff = new Date(Date.now() - ORDER_SUBMIT_STALE_MINUTES * 60 * 1000);
+    const stranded = await Order.find({
+      fundsStatus: 'reserved',
+      'review.requiredAt': { $exists: false },
+      $or: [
+        { submittingAt: { $lt: cutoff } },
+        { status: 'pending', submittingAt: { $exists: false }, updatedAt: { $lt: cutoff } }
+      ]
+    })
+      .sort({ updatedAt: 1 })
+      .limit(50);
+
+    for (const order of stranded) {
+      try {
+        if (order.apiOrderId) {
+          await settleOrderFunds(order, order.apiResponse || { order: order.apiOrderId }, orderChargeMemo(order));
+          console.log(`✅ Recovered order ${order.orderId}: settled Thekclaut order ${order.apiOrderId}`);
+        } else if (order.submittingAt) {
+          await scheduleOrderRetry(order, 'The Thekclaut call was interrupted before it returned', { unanswered: true });
+        } else {
+          await scheduleOrderRetry(order, 'The submission was interrupted before reaching Thekclaut');
+        }
+      } catch (error) {
+        console.error(`❌ Recovering order ${order.orderId} failed:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Stranded order recovery error:', error.message);
+  } finally {
+    strandedOrderState.running = false;
+  }
+};
+
+// Admin decision on an order under review:
+//   placed   - Thekclaut has it (checked with its status endpoint): charge it
+//   resubmit - Thekclaut never got it: submit it again
+//   release  - give up: failed, funds returned to the wallet
+const resolveReviewedOrder = async (order, { resolution, apiOrderId, performedBy, reason }) => {
+  let providerData = null;
+  if (resolution === 'placed') {
+    const statusCheck = await thekclaut.checkOrderStatus(apiOrderId);
+    if (!statusCheck.success || !statusCheck.data || statusCheck.data.error) {
+      return { success: false, error: `Thekclaut has no order ${apiOrderId}` };
+    }
+    providerData = { ...statusCheck.data, order: apiOrderId };
+  }
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, fundsStatus: 'reserved', 'review.requiredAt': { $exists: true } },
+    {
+      $set: {
+        'review.resolvedAt': new Date(),
+        'review.resolvedBy': performedBy,
+        'review.resolution': resolution
+      },
+      $unset: { 'review.requiredAt': '' },
+      $push: {
+        adminOverrides: {
+          action: 'resolve',
+          fromStatus: order.status,
+          toStatus: resolution === 'release' ? 'failed' : 'processing',
+          equities: order.cost,
+          reason: `${resolution}: ${reason}`,
+          performedBy
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return { success: false, error: 'Order is not awaiting review' };
+  }
+
+  if (resolution === 'placed') {
+    const placed = await settleOrderFunds(claimed, providerData, orderChargeMemo(claimed));
+    return { success: true, order: placed };
+  }
+  if (resolution === 'resubmit') {
+    return { ...await submitReservedOrder(claimed, { retry: false }), resubmitted: true };
+  }
+
+  const released = await releaseOrderFunds(claimed, null, { status: 'failed' });
+  return { success: true, order: released };
+};
+
+// 10.19 Referral earnings withdrawals
+// Users can withdraw referral earnings they have not already withdrawn, up to
+// what is left in the wallet. Requested equities sit in the user's hold account
+// until an admin marks the payout paid (hold -> platform:withdrawals) or
+// rejects it (hold -> wallet).
+const getWithdrawableEquities = (user) => {
+  const unwithdrawn = (user.referralEarnings || 0) - (user.referralWithdrawn || 0);
+  return Math.max(0, Math.min(unwithdrawn, user.balance));
+};
+
+const requestWithdrawal = async (user, equities) => {
+  try {
+    const transaction = await runInTransaction(async (session) => {
+      const claimed = await User.findOneAndUpdate(
+        {
+          _id: user._id,
+          $expr: {
+            $gte: [
+              { $subtract: ['$referralEarnings', { $ifNull: ['$referralWithdrawn', 0] }] },
+              equities
+            ]
+          }
+        },
+        { $inc: { referralWithdrawn: equities } },
+        { session }
+      );
+      if (!claimed) {
+        const error = new Error('Amount exceeds your available referral earnings');
+        error.code = 'WITHDRAWAL_LIMIT';
+        throw error;
+      }
+
+      const withdrawal = new Transaction({
+        transactionId: generateTransactionId(),
+        userId: user._id,
+        type: 'withdrawal',
+        amount: equities * EQUITY_VALUE,
+        equities,
+        status: 'pending',
+        reference: generateWithdrawalReference(),
+        payoutAccount: {
+          bankName: user.bankAccount.bankName,
+          accountNumber: user.bankAccount.accountNumber,
+          accountName: user.bankAccount.accountName
+        },
+        notes: 'Referral earnings withdrawal'
+      });
+      await withdrawal.save({ session });
+
+      await postLedgerTransfer({
+        debitAccount: walletAccount(user._id),
+        creditAccount: holdAccount(user._id),
+        amount: equities,
+        transactionId: withdrawal.transactionId,
+        reference: withdrawal.reference,
+        memo: 'Withdrawal requested',
+        session
+      });
+
+      return withdrawal;
+    });
+
+    await sendNotification(
+      user._id,
+      'Withdrawal Requested',
+      `Your withdrawal of ${formatCurrency(transaction.amount)} to ${transaction.payoutAccount.bankName} (${transaction.payoutAccount.accountNumber}) is awaiting payout.`,
+      'withdrawal'
+    );
+
+    return { success: true, transaction };
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_BALANCE') {
+      return { success: false, error: 'Insufficient balance' };
+    }
+    if (error.code === 'WITHDRAWAL_LIMIT') {
+      return { success: false, error: error.message };
+    }
+    throw error;
+  }
+};
+
+const completeWithdrawal = async (transactionId, { verifiedBy, payoutReference, notes }) => {
+  const transaction = await runInTransaction(async (session) => {
+    const claimed = await Transaction.findOneAndUpdate(
+      { transactionId, type: 'withdrawal', status: 'pending' },
+      {
+        $set: {
+          status: 'completed',
+          verifiedBy,
+          verifiedAt: new Date(),
+          payoutReference,
+          ...(notes && { notes })
+        }
+      },
+      { new: true, session }
+    );
+    if (!claimed) return null;
+
+    await postLedgerTransfer({
+      debitAccount: holdAccount(claimed.userId),
+      creditAccount: LEDGER_ACCOUNTS.withdrawals,
+      amount: claimed.equities,
+      transactionId: claimed.transactionId,
+      reference: claimed.reference,
+      memo: 'Withdrawal paid out',
+      session
+    });
+
+    return claimed;
+  });
+
+  if (!transaction) {
+    return { success: false, error: 'Withdrawal has already been processed' };
+  }
+
+  await sendNotification(
+    transaction.userId,
+    'Withdrawal Paid ✅',
+    `Your withdrawal of ${formatCurrency(transaction.amount)} has been paid to ${transaction.payoutAccount.bankName} (${transaction.payoutAccount.accountNumber}).`,
+    'withdrawal'
+  );
+
+  return { success: true, transaction };
+};
+
+const rejectWithdrawal = async (transactionId, { verifiedBy, reason }) => {
+  const transaction = await runInTransaction(async (session) => {
+    const claimed = await Transaction.findOneAndUpdate(
+      { transactionId, type: 'withdrawal', status: 'pending' },
+      {
+        $set: {
+          status: 'cancelled',
+          verifiedBy,
+          verifiedAt: new Date(),
+          notes: reason
+        }
+      },
+      { new: true, session }
+    );
+    if (!claimed) return null;
+
+    // Release the hold and make the earnings withdrawable again
+    await postLedgerTransfer({
+      debitAccount: holdAccount(claimed.userId),
+      creditAccount: walletAccount(claimed.userId),
+      amount: claimed.equities,
+      transactionId: claimed.transactionId,
+      reference: claimed.reference,
+      memo: 'Withdrawal rejected',
+      session
+    });
+
+    await User.updateOne(
+      { _id: claimed.userId },
+      { $inc: { referralWithdrawn: -claimed.equities } },
+      { session }
+    );
+
+    return claimed;
+  });
+
+  if (!transaction) {
+    return { success: false, error: 'Withdrawal has already been processed' };
+  }
+
+  await sendNotification(
+    transaction.userId,
+    'Withdrawal Rejected',
+    `Your withdrawal of ${formatCurrency(transaction.amount)} was rejected. Reason: ${reason}. ${transaction.equities} equities have been returned to your balance.`,
+    'withdrawal'
+  );
+
+  return { success: true, transaction };
+};
+
+// 10.20 Coupons
+// evaluateCoupon works out the discount (in equities) for an order and explains
+// why a code can't be used. Limits are checked again atomically when the coupon
+// is redeemed inside the order's reservation transaction.
+const evaluateCoupon = async (code, { userId, service, cost }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    return { success: false, error: 'Invalid coupon code' };
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return { success: false, error: 'This coupon is not active yet' };
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    return { success: false, error: 'This coupon has expired' };
+  }
+  if (coupon.platforms.length > 0 && !coupon.platforms.includes(service.platform)) {
+    return { success: false, error: `This coupon is not valid for ${service.platform} services` };
+  }
+  if (coupon.serviceIds.length > 0 && !coupon.serviceIds.includes(service.serviceId)) {
+    return { success: false, error: 'This coupon is not valid for this service' };
+  }
+  if (cost < coupon.minOrderValue) {
+    return { success: false, error: `This coupon requires a minimum order of ${coupon.minOrderValue} equities` };
+  }
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    return { success: false, error: 'This coupon has reached its usage limit' };
+  }
+  if (coupon.perUserLimit) {
+    const used = await CouponRedemption.countDocuments({ couponCode: coupon.code, userId });
+    if (used >= coupon.perUserLimit) {
+      return { success: false, error: 'You have already used this coupon' };
+    }
+  }
+
+  let discount = coupon.discountType === 'percentage'
+    ? Math.floor((cost * coupon.discountValue) / 100)
+    : coupon.discountValue;
+  if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+
+  // An order always costs at least 1 equity
+  discount = Math.max(0, Math.min(discount, cost - 1));
+
+  return { success: true, coupon, discount };
+};
+
+const couponUnavailable = (message) => {
+  const error = new Error(message);
+  error.code = 'COUPON_UNAVAILABLE';
+  return error;
+};
+
+// Count a redemption against the global and per-user limits. Concurrent
+// redemptions conflict on the coupon document, so the transaction retries
+// and re-checks the limits.
+const redeemCoupon = async (coupon, { userId, orderId, discount }, session) => {
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+    },
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+  if (!claimed) throw couponUnavailable('This coupon has reached its usage limit');
+
+  if (claimed.perUserLimit) {
+    const used = await CouponRedemption.countDocuments({ couponCode: claimed.code, userId }).session(session);
+    if (used >= claimed.perUserLimit) throw couponUnavailable('You have already used this coupon');
+  }
+
+  await CouponRedemption.create([{ couponCode: claimed.code, userId, orderId, discount }], { session });
+};
+
+// Give the use back when the order never reached the provider
+const releaseCouponRedemption = async (orderId, session) => {
+  const redemption = await CouponRedemption.findOneAndDelete({ orderId }, { session });
+  if (!redemption) return;
+
+  await Coupon.updateOne(
+    { code: redemption.couponCode },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+};
+
+// 10.21 Deposit bonus tiers
+// The best tier a deposit qualifies for (highest threshold) at the time the
+// deposit was requested, so the bonus credited matches the one promised.
+const tiersActiveAt = (at) => ({
+  isActive: true,
+  $and: [
+    { $or: [{ startsAt: null }, { startsAt: { $lte: at } }] },
+    { $or: [{ endsAt: null }, { endsAt: { $gt: at } }] }
+  ]
+});
+
+const calculateDepositBonus = async (amount, equities, at = new Date()) => {
+  const tier = await DepositBonusTier.findOne({
+    ...tiersActiveAt(at),
+    minAmount: { $lte: amount }
+  }).sort({ minAmount: -1, percentage: -1 });
+
+  if (!tier) return null;
+
+  const bonusEquities = Math.floor((equities * tier.percentage) / 100);
+  if (bonusEquities <= 0) return null;
+
+  return {
+    tierId: tier._id,
+    tierName: tier.name,
+    percentage: tier.percentage,
+    equities: bonusEquities,
+    naira: bonusEquities * EQUITY_VALUE
+  };
+};
+
+// 10.22 Manual balance adjustments (admin)
+const adjustUserBalance = async (userId, { direction, equities, reason, ticketId, orderId, performedBy }) => {
+  try {
+    const transaction = await runInTransaction(async (session) => {
+      const adjustment = new Transaction({
+        transactionId: generateTransactionId(),
+        userId,
+        type: 'adjustment',
+        amount: equities * EQUITY_VALUE,
+        equities,
+        status: 'completed',
+        reference: generateAdjustmentReference(),
+        adjustment: { direction, reason, ticketId, orderId },
+        verifiedBy: performedBy,
+        verifiedAt: new Date(),
+        notes: reason
+      });
+      await adjustment.save({ session });
+
+      await postLedgerTransfer({
+        debitAccount: direction === 'credit' ? LEDGER_ACCOUNTS.adjustments : walletAccount(userId),
+        creditAccount: direction === 'credit' ? walletAccount(userId) : LEDGER_ACCOUNTS.adjustments,
+        amount: equities,
+        transactionId: adjustment.transactionId,
+        reference: adjustment.reference,
+        memo: `Adjustment by ${performedBy}: ${reason}`,
+        session
+      });
+
+      return adjustment;
+    });
+
+    await sendNotification(
+      userId,
+      direction === 'credit' ? 'Balance Credited' : 'Balance Debited',
+      `${equities} equities (${formatCurrency(equities * EQUITY_VALUE)}) have been ${direction === 'credit' ? 'added to' : 'deducted from'} your balance. Reason: ${reason}`,
+      'alert'
+    );
+
+    return { success: true, transaction };
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_BALANCE') {
+      return { success: false, error: 'User balance is too low for this debit' };
+    }
+    throw error;
+  }
+};
+
+// 10.23 Account statements (built from the wallet ledger)
+const STATEMENT_MAX_DAYS = parseInt(process.env.STATEMENT_MAX_DAYS) || 366;
+
+// The account on the other side of a wallet entry tells us what the line was
+const STATEMENT_LINE_TYPES = {
+  [LEDGER_ACCOUNTS.deposits]: 'deposit',
+  [LEDGER_ACCOUNTS.orders]: 'refund',
+  [LEDGER_ACCOUNTS.referrals]: 'referral',
+  [LEDGER_ACCOUNTS.bonuses]: 'bonus',
+  [LEDGER_ACCOUNTS.adjustments]: 'adjustment',
+  [LEDGER_ACCOUNTS.opening]: 'opening'
+};
+
+const statementLineType = (entry, counterAccount) => {
+  if (STATEMENT_LINE_TYPES[counterAccount]) return STATEMENT_LINE_TYPES[counterAccount];
+  // Wallet <-> hold moves: withdrawals carry a transactionId, order reservations
+  // do not. Reservations coming back to the wallet (failed, cancelled or
+  // dead-lettered orders) are releases, not order charges.
+  if (entry.transactionId) return 'withdrawal';
+  return entry.side === 'credit' ? 'release' : 'order';
+};
+
+const buildStatement = async (userId, from, to) => {
+  const account = walletAccount(userId);
+  const openingBalance = await getLedgerBalance(userId, from);
+
+  const entries = await LedgerEntry.find({
+    account,
+    createdAt: { $gte: from, $lt: to }
+  }).sort({ createdAt: 1, _id: 1 });
+
+  const counterEntries = await LedgerEntry.find({
+    pairId: { $in: entries.map(e => e.pairId) },
+    account: { $ne: account }
+  }).select('pairId account');
+  const counterAccounts = new Map(counterEntries.map(e => [e.pairId, e.account]));
+
+  let balance = openingBalance;
+  const lines = entries.map(entry => {
+    const change = entry.side === 'credit' ? entry.amount : -entry.amount;
+    balance += change;
+
+    return {
+      date: entry.createdAt,
+      type: statementLineType(entry, counterAccounts.get(entry.pairId)),
+      description: entry.memo,
+      transactionId: entry.transactionId,
+      reference: entry.reference,
+      credit: entry.side === 'credit' ? entry.amount : 0,
+      debit: entry.side === 'debit' ? entry.amount : 0,
+      balance
+    };
+  });
+
+  return {
+    from,
+    to,
+    openingBalance,
+    closingBalance: balance,
+    totalCredits: lines.reduce((sum, line) => sum + line.credit, 0),
+    totalDebits: lines.reduce((sum, line) => sum + line.debit, 0),
+    lines
+  };
+};
+
+const statementToCSV = (statement, user) => {
+  const rows = [
+    [`${APP_NAME} Account Statement`],
+    ['Account', user.username, user.email],
+    ['Period', statement.from.toISOString().slice(0, 10), new Date(statement.to.getTime() - 1).toISOString().slice(0, 10)],
+    ['Opening Balance (Equities)', statement.openingBalance],
+    [],
+    ['Date', 'Type', 'Description', 'Transaction ID', 'Reference', 'Credit (Equities)', 'Debit (Equities)', 'Balance (Equities)'],
+    ...statement.lines.map(line => [
+      line.date.toISOString(),
+      line.type,
+      line.description,
+      line.transactionId,
+      line.reference,
+      line.credit || '',
+      line.debit || '',
+      line.balance
+    ]),
+    [],
+    ['Total Credits (Equities)', statement.totalCredits],
+    ['Total Debits (Equities)', statement.totalDebits],
+    ['Closing Balance (Equities)', statement.closingBalance]
+  ];
+
+  return toCSV(rows);
+};
+
+const renderStatementPDF = (statement, user, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(stream);
+
+  const columns = [
+    { label: 'Date', x: 40, width: 70 },
+    { label: 'Type', x: 110, width: 60 },
+    { label: 'Description', x: 170, width: 175 },
+    { label: 'Credit', x: 345, width: 65, align: 'right' },
+    { label: 'Debit', x: 410, width: 65, align: 'right' },
+    { label: 'Balance', x: 475, width: 80, align: 'right' }
+  ];
+  const formatDate = (date) => date.toISOString().slice(0, 10);
+
+  const drawRow = (values, options = {}) => {
+    if (doc.y > doc.page.height - 60) doc.addPage();
+    const y = doc.y;
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    const heights = columns.map((column, i) => doc.heightOfString(String(values[i]), { width: column.width }));
+    columns.forEach((column, i) => {
+      doc.text(String(values[i]), column.x, y, { width: column.width, align: column.align || 'left' });
+    });
+    doc.y = y + Math.max(...heights) + 4;
+  };
+
+  doc.font('Helvetica-Bold').fontSize(18).text(APP_NAME, 40, 40);
+  doc.font('Helvetica').fontSize(12).text('Account Statement');
+  doc.moveDown();
+  doc.fontSize(9)
+    .text(`Account: ${user.username} (${user.email})`)
+    .text(`Period: ${formatDate(statement.from)} to ${formatDate(new Date(statement.to.getTime() - 1))}`)
+    .text(`Generated: ${new Date().toISOString()}`)
+    .text(`All amounts in equities (1 equity = ${formatCurrency(EQUITY_VALUE)})`);
+  doc.moveDown();
+
+  drawRow(columns.map(c => c.label), { bold: true });
+  drawRow([formatDate(statement.from), '', 'Opening balance', '', '', statement.openingBalance]);
+  statement.lines.forEach(line => drawRow([
+    formatDate(line.date),
+    line.type,
+    line.description || line.reference || '',
+    line.credit || '',
+    line.debit || '',
+    line.balance
+  ]));
+  drawRow(['', '', 'Totals', statement.totalCredits, statement.totalDebits, ''], { bold: true });
+  drawRow(['', '', 'Closing balance', '', '', statement.closingBalance], { bold: true });
+
+  doc.end();
+};
+
+// 10.24 Order receipts
+// The order cost already includes VAT, which the receipt breaks out.
+// The invoice counter is created at startup (initializeCounters): upserting it
+// here could fail on a duplicate key when the first orders settle in parallel.
+const nextInvoiceNumber = async (session) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: 'invoice' },
+    { $inc: { seq: 1 } },
+    { new: true, session }
+  );
+  if (!counter) throw new Error('Invoice counter has not been initialized');
+  return `${INVOICE_PREFIX}-${String(counter.seq).padStart(6, '0')}`;
+};
+
+// Orders placed before fund reservations have no fundsStatus: they were charged
+// unless they failed, and cancelling one refunded it in full
+const isOrderCharged = (order) => (order.fundsStatus
+  ? order.fundsStatus === 'settled'
+  : !['failed', 'cancelled', 'refunded'].includes(order.status));
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const buildReceipt = (order) => {
+  const discount = order.discount || 0;
+  const subtotal = order.cost + discount;
+  const vatAmount = roundAmount(order.cost * VAT_PERCENTAGE / (100 + VAT_PERCENTAGE));
+
+  return {
+    unitPrice: Math.round((subtotal / order.quantity) * 10000) / 10000,
+    subtotal,
+    discount,
+    vatPercentage: VAT_PERCENTAGE,
+    vatAmount,
+    total: order.cost
+  };
+};
+
+const receiptDetails = (order, user) => ({
+  invoiceNumber: order.receipt.invoiceNumber,
+  issuedAt: order.receipt.issuedAt,
+  orderId: order.orderId,
+  customer: { username: user.username, email: user.email },
+  serviceName: order.serviceName,
+  platform: order.platform,
+  targetUrl: order.targetUrl,
+  quantity: order.quantity,
+  unitPrice: { equities: order.receipt.unitPrice, naira: roundAmount(order.receipt.unitPrice * EQUITY_VALUE) },
+  subtotal: { equities: order.receipt.subtotal, naira: order.receipt.subtotal * EQUITY_VALUE },
+  discount: { equities: order.receipt.discount, naira: order.receipt.discount * EQUITY_VALUE, couponCode: order.couponCode },
+  vat: {
+    percentage: order.receipt.vatPercentage,
+    equities: order.receipt.vatAmount,
+    naira: roundAmount(order.receipt.vatAmount * EQUITY_VALUE)
+  },
+  total: { equities: order.receipt.total, naira: order.receipt.total * EQUITY_VALUE },
+  regeneratedAt: order.receipt.regeneratedAt
+});
+
+const renderReceiptPDF = (receipt, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(stream);
+
+  const line = (label, value, options = {}) => {
+    const y = doc.y;
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    doc.text(label, 50, y, { width: 300 });
+    doc.text(value, 350, y, { width: 195, align: 'right' });
+    doc.moveDown(0.4);
+  };
+  const money = (amount) => `${amount.equities} Equities (${formatCurrency(amount.naira)})`;
+
+  doc.font('Helvetica-Bold').fontSize(20).text(APP_NAME, 50, 50);
+  doc.font('Helvetica').fontSize(12).text('Receipt');
+  doc.moveDown();
+  doc.fontSize(10)
+    .text(`Invoice No: ${receipt.invoiceNumber}`)
+    .text(`Date: ${new Date(receipt.issuedAt).toISOString().slice(0, 10)}`)
+    .text(`Order ID: ${receipt.orderId}`)
+    .text(`Customer: ${receipt.customer.username} (${receipt.customer.email})`);
+  doc.moveDown();
+
+  line('Service', receipt.serviceName);
+  line('Target', receipt.targetUrl);
+  line('Quantity', String(receipt.quantity));
+  line('Unit price', money(receipt.unitPrice));
+  line('Subtotal', money(receipt.subtotal));
+  if (receipt.discount.equities) {
+    line(`Discount${receipt.discount.couponCode ? ` (${receipt.discount.couponCode})` : ''}`, `-${money(receipt.discount)}`);
+  }
+  if (receipt.vat.percentage) {
+    line(`VAT (${receipt.vat.percentage}%, included)`, money(receipt.vat));
+  }
+  line('Total paid', money(receipt.total), { bold: true });
+
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(8).fillColor('#666666')
+    .text(`Amounts in equities (1 equity = ${formatCurrency(EQUITY_VALUE)}).`, 50);
+
+  doc.end();
+};
+
+// Send a receipt as JSON or as a PDF download
+const sendReceipt = (res, order, user, format) => {
+  const receipt = receiptDetails(order, user);
+
+  if (format === 'pdf') {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${receipt.invoiceNumber}.pdf"`);
+    return renderReceiptPDF(receipt, res);
+  }
+
+  res.json({
+    success: true,
+    receipt
+  });
+};
+
+// 10.25 Order status sync
+// Provider statuses ("In progress", "Canceled", ...) mapped onto Order.status
+const PROVIDER_STATUS_MAP = {
+  'pending': 'pending',
+  'processing': 'processing',
+  'in progress': 'in progress',
+  'completed': 'completed',
+  'partial': 'partial',
+  'canceled': 'cancelled',
+  'cancelled': 'cancelled'
+};
+
+const ACTIVE_ORDER_STATUSES = ['pending', 'processing', 'in progress'];
+
+const normalizeProviderStatus = (status) => {
+  return PROVIDER_STATUS_MAP[String(status || '').trim().toLowerCase()] || null;
+};
+
+// Apply one provider status payload to an order. The update is conditional on
+// the status we read, so the web view and the sync job never notify twice.
+const applyProviderStatus = async (order, data) => {
+  const now = new Date();
+  const status = normalizeProviderStatus(data?.status);
+
+  const update = { lastSyncedAt: now };
+  if (data?.start_count !== undefined) update.startCount = parseInt(data.start_count) || 0;
+  if (data?.remains !== undefined) update.remains = parseInt(data.remains) || 0;
+  if (status) update.status = status;
+  if (status === 'completed' && order.status !== 'completed') update.deliveredAt = now;
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    { $set: update },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  if (status && status !== order.status) {
+    let refundNote = '';
+    if (status === 'partial' || status === 'cancelled') {
+      const refund = await refundUndelivered(updated);
+      if (refund) refundNote = ` ${refund.transaction.equities} equities have been refunded to your balance.`;
+    }
+
+    const messages = {
+      completed: ['Order Completed! ✅', `Your order ${order.orderId} has been completed successfully.`],
+      partial: ['Order Partially Completed', `Your order ${order.orderId} was only partially delivered (${updated.remains} remaining).${refundNote}`],
+      cancelled: ['Order Cancelled', `Your order ${order.orderId} was cancelled by the provider.${refundNote}`]
+    };
+
+    if (messages[status]) {
+      await sendNotification(order.userId, messages[status][0], messages[status][1], 'order', `/orders/${order.orderId}`);
+    }
+  }
+
+  return updated;
+};
+
+// Poll active orders in batches (oldest sync first), backing off while the
+// provider is failing
+const orderSyncState = {
+  running: false,
+  failures: 0,
+  nextRunAt: 0
+};
+
+const syncOrderStatuses = async () => {
+  if (orderSyncState.running || Date.now() < orderSyncState.nextRunAt) return null;
+  orderSyncState.running = true;
+
+  const result = { checked: 0, updated: 0, errors: 0 };
+  try {
+    const orders = await Order.find({
+      status: { $in: ACTIVE_ORDER_STATUSES },
+      apiOrderId: { $exists: true, $ne: null },
+      fundsStatus: { $nin: ['reserved', 'released'] }
+    })
+      .sort({ lastSyncedAt: 1, createdAt: 1 })
+      .limit(ORDER_SYNC_MAX_PER_RUN);
+
+    for (let i = 0; i < orders.length; i += 100) {
+      const batch = orders.slice(i, i + 100);
+      const response = await thekclaut.checkMultipleOrderStatus(batch.map(o => o.apiOrderId));
+
+      if (!response.success) {
+        orderSyncState.failures++;
+        const backoffMinutes = Math.min(
+          ORDER_SYNC_INTERVAL_MINUTES * Math.pow(2, orderSyncState.failures),
+          ORDER_SYNC_MAX_BACKOFF_MINUTES
+        );
+        orderSyncState.nextRunAt = Date.now() + backoffMinutes * 60 * 1000;
+        console.error(`❌ Order sync: provider error (${response.error}), retrying in ${backoffMinutes} minutes`);
+        return result;
+      }
+
+      for (const order of batch) {
+        const data = response.data[order.apiOrderId];
+        result.checked++;
+
+        if (!data || data.error) {
+          result.errors++;
+          await Order.updateOne({ _id: order._id }, { $set: { lastSyncedAt: new Date() } });
+          continue;
+        }
+
+        const updated = await applyProviderStatus(order, data);
+        if (updated && updated.status !== order.status) result.updated++;
+      }
+    }
+
+    orderSyncState.failures = 0;
+    orderSyncState.nextRunAt = 0;
+    if (result.checked > 0) {
+      console.log(`🔄 Order sync: ${result.checked} checked, ${result.updated} updated, ${result.errors} unknown to provider`);
+    }
+    return result;
+  } catch (error) {
+    console.error('❌ Order sync error:', error.message);
+    return null;
+  } finally {
+    orderSyncState.running = false;
+  }
+};
+
+// 10.26 Order refunds
+// Refunds move platform:orders -> wallet. The order update caps the running
+// total at the order cost, and `claim` adds conditions (e.g. "no provider
+// refund yet") that make a refund happen at most once.
+const refundOrder = async (order, { equities, source, reason, performedBy, claim = {}, set = null, override = null }) => {
+  return runInTransaction(async (session) => {
+    const transactionId = generateTransactionId();
+
+    const claimed = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        ...claim,
+        $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedEquities', 0] }, equities] }, '$cost'] }
+      },
+      {
+        ...(set ? { $set: set } : {}),
+        $inc: { refundedEquities: equities },
+        $push: {
+          refunds: { transactionId, equities, source, reason, performedBy },
+          ...(override ? { adminOverrides: override } : {})
+        }
+      },
+      { new: true, session }
+    );
+    if (!claimed) return null;
+
+    const transaction = new Transaction({
+      transactionId,
+      userId: order.userId,
+      type: 'refund',
+      amount: equities * EQUITY_VALUE,
+      equities,
+      status: 'completed',
+      reference: order.orderId,
+      verifiedBy: performedBy,
+      notes: reason
+    });
+    await transaction.save({ session });
+
+    await postLedgerTransfer({
+      debitAccount: LEDGER_ACCOUNTS.orders,
+      creditAccount: walletAccount(order.userId),
+      amount: equities,
+      transactionId,
+      reference: order.orderId,
+      memo: reason,
+      session
+    });
+
+    return { order: claimed, transaction };
+  });
+};
+
+// Undelivered share of the cost, rounded down to whole equities
+const undeliveredEquities = (order) => {
+  const remains = Math.min(Math.max(order.remains || 0, 0), order.quantity);
+  return Math.floor(order.cost * remains / order.quantity);
+};
+
+// Refund what the provider did not deliver on a partial or cancelled order
+const refundUndelivered = async (order) => {
+  // Provider cancellations without a remains count were not delivered at all.
+  // Anything an admin already refunded by hand comes off the provider refund.
+  const owed = order.status === 'cancelled' && order.remains === undefined
+    ? order.cost
+    : undeliveredEquities(order);
+  const equities = Math.min(owed, order.cost - (order.refundedEquities || 0));
+  if (equities <= 0) return null;
+
+  const undelivered = order.remains === undefined ? order.quantity : order.remains;
+  return refundOrder(order, {
+    equities,
+    source: 'provider',
+    reason: `Refund for ${order.status} order: ${order.serviceName} (${undelivered}/${order.quantity} undelivered)`,
+    performedBy: 'system',
+    claim: { 'refunds.source': { $ne: 'provider' } }
+  });
+};
+
+// 10.27 Refills
+// Completed orders on refill-capable services can be refilled within the
+// guarantee window, at most once per cooldown. Admins skip window and cooldown.
+const ACTIVE_REFILL_STATUSES = ['pending', 'in progress'];
+
+const getRefillEligibility = (order, service, { now = new Date(), ignoreLimits = false } = {}) => {
+  const deliveredAt = order.deliveredAt || order.updatedAt;
+  const availableUntil = new Date(deliveredAt.getTime() + REFILL_GUARANTEE_DAYS * 24 * 60 * 60 * 1000);
+  const nextRefillAt = order.lastRefillRequestedAt
+    ? new Date(order.lastRefillRequestedAt.getTime() + REFILL_COOLDOWN_HOURS * 60 * 60 * 1000)
+    : null;
+
+  let reason = null;
+  if (!service?.refill) reason = 'This service does not support refills';
+  else if (!order.apiOrderId) reason = 'This order was never placed with the provider';
+  else if (order.status !== 'completed') reason = 'Only completed orders can be refilled';
+  else if (order.refills?.some(r => ACTIVE_REFILL_STATUSES.includes(r.status))) reason = 'A refill is already in progress';
+  else if (!ignoreLimits && now > availableUntil) reason = `The ${REFILL_GUARANTEE_DAYS}-day refill guarantee has expired`;
+  else if (!ignoreLimits && nextRefillAt && now < nextRefillAt) reason = `Next refill can be requested after ${nextRefillAt.toLocaleString()}`;
+
+  return { eligible: !reason, reason, availableUntil, nextRefillAt };
+};
+
+const requestRefill = async (order, { requestedBy, isAdmin = false }) => {
+  const now = new Date();
+  const service = await Service.findOne({ serviceId: order.serviceId });
+  const eligibility = getRefillEligibility(order, service, { now, ignoreLimits: isAdmin });
+  if (!eligibility.eligible) {
+    return { success: false, error: eligibility.reason };
+  }
+
+  // Claim the cooldown first so parallel requests cannot both reach the provider
+  const cooldownCutoff = new Date(now.getTime() - REFILL_COOLDOWN_HOURS * 60 * 60 * 1000);
+  const claimFilter = { _id: order._id, 'refills.status': { $nin: ACTIVE_REFILL_STATUSES } };
+  if (!isAdmin) {
+    claimFilter.$or = [
+      { lastRefillRequestedAt: { $exists: false } },
+      { lastRefillRequestedAt: { $lte: cooldownCutoff } }
+    ];
+  }
+  const claimed = await Order.findOneAndUpdate(claimFilter, { $set: { lastRefillRequestedAt: now } });
+  if (!claimed) {
+    return { success: false, error: 'A refill was just requested for this order' };
+  }
+
+  const result = await thekclaut.createRefill(order.apiOrderId);
+  if (!result.success || !result.data?.refill) {
+    // Give the cooldown back so the request can be retried
+    await Order.updateOne(
+      { _id: order._id, lastRefillRequestedAt: now },
+      claimed.lastRefillRequestedAt
+        ? { $set: { lastRefillRequestedAt: claimed.lastRefillRequestedAt } }
+        : { $unset: { lastRefillRequestedAt: 1 } }
+    );
+    return { success: false, error: result.data?.error || result.error || 'Provider did not accept the refill' };
+  }
+
+  const refill = {
+    refillId: String(result.data.refill),
+    status: 'pending',
+    requestedBy,
+    requestedAt: now
+  };
+  await Order.updateOne({ _id: order._id }, { $push: { refills: refill } });
+
+  return { success: true, refill };
+};
+
+const normalizeRefillStatus = (status) => {
+  const value = String(status || '').trim().toLowerCase();
+  return ['pending', 'in progress', 'completed', 'rejected', 'error'].includes(value) ? value : null;
+};
+
+// Poll open refills; runs with the order sync
+const syncRefillStatuses = async () => {
+  try {
+    const orders = await Order.find({ 'refills.status': { $in: ACTIVE_REFILL_STATUSES } }).limit(100);
+
+    for (const order of orders) {
+      for (const refill of order.refills.filter(r => ACTIVE_REFILL_STATUSES.includes(r.status))) {
+        const response = await thekclaut.checkRefillStatus(refill.refillId);
+        if (!response.success) return;
+
+        const status = normalizeRefillStatus(response.data?.status) || refill.status;
+        const updated = await Order.updateOne(
+          { _id: order._id, refills: { $elemMatch: { refillId: refill.refillId, status: refill.status } } },
+          { $set: { 'refills.$.status': status, 'refills.$.lastCheckedAt': new Date() } }
+        );
+
+        if (updated.modifiedCount > 0 && status !== refill.status && ['completed', 'rejected'].includes(status)) {
+          await sendNotification(
+            order.userId,
+            status === 'completed' ? 'Refill Completed ✅' : 'Refill Rejected',
+            status === 'completed'
+              ? `The refill for your order ${order.orderId} has been completed.`
+              : `The provider rejected the refill for your order ${order.orderId}. Please contact support if the drop persists.`,
+            'order',
+            `/orders/${order.orderId}`
+          );
+        }
+      }
+    }
+  } catch (error) {
+    console.error('❌ Refill sync error:', error.message);
+  }
+};
+
+// 10.28 Mass orders
+// Lines are "serviceId|link|quantity" or CSV rows "serviceId,link,quantity"
+// (a header row is skipped).
+const parseMassOrderInput = ({ lines, csv }) => {
+  if (csv) {
+    return parseCSV(csv)
+      .filter(row => !/^service/i.test(row[0] || ''))
+      .map((row, i) => ({ line: i + 1, serviceId: row[0], link: row[1], quantity: row[2] }));
+  }
+
+  const text = Array.isArray(lines) ? lines.join('\n') : String(lines || '');
+  return text.split(/\r?\n/)
+    .map((text, i) => ({ text: text.trim(), line: i + 1 }))
+    .filter(entry => entry.text)
+    .map(({ text, line }) => {
+      const [serviceId, link, quantity] = text.split('|').map(part => part.trim());
+      return { line, serviceId, link, quantity };
+    });
+};
+
+// Check every line against its service and price it
+const validateMassOrderLines = async (entries) => {
+  const services = await Service.find({
+    serviceId: { $in: [...new Set(entries.map(e => e.serviceId).filter(Boolean))] },
+    isActive: true
+  });
+  const servicesById = new Map(services.map(s => [s.serviceId, s]));
+
+  const lines = entries.map(entry => {
+    const service = servicesById.get(entry.serviceId);
+    const quantity = parseInt(entry.quantity);
+    const target = service && entry.link ? validateTargetUrl(service, entry.link) : null;
+    let error = null;
+
+    if (!entry.serviceId || !entry.link || !entry.quantity) error = 'Expected serviceId|link|quantity';
+    else if (!service) error = `Service ${entry.serviceId} not found`;
+    else if (!target.success) error = target.error;
+    else if (!Number.isInteger(quantity) || String(quantity) !== String(entry.quantity).trim()) error = 'Quantity must be a whole number';
+    else if (quantity < service.min || quantity > service.max) error = `Quantity must be between ${service.min} and ${service.max}`;
+
+    return {
+      ...entry,
+      link: target?.success ? target.url : entry.link,
+      quantity: error ? entry.quantity : quantity,
+      serviceName: service?.name,
+      cost: error ? 0 : Math.ceil((service.ourRate / 1000) * quantity),
+      service: error ? null : service,
+      error
+    };
+  });
+
+  // A link can only have one running order per service, including within the batch
+  const guarded = lines.filter(line => !line.error && line.service.overlapPolicy !== 'allow');
+  const running = await findOverlappingOrders(guarded.map(line => ({ serviceId: line.serviceId, targetUrl: line.link })));
+  const seen = new Set();
+  for (const line of guarded) {
+    const key = `${line.serviceId}|${line.link}`;
+    if (running.has(key) || seen.has(key)) {
+      Object.assign(line, {
+        error: 'An order for this service is already running on this link. Place it on its own to queue it.',
+        cost: 0,
+        service: null
+      });
+    }
+    seen.add(key);
+  }
+
+  return lines;
+};
+
+const massOrderLineResult = (line) => ({
+  line: line.line,
+  serviceId: line.serviceId,
+  serviceName: line.serviceName,
+  link: line.link,
+  quantity: line.quantity,
+  cost: line.cost,
+  success: !line.error,
+  orderId: line.orderId,
+  status: line.status,
+  error: line.error
+});
+
+// One summary notification once every line of a batch has been submitted
+const notifyBatchResult = async (batchId, userId) => {
+  const orders = await Order.find({ batchId }).select('status queueReason fundsStatus cost');
+  if (orders.some(order => order.status === 'queued' && order.queueReason === 'batch')) return;
+
+  const placed = orders.filter(order => order.fundsStatus === 'settled');
+  const failed = orders.filter(order => order.fundsStatus === 'released');
+  const waiting = orders.length - placed.length - failed.length;
+  const charged = placed.reduce((sum, order) => sum + order.cost, 0);
+
+  await sendNotification(
+    userId,
+    'Mass Order Placed',
+    `${placed.length} of ${orders.length} orders in batch ${batchId} were placed (${charged} equities).${waiting > 0 ? ` ${waiting} are still waiting on Thekclaut.` : ''}${failed.length > 0 ? ` ${failed.length} failed and were not charged.` : ''}`,
+    'order'
+  );
+};
+
+const batchOrderState = {
+  running: false
+};
+
+// Mass orders are reserved up front and queued; this submits their lines one
+// at a time, oldest first. A line that throws is released on its own (unless
+// its Thekclaut call was already in flight - recoverStrandedOrders has those)
+// and the run moves on to the next line.
+const submitBatchOrders = async () => {
+  if (batchOrderState.running) return;
+  batchOrderState.running = true;
+
+  try {
+    const queued = await Order.find({ status: 'queued', queueReason: 'batch' })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(MASS_ORDER_MAX_LINES);
+    const batches = new Map();
+
+    for (const order of queued) {
+      batches.set(order.batchId, order.userId);
+      try {
+        const claimed = await Order.findOneAndUpdate(
+          { _id: order._id, status: 'queued', queueReason: 'batch', fundsStatus: 'reserved' },
+          { $set: { status: 'pending' }, $unset: { queueReason: '' } },
+          { new: true }
+        );
+        if (claimed) await submitReservedOrder(claimed);
+      } catch (error) {
+        console.error(`❌ Batch order ${order.orderId} failed:`, error.message);
+        try {
+          await releaseOrderFunds(order, null, { claim: { submittingAt: { $exists: false } } });
+        } catch (releaseError) {
+          console.error(`❌ Releasing batch order ${order.orderId} failed:`, releaseError.message);
+        }
+      }
+    }
+
+    for (const [batchId, userId] of batches) {
+      await notifyBatchResult(batchId, userId);
+    }
+  } catch (error) {
+    console.error('❌ Batch order error:', error.message);
+  } finally {
+    batchOrderState.running = false;
+  }
+};
+
+// 10.29 Drip-feed orders
+// Validates the requested quantity (and runs/interval for drip-feed) against
+// the service; the total across all runs is what gets priced and charged.
+const resolveOrderQuantity = (service, { quantity, runs, interval }) => {
+  const quantityNum = parseInt(quantity);
+
+  if (!runs) {
+    if (!(quantityNum >= service.min && quantityNum <= service.max)) {
+      return { success: false, error: `Quantity must be between ${service.min} and ${service.max}` };
+    }
+    return { success: true, quantity: quantityNum, dripFeed: null };
+  }
+
+  if (!service.dripfeed) {
+    return { success: false, error: 'This service does not support drip-feed' };
+  }
+
+  const runsNum = parseInt(runs);
+  const intervalNum = parseInt(interval);
+  if (!(runsNum >= 2 && runsNum <= DRIPFEED_MAX_RUNS)) {
+    return { success: false, error: `Runs must be between 2 and ${DRIPFEED_MAX_RUNS}` };
+  }
+  if (!(intervalNum >= 1 && intervalNum <= DRIPFEED_MAX_INTERVAL_MINUTES)) {
+    return { success: false, error: `Interval must be between 1 and ${DRIPFEED_MAX_INTERVAL_MINUTES} minutes` };
+  }
+  if (!(quantityNum >= service.min)) {
+    return { success: false, error: `Quantity per run must be at least ${service.min}` };
+  }
+  if (quantityNum * runsNum > service.max) {
+    return { success: false, error: `Quantity × runs must not exceed ${service.max}` };
+  }
+
+  return {
+    success: true,
+    quantity: quantityNum * runsNum,
+    dripFeed: { runs: runsNum, interval: intervalNum, quantityPerRun: quantityNum }
+  };
+};
+
+// Per-run schedule and progress, estimated from what the provider reports as delivered
+const dripFeedProgress = (order) => {
+  if (!order.dripFeed?.runs) return null;
+
+  const { runs, interval, quantityPerRun } = order.dripFeed;
+  const active = ACTIVE_ORDER_STATUSES.includes(order.status);
+  const delivered = order.status === 'completed'
+    ? order.quantity
+    : Math.max(0, order.quantity - (order.remains ?? order.quantity));
+  const completedRuns = Math.min(runs, Math.floor(delivered / quantityPerRun));
+  const startedAt = (order.receipt?.issuedAt || order.createdAt).getTime();
+
+  return {
+    runs,
+    interval,
+    quantityPerRun,
+    totalQuantity: order.quantity,
+    delivered,
+    completedRuns,
+    // Thekclaut only reports a total remaining, not per-run delivery
+    estimated: true,
+    schedule: Array.from({ length: runs }, (_, i) => ({
+      run: i + 1,
+      scheduledAt: new Date(startedAt + i * interval * 60 * 1000),
+      quantity: quantityPerRun,
+      status: i < completedRuns
+        ? 'delivered'
+        : active ? (i === completedRuns ? 'in progress' : 'scheduled') : 'not delivered'
+    }))
+  };
+};
+
+// 10.30 Scheduled orders
+// Parses an optional scheduledFor timestamp; null means "place now".
+const resolveScheduledFor = (scheduledFor, now = new Date()) => {
+  if (scheduledFor === undefined || scheduledFor === null || scheduledFor === '') {
+    return { success: true, scheduledFor: null };
+  }
+
+  const date = new Date(scheduledFor);
+  if (isNaN(date.getTime())) {
+    return { success: false, error: 'Invalid scheduled time' };
+  }
+  if (date.getTime() < now.getTime() + SCHEDULE_MIN_LEAD_MINUTES * 60 * 1000) {
+    return { success: false, error: `Scheduled time must be at least ${SCHEDULE_MIN_LEAD_MINUTES} minutes in the future` };
+  }
+  if (date.getTime() > now.getTime() + SCHEDULE_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    return { success: false, error: `Orders can be scheduled at most ${SCHEDULE_MAX_DAYS} days ahead` };
+  }
+
+  return { success: true, scheduledFor: date };
+};
+
+const scheduledOrderState = {
+  running: false
+};
+
+// Submits due scheduled orders. Each order is claimed (scheduled -> pending)
+// before the provider call so overlapping runs never submit it twice; a failed
+// submission releases the reservation back to the wallet.
+const submitScheduledOrders = async () => {
+  if (scheduledOrderState.running) return;
+  scheduledOrderState.running = true;
+
+  try {
+    const due = await Order.find({ status: 'scheduled', scheduledFor: { $lte: new Date() } })
+      .sort({ scheduledFor: 1 })
+      .limit(50);
+
+    for (const order of due) {
+      let claimed = null;
+      try {
+        // A link that is busy by now gets the order queued rather than submitted
+        const service = await Service.findOne({ serviceId: order.serviceId });
+        const guarded = service?.overlapPolicy !== 'allow';
+        claimed = await runInTransaction(async (session) => {
+          let overlapping = null;
+          if (guarded) {
+            await lockLink(order.serviceId, order.targetUrl, session);
+            overlapping = await findOverlappingOrder(order.serviceId, order.targetUrl, order._id, session);
+          }
+          return Order.findOneAndUpdate(
+            { _id: order._id, status: 'scheduled', fundsStatus: 'reserved' },
+            { $set: overlapping ? { status: 'queued', queueReason: 'overlap' } : { status: 'pending' } },
+            { new: true, session }
+          );
+        });
+        if (!claimed) continue;
+
+        if (claimed.status === 'queued') {
+          await sendNotification(
+            claimed.userId,
+            'Scheduled Order Queued',
+            `Your scheduled order ${claimed.orderId} has been queued because another order is still running on the same link. It will be placed automatically when that finishes.`,
+            'order',
+            `/orders/${claimed.orderId}`
+          );
+          continue;
+        }
+
+        const result = await submitReservedOrder(claimed);
+        if (result.success) {
+          await sendNotification(
+            claimed.userId,
+            'Scheduled Order Placed ✅',
+            `Your scheduled order for ${claimed.serviceName} has been placed. Order ID: ${claimed.orderId}`,
+            'order',
+            `/orders/${claimed.orderId}`
+          );
+        } else if (!result.queued && !result.review && !result.skipped) {
+          console.error(`❌ Scheduled order ${claimed.orderId} failed:`, result.error);
+          await sendNotification(
+            claimed.userId,
+            'Scheduled Order Failed',
+            `Your scheduled order ${claimed.orderId} could not be placed. ${claimed.cost} equities have been returned to your wallet.`,
+            'order',
+            `/orders/${claimed.orderId}`
+          );
+        }
+      } catch (error) {
+        // Unclaimed orders stay scheduled for the next run; a claimed order that
+        // never reached Thekclaut is released, anything further along is left to
+        // recoverStrandedOrders
+        console.error(`❌ Scheduled order ${order.orderId} failed:`, error.message);
+        if (claimed?.status !== 'pending') continue;
+        try {
+          const released = await releaseOrderFunds(claimed, null, {
+            claim: { status: 'pending', submittingAt: { $exists: false }, 'review.requiredAt': { $exists: false } }
+          });
+          if (released) {
+            await sendNotification(
+              claimed.userId,
+              'Scheduled Order Failed',
+              `Your scheduled order ${claimed.orderId} could not be placed. ${claimed.cost} equities have been returned to your wallet.`,
+              'order',
+              `/orders/${claimed.orderId}`
+            );
+          }
+        } catch (releaseError) {
+          console.error(`❌ Releasing scheduled order ${order.orderId} failed:`, releaseError.message);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('❌ Scheduled order error:', error.message);
+  } finally {
+    scheduledOrderState.running = false;
+  }
+};
+
+// 10.31 Auto-engagement subscriptions
+// Every delivered post becomes an order of its own, so it is charged, receipted
+// and shown in statements like any other order. A subscription pauses the
+// moment a post can't be paid for.
+// Thekclaut subscription services watch the profile for new posts. Without
+// one, the local fallback can only repeat an order on the profile link
+// itself, which suits followers/subscribers but not post services like likes.
+const subscriptionMode = (service) => {
+  if (service.subscription) return 'provider';
+  const kinds = TARGET_KIND_OVERRIDES[service.platform]?.[service.serviceType]
+    || TARGET_KINDS_BY_TYPE[service.serviceType];
+  return kinds?.includes('profile') ? 'local' : null;
+};
+
+const validateSubscriptionRequest = (service, { profileUrl, quantityPerPost, maxPosts, expiresAt, intervalHours }, now = new Date()) => {
+  const profile = validateTargetUrl(service, profileUrl, { kinds: ['profile'] });
+  if (!profile.success) {
+    return { success: false, error: profile.error };
+  }
+
+  const quantity = parseInt(quantityPerPost);
+  if (!(quantity >= service.min && quantity <= service.max)) {
+    return { success: false, error: `Quantity per post must be between ${service.min} and ${service.max}` };
+  }
+
+  const posts = parseInt(maxPosts);
+  if (!(posts >= 1 && posts <= SUBSCRIPTION_MAX_POSTS)) {
+    return { success: false, error: `Maximum posts must be between 1 and ${SUBSCRIPTION_MAX_POSTS}` };
+  }
+
+  const expiry = new Date(expiresAt);
+  if (isNaN(expiry.getTime()) || expiry <= now) {
+    return { success: false, error: 'Expiry date must be in the future' };
+  }
+  if (expiry.getTime() > now.getTime() + SUBSCRIPTION_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    return { success: false, error: `Subscriptions can run for at most ${SUBSCRIPTION_MAX_DAYS} days` };
+  }
+
+  const mode = subscriptionMode(service);
+  if (!mode) {
+    return { success: false, error: 'This service delivers to posts, and the provider cannot watch a profile for new posts with it' };
+  }
+
+  // The local fallback can't see new posts, so it delivers on a fixed interval
+  let interval = null;
+  if (mode === 'local') {
+    interval = parseInt(intervalHours) || 24;
+    if (!(interval >= 1 && interval <= 168)) {
+      return { success: false, error: 'Interval must be between 1 and 168 hours' };
+    }
+  }
+
+  return {
+    success: true,
+    values: {
+      profileUrl: profile.url,
+      quantityPerPost: quantity,
+      maxPosts: posts,
+      expiresAt: expiry,
+      intervalHours: interval,
+      costPerPost: Math.ceil((service.ourRate / 1000) * quantity),
+      mode
+    }
+  };
+};
+
+// Thekclaut subscriptions take a username rather than a link
+const subscriptionUsername = (profileUrl) => {
+  const path = String(profileUrl).split(/[?#]/)[0].replace(/\/+$/, '');
+  return path.split('/').pop().replace(/^@/, '');
+};
+
+// Create the provider-side subscription for the posts still to be delivered
+const startProviderSubscription = async (subscription) => {
+  const expiry = subscription.expiresAt;
+  const result = await thekclaut.createSubscription(
+    subscription.serviceId,
+    subscriptionUsername(subscription.profileUrl),
+    subscription.quantityPerPost,
+    subscription.maxPosts - subscription.postsDelivered,
+    `${String(expiry.getUTCDate()).padStart(2, '0')}/${String(expiry.getUTCMonth() + 1).padStart(2, '0')}/${expiry.getUTCFullYear()}`
+  );
+
+  if (!result.success || !result.data?.order) {
+    return { success: false, error: result.success ? result.data : result.error };
+  }
+  return { success: true, apiSubscriptionId: String(result.data.order) };
+};
+
+// Record a provider subscription that was just started. If the record can't be
+// written the provider side is cancelled again, so it never runs unrecorded.
+const recordStartedSubscription = async (filter, update, apiSubscriptionId) => {
+  let recorded = null;
+  try {
+    recorded = await Subscription.findOneAndUpdate(filter, update, { new: true });
+  } finally {
+    if (!recorded) {
+      const cancelResult = await thekclaut.cancelOrder(apiSubscriptionId);
+      if (!cancelResult.success) {
+        console.error(`❌ Could not cancel provider subscription ${apiSubscriptionId}:`, cancelResult.error);
+      }
+    }
+  }
+  return recorded;
+};
+
+// Charge the wallet for one post. Provider posts are already delivered, so the
+// order for post number `post` is created completed and settled; local posts
+// are placed with Thekclaut now.
+const chargeSubscriptionPost = async (subscription, service, post = null) => {
+  const order = new Order({
+    orderId: generateOrderId(),
+    userId: subscription.userId,
+    serviceId: subscription.serviceId,
+    serviceName: subscription.serviceName,
+    platform: service.platform,
+    type: service.serviceType,
+    targetUrl: subscription.profileUrl,
+    quantity: subscription.quantityPerPost,
+    cost: subscription.costPerPost,
+    subscriptionId: subscription.subscriptionId,
+    ...(post ? { subscriptionPost: post, status: 'completed' } : { status: 'pending' })
+  });
+
+  // Local posts go to a link that may have an order running, so they get the
+  // overlap check /api/orders/place does. Rather than queue, a busy link skips
+  // the run: the next run is this subscription's retry.
+  const guarded = !post && service.overlapPolicy !== 'allow';
+
+  let charged = order;
+  try {
+    const reservation = await reserveOrderFunds(order, null, { overlap: guarded ? { queue: false } : null });
+    if (reservation.overlap) {
+      return { success: false, overlap: true, error: reservation.error };
+    }
+    if (!reservation.success) {
+      return { success: false, insufficientBalance: true, error: reservation.error };
+    }
+  } catch (error) {
+    if (error.code !== 11000 || !post) throw error;
+
+    // An earlier run created this post's order but stopped before finishing
+    charged = await Order.findOne({ subscriptionId: subscription.subscriptionId, subscriptionPost: post });
+    if (!charged) throw error;
+    if (charged.fundsStatus !== 'reserved') return { success: true, order: charged };
+  }
+
+  if (subscription.mode === 'local') {
+    // The next run is this subscription's retry
+    return submitReservedOrder(order, { retry: false });
+  }
+
+  const settled = await settleOrderFunds(
+    charged,
+    { subscription: subscription.apiSubscriptionId },
+    `Subscription ${subscription.subscriptionId}: ${subscription.serviceName} - ${subscription.quantityPerPost} units`,
+    { status: 'completed' }
+  );
+  return { success: true, order: settled || charged };
+};
+
+// Provider posts that were delivered but not yet paid for. postsCharged only
+// moves once a post's order is settled, and that order is unique per post, so
+// a run that fails part-way is simply picked up again and never charges twice.
+const chargeOutstandingPosts = async (subscription, service) => {
+  let current = subscription;
+  while (current.postsCharged < current.postsDelivered) {
+    const post = current.postsCharged + 1;
+    const charge = await chargeSubscriptionPost(current, service, post);
+    if (!charge.success) {
+      return { ...charge, subscription: current };
+    }
+
+    current = await Subscription.findOneAndUpdate(
+      { _id: current._id, postsCharged: post - 1 },
+      { $set: { postsCharged: post }, $inc: { equitiesCharged: current.costPerPost } },
+      { new: true }
+    );
+    if (!current) return { success: false, error: 'Subscription was updated concurrently' };
+  }
+  return { success: true, subscription: current };
+};
+
+// Thekclaut reports how many posts the current provider subscription has
+// delivered; record any new ones as delivered (and so owed)
+const syncProviderPosts = async (subscription, now = new Date()) => {
+  const response = await thekclaut.checkOrderStatus(subscription.apiSubscriptionId);
+  if (!response.success || response.data?.error) return { success: false };
+
+  const reportedPosts = parseInt(response.data.posts) || 0;
+  const newPosts = Math.max(0, reportedPosts - subscription.providerPosts);
+  const checked = await Subscription.findOneAndUpdate(
+    { _id: subscription._id, status: subscription.status, providerPosts: subscription.providerPosts },
+    {
+      $set: { providerPosts: Math.max(reportedPosts, subscription.providerPosts), lastCheckedAt: now },
+      $inc: { postsDelivered: newPosts }
+    },
+    { new: true }
+  );
+  if (!checked) return { success: false };
+
+  return {
+    success: true,
+    subscription: checked,
+    providerStatus: String(response.data.status || '').trim().toLowerCase()
+  };
+};
+
+// Move an active subscription to paused/completed/expired/cancelled, stopping
+// the provider side when there is one
+const stopSubscription = async (subscription, status, pauseReason = null) => {
+  const update = { $set: { status } };
+  if (pauseReason) update.$set.pauseReason = pauseReason;
+  else update.$unset = { pauseReason: '' };
+
+  const stopped = await Subscription.findOneAndUpdate(
+    { _id: subscription._id, status: subscription.status },
+    update,
+    { new: true }
+  );
+  if (!stopped) return null;
+
+  if (subscription.status === 'active' && subscription.mode === 'provider' && subscription.apiSubscriptionId && status !== 'completed') {
+    const cancelResult = await thekclaut.cancelOrder(subscription.apiSubscriptionId);
+    if (!cancelResult.success) {
+      console.error(`❌ Could not cancel provider subscription ${subscription.apiSubscriptionId}:`, cancelResult.error);
+    }
+  }
+
+  return stopped;
+};
+
+const SUBSCRIPTION_STOP_MESSAGES = {
+  'insufficient-balance': ['Subscription Paused', (s) => `Your subscription ${s.subscriptionId} has been paused because your balance can't cover the next post (${s.costPerPost} equities). Deposit and resume it to continue.`],
+  'provider-error': ['Subscription Paused', (s) => `Your subscription ${s.subscriptionId} has been paused because the provider stopped it. Please resume it or contact support.`],
+  completed: ['Subscription Completed ✅', (s) => `Your subscription ${s.subscriptionId} has delivered all ${s.maxPosts} posts.`],
+  expired: ['Subscription Expired', (s) => `Your subscription ${s.subscriptionId} has expired after ${s.postsDelivered} posts.`]
+};
+
+const notifySubscriptionStopped = async (subscription, key) => {
+  const [title, message] = SUBSCRIPTION_STOP_MESSAGES[key];
+  await sendNotification(subscription.userId, title, message(subscription), 'order', `/subscriptions/${subscription.subscriptionId}`);
+};
+
+// One scheduler pass over an active subscription
+const processSubscription = async (subscription, now = new Date()) => {
+  const finish = async (current, providerEnded = false) => {
+    let status = null;
+    let pauseReason = null;
+    if (current.postsDelivered >= current.maxPosts) status = 'completed';
+    else if (current.expiresAt <= now) status = 'expired';
+    else if (providerEnded) [status, pauseReason] = ['paused', 'provider-error'];
+    if (!status) return false;
+
+    const stopped = await stopSubscription(current, status, pauseReason);
+    if (stopped) await notifySubscriptionStopped(stopped, pauseReason || status);
+    return true;
+  };
+
+  const service = await Service.findOne({ serviceId: subscription.serviceId });
+  if (!service) {
+    console.error(`❌ Subscription ${subscription.subscriptionId}: service ${subscription.serviceId} not found`);
+    return;
+  }
+
+  if (subscription.mode === 'local') {
+    if (await finish(subscription) || subscription.nextRunAt > now) return;
+
+    // Claim this run before placing the order
+    const claimed = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: 'active', nextRunAt: subscription.nextRunAt },
+      { $set: { nextRunAt: new Date(now.getTime() + subscription.intervalHours * 60 * 60 * 1000), lastCheckedAt: now } },
+      { new: true }
+    );
+    if (!claimed) return;
+
+    const charge = await chargeSubscriptionPost(claimed, service);
+    if (charge.success) {
+      await Subscription.updateOne(
+        { _id: claimed._id },
+        { $inc: { postsDelivered: 1, postsCharged: 1, equitiesCharged: claimed.costPerPost } }
+      );
+    } else if (charge.insufficientBalance) {
+      const stopped = await stopSubscription(claimed, 'paused', 'insufficient-balance');
+      if (stopped) await notifySubscriptionStopped(stopped, 'insufficient-balance');
+    } else if (charge.review) {
+      // Still reserved until an admin has checked it with Thekclaut
+      console.error(`❌ Subscription ${claimed.subscriptionId}: order needs review`, charge.error);
+    } else if (charge.overlap) {
+      console.log(`⏳ Subscription ${claimed.subscriptionId}: link busy with another order, skipping this run`);
+    } else {
+      // The reservation was released; the next run tries again
+      console.error(`❌ Subscription ${claimed.subscriptionId}: order failed`, charge.error);
+    }
+    return;
+  }
+
+  // Provider mode: pick up newly delivered posts before deciding anything else,
+  // so posts delivered just before expiry are still charged
+  const synced = await syncProviderPosts(subscription, now);
+  if (!synced.success) return;
+
+  const charged = await chargeOutstandingPosts(synced.subscription, service);
+  if (!charged.subscription) return;
+  if (charged.insufficientBalance) {
+    const stopped = await stopSubscription(charged.subscription, 'paused', 'insufficient-balance');
+    if (stopped) await notifySubscriptionStopped(stopped, 'insufficient-balance');
+    return;
+  }
+
+  await finish(charged.subscription, ['canceled', 'cancelled', 'expired', 'completed'].includes(synced.providerStatus));
+};
+
+const subscriptionJobState = {
+  running: false
+};
+
+const processSubscriptions = async () => {
+  if (subscriptionJobState.running) return;
+  subscriptionJobState.running = true;
+
+  try {
+    const now = new Date();
+    const subscriptions = await Subscription.find({
+      status: 'active',
+      $or: [
+        { mode: 'provider' },
+        { nextRunAt: { $lte: now } },
+        { expiresAt: { $lte: now } }
+      ]
+    })
+      .sort({ lastCheckedAt: 1 })
+      .limit(100);
+
+    for (const subscription of subscriptions) {
+      try {
+        await processSubscription(subscription, now);
+      } catch (error) {
+        console.error(`❌ Subscription ${subscription.subscriptionId} error:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Subscription job error:', error.message);
+  } finally {
+    subscriptionJobState.running = false;
+  }
+};
+
+// Pay for any posts delivered while paused, then restart delivery
+const resumeSubscription = async (subscription) => {
+  if (subscription.expiresAt <= new Date()) {
+    return { success: false, error: 'Subscription has expired' };
+  }
+
+  const service = await Service.findOne({ serviceId: subscription.serviceId });
+  if (!service || subscriptionMode(service) !== subscription.mode) {
+    return { success: false, error: 'Service is no longer available' };
+  }
+
+  // Claim it first, so two resumes can't both start a provider subscription
+  const claimed = await Subscription.findOneAndUpdate(
+    { _id: subscription._id, status: 'paused' },
+    { $set: { status: 'resuming' } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { success: false, error: 'Subscription is no longer paused' };
+  }
+  const releaseClaim = () => Subscription.updateOne(
+    { _id: claimed._id, status: 'resuming' },
+    { $set: { status: 'paused' } }
+  );
+
+  try {
+    const charged = await chargeOutstandingPosts(claimed, service);
+    if (!charged.success) {
+      await releaseClaim();
+      return { success: false, error: charged.error };
+    }
+
+    const current = charged.subscription;
+    const filter = { _id: current._id, status: 'resuming' };
+    const update = { $set: { status: 'active' }, $unset: { pauseReason: '' } };
+    if (current.mode === 'local') {
+      update.$set.nextRunAt = new Date();
+      return { success: true, subscription: await Subscription.findOneAndUpdate(filter, update, { new: true }) };
+    }
+
+    const started = await startProviderSubscription(current);
+    if (!started.success) {
+      await releaseClaim();
+      return { success: false, error: 'Failed to restart the subscription with the provider' };
+    }
+    Object.assign(update.$set, { apiSubscriptionId: started.apiSubscriptionId, providerPosts: 0 });
+    const resumed = await recordStartedSubscription(filter, update, started.apiSubscriptionId);
+    if (!resumed) {
+      return { success: false, error: 'Subscription was updated concurrently' };
+    }
+    return { success: true, subscription: resumed };
+  } catch (error) {
+    await releaseClaim();
+    throw error;
+  }
+};
+
+const subscriptionResponse = (subscription) => ({
+  subscriptionId: subscription.subscriptionId,
+  serviceId: subscription.serviceId,
+  serviceName: subscription.serviceName,
+  platform: subscription.platform,
+  profileUrl: subscription.profileUrl,
+  quantityPerPost: subscription.quantityPerPost,
+  maxPosts: subscription.maxPosts,
+  expiresAt: subscription.expiresAt,
+  costPerPost: subscription.costPerPost,
+  mode: subscription.mode,
+  intervalHours: subscription.intervalHours,
+  nextRunAt: subscription.mode === 'local' && subscription.status === 'active' ? subscription.nextRunAt : undefined,
+  status: subscription.status,
+  pauseReason: subscription.pauseReason,
+  postsDelivered: subscription.postsDelivered,
+  postsCharged: subscription.postsCharged,
+  equitiesCharged: subscription.equitiesCharged,
+  postsOwed: subscription.postsDelivered - subscription.postsCharged,
+  createdAt: subscription.createdAt
+});
+
+// 10.32 Overlapping orders
+// Providers reject or mis-count a second order for the same service and link
+// while the first is running, so such orders are queued (or refused, per the
+// service's overlapPolicy). Queued orders count as running too, which keeps
+// the queue for a link first-in, first-out.
+const OVERLAP_MESSAGE = 'Another order for this service is still running on this link. The provider may reject or mis-count a second order until it finishes.';
+
+// Active orders that still hold their link. An order that looks abandoned
+// doesn't: reserved but untouched past the submit lease (recoverStrandedOrders
+// takes those over), or still "running" ORDER_OVERLAP_MAX_HOURS after its
+// last drip-feed run was due.
+const runningOrderFilter = (now = new Date()) => ({
+  status: { $in: ACTIVE_ORDER_STATUSES },
+  $nor: [{
+    status: 'pending',
+    fundsStatus: 'reserved',
+    updatedAt: { $lt: new Date(now.getTime() - ORDER_SUBMIT_STALE_MINUTES * 60 * 1000) }
+  }],
+  $expr: {
+    $gt: [{
+      $add: [
+        { $ifNull: ['$scheduledFor', '$createdAt'] },
+        ORDER_OVERLAP_MAX_HOURS * 60 * 60 * 1000,
+        { $multiply: [{ $ifNull: ['$dripFeed.runs', 0] }, { $ifNull: ['$dripFeed.interval', 0] }, 60 * 1000] }
+      ]
+    }, now]
+  }
+});
+
+// Oldest running order for a service and link, by any user
+const findOverlappingOrder = async (serviceId, targetUrl, excludeId = null, session = null) => {
+  const query = { serviceId, targetUrl, $or: [runningOrderFilter(), { status: 'queued' }] };
+  if (excludeId) query._id = { $ne: excludeId };
+  return Order.findOne(query).sort({ createdAt: 1 }).session(session);
+};
+
+// "serviceId|targetUrl" keys of the given pairs that have a running order
+const findOverlappingOrders = async (pairs) => {
+  if (pairs.length === 0) return new Set();
+
+  const orders = await Order.find({ $and: [{ $or: [runningOrderFilter(), { status: 'queued' }] }, { $or: pairs }] })
+    .select('serviceId targetUrl');
+  return new Set(orders.map(order => `${order.serviceId}|${order.targetUrl}`));
+};
+
+// Checking a link and claiming it (inserting an order, or moving one to a
+// running status) happen in one transaction that bumps the link's lock first.
+// Two claims on the same link then conflict, and the retried one sees the
+// other's order.
+const lockLink = async (serviceId, targetUrl, session) => {
+  await LinkLock.updateOne(
+    { _id: `${serviceId}|${targetUrl}` },
+    { $inc: { version: 1 } },
+    { upsert: true, session }
+  );
+};
+
+const overlapConflict = (res, canQueue) => res.status(409).json({
+  success: false,
+  overlap: true,
+  canQueue,
+  message: canQueue
+    ? `${OVERLAP_MESSAGE} You can queue this order to start automatically when it does.`
+    : `${OVERLAP_MESSAGE} Please try again once it has finished.`
+});
+
+const queuedOrderState = {
+  running: false
+};
+
+// Submit queued orders whose link is free: nothing running on it and no
+// older order queued ahead of them
+const submitQueuedOrders = async () => {
+  if (queuedOrderState.running) return;
+  queuedOrderState.running = true;
+
+  try {
+    const queued = await Order.find({ status: 'queued', queueReason: 'overlap' })
+      .sort({ createdAt: 1 })
+      .limit(50);
+
+    for (const order of queued) {
+      const claimed = await runInTransaction(async (session) => {
+        await lockLink(order.serviceId, order.targetUrl, session);
+        const blocking = await Order.exists({
+          serviceId: order.serviceId,
+          targetUrl: order.targetUrl,
+          _id: { $ne: order._id },
+          $or: [
+            runningOrderFilter(),
+            { status: 'queued', createdAt: { $lt: order.createdAt } }
+          ]
+        }).session(session);
+        if (blocking) return null;
+
+        return Order.findOneAndUpdate(
+          { _id: order._id, status: 'queued', fundsStatus: 'reserved' },
+          { $set: { status: 'pending' }, $unset: { queueReason: '' } },
+          { new: true, session }
+        );
+      });
+      if (!claimed) continue;
+
+      const result = await submitReservedOrder(claimed);
+      if (result.success) {
+        await sendNotification(
+          claimed.userId,
+          'Queued Order Placed ✅',
+          `The earlier order on your link has finished, so your queued order ${claimed.orderId} has now been placed.`,
+          'order',
+          `/orders/${claimed.orderId}`
+        );
+      } else if (!result.queued && !result.review && !result.skipped) {
+        console.error(`❌ Queued order ${claimed.orderId} failed:`, result.error);
+        await sendNotification(
+          claimed.userId,
+          'Queued Order Failed',
+          `Your queued order ${claimed.orderId} could not be placed. ${claimed.cost} equities have been returned to your wallet.`,
+          'order',
+          `/orders/${claimed.orderId}`
+        );
+      }
+    }
+  } catch (error) {
+    console.error('❌ Queued order error:', error.message);
+  } finally {
+    queuedOrderState.running = false;
+  }
+};
+
+// 10.33 Provider retry queue
+// Requests that never reached Thekclaut (connection refused, DNS failure),
+// 429s and 5xx responses are worth another try; anything Thekclaut actually
+// answered (bad link, quantity, its own balance) is permanent.
+const UNDELIVERED_REQUEST_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// A timeout, dropped connection or gateway timeout may have reached Thekclaut
+// and placed the order, so it is neither resubmitted nor released blindly:
+// the retry looks it up first, and when retries run out it goes to review
+const isUnansweredProviderError = (providerResult) => {
+  if (providerResult.success) return false;
+  if (providerResult.status) return providerResult.status === 504;
+  return !UNDELIVERED_REQUEST_CODES.includes(providerResult.code);
+};
+
+const isTransientProviderError = (providerResult) => {
+  if (providerResult.success || isUnansweredProviderError(providerResult)) return false;
+  return !providerResult.status || providerResult.status === 429 || providerResult.status >= 500;
+};
+
+const describeProviderError = (error) => {
+  if (typeof error === 'string') return error;
+  return error?.error || JSON.stringify(error) || 'Unknown provider error';
+};
+
+// Queue a reserved order for another attempt with exponential backoff, or
+// dead-letter it (failed, funds released) once the attempts are used up. An
+// order that may have been placed (`unanswered`, now or on an earlier attempt)
+// goes to review instead of being released.
+const scheduleOrderRetry = async (order, error, { unanswered = false } = {}) => {
+  const attempts = (order.retry?.attempts || 0) + 1;
+  const lastError = describeProviderError(error).slice(0, 500);
+
+  if (attempts >= ORDER_RETRY_MAX_ATTEMPTS && (unanswered || order.retry?.unanswered)) {
+    const flagged = await flagOrderForReview(
+      order,
+      `No answer from Thekclaut after ${attempts} attempts: ${lastError}`,
+      { 'retry.attempts': attempts, 'retry.lastError': lastError }
+    );
+    return { success: false, review: true, order: flagged, error };
+  }
+
+  if (attempts >= ORDER_RETRY_MAX_ATTEMPTS) {
+    await releaseOrderFunds(order, error, {
+      set: {
+        'retry.attempts': attempts,
+        'retry.lastError': lastError,
+        'retry.deadLetteredAt': new Date()
+      }
+    });
+    console.error(`❌ Order ${order.orderId} dead-lettered after ${attempts} attempts: ${lastError}`);
+    return { success: false, deadLettered: true, error };
+  }
+
+  const delayMinutes = Math.min(
+    ORDER_RETRY_BASE_DELAY_MINUTES * Math.pow(2, attempts - 1),
+    ORDER_RETRY_MAX_DELAY_MINUTES
+  );
+  const queued = await Order.findOneAndUpdate(
+    { _id: order._id, fundsStatus: 'reserved' },
+    {
+      $set: {
+        status: 'queued',
+        queueReason: 'retry',
+        'retry.attempts': attempts,
+        'retry.lastError': lastError,
+        'retry.nextAttemptAt': new Date(Date.now() + delayMinutes * 60 * 1000),
+        ...(unanswered ? { 'retry.unanswered': true } : {})
+      },
+      $unset: { submittingAt: '' }
+    },
+    { new: true }
+  );
+  console.warn(`⚠️ Order ${order.orderId} attempt ${attempts} failed (${lastError}), retrying in ${delayMinutes} minutes`);
+  return { success: false, queued: true, order: queued, error };
+};
+
+const orderRetryState = {
+  running: false
+};
+
+const retryQueuedOrders = async () => {
+  if (orderRetryState.running) return;
+  orderRetryState.running = true;
+
+  try {
+    const due = await Order.find({
+      status: 'queued',
+      queueReason: 'retry',
+      submittingAt: { $exists: false },
+      'retry.nextAttemptAt': { $lte: new Date() }
+    })
+      .sort({ 'retry.nextAttemptAt': 1 })
+      .limit(50);
+
+    for (const order of due) {
+      // The order stays queued while the attempt runs; pushing nextAttemptAt
+      // out is the lease, so an attempt that dies before reaching Thekclaut is
+      // simply picked up again (one that dies during the call has submittingAt
+      // set and goes to recoverStrandedOrders)
+      const claimed = await Order.findOneAndUpdate(
+        {
+          _id: order._id,
+          status: 'queued',
+          queueReason: 'retry',
+          fundsStatus: 'reserved',
+          submittingAt: { $exists: false },
+          'retry.nextAttemptAt': order.retry.nextAttemptAt
+        },
+        { $set: { 'retry.nextAttemptAt': new Date(Date.now() + ORDER_SUBMIT_STALE_MINUTES * 60 * 1000) } },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      const result = await submitReservedOrder(claimed);
+      if (result.success) {
+        await sendNotification(
+          claimed.userId,
+          'Order Placed ✅',
+          `Your order ${claimed.orderId} has now been placed after the provider recovered.`,
+          'order',
+          `/orders/${claimed.orderId}`
+        );
+      } else if (!result.queued && !result.review && !result.skipped) {
+        await sendNotification(
+          claimed.userId,
+          'Order Failed',
+          `Your order ${claimed.orderId} could not be placed. ${claimed.cost} equities have been returned to your wallet.`,
+          'order',
+          `/orders/${claimed.orderId}`
+        );
+      }
+    }
+  } catch (error) {
+    console.error('❌ Order retry error:', error.message);
+  } finally {
+    orderRetryState.running = false;
+  }
+};
+
+// Admin replay of a dead-lettered order: reserve its cost from the wallet again
+// and submit it as a fresh attempt
+const replayDeadLetteredOrder = async (order, { performedBy, reason }) => {
+  const orderId = order._id;
+  const { userId, cost } = order;
+  const override = {
+    action: 'replay',
+    fromStatus: order.status,
+    toStatus: 'pending',
+    equities: cost,
+    reason,
+    performedBy
+  };
+
+  let claimed;
+  try {
+    claimed = await runInTransaction(async (session) => {
+      const updated = await Order.findOneAndUpdate(
+        { _id: orderId, status: 'failed', fundsStatus: 'released', 'retry.deadLetteredAt': { $exists: true } },
+        {
+          $set: {
+            status: 'pending',
+            fundsStatus: 'reserved',
+            'retry.attempts': 0,
+            'retry.replayedAt': new Date(),
+            'retry.replayedBy': performedBy
+          },
+          $unset: { 'retry.deadLetteredAt': '', 'retry.nextAttemptAt': '' },
+          $push: { adminOverrides: override }
+        },
+        { new: true, session }
+      );
+      if (!updated) return null;
+
+      await postLedgerTransfer({
+        debitAccount: walletAccount(userId),
+        creditAccount: holdAccount(userId),
+        amount: cost,
+        reference: updated.orderId,
+        memo: `Funds reserved for replay of order ${updated.orderId}`,
+        session
+      });
+      return updated;
+    });
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_BALANCE') {
+      return { success: false, error: `User balance is below the order cost (${cost} equities)` };
+    }
+    throw error;
+  }
+
+  if (!claimed) {
+    return { success: false, error: 'Order is not dead-lettered or was already replayed' };
+  }
+
+  return { ...await submitReservedOrder(claimed), replayed: true };
+};
+
+// 11. API ROUTES
+// ==============
+
+// 11.1 HEALTH CHECK ENDPOINT
+app.get('/api/health', async (req, res) => {
+  try {
+    const dbStatus = mongoose.connection.readyState;
+    const dbStates = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+    
+    const apiCheck = await thekclaut.getBalance();
+    const memoryUsage = process.memoryUsage();
+    const uptime = process.uptime();
+    
+    res.json({
+      success: true,
+      message: `${APP_NAME} API is running`,
+      timestamp: new Date().toISOString(),
+      app: {
+        name: APP_NAME,
+        version: '1.0.0',
+        environment: process.env.NODE_ENV || 'development',
+        nodeVersion: process.version,
+        uptime: `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m ${Math.floor(uptime % 60)}s`
+      },
+      database: {
+        status: dbStates[dbStatus],
+        connected: dbStatus === 1,
+        name: mongoose.connection.name,
+        host: mongoose.connection.host
+      },
+      thekclautAPI: {
+        status: apiCheck.success ? 'connected' : 'disconnected',
+        balance: apiCheck.success ? `₦${apiCheck.data.balance}` : 'unavailable',
+        key: process.env.THEKCLAUT_API_KEY ? 'Configured' : 'Missing'
+      },
+      configuration: {
+        equityValue: EQUITY_VALUE,
+        markupPercentage: MARKUP_PERCENTAGE,
+        jwtExpire: JWT_EXPIRE,
+        port: PORT,
+        frontendUrl: process.env.FRONTEND_URL,
+        moniepointAccount: process.env.MONIEPOINT_ACCOUNT_NUMBER ? 'Configured' : 'Missing'
+      },
+      system: {
+        memory: {
+          rss: `${Math.round(memoryUsage.rss / 1024 / 1024)} MB`,
+          heapTotal: `${Math.round(memoryUsage.heapTotal / 1024 / 1024)} MB`,
+          heapUsed: `${Math.round(memoryUsage.heapUsed / 1024 / 1024)} MB`
+        },
+        platform: process.platform,
+        arch: process.arch
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Health check failed',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 11.2 AUTHENTICATION ROUTES
+// ==========================
+
+// REGISTER
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { username, email, password, phone, referralCode } = req.body;
+
+    // Validation
+    if (!username || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username, email, and password are required'
+      });
+    }
+
+    // Email validation
+    const emailRegex = /^\S+@\S+\.\S+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter a valid email address'
+      });
+    }
+
+    // Check if user exists
+    const existingUser = await User.findOne({
+      $or: [{ email }, { username }]
+    });
+
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: existingUser.email === email ? 'Email already registered' : 'Username already taken'
+      });
+    }
+
+    // Phone validation
+    if (phone && !validateNigerianPhone(phone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter a valid Nigerian phone number'
+      });
+    }
+
+    // Hash password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    // Generate referral code
+    const userReferralCode = generateReferralCode();
+
+    // Create user
+    const user = new User({
+      username,
+      email,
+      password: hashedPassword,
+      phone,
+      referralCode: userReferralCode
+    });
+
+    // Handle referral
+    if (referralCode) {
+      const referrer = await User.findOne({ referralCode });
+      if (referrer) {
+        user.referredBy = referrer.referralCode;
+      }
+    }
+
+    await user.save();
+
+    // Generate JWT token
+    const token = jwt.sign(
+      { userId: user._id, role: user.role },
+      process.env.JWT_SECRET,
+      { expiresIn: JWT_EXPIRE }
+    );
+
+    // Update last login
+    await updateLastLogin(user._id);
+
+    // Send welcome notification
+    await sendNotification(
+      user._id,
+      'Welcome to E-Acquire! 🎉',
+      'Your account has been created successfully. Make your first deposit to start boosting your social media.',
+      'system'
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Registration successful',
+      token,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        balance: user.balance,
+        referralCode: user.referralCode,
+        role: user.role,
+        phone: user.phone
+      }
+    });
+
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Registration failed',
+      error: error.message
+    });
+  }
+});
+
+// LOGIN
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      });
+    }
+
+    // Find user
+    const user = await User.findOne({ email }).select('+password');
+    
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Check password
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Check if account is active
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Contact support.'
+      });
+    }
+
+    // Generate JWT token
+    const token = jwt.sign(
+      { userId: user._id, role: user.role },
+      process.env.JWT_SECRET,
+      { expiresIn: JWT_EXPIRE }
+    );
+
+    // Update last login
+    await updateLastLogin(user._id);
+
+    // Send login notification
+    await sendNotification(
+      user._id,
+      'New Login Detected',
+      `You logged into your E-Acquire account at ${new Date().toLocaleTimeString()}.`,
+      'alert'
+    );
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        balance: user.balance,
+        referralCode: user.referralCode,
+        role: user.role,
+        phone: user.phone
+      }
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: error.message
+    });
+  }
+});
+
+// 11.3 USER PROFILE ROUTES
+// ========================
+
+// GET PROFILE
+app.get('/api/user/profile', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('-password');
+    
+    res.json({
+      success: true,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        balance: user.balance,
+        totalSpent: user.totalSpent,
+        totalOrders: user.totalOrders,
+        referralCode: user.referralCode,
+        referralCount: user.referralCount,
+        referralEarnings: user.referralEarnings,
+        withdrawableEarnings: getWithdrawableEquities(user),
+        bankAccount: user.bankAccount,
+        role: user.role,
+        phone: user.phone,
+        isVerified: user.isVerified,
+        isActive: user.isActive,
+        createdAt: user.createdAt,
+        lastLogin: user.lastLogin
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch profile',
+      error: error.message
+    });
+  }
+});
+
+// UPDATE PROFILE
+app.put('/api/user/profile', authenticate, async (req, res) => {
+  try {
+    const { phone } = req.body;
+    const updates = {};
+
+    if (phone) {
+      if (!validateNigerianPhone(phone)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please enter a valid Nigerian phone number'
+        });
+      }
+      updates.phone = phone;
+    }
+
+    updates.updatedAt = new Date();
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      updates,
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      user
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update profile',
+      error: error.message
+    });
+  }
+});
+
+// UPDATE PAYOUT BANK ACCOUNT
+app.put('/api/user/bank-account', authenticate, async (req, res) => {
+  try {
+    const { bankName, accountNumber, accountName } = req.body;
+
+    if (!bankName || !accountNumber || !accountName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bank name, account number and account name are required'
+      });
+    }
+
+    if (!validateNigerianAccountNumber(String(accountNumber).trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter a valid 10-digit account number'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      {
+        bankAccount: {
+          bankName: String(bankName).trim(),
+          accountNumber: String(accountNumber).trim(),
+          accountName: String(accountName).trim()
+        },
+        updatedAt: new Date()
+      },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Bank account saved successfully',
+      bankAccount: user.bankAccount
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save bank account',
+      error: error.message
+    });
+  }
+});
+
+// CHANGE PASSWORD
+app.post('/api/user/change-password', authenticate, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password and new password are required'
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be at least 6 characters'
+      });
+    }
+
+    // Verify current password
+    const user = await User.findById(req.user._id).select('+password');
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    // Hash new password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(newPassword, salt);
+
+    // Update password
+    user.password = hashedPassword;
+    user.updatedAt = new Date();
+    await user.save();
+
+    // Send notification
+    await sendNotification(
+      user._id,
+      'Password Changed',
+      'Your E-Acquire account password has been changed successfully.',
+      'alert'
+    );
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password',
+      error: error.message
+    });
+  }
+});
+
+// 11.4 DEPOSIT ROUTES
+// ====================
+
+// GET DEPOSIT DETAILS
+app.get('/api/deposit/details', authenticate, async (req, res) => {
+  try {
+    const bonusTiers = await DepositBonusTier.find(tiersActiveAt(new Date())).sort({ minAmount: 1 });
+
+    res.json({
+      success: true,
+      accountDetails: {
+        accountName: process.env.MONIEPOINT_ACCOUNT_NAME,
+        accountNumber: process.env.MONIEPOINT_ACCOUNT_NUMBER,
+        bankName: process.env.MONIEPOINT_BANK_NAME,
+        note: 'Send exact amount with your reference number. Upload proof after payment.'
+      },
+      bonusTiers: bonusTiers.map(tier => ({
+        name: tier.name,
+        minAmount: tier.minAmount,
+        percentage: tier.percentage,
+        endsAt: tier.endsAt
+      })),
+      support: {
+        email: process.env.SUPPORT_EMAIL,
+        phone: process.env.SUPPORT_PHONE,
+        whatsapp: process.env.SUPPORT_WHATSAPP
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch deposit details',
+      error: error.message
+    });
+  }
+});
+
+// REQUEST DEPOSIT
+app.post('/api/deposit/request', authenticate, idempotent, async (req, res) => {
+  try {
+    const { amount } = req.body;
+
+    if (!amount || isNaN(amount)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid amount is required'
+      });
+    }
+
+    const amountNum = parseFloat(amount);
+    
+    // Minimum deposit: ₦500 (50 equities)
+    if (amountNum < 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Minimum deposit is ₦500'
+      });
+    }
+
+    // Maximum deposit: ₦500,000 (50,000 equities)
+    if (amountNum > 500000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maximum deposit is ₦500,000'
+      });
+    }
+
+    // Calculate equities
+    const equities = Math.floor(amountNum / EQUITY_VALUE);
+
+    // Generate reference
+    const reference = generateReference();
+    const transactionId = generateTransactionId();
+
+    // Create deposit request
+    const transaction = new Transaction({
+      transactionId,
+      userId: req.user._id,
+      type: 'deposit',
+      amount: amountNum,
+      equities: equities,
+      status: 'pending',
+      reference: reference,
+      expiresAt: new Date(Date.now() + DEPOSIT_EXPIRY_HOURS * 60 * 60 * 1000)
+    });
+
+    await transaction.save();
+
+    // Bonus the user will get once the deposit is approved
+    const expectedBonus = await calculateDepositBonus(amountNum, equities, transaction.createdAt);
+
+    // Send notification
+    await sendNotification(
+      req.user._id,
+      'Deposit Request Created',
+      `Your deposit request of ${formatCurrency(amountNum)} (${equities} equities) has been created.${expectedBonus ? ` You'll get a ${expectedBonus.equities} equity bonus once it is approved.` : ''}`,
+      'deposit'
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Deposit request created successfully',
+      deposit: {
+        transactionId: transaction.transactionId,
+        amount: transaction.amount,
+        equities: transaction.equities,
+        reference: transaction.reference,
+        status: transaction.status,
+        expiresAt: transaction.expiresAt,
+        createdAt: transaction.createdAt
+      },
+      expectedBonus: expectedBonus ? {
+        tier: expectedBonus.tierName,
+        percentage: expectedBonus.percentage,
+        equities: expectedBonus.equities,
+        naira: expectedBonus.naira,
+        totalEquities: equities + expectedBonus.equities
+      } : null,
+      instructions: {
+        1: `Send ${formatCurrency(amountNum)} to: ${process.env.MONIEPOINT_ACCOUNT_NAME}`,
+        2: `Account Number: ${process.env.MONIEPOINT_ACCOUNT_NUMBER}`,
+        3: `Bank: ${process.env.MONIEPOINT_BANK_NAME}`,
+        4: `Use Reference: ${reference}`,
+        5: `Upload payment proof after payment (within ${DEPOSIT_EXPIRY_HOURS} hours)`
+      }
+    });
+
+  } catch (error) {
+    console.error('Deposit request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create deposit request',
+      error: error.message
+    });
+  }
+});
+
+// UPLOAD PAYMENT PROOF (multipart/form-data: proof, transactionId, senderName, ...)
+app.post('/api/deposit/upload-proof', authenticate, handleProofUpload, async (req, res) => {
+  try {
+    const { transactionId, senderName, senderAccount, transactionDate } = req.body;
+
+    if (!transactionId || !req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transaction ID and proof image are required'
+      });
+    }
+
+    // Find the transaction
+    const transaction = await Transaction.findOne({
+      transactionId,
+      userId: req.user._id,
+      type: 'deposit',
+      status: 'pending'
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending deposit not found'
+      });
+    }
+
+    if (isDepositExpired(transaction)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This deposit request has expired. Please create a new request.'
+      });
+    }
+
+    const stored = await storePaymentProof(transaction.transactionId, req.file);
+    if (!stored.success) {
+      return res.status(400).json({
+        success: false,
+        message: stored.error
+      });
+    }
+
+    // Replace any earlier proof for this deposit
+    const previousProof = transaction.proof?.key
+      ? { key: transaction.proof.key, thumbnailKey: transaction.proof.thumbnailKey }
+      : null;
+
+    stored.proof.duplicates = await findDuplicateProofs(transaction, stored.proof);
+    if (stored.proof.duplicates.length > 0) {
+      console.warn(`⚠️ Proof for ${transaction.transactionId} matches ${stored.proof.duplicates.length} earlier deposit(s)`);
+    }
+
+    // Update transaction with proof
+    transaction.proof = stored.proof;
+    transaction.proofImage = undefined;
+    transaction.moniepointDetails = {
+      senderName: senderName || 'Not provided',
+      senderAccount: senderAccount || 'Not provided',
+      transactionDate: transactionDate ? new Date(transactionDate) : new Date()
+    };
+    transaction.updatedAt = new Date();
+
+    await transaction.save();
+
+    if (previousProof && previousProof.key !== stored.proof.key) {
+      await Promise.all([
+        proofStorage.remove(previousProof.key),
+        proofStorage.remove(previousProof.thumbnailKey)
+      ]).catch(error => console.error('Error removing previous proof:', error.message));
+    }
+
+    // Send notification to user
+    await sendNotification(
+      req.user._id,
+      'Payment Proof Uploaded',
+      'Your payment proof has been uploaded successfully. Please wait for admin verification (usually within 2-12 hours).',
+      'deposit'
+    );
+
+    res.json({
+      success: true,
+      message: 'Payment proof uploaded successfully',
+      transaction: {
+        transactionId: transaction.transactionId,
+        status: transaction.status,
+        hasProof: true,
+        proofSha256: transaction.proof.sha256,
+        updatedAt: transaction.updatedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Upload proof error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload proof',
+      error: error.message
+    });
+  }
+});
+
+// DOWNLOAD PAYMENT PROOF (?variant=full|thumbnail)
+app.get('/api/deposit/proof/:transactionId', authorizeProofAccess, async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const { variant = 'full' } = req.query;
+
+    const query = { transactionId, type: 'deposit' };
+    if (req.proofAccess !== 'signed' && !['admin', 'support'].includes(req.user.role)) {
+      query.userId = req.user._id;
+    }
+
+    const transaction = await Transaction.findOne(query);
+
+    if (!transaction || !transaction.proof?.key) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment proof not found'
+      });
+    }
+
+    const isThumbnail = variant === 'thumbnail';
+    const file = await proofStorage.read(isThumbnail ? transaction.proof.thumbnailKey : transaction.proof.key);
+
+    res.set({
+      'Content-Type': isThumbnail ? 'image/jpeg' : transaction.proof.mimeType,
+      'Content-Length': file.length,
+      'Cache-Control': 'private, max-age=300',
+      'Content-Disposition': `inline; filename="proof-${transaction.transactionId}${isThumbnail ? '-thumb' : ''}"`
+    });
+    res.send(file);
+
+  } catch (error) {
+    console.error('Download proof error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payment proof',
+      error: error.message
+    });
+  }
+});
+
+// GET DEPOSIT HISTORY
+app.get('/api/deposit/history', authenticate, async (req, res) => {
+  try {
+    const transactions = await Transaction.find({
+      userId: req.user._id,
+      type: 'deposit'
+    }).sort({ createdAt: -1 }).limit(50);
+
+    res.json({
+      success: true,
+      transactions: transactions.map(t => ({
+        transactionId: t.transactionId,
+        amount: t.amount,
+        equities: t.equities,
+        status: t.expiredAt || isDepositExpired(t) ? 'expired' : t.status,
+        reference: t.reference,
+        hasProof: !!(t.proof?.key || t.proofImage),
+        expiresAt: t.expiresAt,
+        expiredAt: t.expiredAt,
+        verifiedBy: t.verifiedBy,
+        verifiedAt: t.verifiedAt,
+        createdAt: t.createdAt,
+        updatedAt: t.updatedAt
+      })),
+      total: transactions.length
+    });
+  } catch (error) {
+    console.error('Deposit history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch deposit history',
+      error: error.message
+    });
+  }
+});
+
+// PAYMENT WEBHOOK (bank / payment processor credit notifications)
+app.post('/api/webhooks/payment', async (req, res) => {
+  try {
+    if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+      return res.status(503).json({
+        success: false,
+        message: 'Payment webhook is not configured'
+      });
+    }
+
+    const signature = req.headers['x-webhook-signature'];
+    if (!verifyWebhookSignature(req.rawBody, signature)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const {
+      eventId,
+      reference,
+      narration,
+      amount,
+      senderName,
+      senderAccount,
+      transactionRef,
+      transactionDate
+    } = req.body;
+
+    const amountNum = parseFloat(amount);
+    if (!amount || isNaN(amountNum)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid amount is required'
+      });
+    }
+
+    // Processors retry deliveries - acknowledge duplicates without re-processing
+    if (eventId) {
+      const duplicate = await PaymentNotification.findOne({ eventId });
+      if (duplicate) {
+        return res.json({
+          success: true,
+          message: 'Notification already processed',
+          notificationId: duplicate.notificationId,
+          status: duplicate.status
+        });
+      }
+    }
+
+    const depositReference = extractDepositReference(reference, narration);
+
+    const notification = new PaymentNotification({
+      notificationId: generateNotificationId(),
+      source: 'webhook',
+      eventId: eventId || undefined,
+      reference: depositReference,
+      amount: amountNum,
+      senderName,
+      senderAccount,
+      transactionRef,
+      transactionDate: transactionDate ? new Date(transactionDate) : new Date(),
+      narration,
+      payload: req.body,
+      status: 'unmatched'
+    });
+
+    const transaction = depositReference
+      ? await Transaction.findOne({ reference: depositReference, type: 'deposit' })
+      : null;
+
+    if (transaction) {
+      notification.matchedTransactionId = transaction.transactionId;
+
+      if (transaction.status !== 'pending') {
+        notification.status = 'not_pending';
+      } else if (Math.abs(transaction.amount - amountNum) > 0.009) {
+        notification.status = 'amount_mismatch';
+      } else {
+        transaction.moniepointDetails = {
+          senderName: senderName || 'Not provided',
+          senderAccount: senderAccount || 'Not provided',
+          amount: amountNum,
+          transactionDate: notification.transactionDate,
+          transactionRef
+        };
+        await transaction.save();
+
+        const result = await creditDeposit(transaction.transactionId, {
+          verifiedBy: 'payment-webhook',
+          notes: 'Deposit credited automatically from payment notification'
+        });
+        notification.status = result.success ? 'credited' : 'not_pending';
+        if (!result.success) notification.notes = result.error;
+      }
+    }
+
+    await notification.save();
+
+    if (notification.status !== 'credited') {
+      console.warn(`⚠️ Payment notification ${notification.notificationId} queued for review: ${notification.status}`);
+    }
+
+    res.json({
+      success: true,
+      message: notification.status === 'credited'
+        ? 'Deposit credited'
+        : 'Notification queued for admin review',
+      notificationId: notification.notificationId,
+      status: notification.status
+    });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process payment notification',
+      error: error.message
+    });
+  }
+});
+
+// 11.5 SERVICE ROUTES
+// ===================
+
+// GET ALL SERVICES
+app.get('/api/services', async (req, res) => {
+  try {
+    // Get all active services
+    const services = await Service.find({ isActive: true }).sort({
+      platform: 1,
+      serviceType: 1,
+      rate: 1
+    });
+
+    // Group services by platform
+    const groupedServices = {};
+    services.forEach(service => {
+      if (!groupedServices[service.platform]) {
+        groupedServices[service.platform] = [];
+      }
+      
+      groupedServices[service.platform].push({
+        id: service.serviceId,
+        name: service.name,
+        category: service.category,
+        platform: service.platform,
+        type: service.serviceType,
+        rate: service.rate,
+        ourRate: service.ourRate,
+        nairaRate: service.nairaRate,
+        min: service.min,
+        max: service.max,
+        refill: service.refill,
+        cancel: service.cancel,
+        dripfeed: service.dripfeed,
+        subscription: service.subscription,
+        subscriptionMode: subscriptionMode(service),
+        overlapPolicy: service.overlapPolicy,
+        quality: service.quality,
+        speed: service.speed,
+        description: service.description,
+        isActive: service.isActive
+      });
+    });
+
+    // Get last updated service
+    const lastUpdatedService = await Service.findOne().sort({ lastUpdated: -1 });
+
+    res.json({
+      success: true,
+      services: groupedServices,
+      lastUpdated: lastUpdatedService?.lastUpdated || new Date(),
+      count: services.length,
+      pricing: {
+        equityValue: EQUITY_VALUE,
+        markupPercentage: MARKUP_PERCENTAGE
+      }
+    });
+
+  } catch (error) {
+    console.error('Get services error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch services',
+      error: error.message
+    });
+  }
+});
+
+// GET SERVICE BY ID
+app.get('/api/services/:serviceId', async (req, res) => {
+  try {
+    const { serviceId } = req.params;
+    
+    const service = await Service.findOne({ serviceId });
+    
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      service: {
+        id: service.serviceId,
+        name: service.name,
+        category: service.category,
+        platform: service.platform,
+        type: service.serviceType,
+        rate: service.rate,
+        ourRate: service.ourRate,
+        nairaRate: service.nairaRate,
+        min: service.min,
+        max: service.max,
+        refill: service.refill,
+        cancel: service.cancel,
+        dripfeed: service.dripfeed,
+        description: service.description,
+        quality: service.quality,
+        speed: service.speed,
+        isActive: service.isActive,
+        lastUpdated: service.lastUpdated
+      }
+    });
+
+  } catch (error) {
+    console.error('Get service error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch service',
+      error: error.message
+    });
+  }
+});
+
+// 11.6 ORDER ROUTES
+// =================
+
+// CALCULATE ORDER COST
+app.post('/api/orders/calculate', authenticate, async (req, res) => {
+  try {
+    const { serviceId, quantity, couponCode, runs, interval, targetUrl } = req.body;
+
+    if (!serviceId || !quantity) {
+      return res.status(400).json({
+        success: false,
+        message: 'Service ID and quantity are required'
+      });
+    }
+
+    const service = await Service.findOne({ serviceId });
+    
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    // Validate the link too when one is given, so the order form can check it early
+    const target = targetUrl ? validateTargetUrl(service, targetUrl) : null;
+    if (target && !target.success) {
+      return res.status(400).json({
+        success: false,
+        message: target.error
+      });
+    }
+
+    // Validate quantity (and drip-feed runs/interval)
+    const resolved = resolveOrderQuantity(service, { quantity, runs, interval });
+    if (!resolved.success) {
+      return res.status(400).json({
+        success: false,
+        message: resolved.error
+      });
+    }
+    const quantityNum = resolved.quantity;
+
+    // Calculate cost
+    const originalCost = Math.ceil((service.ourRate / 1000) * quantityNum);
+
+    // Apply coupon
+    let coupon = null;
+    let discount = 0;
+    if (couponCode) {
+      const couponResult = await evaluateCoupon(couponCode, { userId: req.user._id, service, cost: originalCost });
+      if (!couponResult.success) {
+        return res.status(400).json({
+          success: false,
+          message: couponResult.error
+        });
+      }
+      coupon = couponResult.coupon;
+      discount = couponResult.discount;
+    }
+
+    const cost = originalCost - discount;
+    const costNaira = cost * EQUITY_VALUE;
+
+    res.json({
+      success: true,
+      calculation: {
+        serviceName: service.name,
+        platform: service.platform,
+        type: service.serviceType,
+        targetUrl: target?.url,
+        targetKind: target?.kind,
+        quantity: quantityNum,
+        dripFeed: resolved.dripFeed,
+        originalCostEquities: originalCost,
+        discountEquities: discount,
+        coupon: coupon ? {
+          code: coupon.code,
+          description: coupon.description,
+          discountType: coupon.discountType,
+          discountValue: coupon.discountValue
+        } : null,
+        costEquities: cost,
+        costNaira: costNaira,
+        perUnit: {
+          equities: (service.ourRate / 1000).toFixed(3),
+          naira: ((service.ourRate * EQUITY_VALUE) / 1000).toFixed(2)
+        },
+        min: service.min,
+        max: service.max
+      }
+    });
+
+  } catch (error) {
+    console.error('Calculate order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate order cost',
+      error: error.message
+    });
+  }
+});
+
+// PLACE ORDER
+app.post('/api/orders/place', authenticate, idempotent, async (req, res) => {
+  try {
+    const { serviceId, targetUrl, quantity, couponCode, runs, interval, scheduledFor, queueIfBusy } = req.body;
+
+    if (!serviceId || !targetUrl || !quantity) {
+      return res.status(400).json({
+        success: false,
+        message: 'Service ID, target URL, and quantity are required'
+      });
+    }
+
+    // Get service
+    const service = await Service.findOne({ serviceId });
+    
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    // Validate the link for the service's platform and type
+    const target = validateTargetUrl(service, targetUrl);
+    if (!target.success) {
+      return res.status(400).json({
+        success: false,
+        message: target.error
+      });
+    }
+
+    // Validate quantity (and drip-feed runs/interval)
+    const resolved = resolveOrderQuantity(service, { quantity, runs, interval });
+    if (!resolved.success) {
+      return res.status(400).json({
+        success: false,
+        message: resolved.error
+      });
+    }
+    const quantityNum = resolved.quantity;
+
+    // Validate the optional future submission time
+    const schedule = resolveScheduledFor(scheduledFor);
+    if (!schedule.success) {
+      return res.status(400).json({
+        success: false,
+        message: schedule.error
+      });
+    }
+
+    // Another order running on the same link: refuse, or queue when the user
+    // has agreed to (scheduled orders are checked when they fire). This early
+    // check saves a reservation; the one that counts runs with the reservation.
+    const guarded = !schedule.scheduledFor && service.overlapPolicy !== 'allow';
+    const canQueue = service.overlapPolicy !== 'block';
+    let queued = false;
+    if (guarded) {
+      const overlapping = await findOverlappingOrder(service.serviceId, target.url);
+      if (overlapping) {
+        if (!canQueue || !queueIfBusy) {
+          return overlapConflict(res, canQueue);
+        }
+        queued = true;
+      }
+    }
+
+    // Calculate cost
+    const originalCost = Math.ceil((service.ourRate / 1000) * quantityNum);
+
+    // Apply coupon
+    let coupon = null;
+    let discount = 0;
+    if (couponCode) {
+      const couponResult = await evaluateCoupon(couponCode, { userId: req.user._id, service, cost: originalCost });
+      if (!couponResult.success) {
+        return res.status(400).json({
+          success: false,
+          message: couponResult.error
+        });
+      }
+      coupon = couponResult.coupon;
+      discount = couponResult.discount;
+    }
+
+    const cost = originalCost - discount;
+
+    // Generate order ID
+    const orderId = generateOrderId();
+
+    // Create order in database
+    const order = new Order({
+      orderId,
+      userId: req.user._id,
+      serviceId,
+      serviceName: service.name,
+      platform: service.platform,
+      type: service.serviceType,
+      targetUrl: target.url,
+      quantity: quantityNum,
+      dripFeed: resolved.dripFeed || undefined,
+      cost,
+      couponCode: coupon ? coupon.code : undefined,
+      discount,
+      status: schedule.scheduledFor ? 'scheduled' : queued ? 'queued' : 'pending',
+      queueReason: queued ? 'overlap' : undefined,
+      scheduledFor: schedule.scheduledFor || undefined
+    });
+
+    // Reserve the cost (and redeem the coupon) before talking to Thekclaut -
+    // this is the balance check
+    const reservation = await reserveOrderFunds(order, coupon, {
+      overlap: guarded ? { queue: canQueue && Boolean(queueIfBusy) } : null
+    });
+    if (!reservation.success) {
+      if (reservation.overlap) {
+        return overlapConflict(res, canQueue);
+      }
+      return res.status(400).json({
+        success: false,
+        message: reservation.error
+      });
+    }
+    queued = order.status === 'queued';
+
+    // Scheduled and queued orders stay reserved until a background job submits them
+    if (order.status !== 'pending') {
+      await sendNotification(
+        req.user._id,
+        queued ? 'Order Queued' : 'Order Scheduled',
+        queued
+          ? `Your order for ${service.name} will be placed automatically when the order already running on that link finishes. Order ID: ${orderId}`
+          : `Your order for ${service.name} will be placed on ${schedule.scheduledFor.toLocaleString()}. Order ID: ${orderId}`,
+        'order',
+        `/orders/${orderId}`
+      );
+
+      return res.status(201).json({
+        success: true,
+        message: queued ? 'Order queued successfully' : 'Order scheduled successfully',
+        order: {
+          orderId: order.orderId,
+          serviceName: order.serviceName,
+          targetUrl: order.targetUrl,
+          quantity: order.quantity,
+          dripFeed: order.dripFeed?.runs ? order.dripFeed : undefined,
+          cost: order.cost,
+          couponCode: order.couponCode,
+          discount: order.discount,
+          status: order.status,
+          queueReason: order.queueReason,
+          scheduledFor: order.scheduledFor,
+          createdAt: order.createdAt
+        }
+      });
+    }
+
+    // Place order on Thekclaut; a failure marks the order failed and returns
+    // the reserved funds, success charges the reservation
+    const submitted = await submitReservedOrder(order);
+
+    // Thekclaut never answered: the order stays reserved until it is confirmed
+    if (submitted.review) {
+      return res.status(202).json({
+        success: true,
+        message: 'Thekclaut did not respond in time. Your order is being checked with the provider and will be placed or refunded shortly.',
+        order: {
+          orderId: order.orderId,
+          serviceName: order.serviceName,
+          targetUrl: order.targetUrl,
+          quantity: order.quantity,
+          cost: order.cost,
+          status: 'pending',
+          createdAt: order.createdAt
+        }
+      });
+    }
+
+    // Thekclaut was unreachable, errored or didn't answer: the order waits in
+    // the retry queue
+    if (submitted.queued) {
+      return res.status(202).json({
+        success: true,
+        message: 'Thekclaut is temporarily unavailable. Your order has been queued and will be retried automatically.',
+        order: {
+          orderId: order.orderId,
+          serviceName: order.serviceName,
+          targetUrl: order.targetUrl,
+          quantity: order.quantity,
+          cost: order.cost,
+          status: 'queued',
+          queueReason: 'retry',
+          nextAttemptAt: submitted.order?.retry?.nextAttemptAt,
+          createdAt: order.createdAt
+        }
+      });
+    }
     
-    if (!user) {
-      return res.status(401).json({
+    if (!submitted.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to place order on Thekclaut',
+        error: submitted.error
+      });
+    }
+
+    const placedOrder = submitted.order;
+
+    // Send notification
+    await sendNotification(
+      req.user._id,
+      'Order Placed Successfully!',
+      `Your order for ${service.name} has been placed. Order ID: ${orderId}`,
+      'order',
+      `/orders/${orderId}`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Order placed successfully',
+      order: {
+        orderId: placedOrder.orderId,
+        serviceName: placedOrder.serviceName,
+        targetUrl: placedOrder.targetUrl,
+        quantity: placedOrder.quantity,
+        dripFeed: placedOrder.dripFeed?.runs ? placedOrder.dripFeed : undefined,
+        cost: placedOrder.cost,
+        couponCode: placedOrder.couponCode,
+        discount: placedOrder.discount,
+        status: placedOrder.status,
+        apiOrderId: placedOrder.apiOrderId,
+        invoiceNumber: placedOrder.receipt?.invoiceNumber,
+        createdAt: placedOrder.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Place order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to place order',
+      error: error.message
+    });
+  }
+});
+
+// PREVIEW MASS ORDER
+app.post('/api/orders/mass/preview', authenticate, async (req, res) => {
+  try {
+    const entries = parseMassOrderInput(req.body);
+
+    if (entries.length === 0 || entries.length > MASS_ORDER_MAX_LINES) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide between 1 and ${MASS_ORDER_MAX_LINES} order lines`
+      });
+    }
+
+    const lines = await validateMassOrderLines(entries);
+    const totalCost = lines.reduce((sum, line) => sum + line.cost, 0);
+
+    res.json({
+      success: true,
+      lines: lines.map(massOrderLineResult),
+      validLines: lines.filter(line => !line.error).length,
+      totalCost,
+      totalNaira: totalCost * EQUITY_VALUE,
+      balance: req.user.balance,
+      sufficientBalance: req.user.balance >= totalCost
+    });
+
+  } catch (error) {
+    console.error('Mass order preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview mass order',
+      error: error.message
+    });
+  }
+});
+
+// PLACE MASS ORDER
+// Valid lines are reserved together up front; invalid lines and lines the
+// provider rejects are reported without blocking the rest.
+app.post('/api/orders/mass', authenticate, idempotent, async (req, res) => {
+  try {
+    const entries = parseMassOrderInput(req.body);
+
+    if (entries.length === 0 || entries.length > MASS_ORDER_MAX_LINES) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide between 1 and ${MASS_ORDER_MAX_LINES} order lines`
+      });
+    }
+
+    const lines = await validateMassOrderLines(entries);
+    const validLines = lines.filter(line => !line.error);
+
+    if (validLines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid order lines',
+        results: lines.map(massOrderLineResult)
+      });
+    }
+
+    const batchId = generateBatchId();
+    const orderIds = new Set();
+    const orders = validLines.map(line => {
+      let orderId = generateOrderId();
+      while (orderIds.has(orderId)) orderId = generateOrderId();
+      orderIds.add(orderId);
+      line.orderId = orderId;
+
+      return new Order({
+        orderId,
+        userId: req.user._id,
+        serviceId: line.serviceId,
+        serviceName: line.service.name,
+        platform: line.service.platform,
+        type: line.service.serviceType,
+        targetUrl: line.link,
+        quantity: line.quantity,
+        cost: line.cost,
+        batchId,
+        status: 'queued',
+        queueReason: 'batch'
+      });
+    });
+
+    const reservation = await reserveOrderBatch(orders, batchId, {
+      guarded: orders.filter((order, i) => validLines[i].service.overlapPolicy !== 'allow')
+    });
+    if (!reservation.success) {
+      return res.status(reservation.overlap ? 409 : 400).json({
+        success: false,
+        message: reservation.error,
+        totalCost: validLines.reduce((sum, line) => sum + line.cost, 0)
+      });
+    }
+
+    // Lines are submitted to Thekclaut in the background; each one is settled
+    // or released on its own and the user is notified when the batch is done
+    validLines.forEach(line => { line.status = 'queued'; });
+    setImmediate(submitBatchOrders);
+
+    res.status(202).json({
+      success: true,
+      message: `${validLines.length} of ${lines.length} orders accepted and queued for placement`,
+      batchId,
+      queued: validLines.length,
+      rejected: lines.length - validLines.length,
+      reserved: reservation.total,
+      results: lines.map(massOrderLineResult)
+    });
+
+  } catch (error) {
+    console.error('Mass order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to place mass order',
+      error: error.message
+    });
+  }
+});
+
+// GET USER ORDERS
+app.get('/api/orders/my-orders', authenticate, async (req, res) => {
+  try {
+    const { status, limit = 50, page = 1 } = req.query;
+    const skip = (page - 1) * limit;
+    
+    const query = { userId: req.user._id };
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+    
+    const orders = await Order.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    
+    const total = await Order.countDocuments(query);
+
+    res.json({
+      success: true,
+      orders: orders.map(order => ({
+        orderId: order.orderId,
+        serviceName: order.serviceName,
+        platform: order.platform,
+        type: order.type,
+        targetUrl: order.targetUrl,
+        quantity: order.quantity,
+        cost: order.cost,
+        couponCode: order.couponCode,
+        discount: order.discount,
+        status: order.status,
+        apiOrderId: order.apiOrderId,
+        startCount: order.startCount,
+        remains: order.remains,
+        scheduledFor: order.scheduledFor,
+        queueReason: order.queueReason,
+        createdAt: order.createdAt,
+        updatedAt: order.updatedAt,
+        deliveredAt: order.deliveredAt
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch orders',
+      error: error.message
+    });
+  }
+});
+
+// GET ORDER DETAILS
+app.get('/api/orders/:orderId', authenticate, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    let order = await Order.findOne({
+      orderId,
+      userId: req.user._id
+    });
+
+    if (!order) {
+      return res.status(404).json({
         success: false,
-        message: 'User not found.'
+        message: 'Order not found'
+      });
+    }
+
+    // Check order status from Thekclaut if still processing
+    if (order.apiOrderId && (order.status === 'processing' || order.status === 'in progress')) {
+      try {
+        const statusCheck = await thekclaut.checkOrderStatus(order.apiOrderId);
+        
+        if (statusCheck.success) {
+          const updated = await applyProviderStatus(order, statusCheck.data);
+          if (updated) order = updated;
+        }
+      } catch (apiError) {
+        console.error('Error checking order status:', apiError);
+      }
+    }
+
+    const service = order.status === 'completed' ? await Service.findOne({ serviceId: order.serviceId }) : null;
+
+    res.json({
+      success: true,
+      order: {
+        orderId: order.orderId,
+        serviceName: order.serviceName,
+        platform: order.platform,
+        type: order.type,
+        targetUrl: order.targetUrl,
+        quantity: order.quantity,
+        cost: order.cost,
+        couponCode: order.couponCode,
+        discount: order.discount,
+        status: order.status,
+        apiOrderId: order.apiOrderId,
+        startCount: order.startCount,
+        remains: order.remains,
+        estimatedDelivery: order.estimatedDelivery,
+        invoiceNumber: order.receipt?.invoiceNumber,
+        refundedEquities: order.refundedEquities,
+        refills: order.refills,
+        refill: service ? getRefillEligibility(order, service) : null,
+        dripFeed: dripFeedProgress(order),
+        scheduledFor: order.scheduledFor,
+        queueReason: order.queueReason,
+        nextAttemptAt: order.queueReason === 'retry' ? order.retry?.nextAttemptAt : undefined,
+        createdAt: order.createdAt,
+        updatedAt: order.updatedAt,
+        deliveredAt: order.deliveredAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order',
+      error: error.message
+    });
+  }
+});
+
+// GET ORDER RECEIPT (JSON or PDF)
+app.get('/api/orders/:orderId/receipt', authenticate, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      orderId: req.params.orderId,
+      userId: req.user._id
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.receipt?.invoiceNumber) {
+      return res.status(404).json({
+        success: false,
+        message: 'No receipt has been issued for this order'
+      });
+    }
+
+    sendReceipt(res, order, req.user, req.query.format);
+
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch receipt',
+      error: error.message
+    });
+  }
+});
+
+// REQUEST REFILL
+app.post('/api/orders/:orderId/refill', authenticate, idempotent, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      orderId: req.params.orderId,
+      userId: req.user._id
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const result = await requestRefill(order, { requestedBy: req.user.username });
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await sendNotification(
+      req.user._id,
+      'Refill Requested',
+      `A refill has been requested for your order ${order.orderId}. We'll let you know when it completes.`,
+      'order',
+      `/orders/${order.orderId}`
+    );
+
+    res.json({
+      success: true,
+      message: 'Refill requested successfully',
+      refill: result.refill
+    });
+
+  } catch (error) {
+    console.error('Request refill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request refill',
+      error: error.message
+    });
+  }
+});
+
+// RESCHEDULE / EDIT SCHEDULED ORDER
+app.put('/api/orders/:orderId/schedule', authenticate, async (req, res) => {
+  try {
+    const { scheduledFor, targetUrl } = req.body;
+
+    const update = {};
+    if (scheduledFor !== undefined) {
+      const schedule = resolveScheduledFor(scheduledFor);
+      if (!schedule.success || !schedule.scheduledFor) {
+        return res.status(400).json({
+          success: false,
+          message: schedule.error || 'Scheduled time is required'
+        });
+      }
+      update.scheduledFor = schedule.scheduledFor;
+    }
+    if (targetUrl !== undefined) {
+      const scheduled = await Order.findOne({ orderId: req.params.orderId, userId: req.user._id });
+      const target = scheduled
+        ? validateTargetUrl({ platform: scheduled.platform, serviceType: scheduled.type }, targetUrl)
+        : { success: true, url: targetUrl };
+      if (!target.success) {
+        return res.status(400).json({
+          success: false,
+          message: target.error
+        });
+      }
+      update.targetUrl = target.url;
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update'
+      });
+    }
+
+    // Conditional on the scheduled state so an order the scheduler has
+    // already claimed can no longer be edited
+    const order = await Order.findOneAndUpdate(
+      { orderId: req.params.orderId, userId: req.user._id, status: 'scheduled' },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled order not found or already submitted'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scheduled order updated successfully',
+      order: {
+        orderId: order.orderId,
+        targetUrl: order.targetUrl,
+        status: order.status,
+        scheduledFor: order.scheduledFor
+      }
+    });
+
+  } catch (error) {
+    console.error('Update scheduled order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update scheduled order',
+      error: error.message
+    });
+  }
+});
+
+// CANCEL ORDER
+app.post('/api/orders/:orderId/cancel', authenticate, idempotent, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    // Scheduled and queued orders were never sent to Thekclaut; just release
+    // the reservation
+    const scheduled = await Order.findOne({ orderId, userId: req.user._id, status: { $in: ['scheduled', 'queued'] } });
+    if (scheduled) {
+      const released = await releaseOrderFunds(scheduled, null, {
+        status: 'cancelled',
+        claim: { status: scheduled.status, submittingAt: { $exists: false } }
+      });
+
+      if (!released) {
+        return res.status(409).json({
+          success: false,
+          message: 'Order has already been submitted or cancelled'
+        });
+      }
+
+      await sendNotification(
+        req.user._id,
+        'Order Cancelled',
+        `Your ${scheduled.status} order ${orderId} has been cancelled and ${scheduled.cost} equities have been returned to your account.`,
+        'order'
+      );
+
+      return res.json({
+        success: true,
+        message: 'Order cancelled successfully',
+        refunded: scheduled.cost
+      });
+    }
+
+    const order = await Order.findOne({
+      orderId,
+      userId: req.user._id,
+      status: { $in: ['pending', 'processing'] },
+      fundsStatus: { $ne: 'reserved' }
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found or cannot be cancelled'
+      });
+    }
+
+    // Check if service supports cancellation
+    const service = await Service.findOne({ serviceId: order.serviceId });
+    if (!service?.cancel) {
+      return res.status(400).json({
+        success: false,
+        message: 'This service does not support cancellation'
+      });
+    }
+
+    // Try to cancel on Thekclaut
+    if (order.apiOrderId) {
+      const cancelResult = await thekclaut.cancelOrder(order.apiOrderId);
+      
+      if (!cancelResult.success) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to cancel order on Thekclaut',
+          error: cancelResult.error
+        });
+      }
+    }
+
+    // Mark the order cancelled and refund it in one transaction; the status
+    // claim stops a second cancel request from refunding twice. An order an
+    // admin already refunded in full is only marked cancelled.
+    const refundable = order.cost - (order.refundedEquities || 0);
+    const cancelClaim = { status: { $in: ['pending', 'processing'] } };
+    const cancelled = refundable > 0
+      ? await refundOrder(order, {
+        equities: refundable,
+        source: 'user-cancel',
+        reason: `Refund for cancelled order: ${order.serviceName}`,
+        performedBy: req.user.username,
+        claim: cancelClaim,
+        set: { status: 'cancelled' }
+      })
+      : await Order.findOneAndUpdate(
+        { _id: order._id, ...cancelClaim },
+        { $set: { status: 'cancelled' } },
+        { new: true }
+      );
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order has already been cancelled'
       });
     }
 
-    if (!user.isActive) {
-      return res.status(401).json({
+    // Send notification
+    await sendNotification(
+      req.user._id,
+      'Order Cancelled',
+      refundable > 0
+        ? `Your order ${orderId} has been cancelled and ${refundable} equities have been refunded to your account.`
+        : `Your order ${orderId} has been cancelled. Its cost had already been refunded to your account.`,
+      'order'
+    );
+
+    res.json({
+      success: true,
+      message: 'Order cancelled successfully',
+      refunded: refundable
+    });
+
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel order',
+      error: error.message
+    });
+  }
+});
+
+// 11.7 ADMIN ROUTES
+// =================
+
+// ADMIN LOGIN
+app.post('/api/admin/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({
         success: false,
-        message: 'Account is deactivated. Contact support.'
+        message: 'Username and password are required'
       });
     }
 
-    req.user = user;
-    next();
-  } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token.'
+    // Check against environment variables
+    if (username === process.env.ADMIN_USERNAME && password === process.env.ADMIN_PASSWORD) {
+      
+      // Find or create admin user
+      let adminUser = await User.findOne({ email: process.env.ADMIN_EMAIL });
+      
+      if (!adminUser) {
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(password, salt);
+
+        adminUser = new User({
+          username: process.env.ADMIN_USERNAME,
+          email: process.env.ADMIN_EMAIL,
+          password: hashedPassword,
+          role: 'admin',
+          isVerified: true,
+          referralCode: generateReferralCode()
+        });
+
+        await adminUser.save();
+      }
+
+      // Update last login
+      adminUser.lastLogin = new Date();
+      adminUser.updatedAt = new Date();
+      await adminUser.save();
+
+      // Generate JWT token
+      const token = jwt.sign(
+        { userId: adminUser._id, role: 'admin' },
+        process.env.JWT_SECRET,
+        { expiresIn: JWT_EXPIRE }
+      );
+
+      res.json({
+        success: true,
+        message: 'Admin login successful',
+        token,
+        user: {
+          id: adminUser._id,
+          username: adminUser.username,
+          email: adminUser.email,
+          role: adminUser.role,
+          balance: adminUser.balance
+        }
       });
-    }
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
+    } else {
+      res.status(401).json({
         success: false,
-        message: 'Token expired. Please login again.'
+        message: 'Invalid admin credentials'
       });
     }
+
+  } catch (error) {
+    console.error('Admin login error:', error);
     res.status(500).json({
       success: false,
-      message: 'Authentication failed.'
+      message: 'Admin login failed',
+      error: error.message
     });
   }
-};
+});
 
-// 8.2 Admin Authorization Middleware
-const authorizeAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
-    res.status(403).json({
-      success: false,
-      message: 'Admin access required.'
+// GET PENDING DEPOSITS
+app.get('/api/admin/deposits/pending', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const pendingDeposits = await Transaction.find({
+      type: 'deposit',
+      status: 'pending'
+    })
+    .populate('userId', 'username email')
+    .sort({ createdAt: 1 })
+    .limit(100);
+
+    // Resolve earlier deposits that reused the same proof so admins can compare them
+    const duplicateIds = [...new Set(pendingDeposits.flatMap(d => (d.proof?.duplicates || []).map(dup => dup.transactionId)))];
+    const earlierDeposits = duplicateIds.length > 0
+      ? await Transaction.find({ transactionId: { $in: duplicateIds } }).populate('userId', 'username')
+      : [];
+    const earlierById = new Map(earlierDeposits.map(t => [t.transactionId, t]));
+
+    res.json({
+      success: true,
+      deposits: pendingDeposits.map(deposit => ({
+        transactionId: deposit.transactionId,
+        userId: deposit.userId._id,
+        username: deposit.userId.username,
+        email: deposit.userId.email,
+        amount: deposit.amount,
+        equities: deposit.equities,
+        reference: deposit.reference,
+        ...proofLinks(deposit),
+        moniepointDetails: deposit.moniepointDetails,
+        expiresAt: deposit.expiresAt,
+        isExpired: isDepositExpired(deposit),
+        proofReused: (deposit.proof?.duplicates || []).length > 0,
+        proofDuplicates: (deposit.proof?.duplicates || []).map(dup => {
+          const earlier = earlierById.get(dup.transactionId);
+          return {
+            transactionId: dup.transactionId,
+            matchType: dup.matchType,
+            distance: dup.distance,
+            sameUser: String(dup.userId) === String(deposit.userId._id),
+            username: earlier?.userId?.username,
+            amount: earlier?.amount,
+            status: earlier?.status,
+            createdAt: earlier?.createdAt,
+            ...(earlier ? proofLinks(earlier) : {})
+          };
+        }),
+        createdAt: deposit.createdAt,
+        updatedAt: deposit.updatedAt
+      })),
+      total: pendingDeposits.length
     });
-  }
-};
 
-// 8.3 Support Staff Authorization Middleware
-const authorizeSupport = (req, res, next) => {
-  if (req.user && (req.user.role === 'admin' || req.user.role === 'support')) {
-    next();
-  } else {
-    res.status(403).json({
+  } catch (error) {
+    console.error('Get pending deposits error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Support staff access required.'
+      message: 'Failed to fetch pending deposits',
+      error: error.message
     });
   }
-};
-
-// 9. THEKCLAUT API INTEGRATION
-// ============================
-
-// 9.1 Create API Instance - CORRECTED FOR THEKCLAUT API
-const thekclautAPI = axios.create({
-  baseURL: process.env.THEKCLAUT_API_URL || 'https://thekclaut.com/api/v2',
-  headers: {
-    'Content-Type': 'application/x-www-form-urlencoded',
-    'Accept': 'application/json'
-  },
-  timeout: 30000
 });
 
-// Helper function to convert object to URL-encoded string
-const toFormData = (data) => {
-  return Object.keys(data)
-    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(data[key])}`)
-    .join('&');
-};
-
-// Debug: Log API configuration on startup
-console.log('🔧 Thekclaut API Configuration:');
-console.log('- Base URL:', thekclautAPI.defaults.baseURL);
-console.log('- API Key configured:', !!process.env.THEKCLAUT_API_KEY);
-console.log('- Using POST with URL-encoded parameters');
+// APPROVE DEPOSIT
+app.post('/api/admin/deposit/approve', authenticate, authorizeAdmin, idempotent, async (req, res) => {
+  try {
+    const { transactionId, action } = req.body;
 
-// 9.2 Thekclaut API Helper Functions - FULLY FIXED
-const thekclaut = {
-  // Get all services
-  async getServices() {
-    try {
-      console.log(`🔍 Calling Thekclaut API: ${thekclautAPI.defaults.baseURL} (action=services)`);
-      
-      const formData = toFormData({
-        key: process.env.THEKCLAUT_API_KEY,
-        action: 'services'
-      });
-      
-      const response = await thekclautAPI.post('', formData);
-      console.log(`✅ Thekclaut API Response [${response.status}]: Received ${Array.isArray(response.data) ? response.data.length : 0} services`);
-      
-      return {
-        success: true,
-        data: response.data
-      };
-    } catch (error) {
-      console.error('❌ Thekclaut API Error (getServices):');
-      console.error('- Error Message:', error.message);
-      console.error('- Response Status:', error.response?.status || 'No response');
-      console.error('- Response Data:', error.response?.data || 'No data');
-      console.error('- Request Data:', error.config?.data || 'No request data');
-      
-      return {
+    if (!transactionId || !action) {
+      return res.status(400).json({
         success: false,
-        error: error.message,
-        status: error.response?.status,
-        data: error.response?.data
-      };
-    }
-  },
-
-  // Check balance
-  async getBalance() {
-    try {
-      console.log(`🔍 Calling Thekclaut API: ${thekclautAPI.defaults.baseURL} (action=balance)`);
-      
-      const formData = toFormData({
-        key: process.env.THEKCLAUT_API_KEY,
-        action: 'balance'
+        message: 'Transaction ID and action are required'
       });
-      
-      const response = await thekclautAPI.post('', formData);
-      console.log(`✅ Thekclaut API Response [${response.status}]: Balance = $${response.data?.balance || 'N/A'}`);
-      
-      return {
-        success: true,
-        data: response.data
-      };
-    } catch (error) {
-      console.error('❌ Thekclaut API Error (getBalance):');
-      console.error('- Error Message:', error.message);
-      console.error('- Response Status:', error.response?.status || 'No response');
-      console.error('- Response Data:', error.response?.data || 'No data');
-      
-      return {
-        success: false,
-        error: error.message,
-        status: error.response?.status,
-        data: error.response?.data
-      };
     }
-  },
 
-  // Place order
-  async placeOrder(serviceId, link, quantity, runs = null, interval = null) {
-    try {
-      console.log(`🔍 Calling Thekclaut API: ${thekclautAPI.defaults.baseURL} (action=add)`);
-      console.log(`📦 Order Data: service=${serviceId}, link=${link}, quantity=${quantity}`);
-      
-      const formData = {
-        key: process.env.THEKCLAUT_API_KEY,
-        action: 'add',
-        service: serviceId,
-        link: link,
-        quantity: quantity
-      };
-      
-      // Add optional parameters
-      if (runs) formData.runs = runs;
-      if (interval) formData.interval = interval;
-      
-      const response = await thekclautAPI.post('', toFormData(formData));
-      console.log(`✅ Thekclaut API Response [${response.status}]: Order ID = ${response.data?.order || 'N/A'}`);
-      
-      return {
-        success: true,
-        data: response.data
-      };
-    } catch (error) {
-      console.error('❌ Thekclaut API Error (placeOrder):');
-      console.error('- Error Message:', error.message);
-      console.error('- Response Status:', error.response?.status || 'No response');
-      console.error('- Response Data:', error.response?.data || 'No data');
-      
-      return {
+    const transaction = await Transaction.findOne({
+      transactionId,
+      type: 'deposit',
+      status: 'pending'
+    }).populate('userId');
+
+    if (!transaction) {
+      return res.status(404).json({
         success: false,
-        error: error.response?.data || error.message,
-        status: error.response?.status
-      };
+        message: 'Pending deposit not found'
+      });
     }
-  },
 
-  // Check order status
-  async checkOrderStatus(orderId) {
-    try {
-      console.log(`🔍 Calling Thekclaut API: ${thekclautAPI.defaults.baseURL} (action=status, order=${orderId})`);
-      
-      const formData = toFormData({
-        key: process.env.THEKCLAUT_API_KEY,
-        action: 'status',
-        order: orderId
+    if (action === 'approve') {
+      const result = await creditDeposit(transaction.transactionId, {
+        verifiedBy: req.user.username,
+        notes: 'Deposit approved by admin'
       });
-      
-      const response = await thekclautAPI.post('', formData);
-      console.log(`✅ Thekclaut API Response [${response.status}]: Status = ${response.data?.status || 'N/A'}`);
-      
-      return {
+
+      if (!result.success) {
+        return res.status(409).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      res.json({
         success: true,
-        data: response.data
-      };
-    } catch (error) {
-      console.error('❌ Thekclaut API Error (checkOrderStatus):');
-      console.error('- Error Message:', error.message);
-      console.error('- Response Status:', error.response?.status || 'No response');
-      console.error('- Response Data:', error.response?.data || 'No data');
-      
-      return {
+        message: 'Deposit approved successfully',
+        transaction: {
+          transactionId: result.transaction.transactionId,
+          status: result.transaction.status,
+          verifiedBy: result.transaction.verifiedBy,
+          verifiedAt: result.transaction.verifiedAt
+        },
+        bonus: result.bonus
+      });
+
+    } else if (action === 'reject') {
+      const result = await rejectDeposit(transaction.transactionId, {
+        verifiedBy: req.user.username,
+        reason: req.body.reason || 'Deposit rejected by admin'
+      });
+
+      if (!result.success) {
+        return res.status(409).json({
+          success: false,
+          message: 'Deposit has already been processed'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Deposit rejected',
+        transaction: {
+          transactionId: result.transaction.transactionId,
+          status: result.transaction.status,
+          verifiedBy: result.transaction.verifiedBy,
+          verifiedAt: result.transaction.verifiedAt
+        }
+      });
+    } else {
+      return res.status(400).json({
         success: false,
-        error: error.message,
-        status: error.response?.status
-      };
+        message: 'Invalid action. Use "approve" or "reject"'
+      });
     }
-  },
 
-  // Create refill
-  async createRefill(orderId) {
-    try {
-      console.log(`🔍 Calling Thekclaut API: ${thekclautAPI.defaults.baseURL} (action=refill, order=${orderId})`);
-      
-      const formData = toFormData({
-        key: process.env.THEKCLAUT_API_KEY,
-        action: 'refill',
-        order: orderId
+  } catch (error) {
+    console.error('Approve deposit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process deposit',
+      error: error.message
+    });
+  }
+});
+
+// IMPORT BANK STATEMENT (CSV)
+app.post('/api/admin/reconciliation/import', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const { csv } = req.body;
+
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Statement CSV content is required'
       });
-      
-      const response = await thekclautAPI.post('', formData);
-      console.log(`✅ Thekclaut API Response [${response.status}]: Refill = ${response.data?.refill || 'N/A'}`);
-      
-      return {
-        success: true,
-        data: response.data
-      };
-    } catch (error) {
-      console.error('❌ Thekclaut API Error (createRefill):');
-      console.error('- Error Message:', error.message);
-      console.error('- Response Status:', error.response?.status || 'No response');
-      console.error('- Response Data:', error.response?.data || 'No data');
-      
-      return {
+    }
+
+    const parsed = parseStatementCredits(csv);
+    if (!parsed.success) {
+      return res.status(400).json({
         success: false,
-        error: error.message,
-        status: error.response?.status
-      };
+        message: parsed.error
+      });
     }
-  },
 
-  // Cancel order
-  async cancelOrder(orderId) {
-    try {
-      console.log(`🔍 Calling Thekclaut API: ${thekclautAPI.defaults.baseURL} (action=cancel, orders=${orderId})`);
-      
-      const formData = toFormData({
-        key: process.env.THEKCLAUT_API_KEY,
-        action: 'cancel',
-        orders: orderId
+    // Skip rows that were already imported from an earlier statement
+    const existing = await StatementLine.find({
+      lineHash: { $in: parsed.credits.map(c => c.lineHash) }
+    }).select('lineHash');
+    const existingHashes = new Set(existing.map(l => l.lineHash));
+    const newCredits = parsed.credits.filter(c => !existingHashes.has(c.lineHash));
+
+    const pendingDeposits = await Transaction.find({ type: 'deposit', status: 'pending' });
+    const importId = generateImportId();
+    const proposedDeposits = new Set();
+    const lines = [];
+
+    for (const credit of newCredits) {
+      const match = matchStatementLine(credit, pendingDeposits);
+
+      // A deposit can only be proposed for one statement line
+      if (match.proposedTransactionId) {
+        if (proposedDeposits.has(match.proposedTransactionId)) {
+          match.status = 'ambiguous';
+          match.proposedTransactionId = null;
+        } else {
+          proposedDeposits.add(match.proposedTransactionId);
+        }
+      }
+
+      lines.push({
+        lineId: `${importId}-${credit.rowNumber}`,
+        importId,
+        lineHash: credit.lineHash,
+        rowNumber: credit.rowNumber,
+        date: credit.date,
+        amount: credit.amount,
+        narration: credit.narration,
+        reference: credit.reference,
+        senderName: credit.senderName,
+        status: match.status,
+        candidates: match.candidates,
+        proposedTransactionId: match.proposedTransactionId
       });
-      
-      const response = await thekclautAPI.post('', formData);
-      console.log(`✅ Thekclaut API Response [${response.status}]: Cancel response received`);
-      
-      return {
-        success: true,
-        data: response.data
-      };
-    } catch (error) {
-      console.error('❌ Thekclaut API Error (cancelOrder):');
-      console.error('- Error Message:', error.message);
-      console.error('- Response Status:', error.response?.status || 'No response');
-      console.error('- Response Data:', error.response?.data || 'No data');
-      
-      return {
+    }
+
+    if (lines.length > 0) {
+      await StatementLine.insertMany(lines, { ordered: false });
+    }
+
+    const report = await buildReconciliationReport(importId);
+    report.summary.rows = parsed.totalRows;
+    report.summary.duplicates = parsed.credits.length - newCredits.length;
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${lines.length} new credit lines`,
+      report
+    });
+
+  } catch (error) {
+    console.error('Import statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import statement',
+      error: error.message
+    });
+  }
+});
+
+// GET RECONCILIATION REPORT
+app.get('/api/admin/reconciliation/imports/:importId', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const { importId } = req.params;
+
+    const count = await StatementLine.countDocuments({ importId });
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      report: await buildReconciliationReport(importId)
+    });
+
+  } catch (error) {
+    console.error('Get reconciliation report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reconciliation report',
+      error: error.message
+    });
+  }
+});
+
+// APPLY RECONCILIATION DECISIONS (BULK)
+app.post('/api/admin/reconciliation/apply', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const { decisions } = req.body;
+
+    if (!Array.isArray(decisions) || decisions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one decision is required'
+      });
+    }
+
+    const results = [];
+
+    for (const decision of decisions) {
+      const { lineId, transactionId, action, reason, useStatementAmount } = decision;
+
+      try {
+        if (action === 'reject') {
+          const result = await rejectDeposit(transactionId, {
+            verifiedBy: req.user.username,
+            reason: reason || 'No matching credit found on bank statement'
+          });
+          results.push({ transactionId, action, success: result.success, error: result.error });
+          continue;
+        }
+
+        if (action === 'ignore') {
+          const line = await StatementLine.findOneAndUpdate(
+            { lineId, status: { $in: ['matched', 'ambiguous', 'orphan'] } },
+            { $set: { status: 'ignored', appliedBy: req.user.username, appliedAt: new Date() } },
+            { new: true }
+          );
+          results.push({ lineId, action, success: !!line, error: line ? undefined : 'Line not found or already applied' });
+          continue;
+        }
+
+        if (action !== 'approve') {
+          results.push({ lineId, action, success: false, error: 'Invalid action. Use "approve", "reject" or "ignore"' });
+          continue;
+        }
+
+        const line = await StatementLine.findOne({ lineId });
+        const targetId = transactionId || line?.proposedTransactionId;
+        const deposit = targetId
+          ? await Transaction.findOne({ transactionId: targetId, type: 'deposit', status: 'pending' })
+          : null;
+
+        if (!line || !deposit) {
+          results.push({ lineId, action, success: false, error: 'Statement line or pending deposit not found' });
+          continue;
+        }
+
+        if (Math.abs(deposit.amount - line.amount) >= 0.01 && !useStatementAmount) {
+          results.push({ lineId, action, success: false, error: 'Amount on statement does not match deposit request' });
+          continue;
+        }
+
+        // Claim the line first so it can never credit a second deposit
+        const previousStatus = line.status;
+        const claimed = await StatementLine.findOneAndUpdate(
+          { lineId, status: { $in: ['matched', 'ambiguous', 'orphan'] } },
+          {
+            $set: {
+              status: 'applied',
+              appliedTransactionId: deposit.transactionId,
+              appliedBy: req.user.username,
+              appliedAt: new Date()
+            }
+          },
+          { new: true }
+        );
+
+        if (!claimed) {
+          results.push({ lineId, action, success: false, error: 'Statement line has already been applied' });
+          continue;
+        }
+
+        if (useStatementAmount) {
+          deposit.amount = line.amount;
+          deposit.equities = Math.floor(line.amount / EQUITY_VALUE);
+        }
+        deposit.moniepointDetails = {
+          senderName: line.senderName || deposit.moniepointDetails?.senderName || 'Not provided',
+          senderAccount: deposit.moniepointDetails?.senderAccount || 'Not provided',
+          amount: line.amount,
+          transactionDate: line.date || deposit.moniepointDetails?.transactionDate,
+          transactionRef: line.reference || deposit.moniepointDetails?.transactionRef
+        };
+        await deposit.save();
+
+        const result = await creditDeposit(deposit.transactionId, {
+          verifiedBy: req.user.username,
+          notes: `Deposit reconciled against bank statement line ${lineId}`
+        });
+
+        if (!result.success) {
+          // Release the line so it can be matched to another deposit
+          await StatementLine.updateOne(
+            { lineId },
+            { $set: { status: previousStatus, appliedTransactionId: null, appliedBy: null, appliedAt: null } }
+          );
+        }
+
+        results.push({ lineId, transactionId: deposit.transactionId, action, success: result.success, error: result.error });
+
+      } catch (decisionError) {
+        console.error(`Reconciliation decision error (${lineId || transactionId}):`, decisionError);
+        results.push({ lineId, transactionId, action, success: false, error: decisionError.message });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `${results.filter(r => r.success).length} of ${results.length} decisions applied`,
+      results
+    });
+
+  } catch (error) {
+    console.error('Apply reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply reconciliation decisions',
+      error: error.message
+    });
+  }
+});
+
+// GET PAYMENT NOTIFICATION REVIEW QUEUE
+app.get('/api/admin/payment-notifications', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const { status = 'review', page = 1, limit = 50 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (status === 'review') {
+      query.status = { $in: ['unmatched', 'amount_mismatch', 'not_pending'] };
+    } else if (status !== 'all') {
+      query.status = status;
+    }
+
+    const notifications = await PaymentNotification.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await PaymentNotification.countDocuments(query);
+
+    res.json({
+      success: true,
+      notifications: notifications.map(n => ({
+        notificationId: n.notificationId,
+        source: n.source,
+        reference: n.reference,
+        amount: n.amount,
+        senderName: n.senderName,
+        senderAccount: n.senderAccount,
+        transactionRef: n.transactionRef,
+        transactionDate: n.transactionDate,
+        narration: n.narration,
+        status: n.status,
+        matchedTransactionId: n.matchedTransactionId,
+        reviewedBy: n.reviewedBy,
+        reviewedAt: n.reviewedAt,
+        notes: n.notes,
+        createdAt: n.createdAt
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payment notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payment notifications',
+      error: error.message
+    });
+  }
+});
+
+// Put a claimed notification back in the review queue with its old status
+const releaseNotificationClaim = (claimed) => PaymentNotification.updateOne(
+  { _id: claimed._id, status: 'resolving' },
+  { $set: { status: claimed.status } }
+);
+
+// RESOLVE PAYMENT NOTIFICATION
+app.post('/api/admin/payment-notifications/:notificationId/resolve', authenticate, authorizeAdmin, idempotent, async (req, res) => {
+  let claimed = null;
+  let credited = false;
+  try {
+    const { notificationId } = req.params;
+    const { action, transactionId, useReceivedAmount, notes } = req.body;
+
+    if (!action || !['credit', 'dismiss'].includes(action)) {
+      return res.status(400).json({
         success: false,
-        error: error.message,
-        status: error.response?.status
+        message: 'Invalid action. Use "credit" or "dismiss"'
+      });
+    }
+
+    // Claim the notification before crediting anything, so two resolves can't
+    // credit two deposits from one payment. The claim is rolled back below if
+    // nothing was credited.
+    claimed = await PaymentNotification.findOneAndUpdate(
+      { notificationId, status: { $in: ['unmatched', 'amount_mismatch', 'not_pending'] } },
+      { $set: { status: 'resolving' } }
+    );
+
+    if (!claimed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found or already reviewed'
+      });
+    }
+    const notification = claimed;
+    const update = {};
+
+    if (action === 'credit') {
+      const targetId = transactionId || notification.matchedTransactionId;
+      const transaction = targetId
+        ? await Transaction.findOne({ transactionId: targetId, type: 'deposit', status: 'pending' })
+        : null;
+
+      if (!transaction) {
+        await releaseNotificationClaim(claimed);
+        return res.status(404).json({
+          success: false,
+          message: 'Pending deposit not found'
+        });
+      }
+
+      // Credit what was actually received rather than what was requested
+      if (useReceivedAmount) {
+        transaction.amount = notification.amount;
+        transaction.equities = Math.floor(notification.amount / EQUITY_VALUE);
+      }
+      transaction.moniepointDetails = {
+        senderName: notification.senderName || 'Not provided',
+        senderAccount: notification.senderAccount || 'Not provided',
+        amount: notification.amount,
+        transactionDate: notification.transactionDate,
+        transactionRef: notification.transactionRef
       };
+      await transaction.save();
+
+      const result = await creditDeposit(transaction.transactionId, {
+        verifiedBy: req.user.username,
+        notes: notes || `Deposit credited from payment notification ${notification.notificationId}`
+      });
+
+      if (!result.success) {
+        await releaseNotificationClaim(claimed);
+        return res.status(409).json({
+          success: false,
+          message: result.error
+        });
+      }
+      credited = true;
+
+      update.matchedTransactionId = transaction.transactionId;
+      update.status = 'resolved';
+    } else {
+      update.status = 'dismissed';
+    }
+
+    update.reviewedBy = req.user.username;
+    update.reviewedAt = new Date();
+    update.notes = notes || notification.notes;
+    const resolved = await PaymentNotification.findOneAndUpdate(
+      { _id: claimed._id, status: 'resolving' },
+      { $set: update },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: action === 'credit' ? 'Deposit credited' : 'Notification dismissed',
+      notification: {
+        notificationId: resolved.notificationId,
+        status: resolved.status,
+        matchedTransactionId: resolved.matchedTransactionId,
+        reviewedBy: resolved.reviewedBy,
+        reviewedAt: resolved.reviewedAt
+      }
+    });
+
+  } catch (error) {
+    // A deposit that was credited keeps the claim, so the payment can't be
+    // credited again; anything earlier goes back to review
+    if (claimed && !credited) {
+      await releaseNotificationClaim(claimed).catch(() => {});
     }
+    console.error('Resolve payment notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve payment notification',
+      error: error.message
+    });
   }
-};
+});
 
-// 10. HELPER FUNCTIONS
-// ===================
+// GET ALL TRANSACTIONS
+app.get('/api/admin/transactions', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const { type, status, page = 1, limit = 50, userId } = req.query;
+    
+    // Manual adjustments are listed separately unless asked for explicitly
+    const query = { type: { $ne: 'adjustment' } };
+    if (type && type !== 'all') query.type = type;
+    if (status && status !== 'all') query.status = status;
+    if (userId) query.userId = userId;
 
-// 10.1 Calculate our price with configurable markup
-const calculateOurPrice = (thekclautRate) => {
-  const markupMultiplier = 1 + (MARKUP_PERCENTAGE / 100);
-  const ourPriceNaira = thekclautRate * markupMultiplier;
-  const ourPriceEquities = ourPriceNaira / EQUITY_VALUE;
-  
-  return {
-    naira: Math.ceil(ourPriceNaira),
-    equities: Math.ceil(ourPriceEquities)
-  };
-};
+    const skip = (page - 1) * limit;
 
-// 10.2 Send notification
-const sendNotification = async (userId, title, message, type = 'system', link = null) => {
+    const transactions = await Transaction.find(query)
+      .populate('userId', 'username email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Transaction.countDocuments(query);
+
+    res.json({
+      success: true,
+      transactions: transactions.map(t => ({
+        transactionId: t.transactionId,
+        userId: t.userId?._id,
+        username: t.userId?.username,
+        email: t.userId?.email,
+        type: t.type,
+        amount: t.amount,
+        equities: t.equities,
+        status: t.status,
+        reference: t.reference,
+        ...(t.type === 'deposit' ? proofLinks(t) : {}),
+        verifiedBy: t.verifiedBy,
+        verifiedAt: t.verifiedAt,
+        notes: t.notes,
+        createdAt: t.createdAt,
+        updatedAt: t.updatedAt
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch transactions',
+      error: error.message
+    });
+  }
+});
+
+// GET BALANCE ADJUSTMENTS (manual credits/debits with their audit details)
+app.get('/api/admin/adjustments', authenticate, authorizeAdmin, async (req, res) => {
   try {
-    const notification = new Notification({
-      userId,
-      title,
-      message,
-      type,
-      link
+    const { direction, performedBy, page = 1, limit = 20, userId } = req.query;
+
+    const query = { type: 'adjustment' };
+    if (direction && direction !== 'all') query['adjustment.direction'] = direction;
+    if (performedBy) query.verifiedBy = performedBy;
+    if (userId) query.userId = userId;
+
+    const skip = (page - 1) * limit;
+
+    const adjustments = await Transaction.find(query)
+      .populate('userId', 'username email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Transaction.countDocuments(query);
+
+    res.json({
+      success: true,
+      adjustments: adjustments.map(t => ({
+        transactionId: t.transactionId,
+        userId: t.userId?._id,
+        username: t.userId?.username,
+        email: t.userId?.email,
+        direction: t.adjustment?.direction,
+        equities: t.equities,
+        amount: t.amount,
+        reason: t.adjustment?.reason,
+        ticketId: t.adjustment?.ticketId,
+        orderId: t.adjustment?.orderId,
+        reference: t.reference,
+        performedBy: t.verifiedBy,
+        createdAt: t.createdAt
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
-    await notification.save();
-    return true;
+
   } catch (error) {
-    console.error('Error sending notification:', error);
-    return false;
+    console.error('Get adjustments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch balance adjustments',
+      error: error.message
+    });
   }
-};
+});
 
-// 10.3 Update user's last login
-const updateLastLogin = async (userId) => {
+// GET ALL ORDERS
+app.get('/api/admin/orders', authenticate, authorizeAdmin, async (req, res) => {
   try {
-    await User.findByIdAndUpdate(userId, {
-      lastLogin: new Date(),
-      updatedAt: new Date()
+    const { status, platform, page = 1, limit = 50, userId } = req.query;
+    
+    const query = {};
+    if (status && status !== 'all') query.status = status;
+    if (platform && platform !== 'all') query.platform = platform;
+    if (userId) query.userId = userId;
+
+    const skip = (page - 1) * limit;
+
+    const orders = await Order.find(query)
+      .populate('userId', 'username email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Order.countDocuments(query);
+
+    res.json({
+      success: true,
+      orders: orders.map(order => ({
+        orderId: order.orderId,
+        userId: order.userId?._id,
+        username: order.userId?.username,
+        email: order.userId?.email,
+        serviceName: order.serviceName,
+        platform: order.platform,
+        type: order.type,
+        targetUrl: order.targetUrl,
+        quantity: order.quantity,
+        cost: order.cost,
+        couponCode: order.couponCode,
+        discount: order.discount,
+        status: order.status,
+        apiOrderId: order.apiOrderId,
+        startCount: order.startCount,
+        remains: order.remains,
+        scheduledFor: order.scheduledFor,
+        queueReason: order.queueReason,
+        createdAt: order.createdAt,
+        updatedAt: order.updatedAt,
+        deliveredAt: order.deliveredAt
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
+
   } catch (error) {
-    console.error('Error updating last login:', error);
+    console.error('Get orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch orders',
+      error: error.message
+    });
   }
-};
+});
+
+// GET ORDER DETAILS (with live provider status and related transactions)
+app.get('/api/admin/order/:orderId', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    let order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    let providerStatus = null;
+    if (order.apiOrderId) {
+      const statusCheck = await thekclaut.checkOrderStatus(order.apiOrderId);
+      providerStatus = statusCheck.success
+        ? { ...statusCheck.data, normalizedStatus: normalizeProviderStatus(statusCheck.data?.status) }
+        : { error: statusCheck.error };
+
+      // Keep active orders in step with what the provider just told us
+      if (statusCheck.success && ACTIVE_ORDER_STATUSES.includes(order.status) && order.fundsStatus !== 'reserved') {
+        const updated = await applyProviderStatus(order, statusCheck.data);
+        if (updated) order = updated;
+      }
+    }
+
+    await order.populate('userId', 'username email phone balance isActive');
+    const transactions = await Transaction.find({
+      $or: [
+        { reference: order.orderId },
+        { 'adjustment.orderId': order.orderId }
+      ]
+    }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      order,
+      providerStatus,
+      transactions: transactions.map(t => ({
+        transactionId: t.transactionId,
+        type: t.type,
+        amount: t.amount,
+        equities: t.equities,
+        status: t.status,
+        notes: t.notes,
+        verifiedBy: t.verifiedBy,
+        createdAt: t.createdAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('Admin get order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order',
+      error: error.message
+    });
+  }
+});
 
-// 10.4 Function to update services from Thekclaut
-const updateServicesFromThekclaut = async () => {
+// CANCEL ORDER (admin) - cancels on Thekclaut unless skipProvider is set, then refunds
+app.post('/api/admin/order/:orderId/cancel', authenticate, authorizeAdmin, idempotent, async (req, res) => {
   try {
-    console.log('🔄 Updating services from Thekclaut...');
-    
-    const response = await thekclaut.getServices();
-    
-    if (!response.success) {
-      console.error('❌ Failed to fetch services from Thekclaut:', response.error);
-      return { success: false, error: response.error };
-    }
+    const { reason, skipProvider } = req.body || {};
+    const note = String(reason || '').trim() || 'Cancelled by admin';
 
-    // IMPORTANT: Thekclaut returns array of services, not nested
-    const services = response.data;
-    
-    if (!Array.isArray(services)) {
-      console.error('❌ Invalid services response:', services);
-      return { success: false, error: 'Invalid services response format' };
-    }
-    
-    console.log(`📊 Received ${services.length} services from Thekclaut`);
-    
-    let updatedCount = 0;
-    let newCount = 0;
-    let errorCount = 0;
+    const order = await Order.findOne({
+      orderId: req.params.orderId,
+      status: { $in: ACTIVE_ORDER_STATUSES },
+      fundsStatus: { $ne: 'reserved' }
+    });
 
-    for (const service of services) {
-      try {
-        // Convert rate from string to number
-        const rate = parseFloat(service.rate);
-        
-        if (isNaN(rate)) {
-          console.warn(`⚠️ Invalid rate for service ${service.service}: ${service.rate}`);
-          continue;
-        }
-        
-        const ourPrice = calculateOurPrice(rate);
-        
-        let platform = 'other';
-        let serviceType = 'other';
-        const name = service.name.toLowerCase();
-        
-        // Detect platform
-        if (name.includes('instagram') || name.includes('ig')) platform = 'instagram';
-        else if (name.includes('tiktok')) platform = 'tiktok';
-        else if (name.includes('youtube') || name.includes('yt')) platform = 'youtube';
-        else if (name.includes('twitter') || name.includes('x')) platform = 'twitter';
-        else if (name.includes('facebook') || name.includes('fb')) platform = 'facebook';
-        else if (name.includes('telegram') || name.includes('tg')) platform = 'telegram';
-        else if (name.includes('spotify')) platform = 'spotify';
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found or cannot be cancelled'
+      });
+    }
 
-        // Detect service type
-        if (name.includes('follower')) serviceType = 'followers';
-        else if (name.includes('like')) serviceType = 'likes';
-        else if (name.includes('view')) serviceType = 'views';
-        else if (name.includes('comment')) serviceType = 'comments';
-        else if (name.includes('share') || name.includes('retweet')) serviceType = 'shares';
-        else if (name.includes('subscriber')) serviceType = 'subscribers';
-        else if (name.includes('play')) serviceType = 'plays';
+    // Validate the refund before anything is cancelled at the provider
+    const refundable = order.cost - (order.refundedEquities || 0);
+    const equities = req.body?.equities !== undefined ? parseInt(req.body.equities) : refundable;
+    if (isNaN(equities) || equities < 0 || equities > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund must be between 0 and ${refundable} equities`
+      });
+    }
 
-        // IMPORTANT: Thekclaut uses "service" field, not "id"
-        const existingService = await Service.findOne({ serviceId: service.service.toString() });
-        
-        if (existingService) {
-          existingService.name = service.name;
-          existingService.category = service.type || service.category || 'Uncategorized';
-          existingService.rate = rate;
-          existingService.ourRate = ourPrice.equities;
-          existingService.nairaRate = ourPrice.naira;
-          existingService.min = parseInt(service.min) || 0;
-          existingService.max = parseInt(service.max) || 0;
-          existingService.refill = Boolean(service.refill);
-          existingService.cancel = Boolean(service.cancel);
-          existingService.platform = platform;
-          existingService.serviceType = serviceType;
-          existingService.lastUpdated = new Date();
-          
-          await existingService.save();
-          updatedCount++;
-        } else {
-          const newService = new Service({
-            serviceId: service.service.toString(),
-            name: service.name,
-            category: service.type || service.category || 'Uncategorized',
-            rate: rate,
-            ourRate: ourPrice.equities,
-            nairaRate: ourPrice.naira,
-            min: parseInt(service.min) || 0,
-            max: parseInt(service.max) || 0,
-            refill: Boolean(service.refill),
-            cancel: Boolean(service.cancel),
-            platform: platform,
-            serviceType: serviceType,
-            lastUpdated: new Date()
-          });
-          
-          await newService.save();
-          newCount++;
-        }
-      } catch (error) {
-        console.error(`Error processing service ${service.service}:`, error.message);
-        errorCount++;
+    if (order.apiOrderId && !skipProvider) {
+      const cancelResult = await thekclaut.cancelOrder(order.apiOrderId);
+      if (!cancelResult.success) {
+        return res.status(502).json({
+          success: false,
+          providerError: true,
+          message: 'Thekclaut could not cancel the order. Retry with skipProvider to cancel locally only.',
+          error: cancelResult.error
+        });
       }
     }
 
-    console.log(`✅ Services updated: ${updatedCount} updated, ${newCount} added, ${errorCount} errors`);
-    return { success: true, updated: updatedCount, added: newCount, errors: errorCount };
+    const override = {
+      action: 'cancel',
+      fromStatus: order.status,
+      toStatus: 'cancelled',
+      equities,
+      reason: skipProvider ? `${note} (provider not contacted)` : note,
+      performedBy: req.user.username
+    };
 
-  } catch (error) {
-    console.error('❌ Error updating services:', error.message);
-    return { success: false, error: error.message };
-  }
-};
+    let cancelled;
+    if (equities > 0) {
+      const result = await refundOrder(order, {
+        equities,
+        source: 'admin',
+        reason: `Refund for order cancelled by admin: ${note}`,
+        performedBy: req.user.username,
+        claim: { status: order.status },
+        set: { status: 'cancelled' },
+        override
+      });
+      cancelled = result?.order;
+    } else {
+      cancelled = await Order.findOneAndUpdate(
+        { _id: order._id, status: order.status },
+        { $set: { status: 'cancelled' }, $push: { adminOverrides: override } },
+        { new: true }
+      );
+    }
 
-// 11. API ROUTES
-// ==============
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order changed while cancelling, please reload'
+      });
+    }
+
+    await sendNotification(
+      order.userId,
+      'Order Cancelled',
+      `Your order ${order.orderId} has been cancelled by our team${equities > 0 ? ` and ${equities} equities have been refunded to your account` : ''}.`,
+      'order',
+      `/orders/${order.orderId}`
+    );
 
-// 11.1 HEALTH CHECK ENDPOINT
-app.get('/api/health', async (req, res) => {
-  try {
-    const dbStatus = mongoose.connection.readyState;
-    const dbStates = ['disconnected', 'connected', 'connecting', 'disconnecting'];
-    
-    const apiCheck = await thekclaut.getBalance();
-    const memoryUsage = process.memoryUsage();
-    const uptime = process.uptime();
-    
     res.json({
       success: true,
-      message: `${APP_NAME} API is running`,
-      timestamp: new Date().toISOString(),
-      app: {
-        name: APP_NAME,
-        version: '1.0.0',
-        environment: process.env.NODE_ENV || 'development',
-        nodeVersion: process.version,
-        uptime: `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m ${Math.floor(uptime % 60)}s`
-      },
-      database: {
-        status: dbStates[dbStatus],
-        connected: dbStatus === 1,
-        name: mongoose.connection.name,
-        host: mongoose.connection.host
-      },
-      thekclautAPI: {
-        status: apiCheck.success ? 'connected' : 'disconnected',
-        balance: apiCheck.success ? `₦${apiCheck.data.balance}` : 'unavailable',
-        key: process.env.THEKCLAUT_API_KEY ? 'Configured' : 'Missing'
-      },
-      configuration: {
-        equityValue: EQUITY_VALUE,
-        markupPercentage: MARKUP_PERCENTAGE,
-        jwtExpire: JWT_EXPIRE,
-        port: PORT,
-        frontendUrl: process.env.FRONTEND_URL,
-        moniepointAccount: process.env.MONIEPOINT_ACCOUNT_NUMBER ? 'Configured' : 'Missing'
-      },
-      system: {
-        memory: {
-          rss: `${Math.round(memoryUsage.rss / 1024 / 1024)} MB`,
-          heapTotal: `${Math.round(memoryUsage.heapTotal / 1024 / 1024)} MB`,
-          heapUsed: `${Math.round(memoryUsage.heapUsed / 1024 / 1024)} MB`
-        },
-        platform: process.platform,
-        arch: process.arch
-      }
+      message: 'Order cancelled successfully',
+      refunded: equities
     });
+
   } catch (error) {
+    console.error('Admin cancel order error:', error);
     res.status(500).json({
       success: false,
-      message: 'Health check failed',
-      error: error.message,
-      timestamp: new Date().toISOString()
+      message: 'Failed to cancel order',
+      error: error.message
     });
   }
 });
 
-// 11.2 AUTHENTICATION ROUTES
-// ==========================
+// FORCE ORDER STATUS (no provider call, no balance change)
+// Only statuses Thekclaut reports or final ones: scheduled, queued and pending
+// belong to the submission jobs, which would never pick up a forced order.
+const FORCEABLE_ORDER_STATUSES = ['processing', 'in progress', 'completed', 'partial', 'cancelled', 'refunded', 'failed'];
 
-// REGISTER
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/admin/order/:orderId/status', authenticate, authorizeAdmin, async (req, res) => {
   try {
-    const { username, email, password, phone, referralCode } = req.body;
+    const { status, reason } = req.body;
 
-    // Validation
-    if (!username || !email || !password) {
+    if (!FORCEABLE_ORDER_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
-        message: 'Username, email, and password are required'
+        message: `Status must be one of: ${FORCEABLE_ORDER_STATUSES.join(', ')}`
       });
     }
 
-    // Email validation
-    const emailRegex = /^\S+@\S+\.\S+$/;
-    if (!emailRegex.test(email)) {
+    if (!reason || !String(reason).trim()) {
       return res.status(400).json({
         success: false,
-        message: 'Please enter a valid email address'
+        message: 'A reason is required to force a status'
       });
     }
 
-    // Check if user exists
-    const existingUser = await User.findOne({
-      $or: [{ email }, { username }]
-    });
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
 
-    if (existingUser) {
+    if (order.fundsStatus === 'reserved') {
       return res.status(400).json({
         success: false,
-        message: existingUser.email === email ? 'Email already registered' : 'Username already taken'
+        message: 'Order is still being placed'
       });
     }
 
-    // Phone validation
-    if (phone && !validateNigerianPhone(phone)) {
+    // Cancelled and refunded orders have already been settled with the user
+    if (['cancelled', 'refunded'].includes(order.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Please enter a valid Nigerian phone number'
+        message: `A ${order.status} order can't be moved to another status`
       });
     }
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    if (ACTIVE_ORDER_STATUSES.includes(status) && !order.apiOrderId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only orders placed with Thekclaut can be set to an active status'
+      });
+    }
 
-    // Generate referral code
-    const userReferralCode = generateReferralCode();
+    const set = { status };
+    if (status === 'completed' && !order.deliveredAt) set.deliveredAt = new Date();
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, status: order.status },
+      {
+        $set: set,
+        $push: {
+          adminOverrides: {
+            action: 'force-status',
+            fromStatus: order.status,
+            toStatus: status,
+            reason: String(reason).trim(),
+            performedBy: req.user.username
+          }
+        }
+      },
+      { new: true }
+    );
 
-    // Create user
-    const user = new User({
-      username,
-      email,
-      password: hashedPassword,
-      phone,
-      referralCode: userReferralCode
-    });
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order changed in the meantime, please reload'
+      });
+    }
 
-    // Handle referral
-    if (referralCode) {
-      const referrer = await User.findOne({ referralCode });
-      if (referrer) {
-        user.referredBy = referrer.referralCode;
+    res.json({
+      success: true,
+      message: `Order status set to ${status}`,
+      order: {
+        orderId: updated.orderId,
+        status: updated.status,
+        adminOverrides: updated.adminOverrides
       }
-    }
+    });
+
+  } catch (error) {
+    console.error('Force order status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update order status',
+      error: error.message
+    });
+  }
+});
 
-    await user.save();
+// REGENERATE ORDER RECEIPT
+// Rebuilds the receipt from the order (keeping its invoice number), or issues
+// one for a charged order that never got a receipt.
+app.post('/api/admin/orders/:orderId/receipt', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: JWT_EXPIRE }
-    );
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
 
-    // Update last login
-    await updateLastLogin(user._id);
+    if (!isOrderCharged(order)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Receipts are only issued for charged orders'
+      });
+    }
 
-    // Send welcome notification
-    await sendNotification(
-      user._id,
-      'Welcome to E-Acquire! 🎉',
-      'Your account has been created successfully. Make your first deposit to start boosting your social media.',
-      'system'
-    );
+    const regenerated = {
+      regeneratedAt: new Date(),
+      regeneratedBy: req.user.username
+    };
 
-    res.status(201).json({
-      success: true,
-      message: 'Registration successful',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        balance: user.balance,
-        referralCode: user.referralCode,
-        role: user.role,
-        phone: user.phone
+    let updated;
+    if (order.receipt?.invoiceNumber) {
+      updated = await Order.findByIdAndUpdate(order._id, {
+        $set: {
+          receipt: {
+            ...buildReceipt(order),
+            invoiceNumber: order.receipt.invoiceNumber,
+            issuedAt: order.receipt.issuedAt,
+            ...regenerated
+          }
+        }
+      }, { new: true });
+    } else {
+      updated = await runInTransaction(async (session) => {
+        // Check before drawing a number so a lost race never burns one
+        const unissued = await Order.exists({ _id: order._id, 'receipt.invoiceNumber': { $exists: false } }).session(session);
+        if (!unissued) return null;
+
+        const receipt = {
+          ...buildReceipt(order),
+          invoiceNumber: await nextInvoiceNumber(session),
+          issuedAt: new Date(),
+          ...regenerated
+        };
+        return Order.findByIdAndUpdate(order._id, { $set: { receipt } }, { new: true, session });
+      });
+
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: 'A receipt was issued for this order in the meantime'
+        });
       }
-    });
+    }
+
+    const user = await User.findById(order.userId).select('username email');
+    sendReceipt(res, updated, user, req.query.format);
 
   } catch (error) {
-    console.error('Registration error:', error);
+    console.error('Regenerate receipt error:', error);
     res.status(500).json({
       success: false,
-      message: 'Registration failed',
+      message: 'Failed to regenerate receipt',
       error: error.message
     });
   }
 });
 
-// LOGIN
-app.post('/api/auth/login', async (req, res) => {
+// REFUND ORDER (admin override for disputed deliveries)
+app.post('/api/admin/orders/:orderId/refund', authenticate, authorizeAdmin, idempotent, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { reason } = req.body;
+    const equities = parseInt(req.body.equities);
 
-    if (!email || !password) {
+    if (!reason || !String(reason).trim()) {
       return res.status(400).json({
         success: false,
-        message: 'Email and password are required'
+        message: 'A reason is required for manual refunds'
       });
     }
 
-    // Find user
-    const user = await User.findOne({ email }).select('+password');
-    
-    if (!user) {
-      return res.status(401).json({
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Order not found'
       });
     }
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    
-    if (!isPasswordValid) {
-      return res.status(401).json({
+    const refundable = order.cost - (order.refundedEquities || 0);
+    if (!isOrderCharged(order) || refundable <= 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Nothing left to refund on this order'
       });
     }
 
-    // Check if account is active
-    if (!user.isActive) {
-      return res.status(401).json({
+    if (!equities || equities <= 0 || equities > refundable) {
+      return res.status(400).json({
         success: false,
-        message: 'Account is deactivated. Contact support.'
+        message: `Refund must be between 1 and ${refundable} equities`
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: JWT_EXPIRE }
-    );
+    const result = await refundOrder(order, {
+      equities,
+      source: 'admin',
+      reason: `Manual refund: ${String(reason).trim()}`,
+      performedBy: req.user.username,
+      override: { action: 'refund', equities, reason: String(reason).trim(), performedBy: req.user.username }
+    });
 
-    // Update last login
-    await updateLastLogin(user._id);
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order was refunded in the meantime, please reload'
+      });
+    }
 
-    // Send login notification
     await sendNotification(
-      user._id,
-      'New Login Detected',
-      `You logged into your E-Acquire account at ${new Date().toLocaleTimeString()}.`,
-      'alert'
+      order.userId,
+      'Order Refund',
+      `${equities} equities have been refunded to your balance for order ${order.orderId}.`,
+      'order',
+      `/orders/${order.orderId}`
     );
 
     res.json({
       success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        balance: user.balance,
-        referralCode: user.referralCode,
-        role: user.role,
-        phone: user.phone
+      message: 'Refund issued successfully',
+      refund: {
+        transactionId: result.transaction.transactionId,
+        equities,
+        refundedEquities: result.order.refundedEquities
       }
     });
 
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Login failed',
-      error: error.message
-    });
-  }
-});
-
-// 11.3 USER PROFILE ROUTES
-// ========================
-
-// GET PROFILE
-app.get('/api/user/profile', authenticate, async (req, res) => {
-  try {
-    const user = await User.findById(req.user._id).select('-password');
-    
-    res.json({
-      success: true,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        balance: user.balance,
-        totalSpent: user.totalSpent,
-        totalOrders: user.totalOrders,
-        referralCode: user.referralCode,
-        referralCount: user.referralCount,
-        referralEarnings: user.referralEarnings,
-        role: user.role,
-        phone: user.phone,
-        isVerified: user.isVerified,
-        isActive: user.isActive,
-        createdAt: user.createdAt,
-        lastLogin: user.lastLogin
-      }
-    });
-  } catch (error) {
+    console.error('Admin refund error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch profile',
+      message: 'Failed to issue refund',
       error: error.message
     });
   }
 });
 
-// UPDATE PROFILE
-app.put('/api/user/profile', authenticate, async (req, res) => {
+// LIST REFILLS
+app.get('/api/admin/refills', authenticate, authorizeAdmin, async (req, res) => {
   try {
-    const { phone } = req.body;
-    const updates = {};
-
-    if (phone) {
-      if (!validateNigerianPhone(phone)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Please enter a valid Nigerian phone number'
-        });
+    const { status, limit = 50 } = req.query;
+
+    const match = status && status !== 'all' ? { 'refills.status': status } : {};
+    const refills = await Order.aggregate([
+      { $match: { 'refills.0': { $exists: true } } },
+      { $unwind: '$refills' },
+      { $match: match },
+      { $sort: { 'refills.requestedAt': -1 } },
+      { $limit: parseInt(limit) },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'userId',
+          foreignField: '_id',
+          as: 'user'
+        }
       }
-      updates.phone = phone;
-    }
-
-    updates.updatedAt = new Date();
-
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      updates,
-      { new: true, runValidators: true }
-    ).select('-password');
+    ]);
 
     res.json({
       success: true,
-      message: 'Profile updated successfully',
-      user
+      refills: refills.map(r => ({
+        orderId: r.orderId,
+        serviceName: r.serviceName,
+        username: r.user[0]?.username,
+        refillId: r.refills.refillId,
+        status: r.refills.status,
+        requestedBy: r.refills.requestedBy,
+        requestedAt: r.refills.requestedAt,
+        lastCheckedAt: r.refills.lastCheckedAt
+      }))
     });
 
   } catch (error) {
+    console.error('Get refills error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update profile',
+      message: 'Failed to fetch refills',
       error: error.message
     });
   }
 });
 
-// CHANGE PASSWORD
-app.post('/api/user/change-password', authenticate, async (req, res) => {
+// TRIGGER REFILL (ignores the guarantee window and cooldown)
+app.post('/api/admin/order/:orderId/refill', authenticate, authorizeAdmin, async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
-
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res.status(404).json({
         success: false,
-        message: 'Current password and new password are required'
+        message: 'Order not found'
       });
     }
 
-    if (newPassword.length < 6) {
+    const result = await requestRefill(order, { requestedBy: req.user.username, isAdmin: true });
+    if (!result.success) {
       return res.status(400).json({
         success: false,
-        message: 'New password must be at least 6 characters'
-      });
-    }
-
-    // Verify current password
-    const user = await User.findById(req.user._id).select('+password');
-    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
-
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Current password is incorrect'
+        message: result.error
       });
     }
 
-    // Hash new password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(newPassword, salt);
-
-    // Update password
-    user.password = hashedPassword;
-    user.updatedAt = new Date();
-    await user.save();
-
-    // Send notification
-    await sendNotification(
-      user._id,
-      'Password Changed',
-      'Your E-Acquire account password has been changed successfully.',
-      'alert'
-    );
+    await Order.updateOne({ _id: order._id }, {
+      $push: {
+        adminOverrides: {
+          action: 'refill',
+          reason: req.body?.reason || `Refill ${result.refill.refillId}`,
+          performedBy: req.user.username
+        }
+      }
+    });
 
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Refill created successfully',
+      refill: result.refill
     });
 
   } catch (error) {
+    console.error('Admin refill error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to change password',
+      message: 'Failed to create refill',
       error: error.message
     });
   }
 });
 
-// 11.4 DEPOSIT ROUTES
-// ====================
-
-// GET DEPOSIT DETAILS
-app.get('/api/deposit/details', authenticate, async (req, res) => {
+// GET DEAD-LETTERED ORDERS (gave up after repeated provider failures)
+app.get('/api/admin/orders/dead-letter', authenticate, authorizeAdmin, async (req, res) => {
   try {
+    const orders = await Order.find({ 'retry.deadLetteredAt': { $exists: true } })
+      .populate('userId', 'username email')
+      .sort({ 'retry.deadLetteredAt': -1 })
+      .limit(100);
+
+    const retrying = await Order.countDocuments({ status: 'queued', queueReason: 'retry' });
+
     res.json({
       success: true,
-      accountDetails: {
-        accountName: process.env.MONIEPOINT_ACCOUNT_NAME,
-        accountNumber: process.env.MONIEPOINT_ACCOUNT_NUMBER,
-        bankName: process.env.MONIEPOINT_BANK_NAME,
-        note: 'Send exact amount with your reference number. Upload proof after payment.'
-      },
-      support: {
-        email: process.env.SUPPORT_EMAIL,
-        phone: process.env.SUPPORT_PHONE,
-        whatsapp: process.env.SUPPORT_WHATSAPP
-      }
+      retrying,
+      orders: orders.map(order => ({
+        orderId: order.orderId,
+        username: order.userId?.username,
+        email: order.userId?.email,
+        serviceName: order.serviceName,
+        targetUrl: order.targetUrl,
+        quantity: order.quantity,
+        cost: order.cost,
+        status: order.status,
+        attempts: order.retry.attempts,
+        lastError: order.retry.lastError,
+        deadLetteredAt: order.retry.deadLetteredAt,
+        createdAt: order.createdAt
+      }))
     });
+
   } catch (error) {
+    console.error('Get dead-lettered orders error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch deposit details',
+      message: 'Failed to fetch dead-lettered orders',
       error: error.message
     });
   }
 });
 
-// REQUEST DEPOSIT
-app.post('/api/deposit/request', authenticate, async (req, res) => {
-  try {
-    const { amount } = req.body;
+// REPLAY A DEAD-LETTERED ORDER (re-reserves the cost and submits again)
+app.post('/api/admin/order/:orderId/replay', authenticate, authorizeAdmin, idempotent, async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const result = await replayDeadLetteredOrder(order, {
+      performedBy: req.user.username,
+      reason: String(req.body?.reason || '').trim() || 'Replayed from dead-letter queue'
+    });
 
-    if (!amount || isNaN(amount)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Valid amount is required'
+    if (result.queued) {
+      return res.json({
+        success: true,
+        message: 'Thekclaut is still unavailable; the order is back in the retry queue',
+        order: { orderId: order.orderId, status: 'queued' }
       });
     }
 
-    const amountNum = parseFloat(amount);
-    
-    // Minimum deposit: ₦500 (50 equities)
-    if (amountNum < 500) {
-      return res.status(400).json({
-        success: false,
-        message: 'Minimum deposit is ₦500'
+    if (result.review) {
+      return res.json({
+        success: true,
+        message: 'Thekclaut did not respond; the order is waiting for review',
+        order: { orderId: order.orderId, status: 'pending' }
       });
     }
 
-    // Maximum deposit: ₦500,000 (50,000 equities)
-    if (amountNum > 500000) {
-      return res.status(400).json({
+    if (!result.success) {
+      return res.status(result.replayed ? 502 : 400).json({
         success: false,
-        message: 'Maximum deposit is ₦500,000'
+        message: result.replayed
+          ? 'Thekclaut rejected the order again; its funds have been released'
+          : result.error,
+        error: result.replayed ? result.error : undefined
       });
     }
 
-    // Calculate equities
-    const equities = Math.floor(amountNum / EQUITY_VALUE);
-
-    // Generate reference
-    const reference = generateReference();
-    const transactionId = generateTransactionId();
+    await sendNotification(
+      order.userId,
+      'Order Placed ✅',
+      `Your order ${order.orderId} has been placed. ${order.cost} equities have been charged.`,
+      'order',
+      `/orders/${order.orderId}`
+    );
 
-    // Create deposit request
-    const transaction = new Transaction({
-      transactionId,
-      userId: req.user._id,
-      type: 'deposit',
-      amount: amountNum,
-      equities: equities,
-      status: 'pending',
-      reference: reference
+    res.json({
+      success: true,
+      message: 'Order replayed and placed successfully',
+      order: {
+        orderId: result.order.orderId,
+        status: result.order.status,
+        apiOrderId: result.order.apiOrderId
+      }
     });
 
-    await transaction.save();
+  } catch (error) {
+    console.error('Replay order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replay order',
+      error: error.message
+    });
+  }
+});
 
-    // Send notification
-    await sendNotification(
-      req.user._id,
-      'Deposit Request Created',
-      `Your deposit request of ${formatCurrency(amountNum)} (${equities} equities) has been created.`,
-      'deposit'
-    );
+// GET ORDERS AWAITING REVIEW (Thekclaut call never returned; funds still reserved)
+app.get('/api/admin/orders/review', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const orders = await Order.find({ 'review.requiredAt': { $exists: true } })
+      .populate('userId', 'username email')
+      .sort({ 'review.requiredAt': 1 })
+      .limit(100);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Deposit request created successfully',
-      deposit: {
-        transactionId: transaction.transactionId,
-        amount: transaction.amount,
-        equities: transaction.equities,
-        reference: transaction.reference,
-        status: transaction.status,
-        createdAt: transaction.createdAt
-      },
-      instructions: {
-        1: `Send ${formatCurrency(amountNum)} to: ${process.env.MONIEPOINT_ACCOUNT_NAME}`,
-        2: `Account Number: ${process.env.MONIEPOINT_ACCOUNT_NUMBER}`,
-        3: `Bank: ${process.env.MONIEPOINT_BANK_NAME}`,
-        4: `Use Reference: ${reference}`,
-        5: 'Upload payment proof after payment'
-      }
+      orders: orders.map(order => ({
+        orderId: order.orderId,
+        username: order.userId?.username,
+        email: order.userId?.email,
+        serviceName: order.serviceName,
+        serviceId: order.serviceId,
+        targetUrl: order.targetUrl,
+        quantity: order.quantity,
+        cost: order.cost,
+        reason: order.review.reason,
+        requiredAt: order.review.requiredAt,
+        createdAt: order.createdAt
+      }))
     });
 
   } catch (error) {
-    console.error('Deposit request error:', error);
+    console.error('Get orders awaiting review error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create deposit request',
+      message: 'Failed to fetch orders awaiting review',
       error: error.message
     });
   }
 });
 
-// UPLOAD PAYMENT PROOF
-app.post('/api/deposit/upload-proof', authenticate, async (req, res) => {
+// RESOLVE AN ORDER UNDER REVIEW (placed with a Thekclaut order ID, resubmit, or release)
+app.post('/api/admin/order/:orderId/resolve', authenticate, authorizeAdmin, idempotent, async (req, res) => {
   try {
-    const { transactionId, proofImage, senderName, senderAccount, transactionDate } = req.body;
+    const { resolution, apiOrderId, reason } = req.body;
 
-    if (!transactionId || !proofImage) {
+    if (!['placed', 'resubmit', 'release'].includes(resolution)) {
       return res.status(400).json({
         success: false,
-        message: 'Transaction ID and proof image are required'
+        message: 'Resolution must be placed, resubmit or release'
       });
     }
 
-    // Find the transaction
-    const transaction = await Transaction.findOne({
-      transactionId,
-      userId: req.user._id,
-      type: 'deposit',
-      status: 'pending'
-    });
+    if (resolution === 'placed' && !/^\d+$/.test(String(apiOrderId || '').trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A Thekclaut order ID is required when the order was placed'
+      });
+    }
 
-    if (!transaction) {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
       return res.status(404).json({
         success: false,
-        message: 'Pending deposit not found'
+        message: 'Order not found'
       });
     }
 
-    // Update transaction with proof
-    transaction.proofImage = proofImage;
-    transaction.moniepointDetails = {
-      senderName: senderName || 'Not provided',
-      senderAccount: senderAccount || 'Not provided',
-      transactionDate: transactionDate ? new Date(transactionDate) : new Date()
-    };
-    transaction.updatedAt = new Date();
+    const result = await resolveReviewedOrder(order, {
+      resolution,
+      apiOrderId: String(apiOrderId || '').trim(),
+      performedBy: req.user.username,
+      reason: String(reason || '').trim() || 'Resolved after review'
+    });
 
-    await transaction.save();
+    if (result.review) {
+      return res.status(202).json({
+        success: true,
+        message: 'Thekclaut did not respond to the resubmission; the order is back under review',
+        order: { orderId: order.orderId, status: 'pending' }
+      });
+    }
 
-    // Send notification to user
+    if (!result.success) {
+      return res.status(result.resubmitted ? 502 : 400).json({
+        success: false,
+        message: result.resubmitted
+          ? 'Thekclaut rejected the order again; its funds have been released'
+          : result.error,
+        error: result.resubmitted ? result.error : undefined
+      });
+    }
+
+    const status = result.order.status;
     await sendNotification(
-      req.user._id,
-      'Payment Proof Uploaded',
-      'Your payment proof has been uploaded successfully. Please wait for admin verification (usually within 2-12 hours).',
-      'deposit'
+      order.userId,
+      status === 'failed' ? 'Order Failed' : 'Order Placed ✅',
+      status === 'failed'
+        ? `Your order ${order.orderId} could not be placed. ${order.cost} equities have been returned to your wallet.`
+        : `Your order ${order.orderId} has been placed. ${order.cost} equities have been charged.`,
+      'order',
+      `/orders/${order.orderId}`
     );
 
     res.json({
       success: true,
-      message: 'Payment proof uploaded successfully',
-      transaction: {
-        transactionId: transaction.transactionId,
-        status: transaction.status,
-        updatedAt: transaction.updatedAt
+      message: `Order resolved (${resolution})`,
+      order: {
+        orderId: order.orderId,
+        status,
+        apiOrderId: result.order.apiOrderId
       }
     });
 
   } catch (error) {
-    console.error('Upload proof error:', error);
+    console.error('Resolve order error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to upload proof',
+      message: 'Failed to resolve order',
       error: error.message
     });
   }
 });
 
-// GET DEPOSIT HISTORY
-app.get('/api/deposit/history', authenticate, async (req, res) => {
+// GET ADMIN STATS
+app.get('/api/admin/stats', authenticate, authorizeAdmin, async (req, res) => {
   try {
-    const transactions = await Transaction.find({
-      userId: req.user._id,
-      type: 'deposit'
-    }).sort({ createdAt: -1 }).limit(50);
+    // Total users
+    const totalUsers = await User.countDocuments({ role: 'user' });
+    
+    // Total orders
+    const totalOrders = await Order.countDocuments();
+    
+    // Total deposits (approved)
+    const totalDeposits = await Transaction.aggregate([
+      { $match: { type: 'deposit', status: 'completed' } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    
+    // Total revenue (equities spent)
+    const totalRevenue = await Order.aggregate([
+      { $group: { _id: null, total: { $sum: '$cost' } } }
+    ]);
+    
+    // Pending deposits
+    const pendingDeposits = await Transaction.countDocuments({ 
+      type: 'deposit', 
+      status: 'pending' 
+    });
+    
+    // Recent users
+    const recentUsers = await User.find({ role: 'user' })
+      .sort({ createdAt: -1 })
+      .limit(10)
+      .select('username email balance createdAt lastLogin');
+
+    // Recent orders
+    const recentOrders = await Order.find()
+      .populate('userId', 'username')
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    // Thekclaut balance
+    const balanceCheck = await thekclaut.getBalance();
+    const thekclautBalance = balanceCheck.success ? balanceCheck.data.balance : 0;
+
+    // User activity stats
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const newUsersToday = await User.countDocuments({ 
+      createdAt: { $gte: today } 
+    });
 
     res.json({
       success: true,
-      transactions: transactions.map(t => ({
-        transactionId: t.transactionId,
-        amount: t.amount,
-        equities: t.equities,
-        status: t.status,
-        reference: t.reference,
-        proofImage: t.proofImage,
-        verifiedBy: t.verifiedBy,
-        verifiedAt: t.verifiedAt,
-        createdAt: t.createdAt,
-        updatedAt: t.updatedAt
-      })),
-      total: transactions.length
+      stats: {
+        totalUsers,
+        totalOrders,
+        totalDeposits: totalDeposits[0]?.total || 0,
+        totalRevenue: totalRevenue[0]?.total || 0,
+        pendingDeposits,
+        thekclautBalance,
+        newUsersToday,
+        recentUsers,
+        recentOrders
+      }
     });
+
   } catch (error) {
-    console.error('Deposit history error:', error);
+    console.error('Get admin stats error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch deposit history',
+      message: 'Failed to fetch admin stats',
       error: error.message
     });
   }
 });
 
-// 11.5 SERVICE ROUTES
-// ===================
-
-// GET ALL SERVICES
-app.get('/api/services', async (req, res) => {
-  try {
-    // Get all active services
-    const services = await Service.find({ isActive: true }).sort({
-      platform: 1,
-      serviceType: 1,
-      rate: 1
-    });
-
-    // Group services by platform
-    const groupedServices = {};
-    services.forEach(service => {
-      if (!groupedServices[service.platform]) {
-        groupedServices[service.platform] = [];
-      }
-      
-      groupedServices[service.platform].push({
-        id: service.serviceId,
-        name: service.name,
-        category: service.category,
-        platform: service.platform,
-        type: service.serviceType,
-        rate: service.rate,
-        ourRate: service.ourRate,
-        nairaRate: service.nairaRate,
-        min: service.min,
-        max: service.max,
-        refill: service.refill,
-        cancel: service.cancel,
-        quality: service.quality,
-        speed: service.speed,
-        description: service.description,
-        isActive: service.isActive
-      });
-    });
+// GET ALL USERS
+app.get('/api/admin/users', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, role, search } = req.query;
+    const skip = (page - 1) * limit;
+    
+    const query = {};
+    if (role && role !== 'all') query.role = role;
+    if (search) {
+      query.$or = [
+        { username: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+        { referralCode: { $regex: search, $options: 'i' } }
+      ];
+    }
 
-    // Get last updated service
-    const lastUpdatedService = await Service.findOne().sort({ lastUpdated: -1 });
+    const users = await User.find(query)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(query);
 
     res.json({
       success: true,
-      services: groupedServices,
-      lastUpdated: lastUpdatedService?.lastUpdated || new Date(),
-      count: services.length,
-      pricing: {
-        equityValue: EQUITY_VALUE,
-        markupPercentage: MARKUP_PERCENTAGE
+      users: users.map(user => ({
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        phone: user.phone,
+        balance: user.balance,
+        totalSpent: user.totalSpent,
+        totalOrders: user.totalOrders,
+        referralCode: user.referralCode,
+        referredBy: user.referredBy,
+        referralCount: user.referralCount,
+        referralEarnings: user.referralEarnings,
+        role: user.role,
+        isVerified: user.isVerified,
+        isActive: user.isActive,
+        createdAt: user.createdAt,
+        lastLogin: user.lastLogin,
+        updatedAt: user.updatedAt
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
       }
     });
 
   } catch (error) {
-    console.error('Get services error:', error);
+    console.error('Get users error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch services',
+      message: 'Failed to fetch users',
       error: error.message
     });
   }
 });
 
-// GET SERVICE BY ID
-app.get('/api/services/:serviceId', async (req, res) => {
+// UPDATE USER STATUS
+app.put('/api/admin/users/:userId/status', authenticate, authorizeAdmin, async (req, res) => {
   try {
-    const { serviceId } = req.params;
-    
-    const service = await Service.findOne({ serviceId });
-    
-    if (!service) {
+    const { userId } = req.params;
+    const { action } = req.body;
+
+    if (!action || !['activate', 'deactivate'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid action (activate/deactivate) is required'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
       return res.status(404).json({
         success: false,
-        message: 'Service not found'
+        message: 'User not found'
       });
     }
 
+    user.isActive = action === 'activate';
+    user.updatedAt = new Date();
+    await user.save();
+
     res.json({
       success: true,
-      service: {
-        id: service.serviceId,
-        name: service.name,
-        category: service.category,
-        platform: service.platform,
-        type: service.serviceType,
-        rate: service.rate,
-        ourRate: service.ourRate,
-        nairaRate: service.nairaRate,
-        min: service.min,
-        max: service.max,
-        refill: service.refill,
-        cancel: service.cancel,
-        description: service.description,
-        quality: service.quality,
-        speed: service.speed,
-        isActive: service.isActive,
-        lastUpdated: service.lastUpdated
+      message: `User ${action}d successfully`,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        isActive: user.isActive
       }
     });
 
   } catch (error) {
-    console.error('Get service error:', error);
+    console.error('Update user status error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch service',
+      message: 'Failed to update user status',
       error: error.message
     });
   }
 });
 
-// 11.6 ORDER ROUTES
-// =================
-
-// CALCULATE ORDER COST
-app.post('/api/orders/calculate', authenticate, async (req, res) => {
+// UPDATE USER ROLE
+app.put('/api/admin/users/:userId/role', authenticate, authorizeAdmin, async (req, res) => {
   try {
-    const { serviceId, quantity } = req.body;
+    const { userId } = req.params;
+    const { role } = req.body;
 
-    if (!serviceId || !quantity) {
+    if (!role || !['user', 'admin', 'support'].includes(role)) {
       return res.status(400).json({
         success: false,
-        message: 'Service ID and quantity are required'
+        message: 'Valid role (user/admin/support) is required'
       });
     }
 
-    const service = await Service.findOne({ serviceId });
-    
-    if (!service) {
+    const user = await User.findById(userId);
+    if (!user) {
       return res.status(404).json({
         success: false,
-        message: 'Service not found'
-      });
-    }
-
-    // Validate quantity
-    const quantityNum = parseInt(quantity);
-    if (quantityNum < service.min || quantityNum > service.max) {
-      return res.status(400).json({
-        success: false,
-        message: `Quantity must be between ${service.min} and ${service.max}`
+        message: 'User not found'
       });
     }
 
-    // Calculate cost
-    const cost = Math.ceil((service.ourRate / 1000) * quantityNum);
-    const costNaira = cost * EQUITY_VALUE;
+    user.role = role;
+    user.updatedAt = new Date();
+    await user.save();
 
     res.json({
       success: true,
-      calculation: {
-        serviceName: service.name,
-        platform: service.platform,
-        type: service.serviceType,
-        quantity: quantityNum,
-        costEquities: cost,
-        costNaira: costNaira,
-        perUnit: {
-          equities: (service.ourRate / 1000).toFixed(3),
-          naira: ((service.ourRate * EQUITY_VALUE) / 1000).toFixed(2)
-        },
-        min: service.min,
-        max: service.max
+      message: `User role updated to ${role}`,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role
       }
     });
 
   } catch (error) {
-    console.error('Calculate order error:', error);
+    console.error('Update user role error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to calculate order cost',
+      message: 'Failed to update user role',
       error: error.message
     });
   }
 });
 
-// PLACE ORDER
-app.post('/api/orders/place', authenticate, async (req, res) => {
+// ADJUST USER BALANCE (manual credit / debit)
+app.post('/api/admin/users/:userId/adjust-balance', authenticate, authorizeAdmin, idempotent, async (req, res) => {
   try {
-    const { serviceId, targetUrl, quantity } = req.body;
+    const { userId } = req.params;
+    const { direction, reason, ticketId, orderId, confirm } = req.body;
+    const equities = parseInt(req.body.equities);
 
-    if (!serviceId || !targetUrl || !quantity) {
+    if (!['credit', 'debit'].includes(direction)) {
       return res.status(400).json({
         success: false,
-        message: 'Service ID, target URL, and quantity are required'
+        message: 'Direction must be "credit" or "debit"'
       });
     }
 
-    // Get service
-    const service = await Service.findOne({ serviceId });
-    
-    if (!service) {
-      return res.status(404).json({
+    if (!equities || equities <= 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Service not found'
+        message: 'Equities must be a positive whole number'
       });
     }
 
-    // Validate quantity
-    const quantityNum = parseInt(quantity);
-    if (quantityNum < service.min || quantityNum > service.max) {
+    if (!reason || !String(reason).trim()) {
       return res.status(400).json({
         success: false,
-        message: `Quantity must be between ${service.min} and ${service.max}`
+        message: 'A reason is required for every adjustment'
       });
     }
 
-    // Calculate cost
-    const cost = Math.ceil((service.ourRate / 1000) * quantityNum);
+    // Large adjustments have to be confirmed explicitly
+    if (equities >= ADJUSTMENT_CONFIRM_THRESHOLD && confirm !== true) {
+      return res.status(400).json({
+        success: false,
+        requiresConfirmation: true,
+        threshold: ADJUSTMENT_CONFIRM_THRESHOLD,
+        message: `Adjustments of ${ADJUSTMENT_CONFIRM_THRESHOLD} equities or more must be confirmed`
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
 
-    // Check user balance
-    if (req.user.balance < cost) {
+    if (ticketId && !(await Ticket.exists({ ticketId }))) {
       return res.status(400).json({
         success: false,
-        message: 'Insufficient balance. Please deposit more funds.'
+        message: 'Linked ticket not found'
       });
     }
 
-    // Generate order ID
-    const orderId = generateOrderId();
+    if (orderId && !(await Order.exists({ orderId, userId: user._id }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Linked order not found for this user'
+      });
+    }
 
-    // Create order in database
-    const order = new Order({
+    const result = await adjustUserBalance(user._id, {
+      direction,
+      equities,
+      reason: String(reason).trim(),
+      ticketId,
       orderId,
-      userId: req.user._id,
-      serviceId,
-      serviceName: service.name,
-      platform: service.platform,
-      type: service.serviceType,
-      targetUrl,
-      quantity: quantityNum,
-      cost,
-      status: 'pending'
+      performedBy: req.user.username
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const updatedUser = await User.findById(user._id).select('balance');
+
+    res.json({
+      success: true,
+      message: `Balance ${direction === 'credit' ? 'credited' : 'debited'} successfully`,
+      adjustment: {
+        transactionId: result.transaction.transactionId,
+        reference: result.transaction.reference,
+        direction,
+        equities,
+        reason: result.transaction.adjustment.reason
+      },
+      balance: updatedUser.balance
     });
 
-    // Place order on Thekclaut API
-    const thekclautOrder = await thekclaut.placeOrder(serviceId, targetUrl, quantityNum);
+  } catch (error) {
+    console.error('Adjust balance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust balance',
+      error: error.message
+    });
+  }
+});
+
+// SYNC SERVICES FROM THEKCLAUT
+app.post('/api/admin/services/sync', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const result = await updateServicesFromThekclaut();
     
-    if (!thekclautOrder.success) {
-      // Update order status to failed
-      order.status = 'failed';
-      order.apiResponse = thekclautOrder.error;
-      await order.save();
+    if (result.success) {
+      res.json({
+        success: true,
+        message: 'Services synced successfully',
+        stats: {
+          updated: result.updated,
+          added: result.added,
+          errors: result.errors
+        }
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to sync services',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Sync services error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync services',
+      error: error.message
+    });
+  }
+});
+
+// SET A SERVICE'S OVERLAP POLICY (warn | block | allow)
+app.post('/api/admin/service/:serviceId/overlap-policy', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const { policy } = req.body;
 
-      return res.status(500).json({
+    if (!['warn', 'block', 'allow'].includes(policy)) {
+      return res.status(400).json({
         success: false,
-        message: 'Failed to place order on Thekclaut',
-        error: thekclautOrder.error
+        message: 'Policy must be one of: warn, block, allow'
       });
     }
 
-    // Update order with Thekclaut response
-    order.apiOrderId = thekclautOrder.data.order;
-    order.status = 'processing';
-    order.apiResponse = thekclautOrder.data;
-    await order.save();
+    const service = await Service.findOneAndUpdate(
+      { serviceId: req.params.serviceId },
+      { $set: { overlapPolicy: policy } },
+      { new: true }
+    );
 
-    // Deduct from user balance
-    await User.findByIdAndUpdate(req.user._id, {
-      $inc: { 
-        balance: -cost,
-        totalSpent: cost,
-        totalOrders: 1
-      },
-      $set: { updatedAt: new Date() }
-    });
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
 
-    // Create transaction record
-    const transaction = new Transaction({
-      transactionId: generateTransactionId(),
-      userId: req.user._id,
-      type: 'order',
-      amount: cost * EQUITY_VALUE,
-      equities: cost,
-      status: 'completed',
-      reference: orderId,
-      notes: `Order: ${service.name} - ${quantityNum} units`
+    res.json({
+      success: true,
+      message: `Overlap policy set to "${policy}"`,
+      service: {
+        id: service.serviceId,
+        name: service.name,
+        overlapPolicy: service.overlapPolicy
+      }
     });
 
-    await transaction.save();
+  } catch (error) {
+    console.error('Set overlap policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update overlap policy',
+      error: error.message
+    });
+  }
+});
 
-    // Send notification
-    await sendNotification(
-      req.user._id,
-      'Order Placed Successfully!',
-      `Your order for ${service.name} has been placed. Order ID: ${orderId}`,
-      'order',
-      `/orders/${orderId}`
-    );
+// LEDGER RECONCILIATION REPORT
+app.get('/api/admin/ledger/reconciliation', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const report = await reconcileLedgerBalances();
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Order placed successfully',
-      order: {
-        orderId: order.orderId,
-        serviceName: order.serviceName,
-        targetUrl: order.targetUrl,
-        quantity: order.quantity,
-        cost: order.cost,
-        status: order.status,
-        apiOrderId: order.apiOrderId,
-        createdAt: order.createdAt
-      }
+      balanced: report.mismatches.length === 0 && report.unbalancedPairs.length === 0,
+      report
     });
 
   } catch (error) {
-    console.error('Place order error:', error);
+    console.error('Ledger reconciliation error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to place order',
+      message: 'Failed to reconcile ledger',
       error: error.message
     });
   }
 });
 
-// GET USER ORDERS
-app.get('/api/orders/my-orders', authenticate, async (req, res) => {
+// USER LEDGER ENTRIES
+app.get('/api/admin/users/:userId/ledger', authenticate, authorizeAdmin, async (req, res) => {
   try {
-    const { status, limit = 50, page = 1 } = req.query;
+    const { userId } = req.params;
+    const { page = 1, limit = 50 } = req.query;
     const skip = (page - 1) * limit;
-    
-    const query = { userId: req.user._id };
-    if (status && status !== 'all') {
-      query.status = status;
+
+    const user = await User.findById(userId).select('username email balance');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
     }
-    
-    const orders = await Order.find(query)
+
+    const query = { account: walletAccount(user._id) };
+    const entries = await LedgerEntry.find(query)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
-    
-    const total = await Order.countDocuments(query);
+
+    const total = await LedgerEntry.countDocuments(query);
+    const ledgerBalance = await getLedgerBalance(user._id);
 
     res.json({
       success: true,
-      orders: orders.map(order => ({
-        orderId: order.orderId,
-        serviceName: order.serviceName,
-        platform: order.platform,
-        type: order.type,
-        targetUrl: order.targetUrl,
-        quantity: order.quantity,
-        cost: order.cost,
-        status: order.status,
-        apiOrderId: order.apiOrderId,
-        startCount: order.startCount,
-        remains: order.remains,
-        createdAt: order.createdAt,
-        updatedAt: order.updatedAt,
-        deliveredAt: order.deliveredAt
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        storedBalance: user.balance,
+        ledgerBalance
+      },
+      entries: entries.map(e => ({
+        entryId: e.entryId,
+        pairId: e.pairId,
+        side: e.side,
+        amount: e.amount,
+        transactionId: e.transactionId,
+        reference: e.reference,
+        memo: e.memo,
+        createdAt: e.createdAt
       })),
       pagination: {
         page: parseInt(page),
@@ -2130,475 +9810,473 @@ app.get('/api/orders/my-orders', authenticate, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Get orders error:', error);
+    console.error('Get user ledger error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch orders',
+      message: 'Failed to fetch user ledger',
       error: error.message
     });
   }
 });
 
-// GET ORDER DETAILS
-app.get('/api/orders/:orderId', authenticate, async (req, res) => {
+// GET WITHDRAWAL REQUESTS
+app.get('/api/admin/withdrawals', authenticate, authorizeAdmin, async (req, res) => {
   try {
-    const { orderId } = req.params;
+    const { status = 'pending', page = 1, limit = 50 } = req.query;
+    const skip = (page - 1) * limit;
 
-    const order = await Order.findOne({
-      orderId,
-      userId: req.user._id
+    const query = { type: 'withdrawal' };
+    if (status !== 'all') query.status = status;
+
+    const withdrawals = await Transaction.find(query)
+      .populate('userId', 'username email referralEarnings')
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Transaction.countDocuments(query);
+
+    res.json({
+      success: true,
+      withdrawals: withdrawals.map(w => ({
+        transactionId: w.transactionId,
+        user: w.userId ? {
+          id: w.userId._id,
+          username: w.userId.username,
+          email: w.userId.email,
+          referralEarnings: w.userId.referralEarnings
+        } : null,
+        amount: w.amount,
+        equities: w.equities,
+        reference: w.reference,
+        status: w.status,
+        payoutAccount: w.payoutAccount,
+        payoutReference: w.payoutReference,
+        verifiedBy: w.verifiedBy,
+        verifiedAt: w.verifiedAt,
+        notes: w.notes,
+        createdAt: w.createdAt
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
 
-    if (!order) {
-      return res.status(404).json({
+  } catch (error) {
+    console.error('Get withdrawals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch withdrawals',
+      error: error.message
+    });
+  }
+});
+
+// MARK WITHDRAWAL PAID OR REJECT IT
+app.post('/api/admin/withdrawals/:transactionId/process', authenticate, authorizeAdmin, idempotent, async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const { action, payoutReference, reason, notes } = req.body;
+
+    if (!['paid', 'reject'].includes(action)) {
+      return res.status(400).json({
         success: false,
-        message: 'Order not found'
+        message: 'Action must be "paid" or "reject"'
       });
     }
 
-    // Check order status from Thekclaut if still processing
-    if (order.apiOrderId && (order.status === 'processing' || order.status === 'in progress')) {
-      try {
-        const statusCheck = await thekclaut.checkOrderStatus(order.apiOrderId);
-        
-        if (statusCheck.success) {
-          order.status = statusCheck.data.status;
-          order.startCount = statusCheck.data.start_count;
-          order.remains = statusCheck.data.remains;
-          order.updatedAt = new Date();
-
-          if (statusCheck.data.status === 'completed') {
-            order.deliveredAt = new Date();
-            
-            await sendNotification(
-              req.user._id,
-              'Order Completed! ✅',
-              `Your order ${orderId} has been completed successfully.`,
-              'order'
-            );
-          }
+    const result = action === 'paid'
+      ? await completeWithdrawal(transactionId, {
+        verifiedBy: req.user.username,
+        payoutReference,
+        notes
+      })
+      : await rejectWithdrawal(transactionId, {
+        verifiedBy: req.user.username,
+        reason: reason || 'Rejected by admin'
+      });
 
-          await order.save();
-        }
-      } catch (apiError) {
-        console.error('Error checking order status:', apiError);
-      }
+    if (!result.success) {
+      return res.status(409).json({
+        success: false,
+        message: result.error
+      });
     }
 
     res.json({
       success: true,
-      order: {
-        orderId: order.orderId,
-        serviceName: order.serviceName,
-        platform: order.platform,
-        type: order.type,
-        targetUrl: order.targetUrl,
-        quantity: order.quantity,
-        cost: order.cost,
-        status: order.status,
-        apiOrderId: order.apiOrderId,
-        startCount: order.startCount,
-        remains: order.remains,
-        estimatedDelivery: order.estimatedDelivery,
-        createdAt: order.createdAt,
-        updatedAt: order.updatedAt,
-        deliveredAt: order.deliveredAt
+      message: action === 'paid' ? 'Withdrawal marked as paid' : 'Withdrawal rejected and funds returned',
+      withdrawal: {
+        transactionId: result.transaction.transactionId,
+        status: result.transaction.status,
+        equities: result.transaction.equities,
+        payoutReference: result.transaction.payoutReference
       }
     });
 
   } catch (error) {
-    console.error('Get order error:', error);
+    console.error('Process withdrawal error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch order',
+      message: 'Failed to process withdrawal',
       error: error.message
     });
   }
 });
 
-// CANCEL ORDER
-app.post('/api/orders/:orderId/cancel', authenticate, async (req, res) => {
+// GET COUPONS
+app.get('/api/admin/coupons', authenticate, authorizeAdmin, async (req, res) => {
   try {
-    const { orderId } = req.params;
+    const coupons = await Coupon.find({}).sort({ createdAt: -1 });
 
-    const order = await Order.findOne({
-      orderId,
-      userId: req.user._id,
-      status: { $in: ['pending', 'processing'] }
+    res.json({
+      success: true,
+      coupons
     });
 
-    if (!order) {
-      return res.status(404).json({
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupons',
+      error: error.message
+    });
+  }
+});
+
+// Fields admins may set on a coupon
+const COUPON_FIELDS = [
+  'description', 'discountType', 'discountValue', 'maxDiscount', 'minOrderValue',
+  'platforms', 'serviceIds', 'startsAt', 'expiresAt', 'isActive', 'usageLimit', 'perUserLimit'
+];
+
+const pickCouponFields = (body) => {
+  const fields = {};
+  COUPON_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+const validateCouponFields = (fields) => {
+  if (fields.discountType === 'percentage' && fields.discountValue > 100) {
+    return 'Percentage discount cannot exceed 100';
+  }
+  if (fields.startsAt && fields.expiresAt && new Date(fields.expiresAt) <= new Date(fields.startsAt)) {
+    return 'Expiry date must be after the start date';
+  }
+  return null;
+};
+
+// CREATE COUPON
+app.post('/api/admin/coupons', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const fields = pickCouponFields(req.body);
+
+    if (!code || !fields.discountType || !fields.discountValue) {
+      return res.status(400).json({
         success: false,
-        message: 'Order not found or cannot be cancelled'
+        message: 'Code, discount type and discount value are required'
       });
     }
 
-    // Check if service supports cancellation
-    const service = await Service.findOne({ serviceId: order.serviceId });
-    if (!service?.cancel) {
+    const validationError = validateCouponFields(fields);
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        message: 'This service does not support cancellation'
+        message: validationError
       });
     }
 
-    // Try to cancel on Thekclaut
-    if (order.apiOrderId) {
-      const cancelResult = await thekclaut.cancelOrder(order.apiOrderId);
-      
-      if (!cancelResult.success) {
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to cancel order on Thekclaut',
-          error: cancelResult.error
-        });
-      }
+    const existing = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
     }
 
-    // Update order status
-    order.status = 'cancelled';
-    order.updatedAt = new Date();
-    await order.save();
+    const coupon = new Coupon({
+      ...fields,
+      code,
+      createdBy: req.user.username
+    });
+    await coupon.save();
 
-    // Refund user balance
-    await User.findByIdAndUpdate(req.user._id, {
-      $inc: { balance: order.cost },
-      $set: { updatedAt: new Date() }
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      coupon
     });
 
-    // Create refund transaction
-    const transaction = new Transaction({
-      transactionId: generateTransactionId(),
-      userId: req.user._id,
-      type: 'refund',
-      amount: order.cost * EQUITY_VALUE,
-      equities: order.cost,
-      status: 'completed',
-      reference: orderId,
-      notes: `Refund for cancelled order: ${order.serviceName}`
+  } catch (error) {
+    console.error('Create coupon error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Failed to create coupon',
+      error: error.message
     });
+  }
+});
 
-    await transaction.save();
+// UPDATE COUPON (set isActive: false to disable it)
+app.put('/api/admin/coupons/:code', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const coupon = await Coupon.findOne({ code: req.params.code.toUpperCase() });
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const fields = pickCouponFields(req.body);
+    const validationError = validateCouponFields({
+      discountType: fields.discountType || coupon.discountType,
+      discountValue: fields.discountValue !== undefined ? fields.discountValue : coupon.discountValue,
+      startsAt: fields.startsAt !== undefined ? fields.startsAt : coupon.startsAt,
+      expiresAt: fields.expiresAt !== undefined ? fields.expiresAt : coupon.expiresAt
+    });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    Object.assign(coupon, fields);
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      coupon
+    });
+
+  } catch (error) {
+    console.error('Update coupon error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Failed to update coupon',
+      error: error.message
+    });
+  }
+});
 
-    // Send notification
-    await sendNotification(
-      req.user._id,
-      'Order Cancelled',
-      `Your order ${orderId} has been cancelled and ${order.cost} equities have been refunded to your account.`,
-      'order'
-    );
+// GET DEPOSIT BONUS TIERS
+app.get('/api/admin/deposit-bonus-tiers', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const tiers = await DepositBonusTier.find({}).sort({ minAmount: 1 });
 
     res.json({
       success: true,
-      message: 'Order cancelled successfully',
-      refunded: order.cost
+      tiers
     });
 
   } catch (error) {
-    console.error('Cancel order error:', error);
+    console.error('Get bonus tiers error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to cancel order',
+      message: 'Failed to fetch bonus tiers',
       error: error.message
     });
   }
 });
 
-// 11.7 ADMIN ROUTES
-// =================
-
-// ADMIN LOGIN
-app.post('/api/admin/login', async (req, res) => {
+// CREATE DEPOSIT BONUS TIER
+app.post('/api/admin/deposit-bonus-tiers', authenticate, authorizeAdmin, async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { name, minAmount, percentage, startsAt, endsAt, isActive } = req.body;
 
-    if (!username || !password) {
+    if (!name || minAmount === undefined || !percentage) {
       return res.status(400).json({
         success: false,
-        message: 'Username and password are required'
+        message: 'Name, minimum amount and percentage are required'
       });
     }
 
-    // Check against environment variables
-    if (username === process.env.ADMIN_USERNAME && password === process.env.ADMIN_PASSWORD) {
-      
-      // Find or create admin user
-      let adminUser = await User.findOne({ email: process.env.ADMIN_EMAIL });
-      
-      if (!adminUser) {
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(password, salt);
-
-        adminUser = new User({
-          username: process.env.ADMIN_USERNAME,
-          email: process.env.ADMIN_EMAIL,
-          password: hashedPassword,
-          role: 'admin',
-          isVerified: true,
-          referralCode: generateReferralCode()
-        });
-
-        await adminUser.save();
-      }
-
-      // Update last login
-      adminUser.lastLogin = new Date();
-      adminUser.updatedAt = new Date();
-      await adminUser.save();
-
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: adminUser._id, role: 'admin' },
-        process.env.JWT_SECRET,
-        { expiresIn: JWT_EXPIRE }
-      );
-
-      res.json({
-        success: true,
-        message: 'Admin login successful',
-        token,
-        user: {
-          id: adminUser._id,
-          username: adminUser.username,
-          email: adminUser.email,
-          role: adminUser.role,
-          balance: adminUser.balance
-        }
-      });
-    } else {
-      res.status(401).json({
+    if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid admin credentials'
+        message: 'End date must be after the start date'
       });
     }
 
+    const tier = new DepositBonusTier({
+      name,
+      minAmount,
+      percentage,
+      startsAt,
+      endsAt,
+      isActive: isActive !== undefined ? isActive : true,
+      createdBy: req.user.username
+    });
+    await tier.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Bonus tier created successfully',
+      tier
+    });
+
   } catch (error) {
-    console.error('Admin login error:', error);
-    res.status(500).json({
+    console.error('Create bonus tier error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
-      message: 'Admin login failed',
+      message: 'Failed to create bonus tier',
       error: error.message
     });
   }
 });
 
-// GET PENDING DEPOSITS
-app.get('/api/admin/deposits/pending', authenticate, authorizeAdmin, async (req, res) => {
+// UPDATE DEPOSIT BONUS TIER
+app.put('/api/admin/deposit-bonus-tiers/:tierId', authenticate, authorizeAdmin, async (req, res) => {
   try {
-    const pendingDeposits = await Transaction.find({
-      type: 'deposit',
-      status: 'pending'
-    })
-    .populate('userId', 'username email')
-    .sort({ createdAt: 1 })
-    .limit(100);
+    const tier = await DepositBonusTier.findById(req.params.tierId);
+
+    if (!tier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bonus tier not found'
+      });
+    }
+
+    ['name', 'minAmount', 'percentage', 'startsAt', 'endsAt', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) tier[field] = req.body[field];
+    });
+
+    if (tier.startsAt && tier.endsAt && tier.endsAt <= tier.startsAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be after the start date'
+      });
+    }
+
+    await tier.save();
 
     res.json({
       success: true,
-      deposits: pendingDeposits.map(deposit => ({
-        transactionId: deposit.transactionId,
-        userId: deposit.userId._id,
-        username: deposit.userId.username,
-        email: deposit.userId.email,
-        amount: deposit.amount,
-        equities: deposit.equities,
-        reference: deposit.reference,
-        proofImage: deposit.proofImage,
-        moniepointDetails: deposit.moniepointDetails,
-        createdAt: deposit.createdAt,
-        updatedAt: deposit.updatedAt
-      })),
-      total: pendingDeposits.length
+      message: 'Bonus tier updated successfully',
+      tier
     });
 
   } catch (error) {
-    console.error('Get pending deposits error:', error);
-    res.status(500).json({
+    console.error('Update bonus tier error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
-      message: 'Failed to fetch pending deposits',
+      message: 'Failed to update bonus tier',
       error: error.message
     });
   }
 });
 
-// APPROVE DEPOSIT
-app.post('/api/admin/deposit/approve', authenticate, authorizeAdmin, async (req, res) => {
+// 11.8 CUSTOMER SUPPORT ROUTES
+// =============================
+
+// CREATE SUPPORT TICKET
+app.post('/api/support/ticket', authenticate, async (req, res) => {
   try {
-    const { transactionId, action } = req.body;
+    const { subject, message, category, priority } = req.body;
 
-    if (!transactionId || !action) {
+    if (!subject || !message) {
       return res.status(400).json({
         success: false,
-        message: 'Transaction ID and action are required'
+        message: 'Subject and message are required'
       });
     }
 
-    const transaction = await Transaction.findOne({
-      transactionId,
-      type: 'deposit',
-      status: 'pending'
-    }).populate('userId');
-
-    if (!transaction) {
-      return res.status(404).json({
+    if (subject.length > 200) {
+      return res.status(400).json({
         success: false,
-        message: 'Pending deposit not found'
+        message: 'Subject cannot exceed 200 characters'
       });
     }
 
-    if (action === 'approve') {
-      // Update transaction
-      transaction.status = 'completed';
-      transaction.verifiedBy = req.user.username;
-      transaction.verifiedAt = new Date();
-      transaction.notes = 'Deposit approved by admin';
-      transaction.updatedAt = new Date();
-
-      // Update user balance
-      const user = await User.findById(transaction.userId._id);
-      user.balance += transaction.equities;
-      user.updatedAt = new Date();
-      await user.save();
-
-      // Handle referral bonus (10% of deposit for referrer)
-      if (user.referredBy) {
-        const referrer = await User.findOne({ referralCode: user.referredBy });
-        if (referrer) {
-          const referralBonus = Math.floor(transaction.equities * 0.10);
-          
-          referrer.referralEarnings += referralBonus;
-          referrer.balance += referralBonus;
-          referrer.referralCount += 1;
-          await referrer.save();
-
-          // Create referral transaction
-          const referralTransaction = new Transaction({
-            transactionId: generateTransactionId(),
-            userId: referrer._id,
-            type: 'referral',
-            amount: referralBonus * EQUITY_VALUE,
-            equities: referralBonus,
-            status: 'completed',
-            reference: transaction.transactionId,
-            notes: `Referral bonus from ${user.username}`
-          });
-          await referralTransaction.save();
-
-          // Send notification to referrer
-          await sendNotification(
-            referrer._id,
-            'Referral Bonus! 🎉',
-            `You received ${referralBonus} equities (₦${referralBonus * EQUITY_VALUE}) for referring ${user.username}`,
-            'bonus'
-          );
-        }
-      }
-
-      // Send notification to user
-      await sendNotification(
-        user._id,
-        'Deposit Approved ✅',
-        `Your deposit of ${formatCurrency(transaction.amount)} has been approved. ${transaction.equities} equities added to your account.`,
-        'deposit'
-      );
-
-      await transaction.save();
-
-      res.json({
-        success: true,
-        message: 'Deposit approved successfully',
-        transaction: {
-          transactionId: transaction.transactionId,
-          status: transaction.status,
-          verifiedBy: transaction.verifiedBy,
-          verifiedAt: transaction.verifiedAt
-        }
+    if (message.length > 2000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message cannot exceed 2000 characters'
       });
+    }
 
-    } else if (action === 'reject') {
-      // Update transaction
-      transaction.status = 'cancelled';
-      transaction.verifiedBy = req.user.username;
-      transaction.verifiedAt = new Date();
-      transaction.notes = req.body.reason || 'Deposit rejected by admin';
-      transaction.updatedAt = new Date();
+    const ticket = new Ticket({
+      ticketId: generateTicketId(),
+      userId: req.user._id,
+      subject,
+      message,
+      category: category || 'general',
+      priority: priority || 'medium',
+      status: 'open'
+    });
 
-      await transaction.save();
+    await ticket.save();
 
-      // Send notification to user
-      await sendNotification(
-        transaction.userId._id,
-        'Deposit Rejected ❌',
-        `Your deposit of ${formatCurrency(transaction.amount)} was rejected. Reason: ${transaction.notes}`,
-        'deposit'
-      );
+    // Send notification to user
+    await sendNotification(
+      req.user._id,
+      'Support Ticket Created',
+      `Your support ticket "${subject}" has been created successfully. We will respond shortly.`,
+      'ticket'
+    );
 
-      res.json({
-        success: true,
-        message: 'Deposit rejected',
-        transaction: {
-          transactionId: transaction.transactionId,
-          status: transaction.status,
-          verifiedBy: transaction.verifiedBy,
-          verifiedAt: transaction.verifiedAt
-        }
-      });
-    } else {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid action. Use "approve" or "reject"'
-      });
-    }
+    res.status(201).json({
+      success: true,
+      message: 'Ticket created successfully',
+      ticket: {
+        ticketId: ticket.ticketId,
+        subject: ticket.subject,
+        status: ticket.status,
+        category: ticket.category,
+        priority: ticket.priority,
+        createdAt: ticket.createdAt
+      }
+    });
 
   } catch (error) {
-    console.error('Approve deposit error:', error);
+    console.error('Create ticket error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to process deposit',
+      message: 'Failed to create ticket',
       error: error.message
     });
   }
 });
 
-// GET ALL TRANSACTIONS
-app.get('/api/admin/transactions', authenticate, authorizeAdmin, async (req, res) => {
+// GET USER TICKETS
+app.get('/api/support/my-tickets', authenticate, async (req, res) => {
   try {
-    const { type, status, page = 1, limit = 50, userId } = req.query;
-    
-    const query = {};
-    if (type && type !== 'all') query.type = type;
-    if (status && status !== 'all') query.status = status;
-    if (userId) query.userId = userId;
-
+    const { status, page = 1, limit = 20 } = req.query;
     const skip = (page - 1) * limit;
-
-    const transactions = await Transaction.find(query)
-      .populate('userId', 'username email')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Transaction.countDocuments(query);
-
-    res.json({
-      success: true,
-      transactions: transactions.map(t => ({
-        transactionId: t.transactionId,
-        userId: t.userId?._id,
-        username: t.userId?.username,
-        email: t.userId?.email,
-        type: t.type,
-        amount: t.amount,
-        equities: t.equities,
-        status: t.status,
-        reference: t.reference,
-        proofImage: t.proofImage,
-        verifiedBy: t.verifiedBy,
-        verifiedAt: t.verifiedAt,
-        notes: t.notes,
-        createdAt: t.createdAt,
-        updatedAt: t.updatedAt
+    
+    const query = { userId: req.user._id };
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+    
+    const tickets = await Ticket.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    
+    const total = await Ticket.countDocuments(query);
+
+    res.json({
+      success: true,
+      tickets: tickets.map(ticket => ({
+        ticketId: ticket.ticketId,
+        subject: ticket.subject,
+        status: ticket.status,
+        priority: ticket.priority,
+        category: ticket.category,
+        createdAt: ticket.createdAt,
+        updatedAt: ticket.updatedAt,
+        replies: ticket.replies?.length || 0,
+        assignedTo: ticket.assignedTo
       })),
       pagination: {
         page: parseInt(page),
@@ -2609,192 +10287,175 @@ app.get('/api/admin/transactions', authenticate, authorizeAdmin, async (req, res
     });
 
   } catch (error) {
-    console.error('Get transactions error:', error);
+    console.error('Get tickets error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch transactions',
+      message: 'Failed to fetch tickets',
       error: error.message
     });
   }
 });
 
-// GET ALL ORDERS
-app.get('/api/admin/orders', authenticate, authorizeAdmin, async (req, res) => {
+// GET TICKET DETAILS
+app.get('/api/support/ticket/:ticketId', authenticate, async (req, res) => {
   try {
-    const { status, platform, page = 1, limit = 50, userId } = req.query;
-    
-    const query = {};
-    if (status && status !== 'all') query.status = status;
-    if (platform && platform !== 'all') query.platform = platform;
-    if (userId) query.userId = userId;
-
-    const skip = (page - 1) * limit;
+    const { ticketId } = req.params;
 
-    const orders = await Order.find(query)
-      .populate('userId', 'username email')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    const ticket = await Ticket.findOne({
+      ticketId,
+      userId: req.user._id
+    }).populate('replies.userId', 'username role');
 
-    const total = await Order.countDocuments(query);
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
 
     res.json({
       success: true,
-      orders: orders.map(order => ({
-        orderId: order.orderId,
-        userId: order.userId?._id,
-        username: order.userId?.username,
-        email: order.userId?.email,
-        serviceName: order.serviceName,
-        platform: order.platform,
-        type: order.type,
-        targetUrl: order.targetUrl,
-        quantity: order.quantity,
-        cost: order.cost,
-        status: order.status,
-        apiOrderId: order.apiOrderId,
-        startCount: order.startCount,
-        remains: order.remains,
-        createdAt: order.createdAt,
-        updatedAt: order.updatedAt,
-        deliveredAt: order.deliveredAt
-      })),
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
+      ticket: {
+        ticketId: ticket.ticketId,
+        subject: ticket.subject,
+        message: ticket.message,
+        status: ticket.status,
+        priority: ticket.priority,
+        category: ticket.category,
+        assignedTo: ticket.assignedTo,
+        replies: ticket.replies || [],
+        createdAt: ticket.createdAt,
+        updatedAt: ticket.updatedAt
       }
     });
 
   } catch (error) {
-    console.error('Get orders error:', error);
+    console.error('Get ticket error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch orders',
+      message: 'Failed to fetch ticket',
       error: error.message
     });
   }
 });
 
-// GET ADMIN STATS
-app.get('/api/admin/stats', authenticate, authorizeAdmin, async (req, res) => {
+// REPLY TO TICKET
+app.post('/api/support/ticket/:ticketId/reply', authenticate, async (req, res) => {
   try {
-    // Total users
-    const totalUsers = await User.countDocuments({ role: 'user' });
-    
-    // Total orders
-    const totalOrders = await Order.countDocuments();
-    
-    // Total deposits (approved)
-    const totalDeposits = await Transaction.aggregate([
-      { $match: { type: 'deposit', status: 'completed' } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
-    ]);
-    
-    // Total revenue (equities spent)
-    const totalRevenue = await Order.aggregate([
-      { $group: { _id: null, total: { $sum: '$cost' } } }
-    ]);
-    
-    // Pending deposits
-    const pendingDeposits = await Transaction.countDocuments({ 
-      type: 'deposit', 
-      status: 'pending' 
-    });
-    
-    // Recent users
-    const recentUsers = await User.find({ role: 'user' })
-      .sort({ createdAt: -1 })
-      .limit(10)
-      .select('username email balance createdAt lastLogin');
+    const { ticketId } = req.params;
+    const { message } = req.body;
 
-    // Recent orders
-    const recentOrders = await Order.find()
-      .populate('userId', 'username')
-      .sort({ createdAt: -1 })
-      .limit(10);
+    if (!message) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message is required'
+      });
+    }
 
-    // Thekclaut balance
-    const balanceCheck = await thekclaut.getBalance();
-    const thekclautBalance = balanceCheck.success ? balanceCheck.data.balance : 0;
+    if (message.length > 2000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message cannot exceed 2000 characters'
+      });
+    }
 
-    // User activity stats
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const newUsersToday = await User.countDocuments({ 
-      createdAt: { $gte: today } 
+    const ticket = await Ticket.findOne({
+      ticketId,
+      userId: req.user._id
+    });
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    // Add reply
+    ticket.replies.push({
+      userId: req.user._id,
+      message,
+      isStaff: req.user.role === 'admin' || req.user.role === 'support',
+      createdAt: new Date()
     });
 
+    ticket.updatedAt = new Date();
+    
+    // Update status
+    if (ticket.status === 'resolved') {
+      ticket.status = 'awaiting reply';
+    } else if (req.user.role === 'admin' || req.user.role === 'support') {
+      ticket.status = 'awaiting reply';
+      ticket.assignedTo = req.user.username;
+    }
+
+    await ticket.save();
+
+    // Send notification if staff replied
+    if (req.user.role === 'admin' || req.user.role === 'support') {
+      await sendNotification(
+        ticket.userId,
+        'New Reply on Your Ticket',
+        `Staff has replied to your ticket: "${ticket.subject}"`,
+        'ticket',
+        `/support/ticket/${ticketId}`
+      );
+    }
+
     res.json({
       success: true,
-      stats: {
-        totalUsers,
-        totalOrders,
-        totalDeposits: totalDeposits[0]?.total || 0,
-        totalRevenue: totalRevenue[0]?.total || 0,
-        pendingDeposits,
-        thekclautBalance,
-        newUsersToday,
-        recentUsers,
-        recentOrders
+      message: 'Reply sent successfully',
+      ticket: {
+        ticketId: ticket.ticketId,
+        status: ticket.status,
+        updatedAt: ticket.updatedAt,
+        replies: ticket.replies.length
       }
     });
 
   } catch (error) {
-    console.error('Get admin stats error:', error);
+    console.error('Reply ticket error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch admin stats',
+      message: 'Failed to send reply',
       error: error.message
     });
   }
 });
 
-// GET ALL USERS
-app.get('/api/admin/users', authenticate, authorizeAdmin, async (req, res) => {
+// GET ALL TICKETS (ADMIN)
+app.get('/api/admin/tickets', authenticate, authorizeSupport, async (req, res) => {
   try {
-    const { page = 1, limit = 50, role, search } = req.query;
+    const { status, priority, page = 1, limit = 50 } = req.query;
     const skip = (page - 1) * limit;
     
     const query = {};
-    if (role && role !== 'all') query.role = role;
-    if (search) {
-      query.$or = [
-        { username: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { referralCode: { $regex: search, $options: 'i' } }
-      ];
-    }
+    if (status && status !== 'all') query.status = status;
+    if (priority && priority !== 'all') query.priority = priority;
 
-    const users = await User.find(query)
-      .select('-password')
+    const tickets = await Ticket.find(query)
+      .populate('userId', 'username email')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
-
-    const total = await User.countDocuments(query);
+    
+    const total = await Ticket.countDocuments(query);
 
     res.json({
       success: true,
-      users: users.map(user => ({
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        phone: user.phone,
-        balance: user.balance,
-        totalSpent: user.totalSpent,
-        totalOrders: user.totalOrders,
-        referralCode: user.referralCode,
-        referredBy: user.referredBy,
-        referralCount: user.referralCount,
-        referralEarnings: user.referralEarnings,
-        role: user.role,
-        isVerified: user.isVerified,
-        isActive: user.isActive,
-        createdAt: user.createdAt,
-        lastLogin: user.lastLogin,
-        updatedAt: user.updatedAt
+      tickets: tickets.map(ticket => ({
+        ticketId: ticket.ticketId,
+        userId: ticket.userId?._id,
+        username: ticket.userId?.username,
+        email: ticket.userId?.email,
+        subject: ticket.subject,
+        category: ticket.category,
+        priority: ticket.priority,
+        status: ticket.status,
+        assignedTo: ticket.assignedTo,
+        replies: ticket.replies?.length || 0,
+        createdAt: ticket.createdAt,
+        updatedAt: ticket.updatedAt
       })),
       pagination: {
         page: parseInt(page),
@@ -2805,241 +10466,276 @@ app.get('/api/admin/users', authenticate, authorizeAdmin, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Get users error:', error);
+    console.error('Get all tickets error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch users',
+      message: 'Failed to fetch tickets',
       error: error.message
     });
   }
 });
 
-// UPDATE USER STATUS
-app.put('/api/admin/users/:userId/status', authenticate, authorizeAdmin, async (req, res) => {
+// UPDATE TICKET STATUS (ADMIN)
+app.put('/api/admin/tickets/:ticketId/status', authenticate, authorizeSupport, async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { action } = req.body;
-
-    if (!action || !['activate', 'deactivate'].includes(action)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Valid action (activate/deactivate) is required'
-      });
-    }
+    const { ticketId } = req.params;
+    const { status, assignedTo } = req.body;
 
-    const user = await User.findById(userId);
-    if (!user) {
+    const ticket = await Ticket.findOne({ ticketId });
+    if (!ticket) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Ticket not found'
       });
     }
 
-    user.isActive = action === 'activate';
-    user.updatedAt = new Date();
-    await user.save();
+    if (status) ticket.status = status;
+    if (assignedTo) ticket.assignedTo = assignedTo;
+    ticket.updatedAt = new Date();
+    
+    await ticket.save();
+
+    // Send notification to user if status changed
+    if (status && ['resolved', 'closed'].includes(status)) {
+      await sendNotification(
+        ticket.userId,
+        `Ticket ${status.charAt(0).toUpperCase() + status.slice(1)}`,
+        `Your ticket "${ticket.subject}" has been marked as ${status}.`,
+        'ticket'
+      );
+    }
 
     res.json({
       success: true,
-      message: `User ${action}d successfully`,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        isActive: user.isActive
+      message: 'Ticket updated successfully',
+      ticket: {
+        ticketId: ticket.ticketId,
+        status: ticket.status,
+        assignedTo: ticket.assignedTo,
+        updatedAt: ticket.updatedAt
       }
     });
 
   } catch (error) {
-    console.error('Update user status error:', error);
+    console.error('Update ticket status error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update user status',
+      message: 'Failed to update ticket',
       error: error.message
     });
   }
 });
 
-// UPDATE USER ROLE
-app.put('/api/admin/users/:userId/role', authenticate, authorizeAdmin, async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const { role } = req.body;
+// 11.9 FAQ ROUTES
+// ===============
 
-    if (!role || !['user', 'admin', 'support'].includes(role)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Valid role (user/admin/support) is required'
-      });
-    }
+// GET FAQS
+app.get('/api/faqs', async (req, res) => {
+  try {
+    const faqs = await FAQ.find({ isActive: true })
+      .sort({ order: 1, category: 1 });
 
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
+    // Group by category
+    const groupedFaqs = {};
+    faqs.forEach(faq => {
+      if (!groupedFaqs[faq.category]) {
+        groupedFaqs[faq.category] = [];
+      }
+      groupedFaqs[faq.category].push({
+        question: faq.question,
+        answer: faq.answer,
+        order: faq.order
       });
-    }
-
-    user.role = role;
-    user.updatedAt = new Date();
-    await user.save();
+    });
 
     res.json({
       success: true,
-      message: `User role updated to ${role}`,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role
-      }
+      faqs: groupedFaqs,
+      count: faqs.length
     });
 
   } catch (error) {
-    console.error('Update user role error:', error);
+    console.error('Get FAQs error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update user role',
+      message: 'Failed to fetch FAQs',
       error: error.message
     });
   }
 });
 
-// SYNC SERVICES FROM THEKCLAUT
-app.post('/api/admin/services/sync', authenticate, authorizeAdmin, async (req, res) => {
+// CREATE FAQ (ADMIN)
+app.post('/api/admin/faqs', authenticate, authorizeAdmin, async (req, res) => {
   try {
-    const result = await updateServicesFromThekclaut();
-    
-    if (result.success) {
-      res.json({
-        success: true,
-        message: 'Services synced successfully',
-        stats: {
-          updated: result.updated,
-          added: result.added,
-          errors: result.errors
-        }
-      });
-    } else {
-      res.status(500).json({
+    const { question, answer, category, order, isActive } = req.body;
+
+    if (!question || !answer || !category) {
+      return res.status(400).json({
         success: false,
-        message: 'Failed to sync services',
-        error: result.error
+        message: 'Question, answer, and category are required'
       });
     }
+
+    const faq = new FAQ({
+      question,
+      answer,
+      category,
+      order: order || 0,
+      isActive: isActive !== undefined ? isActive : true
+    });
+
+    await faq.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'FAQ created successfully',
+      faq
+    });
+
   } catch (error) {
-    console.error('Sync services error:', error);
+    console.error('Create FAQ error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to sync services',
+      message: 'Failed to create FAQ',
       error: error.message
     });
   }
 });
 
-// 11.8 CUSTOMER SUPPORT ROUTES
-// =============================
+// 11.10 NOTIFICATION ROUTES
+// =========================
 
-// CREATE SUPPORT TICKET
-app.post('/api/support/ticket', authenticate, async (req, res) => {
+// GET USER NOTIFICATIONS
+app.get('/api/notifications', authenticate, async (req, res) => {
   try {
-    const { subject, message, category, priority } = req.body;
-
-    if (!subject || !message) {
-      return res.status(400).json({
-        success: false,
-        message: 'Subject and message are required'
-      });
+    const { limit = 50, page = 1, unreadOnly } = req.query;
+    const skip = (page - 1) * limit;
+    
+    const query = { userId: req.user._id };
+    if (unreadOnly === 'true') {
+      query.isRead = false;
     }
+    
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    
+    const total = await Notification.countDocuments(query);
+    const unreadCount = await Notification.countDocuments({ 
+      userId: req.user._id, 
+      isRead: false 
+    });
 
-    if (subject.length > 200) {
-      return res.status(400).json({
-        success: false,
-        message: 'Subject cannot exceed 200 characters'
-      });
-    }
+    res.json({
+      success: true,
+      notifications: notifications.map(notif => ({
+        id: notif._id,
+        title: notif.title,
+        message: notif.message,
+        type: notif.type,
+        isRead: notif.isRead,
+        link: notif.link,
+        createdAt: notif.createdAt
+      })),
+      unreadCount,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
 
-    if (message.length > 2000) {
-      return res.status(400).json({
-        success: false,
-        message: 'Message cannot exceed 2000 characters'
-      });
-    }
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications',
+      error: error.message
+    });
+  }
+});
 
-    const ticket = new Ticket({
-      ticketId: generateTicketId(),
-      userId: req.user._id,
-      subject,
-      message,
-      category: category || 'general',
-      priority: priority || 'medium',
-      status: 'open'
+// MARK NOTIFICATION AS READ
+app.put('/api/notifications/:id/read', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await Notification.findOneAndUpdate(
+      { _id: id, userId: req.user._id },
+      { isRead: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read'
     });
 
-    await ticket.save();
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification',
+      error: error.message
+    });
+  }
+});
 
-    // Send notification to user
-    await sendNotification(
-      req.user._id,
-      'Support Ticket Created',
-      `Your support ticket "${subject}" has been created successfully. We will respond shortly.`,
-      'ticket'
+// MARK ALL NOTIFICATIONS AS READ
+app.put('/api/notifications/read-all', authenticate, async (req, res) => {
+  try {
+    await Notification.updateMany(
+      { userId: req.user._id, isRead: false },
+      { isRead: true }
     );
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Ticket created successfully',
-      ticket: {
-        ticketId: ticket.ticketId,
-        subject: ticket.subject,
-        status: ticket.status,
-        category: ticket.category,
-        priority: ticket.priority,
-        createdAt: ticket.createdAt
-      }
+      message: 'All notifications marked as read'
     });
 
   } catch (error) {
-    console.error('Create ticket error:', error);
+    console.error('Mark all notifications read error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create ticket',
+      message: 'Failed to update notifications',
       error: error.message
     });
   }
 });
 
-// GET USER TICKETS
-app.get('/api/support/my-tickets', authenticate, async (req, res) => {
+// 11.11 TRANSACTION HISTORY
+// =========================
+
+// GET ALL USER TRANSACTIONS
+app.get('/api/transactions', authenticate, async (req, res) => {
   try {
-    const { status, page = 1, limit = 20 } = req.query;
+    const { type, page = 1, limit = 50 } = req.query;
     const skip = (page - 1) * limit;
     
     const query = { userId: req.user._id };
-    if (status && status !== 'all') {
-      query.status = status;
-    }
-    
-    const tickets = await Ticket.find(query)
+    if (type && type !== 'all') query.type = type;
+
+    const transactions = await Transaction.find(query)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
     
-    const total = await Ticket.countDocuments(query);
+    const total = await Transaction.countDocuments(query);
 
     res.json({
       success: true,
-      tickets: tickets.map(ticket => ({
-        ticketId: ticket.ticketId,
-        subject: ticket.subject,
-        status: ticket.status,
-        priority: ticket.priority,
-        category: ticket.category,
-        createdAt: ticket.createdAt,
-        updatedAt: ticket.updatedAt,
-        replies: ticket.replies?.length || 0,
-        assignedTo: ticket.assignedTo
+      transactions: transactions.map(t => ({
+        transactionId: t.transactionId,
+        type: t.type,
+        amount: t.amount,
+        equities: t.equities,
+        status: t.status,
+        reference: t.reference,
+        notes: t.notes,
+        createdAt: t.createdAt,
+        updatedAt: t.updatedAt
       })),
       pagination: {
         page: parseInt(page),
@@ -3050,469 +10746,476 @@ app.get('/api/support/my-tickets', authenticate, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Get tickets error:', error);
+    console.error('Get transactions error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch tickets',
+      message: 'Failed to fetch transactions',
       error: error.message
     });
   }
 });
 
-// GET TICKET DETAILS
-app.get('/api/support/ticket/:ticketId', authenticate, async (req, res) => {
+// GET ACCOUNT STATEMENT (JSON, CSV or PDF)
+app.get('/api/statements', authenticate, async (req, res) => {
   try {
-    const { ticketId } = req.params;
-
-    const ticket = await Ticket.findOne({
-      ticketId,
-      userId: req.user._id
-    }).populate('replies.userId', 'username role');
-
-    if (!ticket) {
-      return res.status(404).json({
+    const { format = 'json' } = req.query;
+    const now = new Date();
+
+    // Dates are whole days; "to" is inclusive. Defaults to the current month.
+    const from = req.query.from
+      ? new Date(`${req.query.from}T00:00:00.000Z`)
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const to = req.query.to
+      ? new Date(new Date(`${req.query.to}T00:00:00.000Z`).getTime() + 24 * 60 * 60 * 1000)
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({
         success: false,
-        message: 'Ticket not found'
+        message: 'Dates must be in YYYY-MM-DD format'
       });
     }
 
-    res.json({
-      success: true,
-      ticket: {
-        ticketId: ticket.ticketId,
-        subject: ticket.subject,
-        message: ticket.message,
-        status: ticket.status,
-        priority: ticket.priority,
-        category: ticket.category,
-        assignedTo: ticket.assignedTo,
-        replies: ticket.replies || [],
-        createdAt: ticket.createdAt,
-        updatedAt: ticket.updatedAt
-      }
-    });
-
-  } catch (error) {
-    console.error('Get ticket error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch ticket',
-      error: error.message
-    });
-  }
-});
-
-// REPLY TO TICKET
-app.post('/api/support/ticket/:ticketId/reply', authenticate, async (req, res) => {
-  try {
-    const { ticketId } = req.params;
-    const { message } = req.body;
-
-    if (!message) {
+    if (from >= to) {
       return res.status(400).json({
         success: false,
-        message: 'Message is required'
+        message: 'Start date must be on or before end date'
       });
     }
 
-    if (message.length > 2000) {
+    if (to - from > STATEMENT_MAX_DAYS * 24 * 60 * 60 * 1000) {
       return res.status(400).json({
         success: false,
-        message: 'Message cannot exceed 2000 characters'
+        message: `Statements can cover at most ${STATEMENT_MAX_DAYS} days`
       });
     }
 
-    const ticket = await Ticket.findOne({
-      ticketId,
-      userId: req.user._id
-    });
-
-    if (!ticket) {
-      return res.status(404).json({
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({
         success: false,
-        message: 'Ticket not found'
+        message: 'Format must be json, csv or pdf'
       });
     }
 
-    // Add reply
-    ticket.replies.push({
-      userId: req.user._id,
-      message,
-      isStaff: req.user.role === 'admin' || req.user.role === 'support',
-      createdAt: new Date()
-    });
+    const statement = await buildStatement(req.user._id, from, to);
+    const filename = `statement-${req.user.username}-${from.toISOString().slice(0, 10)}-${new Date(to.getTime() - 1).toISOString().slice(0, 10)}`;
 
-    ticket.updatedAt = new Date();
-    
-    // Update status
-    if (ticket.status === 'resolved') {
-      ticket.status = 'awaiting reply';
-    } else if (req.user.role === 'admin' || req.user.role === 'support') {
-      ticket.status = 'awaiting reply';
-      ticket.assignedTo = req.user.username;
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(statementToCSV(statement, req.user));
     }
 
-    await ticket.save();
-
-    // Send notification if staff replied
-    if (req.user.role === 'admin' || req.user.role === 'support') {
-      await sendNotification(
-        ticket.userId,
-        'New Reply on Your Ticket',
-        `Staff has replied to your ticket: "${ticket.subject}"`,
-        'ticket',
-        `/support/ticket/${ticketId}`
-      );
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return renderStatementPDF(statement, req.user, res);
     }
 
     res.json({
       success: true,
-      message: 'Reply sent successfully',
-      ticket: {
-        ticketId: ticket.ticketId,
-        status: ticket.status,
-        updatedAt: ticket.updatedAt,
-        replies: ticket.replies.length
-      }
+      statement
     });
 
   } catch (error) {
-    console.error('Reply ticket error:', error);
+    console.error('Get statement error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to send reply',
+      message: 'Failed to generate statement',
       error: error.message
     });
   }
 });
 
-// GET ALL TICKETS (ADMIN)
-app.get('/api/admin/tickets', authenticate, authorizeSupport, async (req, res) => {
-  try {
-    const { status, priority, page = 1, limit = 50 } = req.query;
-    const skip = (page - 1) * limit;
-    
-    const query = {};
-    if (status && status !== 'all') query.status = status;
-    if (priority && priority !== 'all') query.priority = priority;
+// 11.12 WITHDRAWAL ROUTES
+// =======================
 
-    const tickets = await Ticket.find(query)
-      .populate('userId', 'username email')
+// GET WITHDRAWAL SUMMARY AND HISTORY
+app.get('/api/withdrawals', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const withdrawals = await Transaction.find({ userId: req.user._id, type: 'withdrawal' })
       .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-    
-    const total = await Ticket.countDocuments(query);
+      .limit(50);
 
     res.json({
       success: true,
-      tickets: tickets.map(ticket => ({
-        ticketId: ticket.ticketId,
-        userId: ticket.userId?._id,
-        username: ticket.userId?.username,
-        email: ticket.userId?.email,
-        subject: ticket.subject,
-        category: ticket.category,
-        priority: ticket.priority,
-        status: ticket.status,
-        assignedTo: ticket.assignedTo,
-        replies: ticket.replies?.length || 0,
-        createdAt: ticket.createdAt,
-        updatedAt: ticket.updatedAt
-      })),
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      referralEarnings: user.referralEarnings,
+      withdrawable: getWithdrawableEquities(user),
+      minimum: MIN_WITHDRAWAL_EQUITIES,
+      bankAccount: user.bankAccount,
+      withdrawals: withdrawals.map(w => ({
+        transactionId: w.transactionId,
+        amount: w.amount,
+        equities: w.equities,
+        reference: w.reference,
+        status: w.status,
+        payoutAccount: w.payoutAccount,
+        payoutReference: w.payoutReference,
+        notes: w.notes,
+        createdAt: w.createdAt,
+        processedAt: w.verifiedAt
+      }))
     });
 
   } catch (error) {
-    console.error('Get all tickets error:', error);
+    console.error('Get withdrawals error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch tickets',
+      message: 'Failed to fetch withdrawals',
       error: error.message
     });
   }
 });
 
-// UPDATE TICKET STATUS (ADMIN)
-app.put('/api/admin/tickets/:ticketId/status', authenticate, authorizeSupport, async (req, res) => {
+// REQUEST WITHDRAWAL OF REFERRAL EARNINGS
+app.post('/api/withdrawals/request', authenticate, idempotent, async (req, res) => {
   try {
-    const { ticketId } = req.params;
-    const { status, assignedTo } = req.body;
+    const equities = parseInt(req.body.equities);
 
-    const ticket = await Ticket.findOne({ ticketId });
-    if (!ticket) {
-      return res.status(404).json({
+    if (!equities || equities < MIN_WITHDRAWAL_EQUITIES) {
+      return res.status(400).json({
         success: false,
-        message: 'Ticket not found'
+        message: `Minimum withdrawal is ${MIN_WITHDRAWAL_EQUITIES} equities (${formatCurrency(MIN_WITHDRAWAL_EQUITIES * EQUITY_VALUE)})`
       });
     }
 
-    if (status) ticket.status = status;
-    if (assignedTo) ticket.assignedTo = assignedTo;
-    ticket.updatedAt = new Date();
-    
-    await ticket.save();
+    const user = await User.findById(req.user._id);
+    if (!user.bankAccount || !user.bankAccount.accountNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please save a bank account before requesting a withdrawal'
+      });
+    }
 
-    // Send notification to user if status changed
-    if (status && ['resolved', 'closed'].includes(status)) {
-      await sendNotification(
-        ticket.userId,
-        `Ticket ${status.charAt(0).toUpperCase() + status.slice(1)}`,
-        `Your ticket "${ticket.subject}" has been marked as ${status}.`,
-        'ticket'
-      );
+    const result = await requestWithdrawal(user, equities);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
     }
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Ticket updated successfully',
-      ticket: {
-        ticketId: ticket.ticketId,
-        status: ticket.status,
-        assignedTo: ticket.assignedTo,
-        updatedAt: ticket.updatedAt
+      message: 'Withdrawal requested. You will be notified once it is paid.',
+      withdrawal: {
+        transactionId: result.transaction.transactionId,
+        amount: result.transaction.amount,
+        equities: result.transaction.equities,
+        reference: result.transaction.reference,
+        status: result.transaction.status,
+        payoutAccount: result.transaction.payoutAccount,
+        createdAt: result.transaction.createdAt
       }
     });
 
   } catch (error) {
-    console.error('Update ticket status error:', error);
+    console.error('Request withdrawal error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update ticket',
+      message: 'Failed to request withdrawal',
       error: error.message
     });
   }
 });
 
-// 11.9 FAQ ROUTES
-// ===============
+// 11.13 SUBSCRIPTION ROUTES
+// =========================
 
-// GET FAQS
-app.get('/api/faqs', async (req, res) => {
+// GET USER SUBSCRIPTIONS
+app.get('/api/subscriptions', authenticate, async (req, res) => {
   try {
-    const faqs = await FAQ.find({ isActive: true })
-      .sort({ order: 1, category: 1 });
-
-    // Group by category
-    const groupedFaqs = {};
-    faqs.forEach(faq => {
-      if (!groupedFaqs[faq.category]) {
-        groupedFaqs[faq.category] = [];
-      }
-      groupedFaqs[faq.category].push({
-        question: faq.question,
-        answer: faq.answer,
-        order: faq.order
-      });
-    });
+    const subscriptions = await Subscription.find({ userId: req.user._id }).sort({ createdAt: -1 });
 
     res.json({
       success: true,
-      faqs: groupedFaqs,
-      count: faqs.length
+      subscriptions: subscriptions.map(subscriptionResponse)
     });
 
   } catch (error) {
-    console.error('Get FAQs error:', error);
+    console.error('Get subscriptions error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch FAQs',
+      message: 'Failed to fetch subscriptions',
       error: error.message
     });
   }
 });
 
-// CREATE FAQ (ADMIN)
-app.post('/api/admin/faqs', authenticate, authorizeAdmin, async (req, res) => {
+// CREATE SUBSCRIPTION
+app.post('/api/subscriptions', authenticate, idempotent, async (req, res) => {
   try {
-    const { question, answer, category, order, isActive } = req.body;
+    const { serviceId } = req.body;
 
-    if (!question || !answer || !category) {
+    const service = await Service.findOne({ serviceId, isActive: true });
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const validation = validateSubscriptionRequest(service, req.body);
+    if (!validation.success) {
       return res.status(400).json({
         success: false,
-        message: 'Question, answer, and category are required'
+        message: validation.error
       });
     }
 
-    const faq = new FAQ({
-      question,
-      answer,
-      category,
-      order: order || 0,
-      isActive: isActive !== undefined ? isActive : true
+    const values = validation.values;
+    if (req.user.balance < values.costPerPost) {
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient balance. Each post costs ${values.costPerPost} equities.`
+      });
+    }
+
+    // Saved before the provider subscription is started, so one is never
+    // running at Thekclaut without a record of it here
+    let subscription = await Subscription.create({
+      subscriptionId: generateSubscriptionId(),
+      userId: req.user._id,
+      serviceId: service.serviceId,
+      serviceName: service.name,
+      platform: service.platform,
+      ...values,
+      status: values.mode === 'provider' ? 'starting' : 'active',
+      nextRunAt: values.mode === 'local' ? new Date() : undefined
     });
 
-    await faq.save();
+    if (subscription.mode === 'provider') {
+      const started = await startProviderSubscription(subscription);
+      if (!started.success) {
+        await Subscription.deleteOne({ _id: subscription._id, status: 'starting' });
+        return res.status(400).json({
+          success: false,
+          message: 'Failed to create subscription with provider',
+          error: started.error
+        });
+      }
+
+      subscription = await recordStartedSubscription(
+        { _id: subscription._id, status: 'starting' },
+        { $set: { status: 'active', apiSubscriptionId: started.apiSubscriptionId } },
+        started.apiSubscriptionId
+      );
+    }
+
+    await sendNotification(
+      req.user._id,
+      'Subscription Started',
+      `Every new post on ${subscription.profileUrl} will get ${subscription.quantityPerPost} ${service.serviceType} (${subscription.costPerPost} equities per post, up to ${subscription.maxPosts} posts).`,
+      'order',
+      `/subscriptions/${subscription.subscriptionId}`
+    );
 
     res.status(201).json({
       success: true,
-      message: 'FAQ created successfully',
-      faq
+      message: 'Subscription created successfully',
+      subscription: subscriptionResponse(subscription)
     });
 
   } catch (error) {
-    console.error('Create FAQ error:', error);
+    console.error('Create subscription error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create FAQ',
+      message: 'Failed to create subscription',
       error: error.message
     });
   }
 });
 
-// 11.10 NOTIFICATION ROUTES
-// =========================
-
-// GET USER NOTIFICATIONS
-app.get('/api/notifications', authenticate, async (req, res) => {
+// GET SUBSCRIPTION DETAILS (with the orders charged for it)
+app.get('/api/subscriptions/:subscriptionId', authenticate, async (req, res) => {
   try {
-    const { limit = 50, page = 1, unreadOnly } = req.query;
-    const skip = (page - 1) * limit;
-    
-    const query = { userId: req.user._id };
-    if (unreadOnly === 'true') {
-      query.isRead = false;
+    const subscription = await Subscription.findOne({
+      subscriptionId: req.params.subscriptionId,
+      userId: req.user._id
+    });
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
     }
-    
-    const notifications = await Notification.find(query)
+
+    const orders = await Order.find({ subscriptionId: subscription.subscriptionId })
       .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-    
-    const total = await Notification.countDocuments(query);
-    const unreadCount = await Notification.countDocuments({ 
-      userId: req.user._id, 
-      isRead: false 
-    });
+      .select('orderId status cost quantity createdAt deliveredAt');
 
     res.json({
       success: true,
-      notifications: notifications.map(notif => ({
-        id: notif._id,
-        title: notif.title,
-        message: notif.message,
-        type: notif.type,
-        isRead: notif.isRead,
-        link: notif.link,
-        createdAt: notif.createdAt
-      })),
-      unreadCount,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      subscription: subscriptionResponse(subscription),
+      orders: orders.map(order => ({
+        orderId: order.orderId,
+        status: order.status,
+        cost: order.cost,
+        quantity: order.quantity,
+        createdAt: order.createdAt,
+        deliveredAt: order.deliveredAt
+      }))
     });
 
   } catch (error) {
-    console.error('Get notifications error:', error);
+    console.error('Get subscription error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch notifications',
+      message: 'Failed to fetch subscription',
       error: error.message
     });
   }
 });
 
-// MARK NOTIFICATION AS READ
-app.put('/api/notifications/:id/read', authenticate, async (req, res) => {
+// PAUSE SUBSCRIPTION
+app.post('/api/subscriptions/:subscriptionId/pause', authenticate, async (req, res) => {
   try {
-    const { id } = req.params;
+    const subscription = await Subscription.findOne({
+      subscriptionId: req.params.subscriptionId,
+      userId: req.user._id,
+      status: 'active'
+    });
 
-    await Notification.findOneAndUpdate(
-      { _id: id, userId: req.user._id },
-      { isRead: true }
-    );
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found or not active'
+      });
+    }
+
+    const paused = await stopSubscription(subscription, 'paused', 'user');
+    if (!paused) {
+      return res.status(409).json({
+        success: false,
+        message: 'Subscription was updated, please try again'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Notification marked as read'
+      message: 'Subscription paused',
+      subscription: subscriptionResponse(paused)
     });
 
   } catch (error) {
-    console.error('Mark notification read error:', error);
+    console.error('Pause subscription error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update notification',
+      message: 'Failed to pause subscription',
       error: error.message
     });
   }
 });
 
-// MARK ALL NOTIFICATIONS AS READ
-app.put('/api/notifications/read-all', authenticate, async (req, res) => {
+// RESUME SUBSCRIPTION (charges posts delivered while paused first)
+app.post('/api/subscriptions/:subscriptionId/resume', authenticate, idempotent, async (req, res) => {
   try {
-    await Notification.updateMany(
-      { userId: req.user._id, isRead: false },
-      { isRead: true }
-    );
+    const subscription = await Subscription.findOne({
+      subscriptionId: req.params.subscriptionId,
+      userId: req.user._id,
+      status: 'paused'
+    });
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found or not paused'
+      });
+    }
+
+    const result = await resumeSubscription(subscription);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
 
     res.json({
       success: true,
-      message: 'All notifications marked as read'
+      message: 'Subscription resumed',
+      subscription: subscriptionResponse(result.subscription)
     });
 
   } catch (error) {
-    console.error('Mark all notifications read error:', error);
+    console.error('Resume subscription error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update notifications',
+      message: 'Failed to resume subscription',
       error: error.message
     });
   }
 });
 
-// 11.11 TRANSACTION HISTORY
-// =========================
-
-// GET ALL USER TRANSACTIONS
-app.get('/api/transactions', authenticate, async (req, res) => {
+// CANCEL SUBSCRIPTION
+app.post('/api/subscriptions/:subscriptionId/cancel', authenticate, async (req, res) => {
   try {
-    const { type, page = 1, limit = 50 } = req.query;
-    const skip = (page - 1) * limit;
-    
-    const query = { userId: req.user._id };
-    if (type && type !== 'all') query.type = type;
+    const subscription = await Subscription.findOne({
+      subscriptionId: req.params.subscriptionId,
+      userId: req.user._id,
+      status: { $in: ['active', 'paused'] }
+    });
 
-    const transactions = await Transaction.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-    
-    const total = await Transaction.countDocuments(query);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found or already ended'
+      });
+    }
+
+    // Stop the provider first so nothing more is delivered, then pick up the
+    // posts it delivered up to now
+    const cancelled = await stopSubscription(subscription, 'cancelled');
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Subscription was updated, please try again'
+      });
+    }
+
+    let current = cancelled;
+    if (subscription.mode === 'provider' && subscription.status === 'active') {
+      const synced = await syncProviderPosts(current);
+      if (synced.success) current = synced.subscription;
+      else console.error(`❌ Subscription ${current.subscriptionId}: could not check delivered posts on cancel`);
+    }
+
+    // Charge what the wallet covers; the rest stays recorded as owed
+    // (postsDelivered ahead of postsCharged)
+    if (current.postsCharged < current.postsDelivered) {
+      const service = await Service.findOne({ serviceId: current.serviceId });
+      if (service) {
+        const charged = await chargeOutstandingPosts(current, service);
+        if (charged.subscription) current = charged.subscription;
+      }
+    }
+
+    const owed = current.postsDelivered - current.postsCharged;
+    if (owed > 0) {
+      await sendNotification(
+        current.userId,
+        'Subscription Cancelled',
+        `Your subscription ${current.subscriptionId} was cancelled. ${owed} delivered post(s) (${owed * current.costPerPost} equities) could not be paid from your balance and are recorded as owed.`,
+        'order',
+        `/subscriptions/${current.subscriptionId}`
+      );
+    }
 
     res.json({
       success: true,
-      transactions: transactions.map(t => ({
-        transactionId: t.transactionId,
-        type: t.type,
-        amount: t.amount,
-        equities: t.equities,
-        status: t.status,
-        reference: t.reference,
-        notes: t.notes,
-        createdAt: t.createdAt,
-        updatedAt: t.updatedAt
-      })),
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      message: owed > 0
+        ? `Subscription cancelled. ${owed} delivered post(s) (${owed * current.costPerPost} equities) are still owed.`
+        : 'Subscription cancelled',
+      subscription: subscriptionResponse(current)
     });
 
   } catch (error) {
-    console.error('Get transactions error:', error);
+    console.error('Cancel subscription error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch transactions',
+      message: 'Failed to cancel subscription',
       error: error.message
     });
   }
@@ -3600,6 +11303,54 @@ const initializeAdminUser = async () => {
   }
 };
 
+// Gap-free sequences start at zero; existing counters are left alone
+const initializeCounters = async () => {
+  await Counter.updateOne({ _id: 'invoice' }, { $setOnInsert: { seq: 0 } }, { upsert: true });
+};
+
+// Give wallets that predate the ledger an opening-balance entry so the ledger
+// agrees with the balances already stored. Balances themselves are not changed.
+const backfillOpeningBalances = async () => {
+  try {
+    const users = await User.find({ balance: { $gt: 0 } }).select('username balance');
+    let backfilled = 0;
+
+    for (const user of users) {
+      const hasEntries = await LedgerEntry.exists({ account: walletAccount(user._id) });
+      if (hasEntries) continue;
+
+      const pairId = generateLedgerId('LGP');
+      const memo = 'Opening balance (ledger migration)';
+      await LedgerEntry.insertMany([
+        {
+          entryId: generateLedgerId('LGE'),
+          pairId,
+          account: LEDGER_ACCOUNTS.opening,
+          side: 'debit',
+          amount: user.balance,
+          memo
+        },
+        {
+          entryId: generateLedgerId('LGE'),
+          pairId,
+          account: walletAccount(user._id),
+          userId: user._id,
+          side: 'credit',
+          amount: user.balance,
+          memo
+        }
+      ]);
+      backfilled++;
+    }
+
+    if (backfilled > 0) {
+      console.log(`✅ Ledger opening balances recorded for ${backfilled} users`);
+    }
+  } catch (error) {
+    console.error('Error backfilling ledger opening balances:', error);
+  }
+};
+
 // 13. ERROR HANDLING MIDDLEWARE
 // =============================
 
@@ -3630,8 +11381,15 @@ app.use((err, req, res, next) => {
 // 14. START SERVER AND INITIALIZE
 // ================================
 
-app.listen(PORT, async () => {
-  console.log(`
+const startServer = async () => {
+  // Wallets that predate the ledger get their opening balance before the port
+  // opens, so no request can post a wallet's first entry ahead of it
+  await dbReady;
+  await initializeCounters();
+  await backfillOpeningBalances();
+
+  app.listen(PORT, async () => {
+    console.log(`
   ==============================================
   🚀 ${APP_NAME} Backend Server Started
   ==============================================
@@ -3642,36 +11400,56 @@ app.listen(PORT, async () => {
   💰 Equity Value: ₦${EQUITY_VALUE} per equity
   📈 Markup: ${MARKUP_PERCENTAGE}%
   ==============================================
-  `);
+    `);
   
-  try {
-    // Initialize data
-    await createSampleFAQs();
-    await initializeAdminUser();
+    try {
+      // Initialize data
+      await createSampleFAQs();
+      await initializeAdminUser();
     
-    // Update services on startup
-    const serviceResult = await updateServicesFromThekclaut();
-    if (serviceResult.success) {
-      console.log(`✅ Services loaded: ${serviceResult.updated + serviceResult.added} services`);
-    } else {
-      console.log('⚠️ Could not load services on startup:', serviceResult.error);
-    }
+      // Update services on startup
+      const serviceResult = await updateServicesFromThekclaut();
+      if (serviceResult.success) {
+        console.log(`✅ Services loaded: ${serviceResult.updated + serviceResult.added} services`);
+      } else {
+        console.log('⚠️ Could not load services on startup:', serviceResult.error);
+      }
     
-    // Check Thekclaut balance
-    const balanceCheck = await thekclaut.getBalance();
-    if (balanceCheck.success) {
-      console.log(`💰 Thekclaut Balance: ₦${balanceCheck.data.balance}`);
-    } else {
-      console.log('⚠️ Could not check Thekclaut balance:', balanceCheck.error);
-    }
+      // Check Thekclaut balance
+      const balanceCheck = await thekclaut.getBalance();
+      if (balanceCheck.success) {
+        console.log(`💰 Thekclaut Balance: ₦${balanceCheck.data.balance}`);
+      } else {
+        console.log('⚠️ Could not check Thekclaut balance:', balanceCheck.error);
+      }
     
-    console.log('✅ Server initialization complete');
-    console.log('✅ Ready to accept requests');
+      // Background jobs
+      await expireAbandonedDeposits();
+      setInterval(expireAbandonedDeposits, 15 * 60 * 1000);
+      await runLedgerReconciliation();
+      setInterval(runLedgerReconciliation, LEDGER_RECONCILE_INTERVAL_MINUTES * 60 * 1000);
+      setInterval(syncOrderStatuses, ORDER_SYNC_INTERVAL_MINUTES * 60 * 1000);
+      setInterval(syncRefillStatuses, ORDER_SYNC_INTERVAL_MINUTES * 60 * 1000);
+      setInterval(submitScheduledOrders, 60 * 1000);
+      setInterval(submitQueuedOrders, 60 * 1000);
+      setInterval(submitBatchOrders, 60 * 1000);
+      setInterval(retryQueuedOrders, 60 * 1000);
+      setInterval(recoverStrandedOrders, 60 * 1000);
+      setInterval(processSubscriptions, SUBSCRIPTION_CHECK_INTERVAL_MINUTES * 60 * 1000);
     
-  } catch (error) {
-    console.error('Startup error:', error);
-  }
-});
+      console.log('✅ Server initialization complete');
+      console.log('✅ Ready to accept requests');
+    
+    } catch (error) {
+      console.error('Startup error:', error);
+    }
+  });
+};
+
+// Tests require the app without starting the server or background jobs
+if (require.main === module) {
+  startServer();
+}
 
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
@@ -3694,6 +11472,13 @@ process.on('SIGINT', () => {
 
 module.exports = app;
 
+// Background jobs, so tests can run a pass without the timers
+module.exports.jobs = {
+  retryQueuedOrders,
+  recoverStrandedOrders,
+  processSubscriptions
+};
+
 
 
 
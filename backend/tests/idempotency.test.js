@@ -0,0 +1,120 @@
+// Idempotency-Key on money-moving routes: a retry replays the first answer,
+// a different request under the same key is refused, a duplicate sent while
+// the first is still running gets a 409, and a key whose request died is
+// taken over once its lease has passed.
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const {
+  provider,
+  startTestServer,
+  stopTestServer,
+  createUser,
+  createService
+} = require('./support');
+
+let app;
+let IdempotencyKey;
+let Order;
+
+const placeOrder = (token, key, body) => request(app)
+  .post('/api/orders/place')
+  .set('Authorization', `Bearer ${token}`)
+  .set('Idempotency-Key', key)
+  .send(body);
+
+beforeAll(async () => {
+  app = await startTestServer();
+  IdempotencyKey = mongoose.model('IdempotencyKey');
+  Order = mongoose.model('Order');
+  await createService();
+});
+
+afterEach(() => provider.reset());
+
+afterAll(stopTestServer);
+
+test('a retry with the same key replays the first response and charges once', async () => {
+  const { user, token } = await createUser({ balance: 1000 });
+  const body = { serviceId: '101', targetUrl: 'https://www.instagram.com/p/REPLAY/', quantity: 100 };
+
+  const first = await placeOrder(token, 'replay-key', body);
+  expect(first.status).toBe(201);
+
+  // Same body with its properties in another order
+  const retry = await placeOrder(token, 'replay-key', { quantity: 100, targetUrl: body.targetUrl, serviceId: '101' });
+  expect(retry.status).toBe(201);
+  expect(retry.headers['idempotent-replayed']).toBe('true');
+  expect(retry.body).toEqual(first.body);
+
+  expect(await Order.countDocuments({ userId: user._id })).toBe(1);
+  expect((await mongoose.model('User').findById(user._id)).balance).toBe(900);
+});
+
+test('a different request under a used key is refused with 422', async () => {
+  const { user, token } = await createUser({ balance: 1000 });
+
+  const first = await placeOrder(token, 'reused-key', { serviceId: '101', targetUrl: 'https://www.instagram.com/p/FIRST/', quantity: 100 });
+  expect(first.status).toBe(201);
+
+  const other = await placeOrder(token, 'reused-key', { serviceId: '101', targetUrl: 'https://www.instagram.com/p/OTHER/', quantity: 100 });
+  expect(other.status).toBe(422);
+  expect(await Order.countDocuments({ userId: user._id })).toBe(1);
+});
+
+test('a duplicate sent while the first request is running gets 409', async () => {
+  const { user, token } = await createUser({ balance: 1000 });
+  const body = { serviceId: '101', targetUrl: 'https://www.instagram.com/p/PARALLEL/', quantity: 100 };
+
+  // Keep the first request inside the Thekclaut call while the second arrives
+  provider.respond = (params) => params.get('action') === 'add'
+    ? { body: { order: provider.nextOrder++ }, delay: 1000 }
+    : null;
+
+  const responses = await Promise.all([
+    placeOrder(token, 'parallel-key', body),
+    placeOrder(token, 'parallel-key', body)
+  ]);
+
+  expect(responses.map(res => res.status).sort()).toEqual([201, 409]);
+  expect(await Order.countDocuments({ userId: user._id })).toBe(1);
+});
+
+test('a key left processing is taken over by a retry once its lease has passed', async () => {
+  const { user, token } = await createUser({ balance: 1000 });
+  const body = { serviceId: '101', targetUrl: 'https://www.instagram.com/p/TAKEOVER/', quantity: 100 };
+
+  // The first request holds the key while it runs
+  provider.respond = (params) => params.get('action') === 'add'
+    ? { body: { order: provider.nextOrder++ }, delay: 1000 }
+    : null;
+  const first = placeOrder(token, 'stuck-key', body);
+  await new Promise(resolve => setTimeout(resolve, 300));
+  expect((await placeOrder(token, 'stuck-key', body)).status).toBe(409);
+  expect((await first).status).toBe(201);
+
+  // A request that died: processing, with its lease in the past
+  const { userId, method, path, requestHash, expiresAt } = await IdempotencyKey.findOne({ userId: user._id, key: 'stuck-key' });
+  await IdempotencyKey.create({
+    userId,
+    key: 'dead-key',
+    method,
+    path,
+    requestHash,
+    status: 'processing',
+    lockedUntil: new Date(Date.now() - 1000),
+    expiresAt
+  });
+  provider.reset();
+
+  // The first order is still running on the link, so let this one through
+  await mongoose.model('Service').updateOne({ serviceId: '101' }, { $set: { overlapPolicy: 'allow' } });
+  try {
+    const retry = await placeOrder(token, 'dead-key', body);
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect((await IdempotencyKey.findOne({ userId: user._id, key: 'dead-key' })).status).toBe('completed');
+  } finally {
+    await mongoose.model('Service').updateOne({ serviceId: '101' }, { $set: { overlapPolicy: 'warn' } });
+  }
+});
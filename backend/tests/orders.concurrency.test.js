@@ -0,0 +1,53 @@
+// Parallel orders against one wallet: the reservation must be the balance
+// check, so the wallet never goes negative and the ledger always agrees with
+// User.balance.
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const {
+  startTestServer,
+  stopTestServer,
+  createUser,
+  createService,
+  walletBalanceFromLedger,
+  heldBalanceFromLedger
+} = require('./support');
+
+const PARALLEL_ORDERS = 20;
+const STARTING_BALANCE = 1000;
+const ORDER_COST = 100;
+
+let app;
+
+beforeAll(async () => {
+  app = await startTestServer();
+});
+
+afterAll(stopTestServer);
+
+test('parallel orders never overdraw one wallet and the ledger matches the balance', async () => {
+  await createService();
+  const { user, token } = await createUser({ balance: STARTING_BALANCE });
+
+  // Each order targets its own post so no overlap guard gets involved
+  const responses = await Promise.all(Array.from({ length: PARALLEL_ORDERS }, (_, i) =>
+    request(app)
+      .post('/api/orders/place')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ serviceId: '101', targetUrl: `https://www.instagram.com/p/TEST${i}/`, quantity: 100 })
+  ));
+
+  const placed = responses.filter(res => res.status === 201);
+  const refused = responses.filter(res => res.status === 400);
+  expect(placed.length + refused.length).toBe(PARALLEL_ORDERS);
+  expect(placed.length).toBe(STARTING_BALANCE / ORDER_COST);
+  refused.forEach(res => expect(res.body.message).toMatch(/Insufficient balance/));
+
+  const after = await mongoose.model('User').findById(user._id);
+  expect(after.balance).toBeGreaterThanOrEqual(0);
+  expect(after.balance).toBe(STARTING_BALANCE - placed.length * ORDER_COST);
+  expect(await walletBalanceFromLedger(user._id)).toBe(after.balance);
+
+  // Every reservation was settled; nothing is left on hold
+  expect(await heldBalanceFromLedger(user._id)).toBe(0);
+});
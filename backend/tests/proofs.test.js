@@ -0,0 +1,112 @@
+// Payment proof dedup: a proof image already used on another deposit is
+// recorded against the new one, as an exact copy (same bytes) or a similar
+// one (same picture re-encoded), while a deposit's own earlier proof and
+// unrelated images are not.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const sharp = require('sharp');
+const { startTestServer, stopTestServer, createUser } = require('./support');
+
+let app;
+let Transaction;
+let proofDir;
+
+// Horizontal gradients: the perceptual hash of one runs all ones, the other
+// all zeros, so they are as far apart as two images can be
+const gradient = (descending) => {
+  const width = 64;
+  const height = 64;
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = descending ? 255 - x * 4 : x * 4;
+      pixels.fill(value, (y * width + x) * 3, (y * width + x) * 3 + 3);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } });
+};
+
+let proofImage;
+let recompressedProof;
+let otherImage;
+
+const requestDeposit = async (token) => {
+  const res = await request(app)
+    .post('/api/deposit/request')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ amount: 5000 });
+  expect(res.status).toBe(201);
+  return res.body.deposit.transactionId;
+};
+
+const uploadProof = (token, transactionId, image, filename) => request(app)
+  .post('/api/deposit/upload-proof')
+  .set('Authorization', `Bearer ${token}`)
+  .field('transactionId', transactionId)
+  .field('senderName', 'Test Sender')
+  .attach('proof', image, filename);
+
+const duplicatesOf = async (transactionId) => {
+  const transaction = await Transaction.findOne({ transactionId }).lean();
+  return transaction.proof.duplicates.map(({ transactionId: id, matchType, distance }) => ({ transactionId: id, matchType, distance }));
+};
+
+beforeAll(async () => {
+  proofDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eacquire-proofs-'));
+  process.env.PROOF_STORAGE_DIR = proofDir;
+  app = await startTestServer();
+  Transaction = mongoose.model('Transaction');
+
+  proofImage = await gradient(true).png().toBuffer();
+  recompressedProof = await sharp(proofImage).jpeg({ quality: 60 }).toBuffer();
+  otherImage = await gradient(false).png().toBuffer();
+});
+
+afterAll(async () => {
+  await stopTestServer();
+  fs.rmSync(proofDir, { recursive: true, force: true });
+});
+
+let firstDeposit;
+
+test('the same image on another deposit is flagged as an exact copy', async () => {
+  const first = await createUser();
+  firstDeposit = await requestDeposit(first.token);
+  expect((await uploadProof(first.token, firstDeposit, proofImage, 'proof.png')).status).toBe(200);
+  expect(await duplicatesOf(firstDeposit)).toEqual([]);
+
+  const second = await createUser();
+  const secondDeposit = await requestDeposit(second.token);
+  const res = await uploadProof(second.token, secondDeposit, proofImage, 'proof.png');
+  expect(res.status).toBe(200);
+
+  expect(await duplicatesOf(secondDeposit)).toEqual([
+    { transactionId: firstDeposit, matchType: 'exact', distance: 0 }
+  ]);
+});
+
+test('a re-encoded copy of the image is flagged as similar', async () => {
+  const { token } = await createUser();
+  const deposit = await requestDeposit(token);
+  expect((await uploadProof(token, deposit, recompressedProof, 'proof.jpg')).status).toBe(200);
+
+  const duplicates = await duplicatesOf(deposit);
+  expect(duplicates.map(d => d.matchType)).toEqual(['similar', 'similar']);
+  expect(duplicates.map(d => d.transactionId)).toContain(firstDeposit);
+});
+
+test('a different image, or the deposit\'s own earlier proof, is not flagged', async () => {
+  const { token } = await createUser();
+  const deposit = await requestDeposit(token);
+
+  expect((await uploadProof(token, deposit, otherImage, 'other.png')).status).toBe(200);
+  expect(await duplicatesOf(deposit)).toEqual([]);
+
+  // Uploading the same proof again replaces it without matching itself
+  expect((await uploadProof(token, deposit, otherImage, 'other.png')).status).toBe(200);
+  expect(await duplicatesOf(deposit)).toEqual([]);
+});
@@ -0,0 +1,101 @@
+// Bank statement reconciliation: a statement line is imported once however
+// often the statement is uploaded, and credits at most one deposit however
+// often (or however concurrently) it is applied.
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startTestServer, stopTestServer, createUser, walletBalanceFromLedger } = require('./support');
+
+let app;
+let admin;
+let Transaction;
+let StatementLine;
+
+const requestDeposit = async (token) => {
+  const res = await request(app)
+    .post('/api/deposit/request')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ amount: 5000 });
+  expect(res.status).toBe(201);
+  return res.body.deposit;
+};
+
+const statement = (rows) => [
+  'Date,Narration,Reference,Credit,Debit,Balance',
+  ...rows.map(({ narration, reference, balance }) => `15/01/2025,${narration},${reference},5000.00,,${balance}`)
+].join('\n');
+
+const importStatement = (csv) => request(app)
+  .post('/api/admin/reconciliation/import')
+  .set('Authorization', `Bearer ${admin.token}`)
+  .send({ csv });
+
+const apply = (lineId, transactionId) => request(app)
+  .post('/api/admin/reconciliation/apply')
+  .set('Authorization', `Bearer ${admin.token}`)
+  .send({ decisions: [{ lineId, transactionId, action: 'approve' }] });
+
+beforeAll(async () => {
+  app = await startTestServer();
+  admin = await createUser({ role: 'admin' });
+  Transaction = mongoose.model('Transaction');
+  StatementLine = mongoose.model('StatementLine');
+});
+
+afterAll(stopTestServer);
+
+test('importing the same statement twice adds its lines once', async () => {
+  const { token } = await createUser();
+  const deposit = await requestDeposit(token);
+  const csv = statement([{ narration: `TRF FROM TEST PAYER ${deposit.reference}`, reference: 'MP0001', balance: '105000.00' }]);
+
+  const first = await importStatement(csv);
+  expect(first.status).toBe(201);
+  expect(first.body.report.summary).toMatchObject({ credits: 1, matched: 1 });
+  expect(first.body.report.matched[0].proposedTransactionId).toBe(deposit.transactionId);
+
+  const again = await importStatement(csv);
+  expect(again.status).toBe(201);
+  expect(again.body.report.summary).toMatchObject({ credits: 0, duplicates: 1 });
+  expect(await StatementLine.countDocuments({ reference: 'MP0001' })).toBe(1);
+});
+
+test('a statement line applied again, to another deposit, credits nothing more', async () => {
+  const payer = await createUser();
+  const deposit = await requestDeposit(payer.token);
+  const other = await createUser();
+  const otherDeposit = await requestDeposit(other.token);
+
+  const imported = await importStatement(statement([{ narration: `TRF FROM TEST PAYER ${deposit.reference}`, reference: 'MP0002', balance: '110000.00' }]));
+  const { lineId } = imported.body.report.matched[0];
+
+  const first = await apply(lineId, deposit.transactionId);
+  expect(first.body.results[0].success).toBe(true);
+
+  const second = await apply(lineId, otherDeposit.transactionId);
+  expect(second.body.results[0]).toMatchObject({ success: false, error: 'Statement line has already been applied' });
+
+  expect((await Transaction.findOne({ transactionId: otherDeposit.transactionId })).status).toBe('pending');
+  expect(await walletBalanceFromLedger(other.user._id)).toBe(0);
+  expect((await StatementLine.findOne({ lineId })).appliedTransactionId).toBe(deposit.transactionId);
+});
+
+test('parallel applies of one statement line credit exactly one deposit', async () => {
+  const deposits = [];
+  for (let i = 0; i < 3; i++) {
+    const { token } = await createUser();
+    deposits.push(await requestDeposit(token));
+  }
+
+  const imported = await importStatement(statement([{ narration: 'TRF FROM SOMEONE ELSE', reference: 'MP0003', balance: '115000.00' }]));
+  const [line] = [...imported.body.report.matched, ...imported.body.report.ambiguous, ...imported.body.report.orphan];
+
+  const responses = await Promise.all(deposits.map(deposit => apply(line.lineId, deposit.transactionId)));
+  expect(responses.filter(res => res.body.results[0].success)).toHaveLength(1);
+
+  const completed = await Transaction.countDocuments({
+    transactionId: { $in: deposits.map(deposit => deposit.transactionId) },
+    status: 'completed'
+  });
+  expect(completed).toBe(1);
+});
@@ -0,0 +1,125 @@
+// Refunds: provider partials and cancels refund the undelivered share once,
+// and across every refund source an order never refunds more than it cost.
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const {
+  provider,
+  startTestServer,
+  stopTestServer,
+  createUser,
+  createService,
+  walletBalanceFromLedger
+} = require('./support');
+
+let app;
+let admin;
+let Order;
+let User;
+let linkCount = 0;
+
+// 100 units for 100 equities, each on a link of its own
+const placeOrder = async (token) => {
+  linkCount += 1;
+  const res = await request(app)
+    .post('/api/orders/place')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ serviceId: '101', targetUrl: `https://www.instagram.com/p/REFUND${linkCount}/`, quantity: 100 });
+  expect(res.status).toBe(201);
+  return res.body.order.orderId;
+};
+
+const adminRefund = (orderId, equities, key) => {
+  const req = request(app)
+    .post(`/api/admin/orders/${orderId}/refund`)
+    .set('Authorization', `Bearer ${admin.token}`)
+    .send({ equities, reason: 'Disputed delivery' });
+  return key ? req.set('Idempotency-Key', key) : req;
+};
+
+const expectLedgerToMatch = async (userId) => {
+  expect(await walletBalanceFromLedger(userId)).toBe((await User.findById(userId)).balance);
+};
+
+beforeAll(async () => {
+  app = await startTestServer();
+  admin = await createUser({ role: 'admin' });
+  Order = mongoose.model('Order');
+  User = mongoose.model('User');
+  await createService({ cancel: true });
+});
+
+afterEach(() => provider.reset());
+
+afterAll(stopTestServer);
+
+test('a partial delivery refunds the undelivered share once', async () => {
+  const { user, token } = await createUser({ balance: 1000 });
+  const orderId = await placeOrder(token);
+
+  provider.respond = (params) => params.get('action') === 'status'
+    ? { body: { status: 'Partial', remains: 40, start_count: 0 } }
+    : null;
+
+  const viewed = await request(app).get(`/api/orders/${orderId}`).set('Authorization', `Bearer ${token}`);
+  expect(viewed.body.order.status).toBe('partial');
+  await request(app).get(`/api/orders/${orderId}`).set('Authorization', `Bearer ${token}`);
+
+  const order = await Order.findOne({ orderId });
+  expect(order.refundedEquities).toBe(40);
+  expect(order.refunds).toHaveLength(1);
+  expect((await User.findById(user._id)).balance).toBe(940);
+  await expectLedgerToMatch(user._id);
+});
+
+test('admin refunds are capped at what is left of the cost', async () => {
+  const { user, token } = await createUser({ balance: 1000 });
+  const orderId = await placeOrder(token);
+
+  expect((await adminRefund(orderId, 101)).status).toBe(400);
+  expect((await adminRefund(orderId, 60)).status).toBe(200);
+  expect((await adminRefund(orderId, 41)).status).toBe(400);
+  expect((await adminRefund(orderId, 40)).status).toBe(200);
+  expect((await adminRefund(orderId, 1)).status).toBe(400);
+
+  expect((await Order.findOne({ orderId })).refundedEquities).toBe(100);
+  expect((await User.findById(user._id)).balance).toBe(1000);
+  await expectLedgerToMatch(user._id);
+});
+
+test('parallel admin refunds never add up to more than the cost', async () => {
+  const { user, token } = await createUser({ balance: 1000 });
+  const orderId = await placeOrder(token);
+
+  const responses = await Promise.all([
+    adminRefund(orderId, 60, 'refund-a'),
+    adminRefund(orderId, 60, 'refund-b')
+  ]);
+  expect(responses.filter(res => res.status === 200)).toHaveLength(1);
+
+  expect((await Order.findOne({ orderId })).refundedEquities).toBe(60);
+  expect((await User.findById(user._id)).balance).toBe(960);
+  await expectLedgerToMatch(user._id);
+});
+
+test('cancelling after a manual refund only refunds the rest', async () => {
+  const { user, token } = await createUser({ balance: 1000 });
+  const orderId = await placeOrder(token);
+  expect((await adminRefund(orderId, 30)).status).toBe(200);
+
+  provider.respond = (params) => params.get('action') === 'cancel'
+    ? { body: [{ order: params.get('orders'), cancel: 1 }] }
+    : null;
+
+  const cancel = () => request(app)
+    .post(`/api/orders/${orderId}/cancel`)
+    .set('Authorization', `Bearer ${token}`);
+  expect((await cancel()).status).toBe(200);
+  expect((await cancel()).status).not.toBe(200);
+
+  const order = await Order.findOne({ orderId });
+  expect(order.status).toBe('cancelled');
+  expect(order.refundedEquities).toBe(100);
+  expect((await User.findById(user._id)).balance).toBe(1000);
+  await expectLedgerToMatch(user._id);
+});
@@ -0,0 +1,128 @@
+// Provider retry queue: failed submissions wait as "queued" with their funds
+// reserved. One that got no answer may have been placed, so the retry asks
+// Thekclaut for it by reference first, and it only goes to review once the
+// attempts run out.
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const {
+  provider,
+  startTestServer,
+  stopTestServer,
+  createUser,
+  createService,
+  heldBalanceFromLedger
+} = require('./support');
+
+let app;
+let Order;
+
+const placeOrder = (token, targetUrl) => request(app)
+  .post('/api/orders/place')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ serviceId: '101', targetUrl, quantity: 100 });
+
+// Make a queued order due and run one pass of the retry job
+const retryNow = async (orderId) => {
+  await Order.updateOne({ orderId }, { $set: { 'retry.nextAttemptAt': new Date(Date.now() - 1000) } });
+  await app.jobs.retryQueuedOrders();
+  return Order.findOne({ orderId }).lean();
+};
+
+const dropAdds = (params) => params.get('action') === 'add' ? { drop: true } : null;
+
+beforeAll(async () => {
+  app = await startTestServer();
+  Order = mongoose.model('Order');
+  await createService();
+});
+
+afterEach(() => provider.reset());
+
+afterAll(stopTestServer);
+
+test('a 503 queues the order for retry and the retry places it', async () => {
+  const { user, token } = await createUser({ balance: 1000 });
+  provider.respond = (params) => params.get('action') === 'add' ? { status: 503, body: { error: 'Maintenance' } } : null;
+
+  const res = await placeOrder(token, 'https://www.instagram.com/p/RETRY503/');
+  expect(res.status).toBe(202);
+  expect(res.body.order.status).toBe('queued');
+
+  const queued = await Order.findOne({ orderId: res.body.order.orderId }).lean();
+  expect(queued).toMatchObject({ status: 'queued', queueReason: 'retry', fundsStatus: 'reserved' });
+  expect(queued.retry.unanswered).toBeUndefined();
+  expect(queued.submittingAt).toBeUndefined();
+
+  provider.reset();
+  const placed = await retryNow(queued.orderId);
+  expect(placed.fundsStatus).toBe('settled');
+  expect(placed.apiOrderId).toBeDefined();
+  expect(await heldBalanceFromLedger(user._id)).toBe(0);
+});
+
+test('a dropped connection queues the order instead of sending it to review', async () => {
+  const { token } = await createUser({ balance: 1000 });
+  provider.respond = dropAdds;
+
+  const res = await placeOrder(token, 'https://www.instagram.com/p/DROPPED/');
+  expect(res.status).toBe(202);
+  expect(res.body.order.status).toBe('queued');
+
+  const queued = await Order.findOne({ orderId: res.body.order.orderId }).lean();
+  expect(queued).toMatchObject({ status: 'queued', fundsStatus: 'reserved' });
+  expect(queued.retry.unanswered).toBe(true);
+  expect(queued.review?.requiredAt).toBeUndefined();
+});
+
+test('the retry charges an unanswered order Thekclaut already has without placing it again', async () => {
+  const { user, token } = await createUser({ balance: 1000 });
+  provider.respond = dropAdds;
+  const res = await placeOrder(token, 'https://www.instagram.com/p/ALREADYPLACED/');
+  const { orderId } = res.body.order;
+
+  provider.reset();
+  provider.respond = (params) => params.get('action') === 'status' && params.get('reference') === orderId
+    ? { body: { order: 4242, status: 'Pending' } }
+    : null;
+
+  const settled = await retryNow(orderId);
+  expect(settled).toMatchObject({ fundsStatus: 'settled', apiOrderId: '4242' });
+  expect(provider.requests.filter(params => params.action === 'add')).toHaveLength(0);
+  expect((await mongoose.model('User').findById(user._id)).balance).toBe(900);
+});
+
+test('the retry places an unanswered order again when Thekclaut has no record of it', async () => {
+  const { token } = await createUser({ balance: 1000 });
+  provider.respond = dropAdds;
+  const res = await placeOrder(token, 'https://www.instagram.com/p/NEVERARRIVED/');
+  const { orderId } = res.body.order;
+
+  provider.reset();
+  provider.respond = (params) => params.get('action') === 'status'
+    ? { body: { error: 'Incorrect order ID' } }
+    : null;
+
+  const placed = await retryNow(orderId);
+  expect(placed.fundsStatus).toBe('settled');
+  const adds = provider.requests.filter(params => params.action === 'add');
+  expect(adds).toHaveLength(1);
+  expect(adds[0].reference).toBe(orderId);
+});
+
+test('an unanswered order goes to review, still reserved, once its retries run out', async () => {
+  const { token } = await createUser({ balance: 1000 });
+  provider.respond = dropAdds;
+  const res = await placeOrder(token, 'https://www.instagram.com/p/EXHAUSTED/');
+  const { orderId } = res.body.order;
+
+  // Last attempt, and Thekclaut doesn't answer the lookup either
+  await Order.updateOne({ orderId }, { $set: { 'retry.attempts': 4 } });
+  provider.respond = (params) => ['add', 'status'].includes(params.get('action')) ? { drop: true } : null;
+
+  const flagged = await retryNow(orderId);
+  expect(flagged.fundsStatus).toBe('reserved');
+  expect(flagged.status).toBe('pending');
+  expect(flagged.review.requiredAt).toBeInstanceOf(Date);
+  expect(flagged.retry.deadLetteredAt).toBeUndefined();
+});
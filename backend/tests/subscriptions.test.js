@@ -0,0 +1,96 @@
+// Subscriptions: the record exists before the provider subscription is
+// started, a resume restarts delivery once, and a cancel stops the provider
+// first, charges what the wallet covers and records the rest as owed.
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const {
+  provider,
+  startTestServer,
+  stopTestServer,
+  createUser,
+  createService
+} = require('./support');
+
+let app;
+let Subscription;
+let Order;
+
+const inAWeek = () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+
+// 100 likes on each new post, 100 equities per post
+const subscribe = (token, profileUrl) => request(app)
+  .post('/api/subscriptions')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ serviceId: '201', profileUrl, quantityPerPost: 100, maxPosts: 5, expiresAt: inAWeek() });
+
+const subscriptionAction = (token, subscriptionId, action, key) => {
+  const req = request(app)
+    .post(`/api/subscriptions/${subscriptionId}/${action}`)
+    .set('Authorization', `Bearer ${token}`);
+  return key ? req.set('Idempotency-Key', key) : req;
+};
+
+beforeAll(async () => {
+  app = await startTestServer();
+  Subscription = mongoose.model('Subscription');
+  Order = mongoose.model('Order');
+  await createService({ serviceId: '201', name: 'Instagram Likes Subscription', subscription: true });
+});
+
+afterEach(() => provider.reset());
+
+afterAll(stopTestServer);
+
+test('a subscription the provider refuses leaves no record behind', async () => {
+  const { user, token } = await createUser({ balance: 1000 });
+  provider.respond = (params) => params.get('action') === 'add'
+    ? { status: 500, body: { error: 'Service unavailable' } }
+    : null;
+
+  const res = await subscribe(token, 'https://www.instagram.com/refused.profile');
+  expect(res.status).toBe(400);
+  expect(await Subscription.countDocuments({ userId: user._id })).toBe(0);
+});
+
+test('parallel resumes start one provider subscription', async () => {
+  const { token } = await createUser({ balance: 1000 });
+  const created = await subscribe(token, 'https://www.instagram.com/resume.profile');
+  expect(created.status).toBe(201);
+  const { subscriptionId } = created.body.subscription;
+
+  expect((await subscriptionAction(token, subscriptionId, 'pause')).status).toBe(200);
+  provider.reset();
+
+  const responses = await Promise.all([
+    subscriptionAction(token, subscriptionId, 'resume', 'resume-a'),
+    subscriptionAction(token, subscriptionId, 'resume', 'resume-b')
+  ]);
+
+  // The loser finds it claimed (400) or already active (404)
+  expect(responses.filter(res => res.status === 200)).toHaveLength(1);
+  expect(provider.requests.filter(params => params.action === 'add')).toHaveLength(1);
+  expect((await Subscription.findOne({ subscriptionId })).status).toBe('active');
+});
+
+test('cancel stops the provider, charges what the wallet covers and records the rest as owed', async () => {
+  const { user, token } = await createUser({ balance: 150 });
+  const created = await subscribe(token, 'https://www.instagram.com/owed.profile');
+  expect(created.status).toBe(201);
+  const { subscriptionId } = created.body.subscription;
+  provider.reset();
+
+  // Three posts delivered by the time of the cancel
+  provider.respond = (params) => params.get('action') === 'status'
+    ? { body: { status: 'Canceled', posts: 3 } }
+    : params.get('action') === 'cancel' ? { body: [{ order: params.get('orders'), cancel: 1 }] } : null;
+
+  const res = await subscriptionAction(token, subscriptionId, 'cancel');
+  expect(res.status).toBe(200);
+  expect(res.body.subscription).toMatchObject({ status: 'cancelled', postsDelivered: 3, postsCharged: 1, postsOwed: 2 });
+  expect(provider.requests.map(params => params.action)).toEqual(['cancel', 'status']);
+
+  // One order per charged post, and the wallet is never overdrawn
+  expect(await Order.countDocuments({ subscriptionId })).toBe(1);
+  expect((await mongoose.model('User').findById(user._id)).balance).toBe(50);
+});
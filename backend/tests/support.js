@@ -0,0 +1,171 @@
+// Shared setup for the API tests.
+//
+// Runs against an in-memory MongoDB replica set (transactions need one), or
+// against MONGODB_TEST_URI when set. Thekclaut is replaced by a local HTTP
+// server; each test decides how it answers through provider.respond.
+
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+let replSet;
+let providerServer;
+
+// Accepts every "add" with a new provider order ID by default, after a short
+// delay so parallel requests overlap. respond(params) may return
+// { status, body, delay } to answer differently, or { drop: true } to close
+// the connection without an answer.
+const provider = {
+  requests: [],
+  respond: null,
+  nextOrder: 1000,
+  reset() {
+    this.requests = [];
+    this.respond = null;
+  }
+};
+
+const defaultResponse = (params) => {
+  if (params.get('action') === 'add') {
+    return { body: { order: provider.nextOrder++ } };
+  }
+  return { body: { error: 'Unsupported action' } };
+};
+
+const startFakeThekclaut = () => new Promise((resolve) => {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = new URLSearchParams(body);
+      provider.requests.push(Object.fromEntries(params));
+      const reply = (provider.respond && provider.respond(params)) || defaultResponse(params);
+
+      if (reply.drop) {
+        req.socket.destroy();
+        return;
+      }
+      setTimeout(() => {
+        res.statusCode = reply.status || 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(reply.body));
+      }, reply.delay ?? 50);
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+// Start MongoDB and the fake provider, then load the app against them
+const startTestServer = async () => {
+  let uri = process.env.MONGODB_TEST_URI;
+  if (!uri) {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    uri = replSet.getUri('eacquire-test');
+  }
+  providerServer = await startFakeThekclaut();
+
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    MONGODB_URI: uri,
+    THEKCLAUT_API_URL: `http://127.0.0.1:${providerServer.address().port}`,
+    THEKCLAUT_API_KEY: 'test-key',
+    JWT_SECRET: 'test-secret',
+    ADMIN_USERNAME: 'admin',
+    ADMIN_PASSWORD: 'admin-password',
+    ADMIN_EMAIL: 'admin@example.com',
+    MONIEPOINT_ACCOUNT_NAME: 'E-Acquire',
+    MONIEPOINT_ACCOUNT_NUMBER: '0123456789',
+    MONIEPOINT_BANK_NAME: 'Moniepoint'
+  });
+
+  const app = require('../server');
+  await mongoose.connection.asPromise();
+  await mongoose.connection.dropDatabase();
+
+  // Collections can't be created inside the order transactions
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+
+  // Seeded at startup by initializeCounters, which only the real server runs
+  await mongoose.model('Counter').create({ _id: 'invoice', seq: 0 });
+
+  return app;
+};
+
+const stopTestServer = async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+  if (providerServer) await new Promise(resolve => providerServer.close(resolve));
+};
+
+let userCount = 0;
+
+// A user with `balance` equities, recorded in the ledger the way
+// backfillOpeningBalances records existing wallets
+const createUser = async ({ balance = 0, role = 'user' } = {}) => {
+  const User = mongoose.model('User');
+  const LedgerEntry = mongoose.model('LedgerEntry');
+  userCount += 1;
+
+  const user = await User.create({
+    username: `test-user-${userCount}`,
+    email: `test-user-${userCount}@example.com`,
+    password: 'not-used-by-these-tests',
+    balance,
+    role,
+    referralCode: `TESTREF${userCount}`
+  });
+
+  if (balance > 0) {
+    await LedgerEntry.insertMany([
+      { entryId: `LGE-TEST-${userCount}-1`, pairId: `LGP-TEST-${userCount}`, account: 'platform:opening-balances', side: 'debit', amount: balance },
+      { entryId: `LGE-TEST-${userCount}-2`, pairId: `LGP-TEST-${userCount}`, account: `user:${user._id}:wallet`, userId: user._id, side: 'credit', amount: balance }
+    ]);
+  }
+
+  return { user, token: jwt.sign({ userId: user._id }, process.env.JWT_SECRET) };
+};
+
+// ourRate is per 1000, so 100 units of the default service cost 100 equities
+const createService = (overrides = {}) => mongoose.model('Service').create({
+  serviceId: '101',
+  name: 'Instagram Likes',
+  category: 'Instagram',
+  rate: 10,
+  ourRate: 1000,
+  nairaRate: 10000,
+  min: 10,
+  max: 10000,
+  platform: 'instagram',
+  serviceType: 'likes',
+  isActive: true,
+  ...overrides
+});
+
+// Balance of a ledger account: credits minus debits
+const ledgerBalance = async (account) => {
+  const [totals] = await mongoose.model('LedgerEntry').aggregate([
+    { $match: { account } },
+    {
+      $group: {
+        _id: null,
+        credits: { $sum: { $cond: [{ $eq: ['$side', 'credit'] }, '$amount', 0] } },
+        debits: { $sum: { $cond: [{ $eq: ['$side', 'debit'] }, '$amount', 0] } }
+      }
+    }
+  ]);
+  return totals ? totals.credits - totals.debits : 0;
+};
+
+const walletBalanceFromLedger = (userId) => ledgerBalance(`user:${userId}:wallet`);
+const heldBalanceFromLedger = (userId) => ledgerBalance(`user:${userId}:hold`);
+
+module.exports = {
+  provider,
+  startTestServer,
+  stopTestServer,
+  createUser,
+  createService,
+  walletBalanceFromLedger,
+  heldBalanceFromLedger
+};
@@ -31,10 +31,11 @@ function logout() {
 }
 
 // Main API request function
-async function makeAPIRequest(endpoint, method = 'GET', data = null, requiresAuth = false) {
+async function makeAPIRequest(endpoint, method = 'GET', data = null, requiresAuth = false, extraHeaders = {}) {
     const url = `${API_BASE_URL}${endpoint}`;
     const headers = {
         'Content-Type': 'application/json',
+        ...extraHeaders
     };
     
     if (requiresAuth) {
@@ -56,6 +57,26 @@ async function makeAPIRequest(endpoint, method = 'GET', data = null, requiresAut
     return await response.json();
 }
 
+// Idempotency keys for requests that move money. A retry of the same action
+// reuses its key (so the server replays the first result); the key is dropped
+// once the server has answered.
+const idempotencyKeys = {};
+
+function newIdempotencyKey() {
+    if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+async function makeIdempotentRequest(action, endpoint, method = 'POST', data = null) {
+    if (!idempotencyKeys[action]) idempotencyKeys[action] = newIdempotencyKey();
+    
+    const response = await makeAPIRequest(endpoint, method, data, true, {
+        'Idempotency-Key': idempotencyKeys[action]
+    });
+    delete idempotencyKeys[action];
+    return response;
+}
+
 // Notification function
 function showNotification(message, type = 'info') {
     alert(`${type.toUpperCase()}: ${message}`);
@@ -81,6 +102,13 @@ function formatCurrency(amount) {
     return `₦${amount.toLocaleString()}`;
 }
 
+// Escape text from outside sources (bank statements, payers) before it goes into innerHTML
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
 // Make functions available globally
 window.makeAPIRequest = makeAPIRequest;
 window.showNotification = showNotification;
@@ -101,6 +129,7 @@ let allOrders = [];
 let allTransactions = [];
 let allTickets = [];
 let allServices = [];
+let pendingDeposits = [];
 
 // Initialize admin panel
 document.addEventListener('DOMContentLoaded', function() {
@@ -126,11 +155,14 @@ async function initializeAdminPanel() {
         // Load initial data
         await loadAdminStats();
         await loadPendingDeposits();
+        await loadPendingWithdrawals();
         await loadAllUsers();
         await loadAllOrders();
         await loadAllTransactions();
         await loadAllServices();
         await loadSupportTickets();
+        await loadCoupons();
+        await loadBonusTiers();
         
         // Setup section switching
         setupAdminSectionSwitching();
@@ -161,6 +193,21 @@ function setupAdminEventListeners() {
     if (depositSettings) {
         depositSettings.addEventListener('submit', handleDepositSettings);
     }
+    
+    const couponForm = document.getElementById('coupon-form');
+    if (couponForm) {
+        couponForm.addEventListener('submit', handleCreateCoupon);
+    }
+    
+    const bonusTierForm = document.getElementById('bonus-tier-form');
+    if (bonusTierForm) {
+        bonusTierForm.addEventListener('submit', handleCreateBonusTier);
+    }
+    
+    const adjustmentForm = document.getElementById('balance-adjustment-form');
+    if (adjustmentForm) {
+        adjustmentForm.addEventListener('submit', handleBalanceAdjustment);
+    }
 }
 
 function updateAdminInfo() {
@@ -239,6 +286,7 @@ async function loadPendingDeposits() {
         
         if (response.success) {
             const deposits = response.deposits;
+            pendingDeposits = deposits;
             
             // Update count badge
             const countElement = document.getElementById('pending-deposits-count');
@@ -266,11 +314,16 @@ async function loadPendingDeposits() {
                         <td>${deposit.equities} Equities</td>
                         <td><code>${deposit.reference}</code></td>
                         <td>
-                            ${deposit.proofImage ? `
-                            <button class="btn-icon" title="View Proof" onclick="viewProof('${deposit.transactionId}', '${deposit.proofImage}')">
+                            ${deposit.proofUrl ? `
+                            <button class="btn-icon" title="View Proof" onclick="viewProof('${deposit.transactionId}', '${deposit.proofUrl}', '${deposit.proofThumbnailUrl}')">
                                 <i class="fas fa-image"></i>
                             </button>
                             ` : 'No proof'}
+                            ${deposit.proofReused ? `
+                            <button class="proof-warning" title="This proof was already used for another deposit" onclick="viewProofDuplicates('${deposit.transactionId}')">
+                                <i class="fas fa-exclamation-triangle"></i> Reused (${deposit.proofDuplicates.length})
+                            </button>
+                            ` : ''}
                         </td>
                         <td>${new Date(deposit.createdAt).toLocaleDateString()}</td>
                         <td>
@@ -296,6 +349,49 @@ async function loadPendingDeposits() {
     }
 }
 
+async function loadPendingWithdrawals() {
+    try {
+        const response = await makeAPIRequest('/admin/withdrawals?status=pending', 'GET', null, true);
+        
+        if (response.success) {
+            const withdrawals = response.withdrawals;
+            const tbody = document.getElementById('pending-withdrawals-table');
+            if (!tbody) return;
+            
+            if (withdrawals.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="6" class="text-center">No pending withdrawals.</td></tr>';
+                return;
+            }
+            
+            tbody.innerHTML = withdrawals.map(w => `
+                <tr>
+                    <td><code>${w.reference}</code></td>
+                    <td>${w.user ? `${w.user.username} (${w.user.email})` : 'Unknown'}</td>
+                    <td>${formatCurrency(w.amount)}<br><small>${w.equities} Equities</small></td>
+                    <td>
+                        ${w.payoutAccount.accountName}<br>
+                        <small>${w.payoutAccount.bankName} - <code>${w.payoutAccount.accountNumber}</code></small>
+                    </td>
+                    <td>${new Date(w.createdAt).toLocaleDateString()}</td>
+                    <td>
+                        <div class="action-buttons">
+                            <button class="btn btn-success btn-sm" onclick="markWithdrawalPaid('${w.transactionId}')">
+                                <i class="fas fa-check"></i> Mark Paid
+                            </button>
+                            <button class="btn btn-danger btn-sm" onclick="rejectWithdrawal('${w.transactionId}')">
+                                <i class="fas fa-times"></i> Reject
+                            </button>
+                        </div>
+                    </td>
+                </tr>
+            `).join('');
+        }
+    } catch (error) {
+        console.error('Error loading withdrawals:', error);
+        showNotification('Failed to load withdrawals', 'error');
+    }
+}
+
 async function loadAllUsers(page = 1, limit = 20) {
     try {
         // Note: We need to create this endpoint in backend
@@ -334,6 +430,9 @@ async function loadAllUsers(page = 1, limit = 20) {
                                 <button class="btn-icon" title="Edit" onclick="editUser('${user._id}')">
                                     <i class="fas fa-edit"></i>
                                 </button>
+                                <button class="btn-icon" title="Adjust Balance" onclick="showBalanceAdjustmentModal('${user._id}')">
+                                    <i class="fas fa-balance-scale"></i>
+                                </button>
                                 <button class="btn-icon ${user.isActive ? 'text-danger' : 'text-success'}" 
                                         title="${user.isActive ? 'Deactivate' : 'Activate'}" 
                                         onclick="toggleUserStatus('${user._id}', ${user.isActive})">
@@ -404,6 +503,10 @@ async function loadAllOrders(page = 1, limit = 20) {
             
             // Update pagination
             updatePagination('orders-pagination', page, limit, response.total || allOrders.length, loadAllOrders);
+            
+            loadRefills();
+            loadReviewOrders();
+            loadDeadLetteredOrders();
         }
     } catch (error) {
         console.error('Error loading all orders:', error);
@@ -441,6 +544,8 @@ async function loadAllTransactions(page = 1, limit = 20) {
                 `).join('');
             }
             
+            loadAdjustments();
+            
             // Update pagination
             updatePagination('transactions-pagination', page, limit, response.total || allTransactions.length, loadAllTransactions);
         }
@@ -450,6 +555,46 @@ async function loadAllTransactions(page = 1, limit = 20) {
     }
 }
 
+async function loadAdjustments(page = 1, limit = 20) {
+    try {
+        const direction = document.getElementById('admin-adjustment-filter')?.value || 'all';
+        const response = await makeAPIRequest(`/admin/adjustments?page=${page}&limit=${limit}&direction=${direction}`, 'GET', null, true);
+        
+        if (response.success) {
+            renderAdjustments(response.adjustments || []);
+            updatePagination('adjustments-pagination', page, limit, response.pagination?.total || 0, loadAdjustments);
+        }
+    } catch (error) {
+        console.error('Error loading balance adjustments:', error);
+    }
+}
+
+function renderAdjustments(adjustments) {
+    const tbody = document.getElementById('adjustments-table');
+    if (!tbody) return;
+    
+    if (adjustments.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="text-center">No balance adjustments.</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = adjustments.map(a => `
+        <tr>
+            <td><code>${a.reference}</code></td>
+            <td>${a.username || 'Unknown'}</td>
+            <td><span class="status-badge ${a.direction === 'credit' ? 'status-active' : 'status-inactive'}">${a.direction}</span></td>
+            <td>${a.equities} Equities</td>
+            <td>
+                ${a.reason}
+                ${a.ticketId ? `<br><small>Ticket: ${a.ticketId}</small>` : ''}
+                ${a.orderId ? `<br><small>Order: ${a.orderId}</small>` : ''}
+            </td>
+            <td>${a.performedBy || 'N/A'}</td>
+            <td>${new Date(a.createdAt).toLocaleString()}</td>
+        </tr>
+    `).join('');
+}
+
 async function loadAllServices() {
     try {
         const response = await makeAPIRequest('/services', 'GET');
@@ -495,6 +640,9 @@ async function loadAllServices() {
                             <button class="btn-icon" title="Toggle Status" onclick="toggleServiceStatus('${service.id}', ${service.isActive !== false})">
                                 <i class="fas fa-power-off"></i>
                             </button>
+                            <button class="btn-icon" title="Overlap policy: ${service.overlapPolicy || 'warn'}" onclick="setOverlapPolicy('${service.id}', '${service.overlapPolicy || 'warn'}')">
+                                <i class="fas fa-clone"></i>
+                            </button>
                         </td>
                     </tr>
                 `).join('');
@@ -612,10 +760,10 @@ async function approveDeposit(transactionId) {
     if (!confirm('Are you sure you want to approve this deposit?')) return;
     
     try {
-        const response = await makeAPIRequest('/admin/deposit/approve', 'POST', {
+        const response = await makeIdempotentRequest(`approve:${transactionId}`, '/admin/deposit/approve', 'POST', {
             transactionId,
             action: 'approve'
-        }, true);
+        });
         
         if (response.success) {
             showNotification('Deposit approved successfully!', 'success');
@@ -632,11 +780,11 @@ async function rejectDeposit(transactionId) {
     if (reason === null) return;
     
     try {
-        const response = await makeAPIRequest('/admin/deposit/approve', 'POST', {
+        const response = await makeIdempotentRequest(`reject:${transactionId}:${reason}`, '/admin/deposit/approve', 'POST', {
             transactionId,
             action: 'reject',
             reason: reason || 'Rejected by admin'
-        }, true);
+        });
         
         if (response.success) {
             showNotification('Deposit rejected successfully!', 'success');
@@ -648,6 +796,49 @@ async function rejectDeposit(transactionId) {
     }
 }
 
+// Withdrawal Management
+async function markWithdrawalPaid(transactionId) {
+    const payoutReference = prompt('Enter the bank transfer reference for this payout:');
+    if (payoutReference === null) return;
+    
+    try {
+        const response = await makeIdempotentRequest(`withdrawal-paid:${transactionId}:${payoutReference}`, `/admin/withdrawals/${transactionId}/process`, 'POST', {
+            action: 'paid',
+            payoutReference
+        });
+        
+        if (response.success) {
+            showNotification('Withdrawal marked as paid', 'success');
+            loadPendingWithdrawals();
+        } else {
+            showNotification(response.message || 'Failed to update withdrawal', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to update withdrawal', 'error');
+    }
+}
+
+async function rejectWithdrawal(transactionId) {
+    const reason = prompt('Enter reason for rejection:', 'Bank account details could not be verified');
+    if (reason === null) return;
+    
+    try {
+        const response = await makeIdempotentRequest(`withdrawal-reject:${transactionId}:${reason}`, `/admin/withdrawals/${transactionId}/process`, 'POST', {
+            action: 'reject',
+            reason: reason || 'Rejected by admin'
+        });
+        
+        if (response.success) {
+            showNotification('Withdrawal rejected and funds returned', 'success');
+            loadPendingWithdrawals();
+        } else {
+            showNotification(response.message || 'Failed to update withdrawal', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to update withdrawal', 'error');
+    }
+}
+
 function viewDepositDetails(transactionId) {
     const deposit = allTransactions.find(t => t.transactionId === transactionId);
     if (!deposit) {
@@ -682,10 +873,10 @@ function viewDepositDetails(transactionId) {
                 <span>Created:</span>
                 <span>${new Date(deposit.createdAt).toLocaleString()}</span>
             </div>
-            ${deposit.proofImage ? `
+            ${deposit.proofUrl ? `
             <div class="detail-row">
                 <span>Payment Proof:</span>
-                <button class="btn btn-outline btn-sm" onclick="viewProof('${deposit.transactionId}', '${deposit.proofImage}')">
+                <button class="btn btn-outline btn-sm" onclick="viewProof('${deposit.transactionId}', '${deposit.proofUrl}', '${deposit.proofThumbnailUrl}')">
                     <i class="fas fa-image"></i> View Proof
                 </button>
             </div>
@@ -722,17 +913,28 @@ function viewDepositDetails(transactionId) {
     showModal('deposit-action-modal');
 }
 
-function viewProof(transactionId, proofImage) {
+// Proof URLs from the API are relative, signed and short-lived
+function resolveProofUrl(url) {
+    if (!url || url.startsWith('http') || url.startsWith('data:')) return url;
+    return `${API_BASE_URL}${url}`;
+}
+
+function viewProof(transactionId, proofUrl, thumbnailUrl) {
+    const fullUrl = resolveProofUrl(proofUrl);
+    const previewUrl = resolveProofUrl(thumbnailUrl || proofUrl);
+    
     const content = `
         <h4>Payment Proof: ${transactionId}</h4>
         <div class="proof-image">
-            <img src="${proofImage}" alt="Payment Proof" style="max-width: 100%; border-radius: 8px;">
+            <a href="${fullUrl}" target="_blank">
+                <img src="${previewUrl}" alt="Payment Proof" style="max-width: 100%; border-radius: 8px;">
+            </a>
         </div>
         <div class="proof-actions" style="margin-top: 20px;">
-            <a href="${proofImage}" target="_blank" class="btn btn-outline">
-                <i class="fas fa-external-link-alt"></i> Open in New Tab
+            <a href="${fullUrl}" target="_blank" class="btn btn-outline">
+                <i class="fas fa-external-link-alt"></i> Open Full Size
             </a>
-            <button class="btn btn-primary" onclick="downloadImage('${proofImage}', 'proof-${transactionId}')">
+            <button class="btn btn-primary" onclick="downloadImage('${fullUrl}', 'proof-${transactionId}')">
                 <i class="fas fa-download"></i> Download
             </button>
         </div>
@@ -742,6 +944,50 @@ function viewProof(transactionId, proofImage) {
     showModal('deposit-action-modal');
 }
 
+function viewProofDuplicates(transactionId) {
+    const deposit = pendingDeposits.find(d => d.transactionId === transactionId);
+    if (!deposit) {
+        showNotification('Deposit not found', 'error');
+        return;
+    }
+    
+    const content = `
+        <h4>Proof Reuse: ${deposit.transactionId}</h4>
+        <div class="alert alert-warning">
+            <p>The proof attached to this deposit matches ${deposit.proofDuplicates.length} earlier deposit(s).</p>
+        </div>
+        <div class="deposit-details">
+            ${deposit.proofDuplicates.map(dup => `
+            <div class="detail-row">
+                <span>
+                    <code>${dup.transactionId}</code><br>
+                    ${dup.username || 'Unknown'}${dup.sameUser ? ' (same user)' : ''} &middot;
+                    ${dup.amount ? formatCurrency(dup.amount) : 'N/A'} &middot;
+                    ${dup.status || 'unknown'} &middot;
+                    ${dup.createdAt ? new Date(dup.createdAt).toLocaleDateString() : ''}
+                </span>
+                <span>
+                    ${dup.matchType === 'exact' ? 'Identical file' : `Visually similar (distance ${dup.distance})`}
+                    ${dup.proofUrl ? `
+                    <button class="btn btn-outline btn-sm" onclick="viewProof('${dup.transactionId}', '${dup.proofUrl}', '${dup.proofThumbnailUrl}')">
+                        <i class="fas fa-image"></i> View
+                    </button>
+                    ` : ''}
+                </span>
+            </div>
+            `).join('')}
+        </div>
+        <div class="proof-actions" style="margin-top: 20px;">
+            <button class="btn btn-outline" onclick="viewProof('${deposit.transactionId}', '${deposit.proofUrl}', '${deposit.proofThumbnailUrl}')">
+                <i class="fas fa-image"></i> View This Proof
+            </button>
+        </div>
+    `;
+    
+    document.getElementById('deposit-action-content').innerHTML = content;
+    showModal('deposit-action-modal');
+}
+
 function downloadImage(url, filename) {
     fetch(url)
         .then(response => response.blob())
@@ -758,6 +1004,158 @@ function downloadImage(url, filename) {
         });
 }
 
+// Statement Reconciliation
+async function importStatement(input) {
+    const file = input.files[0];
+    if (!file) return;
+    
+    try {
+        const csv = await file.text();
+        const response = await makeAPIRequest('/admin/reconciliation/import', 'POST', { csv }, true);
+        
+        if (response.success) {
+            showNotification(response.message, 'success');
+            renderReconciliationReport(response.report);
+        } else {
+            showNotification(response.message || 'Failed to import statement', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to import statement', 'error');
+    } finally {
+        input.value = '';
+    }
+}
+
+function renderReconciliationReport(report) {
+    const container = document.getElementById('reconciliation-report');
+    if (!container) return;
+    
+    const lineRow = (line, checked) => `
+        <tr>
+            <td>
+                <input type="checkbox" class="reconcile-line" data-line-id="${line.lineId}" ${checked ? 'checked' : ''}>
+            </td>
+            <td>${line.date ? new Date(line.date).toLocaleDateString() : 'N/A'}</td>
+            <td>${formatCurrency(line.amount)}</td>
+            <td>${escapeHtml(line.senderName || 'N/A')}</td>
+            <td style="max-width: 250px; overflow: hidden; text-overflow: ellipsis;">${escapeHtml(line.narration || '')}</td>
+            <td>
+                <select class="form-control reconcile-target" data-line-id="${line.lineId}">
+                    ${line.candidates.map(c => `
+                        <option value="${c.transactionId}" ${c.transactionId === line.proposedTransactionId ? 'selected' : ''}>
+                            ${c.transactionId} (${c.reasons.join(', ')})
+                        </option>
+                    `).join('')}
+                    <option value="" ${line.candidates.length === 0 ? 'selected' : ''}>Ignore line</option>
+                </select>
+            </td>
+        </tr>
+    `;
+    
+    const lineTable = (title, lines, checked) => lines.length === 0 ? '' : `
+        <h5>${title} (${lines.length})</h5>
+        <div class="table-container">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>Date</th>
+                        <th>Amount</th>
+                        <th>Sender</th>
+                        <th>Narration</th>
+                        <th>Deposit</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${lines.map(line => lineRow(line, checked)).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+    
+    container.innerHTML = `
+        <div class="detail-section">
+            <div class="detail-row"><span>Import:</span><span><code>${report.importId}</code></span></div>
+            <div class="detail-row"><span>Matched:</span><span>${report.summary.matched}</span></div>
+            <div class="detail-row"><span>Ambiguous:</span><span>${report.summary.ambiguous}</span></div>
+            <div class="detail-row"><span>Orphan:</span><span>${report.summary.orphan}</span></div>
+            ${report.summary.duplicates ? `
+            <div class="detail-row"><span>Already imported:</span><span>${report.summary.duplicates}</span></div>
+            ` : ''}
+        </div>
+        ${lineTable('Matched', report.matched, true)}
+        ${lineTable('Ambiguous', report.ambiguous, false)}
+        ${lineTable('Orphan', report.orphan, false)}
+        ${report.proposedRejections.length === 0 ? '' : `
+        <h5>Proposed Rejections (${report.proposedRejections.length})</h5>
+        <div class="table-container">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>Transaction ID</th>
+                        <th>Amount</th>
+                        <th>Sender</th>
+                        <th>Reason</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${report.proposedRejections.map(r => `
+                        <tr>
+                            <td><input type="checkbox" class="reconcile-reject" data-transaction-id="${r.transactionId}"></td>
+                            <td><code>${r.transactionId}</code></td>
+                            <td>${formatCurrency(r.amount)}</td>
+                            <td>${escapeHtml(r.senderName || 'N/A')}</td>
+                            <td>${r.reason}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        `}
+    `;
+    
+    document.getElementById('reconciliation-card').style.display = 'block';
+}
+
+async function applyReconciliation() {
+    const decisions = [];
+    
+    document.querySelectorAll('.reconcile-line:checked').forEach(checkbox => {
+        const lineId = checkbox.dataset.lineId;
+        const target = document.querySelector(`.reconcile-target[data-line-id="${lineId}"]`);
+        const transactionId = target ? target.value : '';
+        decisions.push(transactionId
+            ? { lineId, transactionId, action: 'approve' }
+            : { lineId, action: 'ignore' });
+    });
+    
+    document.querySelectorAll('.reconcile-reject:checked').forEach(checkbox => {
+        decisions.push({ transactionId: checkbox.dataset.transactionId, action: 'reject' });
+    });
+    
+    if (decisions.length === 0) {
+        showNotification('Select at least one line to apply', 'error');
+        return;
+    }
+    
+    if (!confirm(`Apply ${decisions.length} reconciliation decisions?`)) return;
+    
+    try {
+        const response = await makeAPIRequest('/admin/reconciliation/apply', 'POST', { decisions }, true);
+        
+        if (response.success) {
+            const failed = response.results.filter(r => !r.success);
+            showNotification(response.message + (failed.length ? `. Failed: ${failed.map(f => f.error).join('; ')}` : ''), failed.length ? 'warning' : 'success');
+            document.getElementById('reconciliation-card').style.display = 'none';
+            loadPendingDeposits();
+            loadAdminStats();
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to apply reconciliation', 'error');
+    }
+}
+
 // User Management
 async function viewUserDetails(userId) {
     try {
@@ -1011,16 +1409,92 @@ ${JSON.stringify(order.apiResponse, null, 2)}
                 </div>
                 ` : ''}
                 
-                ${order.status === 'pending' || order.status === 'processing' ? `
+                ${response.providerStatus ? `
+                <div class="detail-section">
+                    <h5>Live Provider Status</h5>
+                    ${response.providerStatus.error ? `
+                    <p class="text-danger">${response.providerStatus.error}</p>
+                    ` : `
+                    <div class="detail-row">
+                        <span>Status:</span>
+                        <span>${response.providerStatus.status || 'N/A'}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span>Start Count / Remains:</span>
+                        <span>${response.providerStatus.start_count ?? 'N/A'} / ${response.providerStatus.remains ?? 'N/A'}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span>Charge:</span>
+                        <span>${response.providerStatus.charge ?? 'N/A'} ${response.providerStatus.currency || ''}</span>
+                    </div>
+                    `}
+                </div>
+                ` : ''}
+                
+                ${response.transactions?.length ? `
+                <div class="detail-section">
+                    <h5>Related Transactions</h5>
+                    ${response.transactions.map(t => `
+                    <div class="detail-row">
+                        <span><code>${t.transactionId}</code> ${t.type} (${new Date(t.createdAt).toLocaleString()})</span>
+                        <span>${t.equities} Equities - ${t.status}</span>
+                    </div>
+                    `).join('')}
+                </div>
+                ` : ''}
+                
+                ${order.adminOverrides?.length ? `
+                <div class="detail-section">
+                    <h5>Admin Overrides</h5>
+                    ${order.adminOverrides.map(o => `
+                    <div class="detail-row">
+                        <span>${new Date(o.createdAt).toLocaleString()} - ${o.performedBy}: ${o.action}${o.toStatus ? ` (${o.fromStatus || '?'} &rarr; ${o.toStatus})` : ''}</span>
+                        <span>${o.equities ? `${o.equities} Equities - ` : ''}${o.reason || ''}</span>
+                    </div>
+                    `).join('')}
+                </div>
+                ` : ''}
+                
+                ${order.refunds?.length ? `
+                <div class="detail-section">
+                    <h5>Refunds (${order.refundedEquities} of ${order.cost} Equities)</h5>
+                    ${order.refunds.map(r => `
+                    <div class="detail-row">
+                        <span>${new Date(r.createdAt).toLocaleString()} - ${r.source}${r.performedBy ? ` (${r.performedBy})` : ''}</span>
+                        <span>${r.equities} Equities: ${r.reason}</span>
+                    </div>
+                    `).join('')}
+                </div>
+                ` : ''}
+                
+                ${order.fundsStatus === 'settled' || order.receipt?.invoiceNumber ? `
+                <div class="action-buttons" style="margin-top: 20px;">
+                    <button class="btn btn-outline" onclick="regenerateReceipt('${order.orderId}')">
+                        <i class="fas fa-receipt"></i> ${order.receipt?.invoiceNumber ? `Regenerate Receipt ${order.receipt.invoiceNumber}` : 'Issue Receipt'}
+                    </button>
+                    ${order.cost > (order.refundedEquities || 0) ? `
+                    <button class="btn btn-warning" onclick="refundOrderAdmin('${order.orderId}', ${order.cost - (order.refundedEquities || 0)})">
+                        <i class="fas fa-undo"></i> Issue Refund
+                    </button>
+                    ` : ''}
+                </div>
+                ` : ''}
+                
                 <div class="action-buttons" style="margin-top: 20px;">
+                    ${['pending', 'processing', 'in progress'].includes(order.status) && order.fundsStatus !== 'reserved' ? `
                     <button class="btn btn-danger" onclick="cancelOrderAdmin('${order.orderId}')">
                         <i class="fas fa-times"></i> Cancel Order
                     </button>
+                    ` : ''}
+                    ${order.status === 'completed' ? `
                     <button class="btn btn-warning" onclick="refillOrder('${order.orderId}')">
                         <i class="fas fa-redo"></i> Create Refill
                     </button>
+                    ` : ''}
+                    <button class="btn btn-outline" onclick="forceOrderStatus('${order.orderId}', '${order.status}')">
+                        <i class="fas fa-flag"></i> Force Status
+                    </button>
                 </div>
-                ` : ''}
             `;
             
             document.getElementById('order-details-content').innerHTML = content;
@@ -1031,37 +1505,232 @@ ${JSON.stringify(order.apiResponse, null, 2)}
     }
 }
 
-async function cancelOrderAdmin(orderId) {
+async function cancelOrderAdmin(orderId, skipProvider = false) {
     if (!confirm('Are you sure you want to cancel this order? This will refund the user.')) return;
     
+    const reason = prompt('Reason for cancelling:') || '';
+    
     try {
-        const response = await makeAPIRequest(`/admin/order/${orderId}/cancel`, 'POST', null, true);
+        const response = await makeIdempotentRequest(`admin-cancel:${orderId}:${skipProvider}`, `/admin/order/${orderId}/cancel`, 'POST', {
+            reason,
+            skipProvider
+        });
         
         if (response.success) {
-            showNotification('Order cancelled successfully', 'success');
+            showNotification(`Order cancelled and ${response.refunded} equities refunded`, 'success');
             hideModal('order-details-modal');
             loadAllOrders();
             loadAdminStats();
+        } else if (response.providerError && !skipProvider) {
+            if (confirm('Thekclaut could not cancel this order. Cancel and refund it locally without the provider?')) {
+                cancelOrderAdmin(orderId, true);
+            }
+        } else {
+            showNotification(response.message || 'Failed to cancel order', 'error');
         }
     } catch (error) {
         showNotification(error.message || 'Failed to cancel order', 'error');
     }
 }
 
+async function forceOrderStatus(orderId, currentStatus) {
+    const statuses = ['processing', 'in progress', 'completed', 'partial', 'cancelled', 'refunded', 'failed'];
+    const status = prompt(`New status for ${orderId} (currently "${currentStatus}").\nOne of: ${statuses.join(', ')}\nThis does not contact Thekclaut or change any balance.`);
+    if (!status) return;
+    
+    if (!statuses.includes(status.trim())) {
+        showNotification('Unknown status', 'error');
+        return;
+    }
+    
+    const reason = prompt('Reason for the override:');
+    if (!reason || !reason.trim()) {
+        showNotification('A reason is required to force a status', 'error');
+        return;
+    }
+    
+    try {
+        const response = await makeAPIRequest(`/admin/order/${orderId}/status`, 'POST', { status: status.trim(), reason }, true);
+        
+        if (response.success) {
+            showNotification(response.message, 'success');
+            viewOrderDetailsAdmin(orderId);
+            loadAllOrders();
+        } else {
+            showNotification(response.message || 'Failed to update order status', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to update order status', 'error');
+    }
+}
+
 async function refillOrder(orderId) {
-    if (!confirm('Create refill for this order?')) return;
+    if (!confirm('Create refill for this order? The guarantee window and cooldown are not checked for admins.')) return;
     
     try {
         const response = await makeAPIRequest(`/admin/order/${orderId}/refill`, 'POST', null, true);
         
         if (response.success) {
             showNotification('Refill created successfully', 'success');
+            loadRefills();
+        } else {
+            showNotification(response.message || 'Failed to create refill', 'error');
         }
     } catch (error) {
         showNotification(error.message || 'Failed to create refill', 'error');
     }
 }
 
+async function loadRefills() {
+    try {
+        const response = await makeAPIRequest('/admin/refills?limit=20', 'GET', null, true);
+        const tbody = document.getElementById('refills-table');
+        
+        if (response.success && tbody) {
+            if (response.refills.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="6" class="text-center">No refills requested yet.</td></tr>';
+                return;
+            }
+            
+            tbody.innerHTML = response.refills.map(r => `
+                <tr>
+                    <td><code>${r.orderId}</code></td>
+                    <td>${r.username || 'Unknown'}</td>
+                    <td>${r.serviceName}</td>
+                    <td><code>${r.refillId}</code></td>
+                    <td><span class="status-badge status-${r.status}">${r.status}</span></td>
+                    <td>${new Date(r.requestedAt).toLocaleString()} (${r.requestedBy || 'N/A'})</td>
+                </tr>
+            `).join('');
+        }
+    } catch (error) {
+        console.error('Error loading refills:', error);
+    }
+}
+
+async function loadDeadLetteredOrders() {
+    try {
+        const response = await makeAPIRequest('/admin/orders/dead-letter', 'GET', null, true);
+        const tbody = document.getElementById('dead-letter-table');
+        
+        if (response.success && tbody) {
+            document.getElementById('retrying-orders-count').textContent =
+                response.retrying > 0 ? `${response.retrying} order(s) currently waiting to retry` : '';
+            
+            if (response.orders.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="8" class="text-center">No dead-lettered orders.</td></tr>';
+                return;
+            }
+            
+            tbody.innerHTML = response.orders.map(o => `
+                <tr>
+                    <td><code>${o.orderId}</code></td>
+                    <td>${o.username || 'Unknown'}</td>
+                    <td>${o.serviceName}</td>
+                    <td>${o.cost} Equities</td>
+                    <td>${o.attempts}</td>
+                    <td style="max-width: 250px; overflow: hidden; text-overflow: ellipsis;">${o.lastError || ''}</td>
+                    <td>${new Date(o.deadLetteredAt).toLocaleString()}</td>
+                    <td>
+                        <button class="btn-icon" title="Replay" onclick="replayOrder('${o.orderId}', ${o.cost})">
+                            <i class="fas fa-redo"></i>
+                        </button>
+                    </td>
+                </tr>
+            `).join('');
+        }
+    } catch (error) {
+        console.error('Error loading dead-lettered orders:', error);
+    }
+}
+
+async function replayOrder(orderId, cost) {
+    if (!confirm(`Replay order ${orderId}? ${cost} equities will be reserved from the user's wallet again and the order resubmitted to Thekclaut.`)) return;
+    
+    try {
+        const response = await makeIdempotentRequest(`replay:${orderId}`, `/admin/order/${orderId}/replay`, 'POST', {});
+        
+        if (response.success) {
+            showNotification(response.message, 'success');
+            loadDeadLetteredOrders();
+        } else {
+            showNotification(response.message || 'Failed to replay order', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to replay order', 'error');
+    }
+}
+
+async function loadReviewOrders() {
+    try {
+        const response = await makeAPIRequest('/admin/orders/review', 'GET', null, true);
+        const tbody = document.getElementById('review-orders-table');
+        
+        if (response.success && tbody) {
+            if (response.orders.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="8" class="text-center">No orders awaiting review.</td></tr>';
+                return;
+            }
+            
+            tbody.innerHTML = response.orders.map(o => `
+                <tr>
+                    <td><code>${o.orderId}</code></td>
+                    <td>${o.username || 'Unknown'}</td>
+                    <td>${o.serviceName} (#${o.serviceId})</td>
+                    <td style="max-width: 200px; overflow: hidden; text-overflow: ellipsis;">${o.targetUrl}</td>
+                    <td>${o.cost} Equities</td>
+                    <td style="max-width: 250px; overflow: hidden; text-overflow: ellipsis;">${o.reason || ''}</td>
+                    <td>${new Date(o.requiredAt).toLocaleString()}</td>
+                    <td>
+                        <button class="btn-icon" title="Placed at Thekclaut" onclick="resolveOrder('${o.orderId}', 'placed')">
+                            <i class="fas fa-check"></i>
+                        </button>
+                        <button class="btn-icon" title="Resubmit" onclick="resolveOrder('${o.orderId}', 'resubmit')">
+                            <i class="fas fa-redo"></i>
+                        </button>
+                        <button class="btn-icon" title="Release funds" onclick="resolveOrder('${o.orderId}', 'release')">
+                            <i class="fas fa-undo"></i>
+                        </button>
+                    </td>
+                </tr>
+            `).join('');
+        }
+    } catch (error) {
+        console.error('Error loading orders awaiting review:', error);
+    }
+}
+
+async function resolveOrder(orderId, resolution) {
+    let apiOrderId;
+    if (resolution === 'placed') {
+        apiOrderId = prompt(`Thekclaut order ID for ${orderId} (the user will be charged):`);
+        if (!apiOrderId) return;
+    } else if (resolution === 'resubmit') {
+        if (!confirm(`Resubmit ${orderId} to Thekclaut? Only do this if Thekclaut does not already have the order.`)) return;
+    } else if (!confirm(`Release ${orderId}? The order is marked failed and its reserved equities go back to the user.`)) {
+        return;
+    }
+    
+    const reason = prompt('Reason for the resolution:') || '';
+    
+    try {
+        const response = await makeIdempotentRequest(`resolve:${orderId}`, `/admin/order/${orderId}/resolve`, 'POST', {
+            resolution,
+            apiOrderId,
+            reason
+        });
+        
+        if (response.success) {
+            showNotification(response.message, 'success');
+            loadReviewOrders();
+        } else {
+            showNotification(response.message || 'Failed to resolve order', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to resolve order', 'error');
+    }
+}
+
 // Ticket Management
 async function viewTicketAdmin(ticketId) {
     try {
@@ -1262,6 +1931,26 @@ async function toggleServiceStatus(serviceId, isCurrentlyActive) {
     }
 }
 
+async function setOverlapPolicy(serviceId, currentPolicy) {
+    const policy = prompt(`Overlap policy for service ${serviceId} (currently "${currentPolicy}").\nWhat to do when an order for the same link is still running:\n- warn: tell the user and offer to queue the new order\n- block: refuse the new order\n- allow: place it anyway`, currentPolicy);
+    if (!policy || policy === currentPolicy) return;
+    
+    try {
+        const response = await makeAPIRequest(`/admin/service/${serviceId}/overlap-policy`, 'POST', {
+            policy: policy.trim().toLowerCase()
+        }, true);
+        
+        if (response.success) {
+            showNotification(response.message, 'success');
+            loadAllServices();
+        } else {
+            showNotification(response.message || 'Failed to update overlap policy', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to update overlap policy', 'error');
+    }
+}
+
 function editService(serviceId) {
     showNotification('Edit service feature coming soon', 'info');
 }
@@ -1610,6 +2299,9 @@ function searchServicesAdmin() {
                         <button class="btn-icon" title="Toggle Status" onclick="toggleServiceStatus('${service.id}', ${service.isActive !== false})">
                             <i class="fas fa-power-off"></i>
                         </button>
+                        <button class="btn-icon" title="Overlap policy: ${service.overlapPolicy || 'warn'}" onclick="setOverlapPolicy('${service.id}', '${service.overlapPolicy || 'warn'}')">
+                            <i class="fas fa-clone"></i>
+                        </button>
                     </td>
                 </tr>
             `).join('');
@@ -1652,6 +2344,9 @@ function searchServicesAdmin() {
                     <button class="btn-icon" title="Toggle Status" onclick="toggleServiceStatus('${service.id}', ${service.isActive !== false})">
                         <i class="fas fa-power-off"></i>
                     </button>
+                    <button class="btn-icon" title="Overlap policy: ${service.overlapPolicy || 'warn'}" onclick="setOverlapPolicy('${service.id}', '${service.overlapPolicy || 'warn'}')">
+                        <i class="fas fa-clone"></i>
+                    </button>
                 </td>
             </tr>
         `).join('');
@@ -1677,12 +2372,318 @@ async function handleDepositSettings(e) {
     // In a real application, you would make an API call here
 }
 
+// Coupon Management
+async function loadCoupons() {
+    try {
+        const response = await makeAPIRequest('/admin/coupons', 'GET', null, true);
+        const container = document.getElementById('coupons-list');
+        if (!response.success || !container) return;
+        
+        if (response.coupons.length === 0) {
+            container.innerHTML = '<p class="text-muted">No coupons yet.</p>';
+            return;
+        }
+        
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Code</th>
+                        <th>Discount</th>
+                        <th>Scope</th>
+                        <th>Used</th>
+                        <th>Expires</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${response.coupons.map(c => `
+                        <tr>
+                            <td><code>${c.code}</code></td>
+                            <td>${c.discountType === 'percentage' ? `${c.discountValue}%` : `${c.discountValue} Equities`}</td>
+                            <td>${[...c.platforms, ...c.serviceIds].join(', ') || 'All services'}</td>
+                            <td>${c.usedCount}${c.usageLimit ? ` / ${c.usageLimit}` : ''}</td>
+                            <td>${c.expiresAt ? new Date(c.expiresAt).toLocaleDateString() : 'Never'}</td>
+                            <td>
+                                <button class="btn btn-sm ${c.isActive ? 'btn-danger' : 'btn-success'}" onclick="toggleCoupon('${c.code}', ${!c.isActive})">
+                                    ${c.isActive ? 'Disable' : 'Enable'}
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading coupons:', error);
+    }
+}
+
+async function handleCreateCoupon(e) {
+    e.preventDefault();
+    
+    const btn = e.target.querySelector('button[type="submit"]');
+    const value = (id) => document.getElementById(id).value.trim();
+    const list = (id) => value(id).split(',').map(v => v.trim()).filter(Boolean);
+    const number = (id) => value(id) ? parseInt(value(id)) : undefined;
+    
+    const data = {
+        code: value('coupon-code'),
+        discountType: value('coupon-type'),
+        discountValue: number('coupon-value'),
+        maxDiscount: number('coupon-max-discount'),
+        minOrderValue: number('coupon-min-order') || 0,
+        platforms: list('coupon-platforms').map(p => p.toLowerCase()),
+        serviceIds: list('coupon-services'),
+        startsAt: value('coupon-starts') ? new Date(value('coupon-starts')).toISOString() : undefined,
+        expiresAt: value('coupon-expires') ? new Date(value('coupon-expires')).toISOString() : undefined,
+        usageLimit: number('coupon-usage-limit') || null,
+        perUserLimit: number('coupon-per-user-limit')
+    };
+    
+    try {
+        setButtonLoading(btn, true);
+        const response = await makeAPIRequest('/admin/coupons', 'POST', data, true);
+        
+        if (response.success) {
+            showNotification(`Coupon ${response.coupon.code} created`, 'success');
+            e.target.reset();
+            loadCoupons();
+        } else {
+            showNotification(response.message || 'Failed to create coupon', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to create coupon', 'error');
+    } finally {
+        setButtonLoading(btn, false);
+    }
+}
+
+async function toggleCoupon(code, isActive) {
+    try {
+        const response = await makeAPIRequest(`/admin/coupons/${code}`, 'PUT', { isActive }, true);
+        
+        if (response.success) {
+            showNotification(`Coupon ${isActive ? 'enabled' : 'disabled'}`, 'success');
+            loadCoupons();
+        } else {
+            showNotification(response.message || 'Failed to update coupon', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to update coupon', 'error');
+    }
+}
+
+// Deposit Bonus Tiers
+async function loadBonusTiers() {
+    try {
+        const response = await makeAPIRequest('/admin/deposit-bonus-tiers', 'GET', null, true);
+        const container = document.getElementById('bonus-tiers-list');
+        if (!response.success || !container) return;
+        
+        if (response.tiers.length === 0) {
+            container.innerHTML = '<p class="text-muted">No bonus tiers yet.</p>';
+            return;
+        }
+        
+        const formatWindow = (tier) => {
+            if (!tier.startsAt && !tier.endsAt) return 'Always';
+            const from = tier.startsAt ? new Date(tier.startsAt).toLocaleDateString() : '...';
+            const until = tier.endsAt ? new Date(tier.endsAt).toLocaleDateString() : '...';
+            return `${from} - ${until}`;
+        };
+        
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>From</th>
+                        <th>Bonus</th>
+                        <th>Window</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${response.tiers.map(tier => `
+                        <tr>
+                            <td>${tier.name}</td>
+                            <td>${formatCurrency(tier.minAmount)}</td>
+                            <td>+${tier.percentage}%</td>
+                            <td>${formatWindow(tier)}</td>
+                            <td>
+                                <button class="btn btn-sm ${tier.isActive ? 'btn-danger' : 'btn-success'}" onclick="toggleBonusTier('${tier._id}', ${!tier.isActive})">
+                                    ${tier.isActive ? 'Disable' : 'Enable'}
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading bonus tiers:', error);
+    }
+}
+
+async function handleCreateBonusTier(e) {
+    e.preventDefault();
+    
+    const btn = e.target.querySelector('button[type="submit"]');
+    const startsAt = document.getElementById('bonus-tier-starts').value;
+    const endsAt = document.getElementById('bonus-tier-ends').value;
+    
+    const data = {
+        name: document.getElementById('bonus-tier-name').value.trim(),
+        minAmount: parseFloat(document.getElementById('bonus-tier-min').value),
+        percentage: parseFloat(document.getElementById('bonus-tier-percentage').value),
+        startsAt: startsAt ? new Date(startsAt).toISOString() : undefined,
+        endsAt: endsAt ? new Date(endsAt).toISOString() : undefined
+    };
+    
+    try {
+        setButtonLoading(btn, true);
+        const response = await makeAPIRequest('/admin/deposit-bonus-tiers', 'POST', data, true);
+        
+        if (response.success) {
+            showNotification('Bonus tier added', 'success');
+            e.target.reset();
+            loadBonusTiers();
+        } else {
+            showNotification(response.message || 'Failed to add bonus tier', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to add bonus tier', 'error');
+    } finally {
+        setButtonLoading(btn, false);
+    }
+}
+
+async function toggleBonusTier(tierId, isActive) {
+    try {
+        const response = await makeAPIRequest(`/admin/deposit-bonus-tiers/${tierId}`, 'PUT', { isActive }, true);
+        
+        if (response.success) {
+            showNotification(`Bonus tier ${isActive ? 'enabled' : 'disabled'}`, 'success');
+            loadBonusTiers();
+        } else {
+            showNotification(response.message || 'Failed to update bonus tier', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to update bonus tier', 'error');
+    }
+}
+
 function clearCache() {
     if (confirm('Clear all cache? This will not affect the database.')) {
         showNotification('Cache cleared successfully', 'success');
     }
 }
 
+function showBalanceAdjustmentModal(userId) {
+    const user = allUsers.find(u => u._id === userId);
+    const form = document.getElementById('balance-adjustment-form');
+    if (!form) return;
+    
+    form.reset();
+    document.getElementById('adjustment-user-id').value = userId;
+    document.getElementById('adjustment-user').textContent = user
+        ? `${user.username} (current balance: ${user.balance || 0} Equities)`
+        : userId;
+    showModal('balance-adjustment-modal');
+}
+
+async function handleBalanceAdjustment(e) {
+    e.preventDefault();
+    
+    const btn = e.target.querySelector('button[type="submit"]');
+    const value = (id) => document.getElementById(id).value.trim();
+    const userId = value('adjustment-user-id');
+    
+    const data = {
+        direction: value('adjustment-direction'),
+        equities: parseInt(value('adjustment-equities')),
+        reason: value('adjustment-reason'),
+        ticketId: value('adjustment-ticket') || undefined,
+        orderId: value('adjustment-order') || undefined
+    };
+    
+    if (!data.reason) {
+        showNotification('Please enter a reason for this adjustment', 'error');
+        return;
+    }
+    
+    try {
+        setButtonLoading(btn, true);
+        const action = `adjust:${userId}:${data.direction}:${data.equities}:${data.reason}`;
+        let response = await makeIdempotentRequest(action, `/admin/users/${userId}/adjust-balance`, 'POST', data);
+        
+        if (!response.success && response.requiresConfirmation) {
+            if (!confirm(`This ${data.direction}s ${data.equities} equities, which is above the ${response.threshold} equity threshold. Continue?`)) {
+                return;
+            }
+            response = await makeIdempotentRequest(`${action}:confirmed`, `/admin/users/${userId}/adjust-balance`, 'POST', { ...data, confirm: true });
+        }
+        
+        if (response.success) {
+            showNotification(`${response.message}. New balance: ${response.balance} Equities`, 'success');
+            hideModal('balance-adjustment-modal');
+            loadAllUsers();
+            loadAllTransactions();
+        } else {
+            showNotification(response.message || 'Failed to adjust balance', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to adjust balance', 'error');
+    } finally {
+        setButtonLoading(btn, false);
+    }
+}
+
+async function regenerateReceipt(orderId) {
+    if (!confirm('Rebuild the receipt for this order from its current details?')) return;
+    
+    try {
+        const response = await makeAPIRequest(`/admin/orders/${orderId}/receipt`, 'POST', null, true);
+        
+        if (response.success) {
+            showNotification(`Receipt ${response.receipt.invoiceNumber} regenerated`, 'success');
+            viewOrderDetailsAdmin(orderId);
+        } else {
+            showNotification(response.message || 'Failed to regenerate receipt', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to regenerate receipt', 'error');
+    }
+}
+
+async function refundOrderAdmin(orderId, refundable) {
+    const equities = parseInt(prompt(`Equities to refund (up to ${refundable}):`, refundable));
+    if (!equities) return;
+    
+    const reason = prompt('Reason for the refund:');
+    if (!reason || !reason.trim()) {
+        showNotification('A reason is required for manual refunds', 'error');
+        return;
+    }
+    
+    try {
+        const response = await makeIdempotentRequest(`refund:${orderId}:${equities}:${reason}`, `/admin/orders/${orderId}/refund`, 'POST', {
+            equities,
+            reason
+        });
+        
+        if (response.success) {
+            showNotification(`${response.refund.equities} equities refunded`, 'success');
+            viewOrderDetailsAdmin(orderId);
+        } else {
+            showNotification(response.message || 'Failed to issue refund', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to issue refund', 'error');
+    }
+}
+
 function backupDatabase() {
     showNotification('Database backup started...', 'info');
     // In a real application, you would trigger a backup here
@@ -2026,6 +3027,19 @@ const adminStyles = `
         gap: 10px;
         justify-content: center;
     }
+    
+    .proof-warning {
+        display: inline-block;
+        margin-left: 4px;
+        padding: 2px 6px;
+        border: none;
+        border-radius: 4px;
+        background-color: #fee2e2;
+        color: #991b1b;
+        font-size: 0.75rem;
+        font-weight: 600;
+        cursor: pointer;
+    }
 `;
 
 // Add admin styles to document
@@ -2048,8 +3062,14 @@ window.searchOrders = searchOrders;
 window.searchServicesAdmin = searchServicesAdmin;
 window.viewDepositDetails = viewDepositDetails;
 window.viewProof = viewProof;
+window.viewProofDuplicates = viewProofDuplicates;
 window.approveDeposit = approveDeposit;
 window.rejectDeposit = rejectDeposit;
+window.loadPendingWithdrawals = loadPendingWithdrawals;
+window.markWithdrawalPaid = markWithdrawalPaid;
+window.rejectWithdrawal = rejectWithdrawal;
+window.importStatement = importStatement;
+window.applyReconciliation = applyReconciliation;
 window.viewUserDetails = viewUserDetails;
 window.toggleUserStatus = toggleUserStatus;
 window.editUser = editUser;
@@ -2060,7 +3080,17 @@ window.viewTicketAdmin = viewTicketAdmin;
 window.assignTicket = assignTicket;
 window.toggleServiceStatus = toggleServiceStatus;
 window.editService = editService;
+window.setOverlapPolicy = setOverlapPolicy;
+window.replayOrder = replayOrder;
+window.resolveOrder = resolveOrder;
 window.showServiceStats = showServiceStats;
+window.toggleCoupon = toggleCoupon;
+window.toggleBonusTier = toggleBonusTier;
+window.showBalanceAdjustmentModal = showBalanceAdjustmentModal;
+window.loadAdjustments = loadAdjustments;
+window.regenerateReceipt = regenerateReceipt;
+window.refundOrderAdmin = refundOrderAdmin;
+window.forceOrderStatus = forceOrderStatus;
 window.clearCache = clearCache;
 window.backupDatabase = backupDatabase;
 window.showMaintenanceModal = showMaintenanceModal;
@@ -31,10 +31,11 @@ function logout() {
 }
 
 // Main API request function
-async function makeAPIRequest(endpoint, method = 'GET', data = null, requiresAuth = false) {
+async function makeAPIRequest(endpoint, method = 'GET', data = null, requiresAuth = false, extraHeaders = {}) {
     const url = `${API_BASE_URL}${endpoint}`;
     const headers = {
         'Content-Type': 'application/json',
+        ...extraHeaders
     };
     
     if (requiresAuth) {
@@ -56,6 +57,26 @@ async function makeAPIRequest(endpoint, method = 'GET', data = null, requiresAut
     return await response.json();
 }
 
+// Idempotency keys for requests that move money. A retry of the same action
+// reuses its key (so the server replays the first result); the key is dropped
+// once the server has answered.
+const idempotencyKeys = {};
+
+function newIdempotencyKey() {
+    if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+async function makeIdempotentRequest(action, endpoint, method = 'POST', data = null) {
+    if (!idempotencyKeys[action]) idempotencyKeys[action] = newIdempotencyKey();
+    
+    const response = await makeAPIRequest(endpoint, method, data, true, {
+        'Idempotency-Key': idempotencyKeys[action]
+    });
+    delete idempotencyKeys[action];
+    return response;
+}
+
 // Notification function
 function showNotification(message, type = 'info') {
     alert(`${type.toUpperCase()}: ${message}`);
@@ -81,6 +102,11 @@ function formatCurrency(amount) {
     return `₦${amount.toLocaleString()}`;
 }
 
+// Badge class for a status; multi-word statuses ("in progress") become one class
+function statusClass(status) {
+    return `status-${String(status).toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+}
+
 // Make functions available globally
 window.makeAPIRequest = makeAPIRequest;
 window.showNotification = showNotification;
@@ -123,8 +149,10 @@ async function initializeDashboard() {
         await loadDashboardData();
         await loadServices();
         await loadOrders();
+        await loadSubscriptions();
         await loadTransactions();
         await loadTickets();
+        await loadWithdrawals();
         
         // Setup section switching
         setupSectionSwitching();
@@ -166,6 +194,12 @@ function setupEventListeners() {
         supportForm.addEventListener('submit', handleSupportTicket);
     }
     
+    // Withdrawal form submission
+    const withdrawForm = document.getElementById('withdraw-form');
+    if (withdrawForm) {
+        withdrawForm.addEventListener('submit', handleWithdraw);
+    }
+    
     // Service filter tabs
     const filterTabs = document.querySelectorAll('.filter-tab');
     filterTabs.forEach(tab => {
@@ -306,6 +340,11 @@ function displayServices(services) {
                     <button class="btn-icon" title="Order" onclick="showOrderModal('${service.id}')">
                         <i class="fas fa-shopping-cart"></i>
                     </button>
+                    ${service.subscriptionMode ? `
+                    <button class="btn-icon" title="Subscribe to new posts" onclick="showSubscriptionModal('${service.id}')">
+                        <i class="fas fa-sync"></i>
+                    </button>
+                    ` : ''}
                 </div>
             </div>
             
@@ -404,7 +443,7 @@ async function loadOrders() {
                             <button class="btn-icon" title="View Details" onclick="viewOrder('${order.orderId}')">
                                 <i class="fas fa-eye"></i>
                             </button>
-                            ${(order.status === 'pending' || order.status === 'processing') ? `
+                            ${['scheduled', 'queued', 'pending', 'processing'].includes(order.status) ? `
                             <button class="btn-icon" title="Cancel" onclick="cancelOrder('${order.orderId}')">
                                 <i class="fas fa-times"></i>
                             </button>
@@ -420,6 +459,301 @@ async function loadOrders() {
     }
 }
 
+async function loadSubscriptions() {
+    try {
+        const response = await makeAPIRequest('/subscriptions', 'GET', null, true);
+        const tbody = document.getElementById('subscriptions-table');
+        
+        if (response.success && tbody) {
+            const subscriptions = response.subscriptions;
+            
+            if (subscriptions.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="9" class="text-center">No subscriptions yet.</td></tr>';
+                return;
+            }
+            
+            tbody.innerHTML = subscriptions.map(sub => `
+                <tr>
+                    <td><code>${sub.subscriptionId}</code></td>
+                    <td>${sub.serviceName}</td>
+                    <td style="max-width: 200px; overflow: hidden; text-overflow: ellipsis;">
+                        ${sub.profileUrl}
+                    </td>
+                    <td>${sub.quantityPerPost}</td>
+                    <td>${sub.postsDelivered} / ${sub.maxPosts}</td>
+                    <td>${sub.equitiesCharged} Equities</td>
+                    <td>${new Date(sub.expiresAt).toLocaleDateString()}</td>
+                    <td><span class="status-badge status-${sub.status}">${sub.status}</span></td>
+                    <td>
+                        <button class="btn-icon" title="View Details" onclick="viewSubscription('${sub.subscriptionId}')">
+                            <i class="fas fa-eye"></i>
+                        </button>
+                        ${sub.status === 'active' ? `
+                        <button class="btn-icon" title="Pause" onclick="pauseSubscription('${sub.subscriptionId}')">
+                            <i class="fas fa-pause"></i>
+                        </button>
+                        ` : ''}
+                        ${sub.status === 'paused' ? `
+                        <button class="btn-icon" title="Resume" onclick="resumeSubscription('${sub.subscriptionId}')">
+                            <i class="fas fa-play"></i>
+                        </button>
+                        ` : ''}
+                        ${['active', 'paused'].includes(sub.status) ? `
+                        <button class="btn-icon" title="Cancel" onclick="cancelSubscription('${sub.subscriptionId}')">
+                            <i class="fas fa-times"></i>
+                        </button>
+                        ` : ''}
+                    </td>
+                </tr>
+            `).join('');
+        }
+    } catch (error) {
+        console.error('Error loading subscriptions:', error);
+    }
+}
+
+function showSubscriptionModal(serviceId) {
+    const service = currentServices.find(s => s.id === serviceId);
+    if (!service) {
+        showNotification('Service not found', 'error');
+        return;
+    }
+    
+    const defaultExpiry = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    
+    document.getElementById('order-modal-content').innerHTML = `
+        <h4>Subscribe: ${service.name}</h4>
+        <form id="subscription-form">
+            <div class="form-group">
+                <label for="subscription-url">Profile URL</label>
+                <input type="text" id="subscription-url" class="form-control" placeholder="https://instagram.com/username" required>
+            </div>
+            
+            <div class="form-group">
+                <label for="subscription-quantity">Quantity per post</label>
+                <input type="number" id="subscription-quantity" class="form-control" 
+                       min="${service.min}" max="${service.max}" value="${service.min}" required>
+                <div class="form-hint">Min: ${service.min}, Max: ${service.max}</div>
+            </div>
+            
+            <div class="form-group">
+                <label for="subscription-posts">Maximum posts</label>
+                <input type="number" id="subscription-posts" class="form-control" min="1" value="10" required>
+            </div>
+            
+            <div class="form-group">
+                <label for="subscription-expiry">Expires on</label>
+                <input type="date" id="subscription-expiry" class="form-control" value="${defaultExpiry}" required>
+            </div>
+            
+            ${service.subscription ? '' : `
+            <div class="form-group">
+                <label for="subscription-interval">Deliver every (hours)</label>
+                <input type="number" id="subscription-interval" class="form-control" min="1" max="168" value="24">
+                <div class="form-hint">This service can't watch for new posts, so an order is placed on your profile on this schedule instead.</div>
+            </div>
+            `}
+            
+            <div class="amount-preview">
+                <div class="preview-item">
+                    <span>Cost per post:</span>
+                    <span id="subscription-cost">0 Equities</span>
+                </div>
+            </div>
+            
+            <div class="alert alert-info">
+                <p><strong>Note:</strong> Each delivered post is charged from your balance. The subscription pauses if your balance runs out. Posts delivered before you cancel are still charged.</p>
+            </div>
+            
+            <button type="submit" class="btn btn-primary btn-block">
+                <i class="fas fa-sync"></i> Start Subscription
+            </button>
+        </form>
+    `;
+    showModal('order-modal');
+    
+    const quantityInput = document.getElementById('subscription-quantity');
+    quantityInput.addEventListener('input', function() {
+        const quantity = parseInt(this.value) || service.min;
+        document.getElementById('subscription-cost').textContent = `${Math.ceil((service.ourRate / 1000) * quantity)} Equities`;
+    });
+    quantityInput.dispatchEvent(new Event('input'));
+    
+    document.getElementById('subscription-form').onsubmit = function(e) {
+        e.preventDefault();
+        createSubscription(serviceId);
+    };
+}
+
+async function createSubscription(serviceId) {
+    const profileUrl = document.getElementById('subscription-url').value.trim();
+    const quantityPerPost = parseInt(document.getElementById('subscription-quantity').value);
+    const maxPosts = parseInt(document.getElementById('subscription-posts').value);
+    const expiry = document.getElementById('subscription-expiry').value;
+    const intervalHours = document.getElementById('subscription-interval')?.value;
+    const btn = document.querySelector('#subscription-form button[type="submit"]');
+    
+    if (!profileUrl || !expiry) {
+        showNotification('Please enter the profile URL and expiry date', 'error');
+        return;
+    }
+    
+    try {
+        setButtonLoading(btn, true);
+        
+        // Expire at the end of the chosen day
+        const expiresAt = new Date(`${expiry}T23:59:59`).toISOString();
+        const response = await makeIdempotentRequest(`subscription:${serviceId}:${profileUrl}:${quantityPerPost}:${maxPosts}:${expiry}:${intervalHours || ''}`, '/subscriptions', 'POST', {
+            serviceId,
+            profileUrl,
+            quantityPerPost,
+            maxPosts,
+            expiresAt,
+            intervalHours: intervalHours ? parseInt(intervalHours) : undefined
+        });
+        
+        if (response.success) {
+            hideModal('order-modal');
+            showNotification('Subscription started!', 'success');
+            loadSubscriptions();
+        } else {
+            showNotification(response.message || 'Failed to start subscription', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to start subscription', 'error');
+    } finally {
+        setButtonLoading(btn, false);
+    }
+}
+
+async function viewSubscription(subscriptionId) {
+    try {
+        const response = await makeAPIRequest(`/subscriptions/${subscriptionId}`, 'GET', null, true);
+        
+        if (response.success) {
+            const sub = response.subscription;
+            document.getElementById('order-modal-content').innerHTML = `
+                <h4>Subscription: ${sub.subscriptionId}</h4>
+                <div class="order-details">
+                    <div class="detail-row">
+                        <span>Service:</span>
+                        <span>${sub.serviceName}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span>Profile:</span>
+                        <span style="word-break: break-all;">${sub.profileUrl}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span>Per Post:</span>
+                        <span>${sub.quantityPerPost} (${sub.costPerPost} Equities)</span>
+                    </div>
+                    <div class="detail-row">
+                        <span>Posts Delivered:</span>
+                        <span>${sub.postsDelivered} of ${sub.maxPosts}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span>Total Charged:</span>
+                        <span>${sub.equitiesCharged} Equities</span>
+                    </div>
+                    ${sub.postsOwed > 0 ? `
+                    <div class="detail-row">
+                        <span>Owed:</span>
+                        <span>${sub.postsOwed} post(s) (${sub.postsOwed * sub.costPerPost} Equities)</span>
+                    </div>
+                    ` : ''}
+                    <div class="detail-row">
+                        <span>Delivery:</span>
+                        <span>${sub.mode === 'provider' ? 'Each new post' : `Every ${sub.intervalHours} hours`}</span>
+                    </div>
+                    ${sub.nextRunAt ? `
+                    <div class="detail-row">
+                        <span>Next Delivery:</span>
+                        <span>${new Date(sub.nextRunAt).toLocaleString()}</span>
+                    </div>
+                    ` : ''}
+                    <div class="detail-row">
+                        <span>Expires:</span>
+                        <span>${new Date(sub.expiresAt).toLocaleString()}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span>Status:</span>
+                        <span class="status-badge status-${sub.status}">${sub.status}</span>
+                    </div>
+                    ${sub.pauseReason === 'insufficient-balance' ? `
+                    <div class="alert alert-warning">
+                        <p>Paused because your balance ran out. Deposit funds, then resume.</p>
+                    </div>
+                    ` : ''}
+                </div>
+                
+                ${response.orders.length ? `
+                <h5>Orders</h5>
+                <div class="order-details">
+                    ${response.orders.map(order => `
+                    <div class="detail-row">
+                        <span><a href="#" onclick="viewOrder('${order.orderId}'); return false;">${order.orderId}</a> - ${new Date(order.createdAt).toLocaleString()}</span>
+                        <span class="status-badge status-${order.status}">${order.status}</span>
+                    </div>
+                    `).join('')}
+                </div>
+                ` : ''}
+            `;
+            showModal('order-modal');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to load subscription', 'error');
+    }
+}
+
+async function pauseSubscription(subscriptionId) {
+    try {
+        const response = await makeAPIRequest(`/subscriptions/${subscriptionId}/pause`, 'POST', null, true);
+        
+        if (response.success) {
+            showNotification('Subscription paused', 'success');
+            loadSubscriptions();
+        } else {
+            showNotification(response.message || 'Failed to pause subscription', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to pause subscription', 'error');
+    }
+}
+
+async function resumeSubscription(subscriptionId) {
+    try {
+        const response = await makeIdempotentRequest(`resume-subscription:${subscriptionId}`, `/subscriptions/${subscriptionId}/resume`, 'POST');
+        
+        if (response.success) {
+            showNotification('Subscription resumed', 'success');
+            loadDashboardData();
+            loadSubscriptions();
+        } else {
+            showNotification(response.message || 'Failed to resume subscription', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to resume subscription', 'error');
+    }
+}
+
+async function cancelSubscription(subscriptionId) {
+    if (!confirm('Are you sure you want to cancel this subscription?')) return;
+    
+    try {
+        const response = await makeAPIRequest(`/subscriptions/${subscriptionId}/cancel`, 'POST', null, true);
+        
+        if (response.success) {
+            showNotification(response.message || 'Subscription cancelled', response.subscription?.postsOwed > 0 ? 'warning' : 'success');
+            loadDashboardData();
+            loadSubscriptions();
+        } else {
+            showNotification(response.message || 'Failed to cancel subscription', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to cancel subscription', 'error');
+    }
+}
+
 async function loadTransactions() {
     try {
         const filter = document.getElementById('transaction-filter')?.value || 'all';
@@ -573,9 +907,22 @@ function hideModal(modalId) {
     }
 }
 
-function showDepositModal() {
+// Active deposit bonus tiers, loaded when the deposit modal opens
+let depositBonusTiers = [];
+
+async function showDepositModal() {
     showModal('deposit-modal');
     updateDepositPreview();
+    
+    try {
+        const response = await makeAPIRequest('/deposit/details', 'GET', null, true);
+        if (response.success) {
+            depositBonusTiers = response.bonusTiers || [];
+            updateDepositPreview();
+        }
+    } catch (error) {
+        console.error('Error loading deposit bonus tiers:', error);
+    }
 }
 
 function updateDepositPreview() {
@@ -585,9 +932,17 @@ function updateDepositPreview() {
     const amount = parseFloat(amountInput.value) || 0;
     const equities = Math.floor(amount / 10);
     
+    // Best tier the amount qualifies for
+    const tier = depositBonusTiers
+        .filter(t => amount >= t.minAmount)
+        .sort((a, b) => b.minAmount - a.minAmount)[0];
+    const bonus = tier ? Math.floor(equities * tier.percentage / 100) : 0;
+    
     document.getElementById('preview-amount').textContent = formatCurrency(amount);
     document.getElementById('preview-equities').textContent = `${equities} Equities`;
-    document.getElementById('preview-receive').textContent = `${equities} Equities`;
+    document.getElementById('preview-receive').textContent = bonus > 0
+        ? `${equities + bonus} Equities (incl. ${bonus} bonus)`
+        : `${equities} Equities`;
 }
 
 async function handleDeposit(e) {
@@ -604,15 +959,18 @@ async function handleDeposit(e) {
     try {
         setButtonLoading(btn, true);
         
-        const response = await makeAPIRequest('/deposit/request', 'POST', {
+        const response = await makeIdempotentRequest(`deposit:${amount}`, '/deposit/request', 'POST', {
             amount: amount
-        }, true);
+        });
         
         if (response.success) {
             hideModal('deposit-modal');
             
             // Show deposit instructions
-            showNotification('Deposit request created! Please send payment with the reference provided.', 'success', 10000);
+            const bonusNote = response.expectedBonus
+                ? ` You'll also get a ${response.expectedBonus.equities} equity bonus (+${response.expectedBonus.percentage}%) once it is approved.`
+                : '';
+            showNotification(`Deposit request created! Please send payment with the reference provided.${bonusNote}`, 'success', 10000);
             
             // Show deposit details modal (you can create this)
             showDepositInstructions(response.deposit);
@@ -641,7 +999,7 @@ function showDepositInstructions(deposit) {
             <div class="alert alert-info">
                 <p><strong>Important:</strong> Use the exact reference above when sending payment. Upload proof after payment.</p>
             </div>
-            <button class="btn btn-primary btn-block" onclick="uploadProofModal('${deposit.transactionId}')">
+            <button class="btn btn-primary btn-block" onclick="uploadProof('${deposit.transactionId}')">
                 <i class="fas fa-upload"></i> Upload Payment Proof
             </button>
         </div>
@@ -653,8 +1011,48 @@ function showDepositInstructions(deposit) {
 }
 
 function uploadProof(transactionId) {
-    // Implement proof upload modal
-    showNotification('Proof upload feature coming soon', 'info');
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/jpeg,image/png,image/webp';
+    
+    input.addEventListener('change', async function() {
+        const file = input.files[0];
+        if (!file) return;
+        
+        if (file.size > 5 * 1024 * 1024) {
+            showNotification('Proof image cannot exceed 5MB', 'error');
+            return;
+        }
+        
+        const senderName = prompt('Name on the sending account:') || '';
+        
+        const formData = new FormData();
+        formData.append('transactionId', transactionId);
+        formData.append('senderName', senderName);
+        formData.append('proof', file);
+        
+        try {
+            // Multipart upload - let the browser set the Content-Type boundary
+            const response = await fetch(`${API_BASE_URL}/deposit/upload-proof`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                },
+                body: formData
+            }).then(res => res.json());
+            
+            if (response.success) {
+                showNotification('Payment proof uploaded successfully!', 'success');
+                loadTransactions();
+            } else {
+                showNotification(response.message || 'Failed to upload proof', 'error');
+            }
+        } catch (error) {
+            showNotification(error.message || 'Failed to upload proof', 'error');
+        }
+    });
+    
+    input.click();
 }
 
 async function showOrderModal(serviceId) {
@@ -670,8 +1068,8 @@ async function showOrderModal(serviceId) {
             <form id="order-form">
                 <div class="form-group">
                     <label for="order-url">Target URL</label>
-                    <input type="url" id="order-url" class="form-control" placeholder="https://instagram.com/username" required>
-                    <div class="form-hint">Enter the complete URL of the post/profile</div>
+                    <input type="text" id="order-url" class="form-control" placeholder="https://instagram.com/username" required>
+                    <div class="form-hint" id="order-url-hint">Enter the complete URL of the post/profile</div>
                 </div>
                 
                 <div class="form-group">
@@ -682,6 +1080,36 @@ async function showOrderModal(serviceId) {
                     <div class="form-hint">Min: ${service.min}, Max: ${service.max}</div>
                 </div>
                 
+                ${service.dripfeed ? `
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" id="order-dripfeed"> Drip-feed (deliver in several runs)
+                    </label>
+                    <div id="order-dripfeed-fields" style="display: none;">
+                        <label for="order-runs">Runs</label>
+                        <input type="number" id="order-runs" class="form-control" min="2" value="2">
+                        <label for="order-interval">Interval between runs (minutes)</label>
+                        <input type="number" id="order-interval" class="form-control" min="1" value="60">
+                        <div class="form-hint">Quantity above is per run. Quantity × runs must not exceed ${service.max}.</div>
+                    </div>
+                </div>
+                ` : ''}
+                
+                <div class="form-group">
+                    <label for="order-coupon">Coupon Code (optional)</label>
+                    <div class="input-group">
+                        <input type="text" id="order-coupon" class="form-control" placeholder="Enter promo code">
+                        <button type="button" class="btn btn-outline" id="apply-coupon-btn">Apply</button>
+                    </div>
+                    <div class="form-hint" id="order-coupon-hint"></div>
+                </div>
+                
+                <div class="form-group">
+                    <label for="order-scheduled-for">Schedule for later (optional)</label>
+                    <input type="datetime-local" id="order-scheduled-for" class="form-control">
+                    <div class="form-hint">Leave empty to place the order now. The cost is reserved from your balance until it is placed.</div>
+                </div>
+                
                 <div class="amount-preview">
                     <div class="preview-item">
                         <span>Service:</span>
@@ -691,6 +1119,14 @@ async function showOrderModal(serviceId) {
                         <span>Price per 1000:</span>
                         <span>${service.ourRate / 1000} Equities</span>
                     </div>
+                    <div class="preview-item" id="order-total-quantity-row" style="display: none;">
+                        <span>Total Quantity:</span>
+                        <span id="order-total-quantity">0</span>
+                    </div>
+                    <div class="preview-item" id="order-discount-row" style="display: none;">
+                        <span>Discount:</span>
+                        <span id="order-discount">0 Equities</span>
+                    </div>
                     <div class="preview-item">
                         <span>Total Cost:</span>
                         <span id="order-total">0 Equities</span>
@@ -714,15 +1150,46 @@ async function showOrderModal(serviceId) {
         const quantityInput = document.getElementById('order-quantity');
         if (quantityInput) {
             quantityInput.addEventListener('input', function() {
-                const quantity = parseInt(this.value) || service.min;
+                const drip = getDripFeedOptions();
+                const quantity = (parseInt(this.value) || service.min) * (drip ? drip.runs || 1 : 1);
                 const total = Math.ceil((service.ourRate / 1000) * quantity);
                 document.getElementById('order-total').textContent = `${total} Equities`;
+                document.getElementById('order-total-quantity-row').style.display = drip ? '' : 'none';
+                document.getElementById('order-total-quantity').textContent = quantity;
+                
+                // The discount depends on the quantity, so the coupon has to be applied again
+                if (document.getElementById('order-discount-row').style.display !== 'none') {
+                    document.getElementById('order-discount-row').style.display = 'none';
+                    document.getElementById('order-coupon-hint').textContent = 'Quantity changed - apply the coupon again to see your discount.';
+                }
             });
             
             // Trigger initial calculation
             quantityInput.dispatchEvent(new Event('input'));
         }
         
+        // Drip-feed options change the total the same way quantity does
+        const dripFeedToggle = document.getElementById('order-dripfeed');
+        if (dripFeedToggle) {
+            dripFeedToggle.addEventListener('change', function() {
+                document.getElementById('order-dripfeed-fields').style.display = this.checked ? '' : 'none';
+                quantityInput.dispatchEvent(new Event('input'));
+            });
+            document.getElementById('order-runs').addEventListener('input', () => quantityInput.dispatchEvent(new Event('input')));
+        }
+        
+        // Check the link against the service as soon as it is entered
+        const urlInput = document.getElementById('order-url');
+        if (urlInput) {
+            urlInput.addEventListener('change', () => checkOrderTarget(serviceId));
+        }
+        
+        // Check the coupon and show the discounted total
+        const applyCouponBtn = document.getElementById('apply-coupon-btn');
+        if (applyCouponBtn) {
+            applyCouponBtn.onclick = () => applyOrderCoupon(serviceId);
+        }
+        
         // Handle form submission
         const orderForm = document.getElementById('order-form');
         if (orderForm) {
@@ -738,9 +1205,83 @@ async function showOrderModal(serviceId) {
     }
 }
 
+// Runs/interval from the order form, or null when drip-feed is off
+function getDripFeedOptions() {
+    if (!document.getElementById('order-dripfeed')?.checked) return null;
+    return {
+        runs: parseInt(document.getElementById('order-runs').value),
+        interval: parseInt(document.getElementById('order-interval').value)
+    };
+}
+
+// Validates the target link with /orders/calculate and swaps in the cleaned-up link
+async function checkOrderTarget(serviceId) {
+    const input = document.getElementById('order-url');
+    const hint = document.getElementById('order-url-hint');
+    const service = currentServices.find(s => s.id === serviceId);
+    const targetUrl = input.value.trim();
+    
+    if (!targetUrl || !service) return;
+    
+    try {
+        const response = await makeAPIRequest('/orders/calculate', 'POST', {
+            serviceId,
+            quantity: service.min,
+            targetUrl
+        }, true);
+        
+        if (response.success) {
+            input.value = response.calculation.targetUrl;
+            hint.textContent = `✓ ${response.calculation.targetKind ? `Valid ${response.calculation.targetKind} link` : 'Link accepted'}`;
+        } else {
+            hint.textContent = response.message || 'This link does not match the service';
+        }
+    } catch (error) {
+        hint.textContent = error.message || 'This link does not match the service';
+    }
+}
+
+async function applyOrderCoupon(serviceId) {
+    const couponCode = document.getElementById('order-coupon').value.trim();
+    const quantity = parseInt(document.getElementById('order-quantity').value);
+    const hint = document.getElementById('order-coupon-hint');
+    const discountRow = document.getElementById('order-discount-row');
+    
+    if (!couponCode) {
+        hint.textContent = 'Enter a coupon code first';
+        return;
+    }
+    
+    try {
+        const response = await makeAPIRequest('/orders/calculate', 'POST', {
+            serviceId,
+            quantity,
+            couponCode,
+            ...getDripFeedOptions()
+        }, true);
+        
+        if (response.success) {
+            const calc = response.calculation;
+            discountRow.style.display = '';
+            document.getElementById('order-discount').textContent = `-${calc.discountEquities} Equities`;
+            document.getElementById('order-total').textContent = `${calc.costEquities} Equities`;
+            hint.textContent = calc.coupon.description || `Coupon ${calc.coupon.code} applied`;
+        } else {
+            discountRow.style.display = 'none';
+            hint.textContent = response.message || 'Coupon could not be applied';
+        }
+    } catch (error) {
+        hint.textContent = error.message || 'Coupon could not be applied';
+    }
+}
+
 async function placeOrder(serviceId) {
     const url = document.getElementById('order-url').value;
     const quantity = parseInt(document.getElementById('order-quantity').value);
+    const couponCode = document.getElementById('order-coupon')?.value.trim() || undefined;
+    const dripFeed = getDripFeedOptions();
+    const scheduledAt = document.getElementById('order-scheduled-for')?.value;
+    const scheduledFor = scheduledAt ? new Date(scheduledAt).toISOString() : undefined;
     const btn = document.querySelector('#order-form button[type="submit"]');
     
     if (!url) {
@@ -751,19 +1292,35 @@ async function placeOrder(serviceId) {
     try {
         setButtonLoading(btn, true);
         
-        const response = await makeAPIRequest('/orders/place', 'POST', {
+        const action = `order:${serviceId}:${url}:${quantity}:${couponCode || ''}:${dripFeed ? `${dripFeed.runs}x${dripFeed.interval}` : ''}:${scheduledFor || ''}`;
+        const orderData = {
             serviceId,
             targetUrl: url,
-            quantity
-        }, true);
+            quantity,
+            couponCode,
+            scheduledFor,
+            ...dripFeed
+        };
+        let response = await makeIdempotentRequest(action, '/orders/place', 'POST', orderData);
+        
+        // Another order is running on this link: offer to queue behind it
+        if (!response.success && response.overlap && response.canQueue &&
+            confirm(`${response.message}\n\nQueue this order?`)) {
+            response = await makeIdempotentRequest(`${action}:queue`, '/orders/place', 'POST', {
+                ...orderData,
+                queueIfBusy: true
+            });
+        }
         
         if (response.success) {
             hideModal('order-modal');
-            showNotification('Order placed successfully!', 'success');
+            showNotification(response.message || 'Order placed successfully!', 'success');
             
             // Reload orders and balance
             loadDashboardData();
             loadOrders();
+        } else {
+            showNotification(response.message || 'Failed to place order', 'error');
         }
     } catch (error) {
         showNotification(error.message || 'Failed to place order', 'error');
@@ -925,6 +1482,117 @@ function shareTelegram() {
     window.open(url, '_blank');
 }
 
+// Withdrawal Functions
+let withdrawalInfo = null;
+
+async function loadWithdrawals() {
+    try {
+        const response = await makeAPIRequest('/withdrawals', 'GET', null, true);
+        if (!response.success) return;
+        
+        withdrawalInfo = response;
+        document.getElementById('withdrawable-earnings').textContent = `${response.withdrawable} Equities`;
+        
+        const tbody = document.getElementById('withdrawals-table');
+        if (!tbody) return;
+        
+        if (response.withdrawals.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="text-center">No withdrawals yet.</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = response.withdrawals.map(w => `
+            <tr>
+                <td><code>${w.reference}</code></td>
+                <td>${formatCurrency(w.amount)} (${w.equities} Equities)</td>
+                <td>${w.payoutAccount?.bankName || ''} - ${w.payoutAccount?.accountNumber || ''}</td>
+                <td><span class="status-badge status-${w.status}">${w.status === 'completed' ? 'paid' : w.status}</span></td>
+                <td>${new Date(w.createdAt).toLocaleDateString()}</td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading withdrawals:', error);
+    }
+}
+
+async function showWithdrawModal() {
+    await loadWithdrawals();
+    if (!withdrawalInfo) {
+        showNotification('Failed to load withdrawal details', 'error');
+        return;
+    }
+    
+    const bank = withdrawalInfo.bankAccount || {};
+    document.getElementById('withdraw-bank-name').value = bank.bankName || '';
+    document.getElementById('withdraw-account-number').value = bank.accountNumber || '';
+    document.getElementById('withdraw-account-name').value = bank.accountName || '';
+    
+    const equitiesInput = document.getElementById('withdraw-equities');
+    equitiesInput.min = withdrawalInfo.minimum;
+    equitiesInput.max = withdrawalInfo.withdrawable;
+    equitiesInput.value = withdrawalInfo.withdrawable;
+    
+    document.getElementById('withdraw-hint').textContent =
+        `Available: ${withdrawalInfo.withdrawable} equities (${formatCurrency(withdrawalInfo.withdrawable * 10)}). Minimum: ${withdrawalInfo.minimum} equities.`;
+    
+    showModal('withdraw-modal');
+}
+
+async function handleWithdraw(e) {
+    e.preventDefault();
+    
+    const btn = e.target.querySelector('button[type="submit"]');
+    const bankAccount = {
+        bankName: document.getElementById('withdraw-bank-name').value.trim(),
+        accountNumber: document.getElementById('withdraw-account-number').value.trim(),
+        accountName: document.getElementById('withdraw-account-name').value.trim()
+    };
+    const equities = parseInt(document.getElementById('withdraw-equities').value);
+    
+    if (!/^[0-9]{10}$/.test(bankAccount.accountNumber)) {
+        showNotification('Account number must be 10 digits', 'error');
+        return;
+    }
+    
+    if (!equities || equities < withdrawalInfo.minimum || equities > withdrawalInfo.withdrawable) {
+        showNotification(`Enter between ${withdrawalInfo.minimum} and ${withdrawalInfo.withdrawable} equities`, 'error');
+        return;
+    }
+    
+    try {
+        setButtonLoading(btn, true);
+        
+        // Save the payout account first if it changed
+        const saved = withdrawalInfo.bankAccount || {};
+        if (saved.bankName !== bankAccount.bankName ||
+            saved.accountNumber !== bankAccount.accountNumber ||
+            saved.accountName !== bankAccount.accountName) {
+            const bankResponse = await makeAPIRequest('/user/bank-account', 'PUT', bankAccount, true);
+            if (!bankResponse.success) {
+                showNotification(bankResponse.message || 'Failed to save bank account', 'error');
+                return;
+            }
+        }
+        
+        const response = await makeIdempotentRequest(`withdraw:${equities}`, '/withdrawals/request', 'POST', {
+            equities
+        });
+        
+        if (response.success) {
+            hideModal('withdraw-modal');
+            showNotification(response.message, 'success');
+            loadDashboardData();
+            loadWithdrawals();
+        } else {
+            showNotification(response.message || 'Failed to request withdrawal', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to request withdrawal', 'error');
+    } finally {
+        setButtonLoading(btn, false);
+    }
+}
+
 // Order Management
 async function viewOrder(orderId) {
     try {
@@ -963,6 +1631,12 @@ async function viewOrder(orderId) {
                         <span>Created:</span>
                         <span>${new Date(order.createdAt).toLocaleString()}</span>
                     </div>
+                    ${order.scheduledFor ? `
+                    <div class="detail-row">
+                        <span>Scheduled For:</span>
+                        <span>${new Date(order.scheduledFor).toLocaleString()}</span>
+                    </div>
+                    ` : ''}
                     ${order.deliveredAt ? `
                     <div class="detail-row">
                         <span>Delivered:</span>
@@ -981,7 +1655,86 @@ async function viewOrder(orderId) {
                         <span>${order.remains}</span>
                     </div>
                     ` : ''}
+                    ${order.invoiceNumber ? `
+                    <div class="detail-row">
+                        <span>Invoice:</span>
+                        <span>${order.invoiceNumber}</span>
+                    </div>
+                    ` : ''}
+                </div>
+                
+                ${order.dripFeed ? `
+                <h5>Drip-feed: about ${order.dripFeed.completedRuns} of ${order.dripFeed.runs} runs delivered</h5>
+                <div class="form-hint">Run progress is estimated from the total the provider reports as delivered.</div>
+                <div class="order-details">
+                    ${order.dripFeed.schedule.map(run => `
+                    <div class="detail-row">
+                        <span>Run ${run.run} (${run.quantity}) - ${new Date(run.scheduledAt).toLocaleString()}</span>
+                        <span class="status-badge ${statusClass(run.status)}">${run.status}</span>
+                    </div>
+                    `).join('')}
+                </div>
+                ` : ''}
+                
+                ${order.refills?.length ? `
+                <h5>Refills</h5>
+                <div class="order-details">
+                    ${order.refills.map(r => `
+                    <div class="detail-row">
+                        <span>${new Date(r.requestedAt).toLocaleString()}</span>
+                        <span class="status-badge ${statusClass(r.status)}">${r.status}</span>
+                    </div>
+                    `).join('')}
+                </div>
+                ` : ''}
+                
+                ${order.refill ? (order.refill.eligible ? `
+                <button class="btn btn-primary btn-block" onclick="requestRefill('${order.orderId}')">
+                    <i class="fas fa-redo"></i> Request Refill
+                </button>
+                <p class="text-center"><small>Refill guarantee until ${new Date(order.refill.availableUntil).toLocaleDateString()}</small></p>
+                ` : `
+                <p class="text-center"><small>${order.refill.reason}</small></p>
+                `) : ''}
+                
+                ${order.invoiceNumber ? `
+                <div class="action-buttons">
+                    <button class="btn btn-outline" onclick="viewReceipt('${order.orderId}')">
+                        <i class="fas fa-receipt"></i> View Receipt
+                    </button>
+                    <button class="btn btn-outline" onclick="downloadReceipt('${order.orderId}', '${order.invoiceNumber}')">
+                        <i class="fas fa-file-pdf"></i> Download Receipt
+                    </button>
                 </div>
+                ` : ''}
+                
+                ${order.status === 'queued' ? `
+                <div class="alert alert-info">
+                    <p>${order.queueReason === 'retry'
+                        ? `Thekclaut was temporarily unavailable. This order will be retried automatically${order.nextAttemptAt ? ` at ${new Date(order.nextAttemptAt).toLocaleString()}` : ''}.`
+                        : order.queueReason === 'batch'
+                            ? 'This order is part of a mass order and will be placed shortly.'
+                            : 'Another order is still running on this link. This order will be placed automatically when it finishes.'}</p>
+                </div>
+                <button class="btn btn-danger btn-block" onclick="cancelOrder('${order.orderId}')">
+                    <i class="fas fa-times"></i> Cancel Queued Order
+                </button>
+                ` : ''}
+                
+                ${order.status === 'scheduled' ? `
+                <div class="form-group">
+                    <label for="reschedule-url">Target URL</label>
+                    <input type="url" id="reschedule-url" class="form-control" value="${order.targetUrl}">
+                    <label for="reschedule-at">Scheduled For</label>
+                    <input type="datetime-local" id="reschedule-at" class="form-control" value="${toDateTimeLocal(order.scheduledFor)}">
+                </div>
+                <button class="btn btn-primary btn-block" onclick="rescheduleOrder('${order.orderId}')">
+                    <i class="fas fa-clock"></i> Update Schedule
+                </button>
+                <button class="btn btn-danger btn-block" onclick="cancelOrder('${order.orderId}')">
+                    <i class="fas fa-times"></i> Cancel Scheduled Order
+                </button>
+                ` : ''}
                 
                 ${(order.status === 'pending' || order.status === 'processing') ? `
                 <div class="alert alert-warning">
@@ -1002,11 +1755,157 @@ async function viewOrder(orderId) {
     }
 }
 
+function showMassOrderModal() {
+    document.getElementById('mass-order-lines').value = '';
+    document.getElementById('mass-order-csv').value = '';
+    document.getElementById('mass-order-results').innerHTML = '';
+    showModal('mass-order-modal');
+}
+
+async function readMassOrderInput() {
+    const file = document.getElementById('mass-order-csv').files[0];
+    if (file) return { csv: await file.text() };
+    return { lines: document.getElementById('mass-order-lines').value };
+}
+
+function renderMassOrderLines(lines, summary) {
+    document.getElementById('mass-order-results').innerHTML = `
+        <div class="alert ${lines.every(l => l.success) ? 'alert-info' : 'alert-warning'}">
+            <p>${summary}</p>
+        </div>
+        <div class="table-container">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Line</th>
+                        <th>Service</th>
+                        <th>Link</th>
+                        <th>Quantity</th>
+                        <th>Cost</th>
+                        <th>Result</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${lines.map(line => `
+                    <tr>
+                        <td>${line.line}</td>
+                        <td>${line.serviceName || line.serviceId || '-'}</td>
+                        <td style="word-break: break-all;">${line.link || '-'}</td>
+                        <td>${line.quantity || '-'}</td>
+                        <td>${line.cost ? `${line.cost} Equities` : '-'}</td>
+                        <td>${line.success
+                            ? (line.orderId ? `<code>${line.orderId}</code>` : '<span class="status-badge status-completed">OK</span>')
+                            : `<span class="text-danger">${line.error}</span>`}</td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+async function previewMassOrder() {
+    try {
+        const response = await makeAPIRequest('/orders/mass/preview', 'POST', await readMassOrderInput(), true);
+        
+        if (response.success) {
+            renderMassOrderLines(response.lines,
+                `${response.validLines} of ${response.lines.length} lines are valid. Total: ${response.totalCost} Equities (₦${response.totalNaira.toLocaleString()}).` +
+                (response.sufficientBalance ? '' : ` Your balance (${response.balance} Equities) is not enough.`));
+        } else {
+            showNotification(response.message || 'Failed to validate orders', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to validate orders', 'error');
+    }
+}
+
+async function placeMassOrder() {
+    const btn = document.getElementById('mass-order-submit');
+    const input = await readMassOrderInput();
+    
+    if (!confirm('Place all valid orders now? The total cost is reserved from your balance up front.')) return;
+    
+    try {
+        setButtonLoading(btn, true);
+        const response = await makeIdempotentRequest(`mass-order:${JSON.stringify(input)}`, '/orders/mass', 'POST', input);
+        
+        if (response.results) {
+            renderMassOrderLines(response.results, response.success
+                ? `${response.message}. ${response.reserved} Equities reserved; the orders are placed one by one in the background and you will be notified when the batch is done. Lines Thekclaut rejects are not charged.`
+                : response.message);
+        }
+        
+        if (response.success) {
+            showNotification(response.message, 'success');
+            loadDashboardData();
+            loadOrders();
+        } else {
+            showNotification(response.message || 'Failed to place orders', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to place orders', 'error');
+    } finally {
+        setButtonLoading(btn, false);
+    }
+}
+
+async function requestRefill(orderId) {
+    if (!confirm('Request a refill for this order?')) return;
+    
+    try {
+        const response = await makeIdempotentRequest(`refill:${orderId}`, `/orders/${orderId}/refill`, 'POST');
+        
+        if (response.success) {
+            showNotification('Refill requested successfully', 'success');
+            viewOrder(orderId);
+        } else {
+            showNotification(response.message || 'Failed to request refill', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to request refill', 'error');
+    }
+}
+
+// Formats a date for a datetime-local input (local time, minute precision)
+function toDateTimeLocal(value) {
+    const date = new Date(value);
+    date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+    return date.toISOString().slice(0, 16);
+}
+
+async function rescheduleOrder(orderId) {
+    const targetUrl = document.getElementById('reschedule-url').value.trim();
+    const scheduledAt = document.getElementById('reschedule-at').value;
+    
+    if (!targetUrl || !scheduledAt) {
+        showNotification('Please enter the target URL and scheduled time', 'error');
+        return;
+    }
+    
+    try {
+        const response = await makeAPIRequest(`/orders/${orderId}/schedule`, 'PUT', {
+            targetUrl,
+            scheduledFor: new Date(scheduledAt).toISOString()
+        }, true);
+        
+        if (response.success) {
+            showNotification('Scheduled order updated', 'success');
+            viewOrder(orderId);
+            loadOrders();
+        } else {
+            showNotification(response.message || 'Failed to update scheduled order', 'error');
+        }
+    } catch (error) {
+        showNotification(error.message || 'Failed to update scheduled order', 'error');
+    }
+}
+
 async function cancelOrder(orderId) {
     if (!confirm('Are you sure you want to cancel this order?')) return;
     
     try {
-        const response = await makeAPIRequest(`/orders/${orderId}/cancel`, 'POST', null, true);
+        const response = await makeIdempotentRequest(`cancel:${orderId}`, `/orders/${orderId}/cancel`, 'POST');
         
         if (response.success) {
             showNotification('Order cancelled successfully', 'success');
@@ -1190,11 +2089,140 @@ function proceedToOrder(serviceId) {
     setTimeout(() => showOrderModal(serviceId), 300);
 }
 
+async function downloadStatement(format) {
+    const from = document.getElementById('statement-from').value;
+    const to = document.getElementById('statement-to').value;
+    
+    if (!from || !to) {
+        showNotification('Please choose a start and end date', 'error');
+        return;
+    }
+    
+    try {
+        await downloadFile(`/statements?from=${from}&to=${to}&format=${format}`, `statement-${from}-${to}.${format}`);
+    } catch (error) {
+        showNotification(error.message || 'Failed to generate statement', 'error');
+    }
+}
+
+// Fetch an authenticated file and hand it to the browser as a download
+async function downloadFile(endpoint, filename) {
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+        headers: {
+            'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+    });
+    
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.message || 'Download failed');
+    }
+    
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+async function viewReceipt(orderId) {
+    try {
+        const response = await makeAPIRequest(`/orders/${orderId}/receipt`, 'GET', null, true);
+        
+        if (!response.success) {
+            showNotification(response.message || 'Failed to load receipt', 'error');
+            return;
+        }
+        
+        const receipt = response.receipt;
+        const money = (amount) => `${amount.equities} Equities (₦${amount.naira.toLocaleString()})`;
+        
+        document.getElementById('order-modal-content').innerHTML = `
+            <h4>Receipt ${receipt.invoiceNumber}</h4>
+            <div class="order-details">
+                <div class="detail-row">
+                    <span>Date:</span>
+                    <span>${new Date(receipt.issuedAt).toLocaleString()}</span>
+                </div>
+                <div class="detail-row">
+                    <span>Order ID:</span>
+                    <span>${receipt.orderId}</span>
+                </div>
+                <div class="detail-row">
+                    <span>Service:</span>
+                    <span>${receipt.serviceName}</span>
+                </div>
+                <div class="detail-row">
+                    <span>Quantity:</span>
+                    <span>${receipt.quantity}</span>
+                </div>
+                <div class="detail-row">
+                    <span>Unit Price:</span>
+                    <span>${money(receipt.unitPrice)}</span>
+                </div>
+                <div class="detail-row">
+                    <span>Subtotal:</span>
+                    <span>${money(receipt.subtotal)}</span>
+                </div>
+                ${receipt.discount.equities ? `
+                <div class="detail-row">
+                    <span>Discount${receipt.discount.couponCode ? ` (${receipt.discount.couponCode})` : ''}:</span>
+                    <span>-${money(receipt.discount)}</span>
+                </div>
+                ` : ''}
+                ${receipt.vat.percentage ? `
+                <div class="detail-row">
+                    <span>VAT (${receipt.vat.percentage}%, included):</span>
+                    <span>${money(receipt.vat)}</span>
+                </div>
+                ` : ''}
+                <div class="detail-row">
+                    <span>Total Paid:</span>
+                    <span>${money(receipt.total)}</span>
+                </div>
+            </div>
+            
+            <button class="btn btn-primary btn-block" onclick="downloadReceipt('${receipt.orderId}', '${receipt.invoiceNumber}')">
+                <i class="fas fa-file-pdf"></i> Download PDF
+            </button>
+        `;
+        showModal('order-modal');
+    } catch (error) {
+        showNotification(error.message || 'Failed to load receipt', 'error');
+    }
+}
+
+async function downloadReceipt(orderId, invoiceNumber) {
+    try {
+        await downloadFile(`/orders/${orderId}/receipt?format=pdf`, `${invoiceNumber}.pdf`);
+    } catch (error) {
+        showNotification(error.message || 'Failed to download receipt', 'error');
+    }
+}
+
 // Export for use in HTML
 window.showDepositModal = showDepositModal;
+window.uploadProof = uploadProof;
 window.loadServices = loadServices;
 window.showSupportModal = showSupportModal;
 window.copyReferralCode = copyReferralCode;
 window.copyReferralLink = copyReferralLink;
 window.shareWhatsApp = shareWhatsApp;
 window.shareTelegram = shareTelegram;
+window.showWithdrawModal = showWithdrawModal;
+window.downloadStatement = downloadStatement;
+window.viewReceipt = viewReceipt;
+window.downloadReceipt = downloadReceipt;
+window.requestRefill = requestRefill;
+window.rescheduleOrder = rescheduleOrder;
+window.showSubscriptionModal = showSubscriptionModal;
+window.viewSubscription = viewSubscription;
+window.pauseSubscription = pauseSubscription;
+window.resumeSubscription = resumeSubscription;
+window.cancelSubscription = cancelSubscription;
+window.showMassOrderModal = showMassOrderModal;
+window.previewMassOrder = previewMassOrder;
+window.placeMassOrder = placeMassOrder;